@@ -9,7 +9,7 @@ Part of the BuzzarFeed platform, this module serves as the administrative interf
 It is intended for users with admin privileges only and requires authentication through the Session utility.
 
 DATE CREATED: November 30, 2025
-LAST MODIFIED: December 4, 2025
+LAST MODIFIED: October 19, 2026
 
 PURPOSE:
 The Admin Panel provides administrators with the following functionalities:
@@ -17,6 +17,7 @@ The Admin Panel provides administrators with the following functionalities:
 2. Moderate user reviews that have been flagged for reporting.
 3. Access and browse the admin activity logs for audit and monitoring purposes.
 4. Display platform statistics, including total users, pending stalls, and approved stalls.
+5. Correct misplaced stall pins and draw the bazaar's zones and walkable paths on the map (Map Layout tab).
 
 DATA STRUCTURES / OBJECTS:
 - $db: Instance of Database for running queries.
@@ -28,7 +29,9 @@ DATA STRUCTURES / OBJECTS:
 - $pendingApps: Array of pending applications with user details.
 - $adminLogs: Array of recent admin activity logs.
 - $pendingReports: Array of pending review reports.
-- $currentTab: String indicating which tab is currently active ('pending-applications', 'recent-reviews', 'admin-logs').
+- $mapLayout: Saved zones and paths of the map (MapLayoutService::getLayout()).
+- $mapStalls: Active stalls with a position on the map, for the map editor's pins.
+- $currentTab: String indicating which tab is currently active ('pending-applications', 'recent-reviews', 'admin-logs', 'map-layout').
 
 ALGORITHM / LOGIC:
 1. Initialize environment by including bootstrap.php and starting session.
@@ -44,6 +47,7 @@ ALGORITHM / LOGIC:
    a. Pending applications for review.
    b. Pending review reports.
    c. Admin activity logs.
+   d. Map layout and the stalls placed on the map.
 6. Render HTML page:
    a. Include header and footer.
    b. Display hero section with welcome message and admin actions.
@@ -51,11 +55,14 @@ ALGORITHM / LOGIC:
    d. Render tabs with dynamic content based on $currentTab.
    e. Render application, review, and log entries in desktop and mobile layouts.
    f. Include modal templates for viewing application details and log details.
+   g. Render the map editor: the map image, a pin per placed stall, and the saved layout as JSON.
 7. Client-side logic (JavaScript):
    a. Paginate application and admin logs tables.
    b. Handle opening and closing of modals.
    c. Dynamically render documents and application details in modal.
    d. Ensure accessibility and responsiveness for desktop and mobile devices.
+   e. The map editor (MapEditor, assets/js/modules/map-editor.js) is mounted by app.js and saves
+      through the API client (PUT /api/admin/map-layout), which logs every change.
 
 NOTES / ADDITIONAL DETAILS:
 - Flash messages are displayed once per session action and cleared after display.
@@ -75,6 +82,8 @@ use BuzzarFeed\Utils\Database;
 use BuzzarFeed\Services\ApplicationService;
 use BuzzarFeed\Services\AdminLogService;
 use BuzzarFeed\Services\ReviewReportService;
+use BuzzarFeed\Services\StallService;
+use BuzzarFeed\Services\MapLayoutService;
 
 Session::start();
 
@@ -191,6 +200,20 @@ if ($currentTab === 'recent-reviews') {
     $pendingReports = $reportService->getPendingReports();
 }
 
+// Get the map layout and the stalls placed on the map
+$mapLayout = ['zones' => [], 'paths' => [], 'updated_at' => null];
+$mapStalls = [];
+if ($currentTab === 'map-layout') {
+    try {
+        $mapLayout = (new MapLayoutService())->getLayout();
+    } catch (\Exception $e) {
+        error_log("Error loading map layout: " . $e->getMessage());
+    }
+    $mapStalls = array_filter((new StallService())->getAllActiveStalls(), function($stall) {
+        return $stall['latitude'] !== null && $stall['longitude'] !== null;
+    });
+}
+
 $pageTitle = "Admin Panel - BuzzarFeed";
 $pageDescription = "Manage stall applications and moderate reviews";
 ?>
@@ -269,6 +292,10 @@ $pageDescription = "Manage stall applications and moderate reviews";
                     class="tab-btn <?= $currentTab === 'admin-logs' ? 'active' : '' ?>">
                     Admin Logs
                 </a>
+                <a href="?tab=map-layout#main-tabs"
+                    class="tab-btn <?= $currentTab === 'map-layout' ? 'active' : '' ?>">
+                    Map Layout
+                </a>
             </div>
         </div>
 
@@ -457,7 +484,7 @@ $pageDescription = "Manage stall applications and moderate reviews";
                                                     <i class="fas fa-user"></i> 
                                                     <?= Helpers::escape($report['reviewer_name']) ?>
                                                 </span>
-                                                <span class="rating">
+                                                <span class="rating" data-star-rating="<?= (int) $report['rating'] ?>">
                                                     <?php for ($i = 1; $i <= 5; $i++): ?>
                                                         <i class="fa<?= $i <= $report['rating'] ? 's' : 'r' ?> fa-star"></i>
                                                     <?php endfor; ?>
@@ -644,6 +671,45 @@ $pageDescription = "Manage stall applications and moderate reviews";
                         <?php endif; ?>
                     </div>
                 </div>
+            <?php elseif ($currentTab === 'map-layout'): ?>
+                <div class="tabs-and-content-container">
+                    <div class="section-title-container">
+                        <h2 class="section-title">Map Layout</h2>
+                    </div>
+
+                    <div class="tab-content-area">
+                        <p class="map-editor-intro">
+                            Drag misplaced stall pins and draw the bazaar's zones and walkways. Changes are only
+                            previewed until you save them; every saved change is recorded in the admin logs.
+                            <?php if (!empty($mapLayout['updated_at'])): ?>
+                                Last saved <?= Helpers::escape(date('M d, Y h:i A', strtotime($mapLayout['updated_at']) + (16 * 3600))) ?>.
+                            <?php endif; ?>
+                        </p>
+
+                        <div class="map-editor" data-map-editor data-map-editor-layout="map-layout-data">
+                            <div class="map-editor-map">
+                                <img src="<?= IMAGES_URL ?>/maps.png" alt="BGC Night Market Map" class="map-image">
+                                <?php foreach ($mapStalls as $stall): ?>
+                                    <button type="button" class="map-editor-pin"
+                                            style="left: <?= (float) $stall['latitude'] ?>%; top: <?= (float) $stall['longitude'] ?>%;"
+                                            data-stall-id="<?= Helpers::escape($stall['id']) ?>"
+                                            data-stall-name="<?= Helpers::escape($stall['name']) ?>"
+                                            aria-label="Pin of <?= Helpers::escape($stall['name']) ?>"
+                                            title="<?= Helpers::escape($stall['name']) ?>">
+                                        <i class="fas fa-map-marker-alt" aria-hidden="true"></i>
+                                    </button>
+                                <?php endforeach; ?>
+                            </div>
+                            <div class="map-editor-panel" data-map-editor-panel>
+                                <p>The map editor needs JavaScript.</p>
+                            </div>
+                        </div>
+                    </div>
+                </div>
+
+                <script id="map-layout-data" type="application/json">
+                    <?= json_encode(['zones' => $mapLayout['zones'], 'paths' => $mapLayout['paths']], JSON_HEX_TAG | JSON_HEX_APOS | JSON_HEX_QUOT | JSON_HEX_AMP) ?>
+                </script>
             <?php endif; ?>
         </div>
     </main>
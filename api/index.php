@@ -55,6 +55,7 @@ ALGORITHM / LOGIC:
    f. 'amendments' → AmendmentController
    g. 'closures' → ClosureController
    h. 'admin' → AdminController
+   i. 'favorites' → FavoriteController
 7. If resource is not recognized, return 404 error.
 8. Call controller's handleRequest method with method, id, and action parameters.
 9. Catch any exceptions and return 500 error with exception message.
@@ -96,6 +97,7 @@ use BuzzarFeed\Api\Controllers\ApplicationController;
 use BuzzarFeed\Api\Controllers\AmendmentController;
 use BuzzarFeed\Api\Controllers\ClosureController;
 use BuzzarFeed\Api\Controllers\AdminController;
+use BuzzarFeed\Api\Controllers\FavoriteController;
 use BuzzarFeed\Utils\ApiResponse;
 
 try {
@@ -144,6 +146,9 @@ try {
         case 'admin':
             $controller = new AdminController();
             break;
+        case 'favorites':
+            $controller = new FavoriteController();
+            break;
         default:
             ApiResponse::error('Resource not found', 404);
             exit;
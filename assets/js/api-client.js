@@ -14,7 +14,7 @@ This client is used throughout the frontend application to communicate with the
 and is designed to work with the RESTful API architecture of BuzzarFeed.
 
 DATE CREATED: January 23, 2026
-LAST MODIFIED: January 23, 2026
+LAST MODIFIED: October 19, 2026
 
 PURPOSE:
 The purpose of this program is to provide a clean, reusable, and maintainable interface for frontend
@@ -24,12 +24,75 @@ invocations. By centralizing API logic, this module ensures consistency across t
 and simplifies future API changes.
 
 DATA STRUCTURES:
+- ApiError class (extends Error):
+  - status (number): HTTP status code (0 for network errors and timeouts).
+  - errors (object|array): Validation errors as sent by the API.
+  - fieldErrors (object): errors normalized to { field: message }.
+  - endpoint, method (string): The request that failed.
+  - body (object|null): Parsed JSON body of the failed response, when there was one.
+  - cause (Error|null): Underlying fetch, timeout or JSON parse error.
+- ApiCache class:
+  - memory (Map): Entries { value, freshUntil, staleUntil } keyed by endpoint
+    with its query parameters sorted.
+  - options.storage (Storage|null): sessionStorage mirror of the entries.
+  - revalidating (Map): Background refreshes in flight, one per key.
+  - generation (number): Bumped on every invalidation so late responses are
+    not stored over it.
+- ApiOutbox class:
+  - entries (array): Queued mutations { id, type, args, key, label, status
+    ('pending' | 'failed' | 'sent'), waitingFor ('network' | 'login' while
+    pending), error, attempts, queuedAt, updatedAt }, mirrored to the
+    IndexedDB object store 'outbox'.
+  - ApiOutbox.OPERATIONS (static object): Queueable methods with their label,
+    dedupe key and merge rule.
+- ApiSession class:
+  - waiting (array): Requests parked after a 401 until the user logs in again.
+  - listeners (Set): Subscribers told { type, pending } on 'expired',
+    'resumed' and 'cancelled'.
+  - options.ignore (array): Endpoint prefixes whose 401 is final (/auth/).
+  - options.loggedIn (boolean|Function): Whether there is a session to
+    recover; by default the header's data-auth="user". A guest's 401 is final.
+- ApiPaginator class:
+  - page, total, totalPages (number|null): Last page read and the server's
+    pagination metadata.
+  - hasMore (boolean): Whether another page is expected.
+  - prefetched (object|null): { page, promise } of the next page, requested
+    while the caller is still rendering the current one.
+  - controller (AbortController): Cancels the page in flight; linked to the
+    caller's signal.
+- InterceptorManager class:
+  - entries (array): Registered { id, handler } hooks in run order.
 - ApiClient class:
   - baseUrl (string): Base URL for API endpoints (default: '/api').
+  - defaults (object): Global timeout, retries, retryDelay, maxRetryDelay and
+    uploadTimeout.
+  - pending (Map): AbortControllers of in-flight requests keyed by cancelKey.
+  - interceptors (object): This instance's request, response and error hooks.
+  - cache (ApiCache|null): Response cache, off until enabled.
+  - outbox (ApiOutbox|null): Offline mutation queue, off until enabled.
+  - session (ApiSession|null): Session-expiry recovery, off until enabled.
+  - transport (Function): Performs the HTTP call; ApiClient.defaultTransport
+    (fetch/XMLHttpRequest) unless replaced, e.g. by ApiMockAdapter.
+  - ApiClient.UPLOAD_RULES (static object): maxSize, MIME types and file
+    extensions accepted for 'image' and 'document' uploads.
+  - ApiClient.CACHE_INVALIDATION (static object): Endpoint prefixes dropped
+    after a mutation of each resource.
+  - ApiClient.interceptors (static object): Hooks shared by every instance.
+- Request context (passed through the interceptors):
+  - endpoint, method, data, headers, timeout, retries, fetchOptions.
+  - onUploadProgress (Function|null): Progress callback of an upload.
+  - meta (object): Scratch space for hooks, e.g. request IDs or start times.
 - Request configuration objects:
   - method (string): HTTP method (GET, POST, PUT, DELETE).
   - headers (object): HTTP headers including Content-Type.
-  - body (string): JSON-stringified request data.
+  - body (string|FormData): JSON-stringified request data, or multipart
+    form data for uploads.
+  - timeout (number): Per-call timeout in milliseconds (0 disables).
+  - retries (number): Retry budget; defaults to 0 for non-idempotent methods.
+  - signal (AbortSignal): Caller-supplied cancellation signal.
+  - cancelKey (string): Newer requests with the same key abort older ones.
+  - recoverSession (boolean): false lets a 401 fail at once even with
+    session recovery on.
 - Response objects:
   - success (boolean): Indicates if request was successful.
   - message (string): Response message.
@@ -43,15 +106,37 @@ DATA STRUCTURES:
   - category (string): Filter by category.
 
 ALGORITHM / LOGIC:
-1. Initialize ApiClient with optional base URL.
+1. Initialize ApiClient with optional base URL and options (cache: true enables caching,
+   transport replaces fetch).
 2. Provide generic request method:
-   a. Construct full URL by appending endpoint to base URL.
-   b. Configure fetch options with method, headers, and body.
-   c. Add JSON body for non-GET requests.
-   d. Make fetch request to server.
-   e. Parse JSON response.
-   f. Check response status and throw error if not OK.
-   g. Return result or throw error.
+   - Cached GETs: return fresh entries directly; return stale entries and
+     refresh them in the background (stale-while-revalidate), passing the new
+     result to onUpdate; otherwise fetch and store.
+   - Successful POST/PUT/DELETE calls invalidate the affected cache entries.
+   - createReview/reactToReview with an outbox: queue when offline, when older
+     entries are waiting for the network, or when the connection fails, with
+     a message for that reason; replay in order on the 'online' event, at
+     startup and after a retry interval. Entries parked on a 401 do not hold
+     new calls back.
+   a. Run request interceptors (global first, then per-instance) over the
+      request context; each may modify or replace it.
+   b. Construct full URL by appending endpoint to base URL.
+   c. Configure fetch options with method, headers, and body.
+   d. Add JSON body for non-GET requests; FormData is sent as multipart with
+      the Content-Type left to the browser.
+   e. Link the caller's signal and cancelKey to a per-request AbortController.
+   f. Make fetch request to server, aborting it when the timeout elapses.
+      Uploads with a progress callback use XMLHttpRequest instead.
+   g. Parse JSON response.
+   h. Retry GET/HEAD on network errors, timeouts and 408/429/502/503/504
+      with exponential backoff and jitter (Retry-After is honoured).
+   i. Check response status and throw an ApiError if not OK. With session
+      recovery on, a 401 emits 'expired' and the request waits; after the
+      user logs in (session.resume()) it is sent again once, unchanged.
+   j. Wrap network failures, timeouts and unparseable bodies in an ApiError.
+   k. Run response interceptors over the parsed body and return the result.
+   l. On failure run error interceptors; one may recover by returning a value,
+      otherwise the error is logged and re-thrown.
 3. Provide authentication methods:
    a. login: POST credentials to /auth/login.
    b. register: POST user data to /auth/register.
@@ -64,8 +149,11 @@ ALGORITHM / LOGIC:
    b. updateProfile: PUT updated profile data.
    c. changePassword: PUT password change request.
    d. getUsers: GET paginated list of users.
+   e. getFavorites, addFavorite, removeFavorite: the current user's saved stalls;
+      syncFavorites merges a guest's list into the account (see modules/favorites.js).
 5. Provide stall methods:
    a. getStalls: GET stalls with filtering and pagination.
+      getStallSearchIndex: GET every active stall with its menu item names.
    b. getStall: GET single stall details.
    c. getStallMenu: GET menu items for a stall.
    d. getStallReviews: GET reviews for a stall.
@@ -76,275 +164,2138 @@ ALGORITHM / LOGIC:
    c. reactToReview: POST reaction to a review.
    d. reportReview: POST report for inappropriate review.
 7. Provide application, amendment, and closure methods for admin workflows.
-8. Provide admin methods for dashboard stats, logs, and reports.
-9. Create global API instance for convenient access.
-10. Export for CommonJS module systems.
+   upload() backs createApplication, uploadStallLogo and saveMenuItem:
+   a. Convert the form, object or FormData to FormData.
+   b. Check each file's type and size against its field's UPLOAD_RULES entry;
+      reject with a 422 ApiError before sending if any fails.
+   c. Send it through request() with the upload timeout and progress callback.
+8. Provide admin methods for dashboard stats, logs, reports, and the map layout
+   (zones, paths and stall pins saved from the admin map editor).
+   paginate(method, params) walks any of the paginated list methods:
+   a. Request page N with the shared params and the paginator's signal.
+   b. Read items from data and total/totalPages from pagination; without
+      totalPages, a page shorter than the limit is the last one.
+   c. When more pages remain, start loading page N + 1 in the background.
+   d. Stop after the last page, after maxPages, or when aborted.
+9. Create global API instance for convenient access and expose it on window.
+10. Export ApiClient, ApiError, ApiCache, ApiOutbox, ApiSession, ApiPaginator, InterceptorManager and the instance for CommonJS module systems.
 
 NOTES:
-- All requests use the Fetch API for modern browser compatibility.
+- All requests use the Fetch API for modern browser compatibility, unless a
+  transport is configured. A transport receives (url, config, { onUploadProgress })
+  and returns an object with ok, status, headers.get() and json(); everything
+  else (interceptors, retries, timeouts, caching) works unchanged on top of it.
+  api-mock.js provides one that answers every endpoint from in-memory fixtures.
+- The response contract of every endpoint is in schemas/api-schema.json; in development mode
+  api-schema.js checks responses against it through the response and error interceptors.
 - JSON is the standard data format for requests and responses.
 - Error handling logs errors to console and re-throws for caller handling.
+  Cancelled requests reject with an AbortError and are not logged.
+- Interceptors are registered with use(handler) and removed with eject(id).
+  Global hooks (ApiClient.interceptors) run before instance hooks, so a second
+  client, e.g. for the admin panel, can add its own without affecting api.
+- Error interceptors are not called for cancelled requests.
+- Every other failure rejects with an ApiError; use its is* getters
+  (isValidationError, isUnauthorized, ...) instead of matching messages.
+- POST, PUT and DELETE are never retried unless the caller passes retries.
+- Queued calls resolve with { success: true, queued: true, message } so the
+  page can tell the user the change will be sent later. Entries that the
+  server rejects (4xx) are marked failed and can be retried or discarded.
+- Caching is opt-in twice over: the client needs a cache (new ApiClient(url,
+  { cache: true }) or enableCache()) and the call needs cache: true. The stall
+  read methods (getStalls, getStallSearchIndex, getStall, getStallMenu,
+  getStallReviews) pass it by default; pass cache: false to force a network read.
+- Paginators are async iterables: `for await (const page of api.paginate(
+  'getApplications', { status: 'pending' }))` for infinite lists, or
+  `await api.paginate('getAdminLogs', { limit: 100 }).all()` for exports.
+  Iteration ends quietly on abort; all() rejects with an AbortError instead.
 - Query parameters are automatically encoded using URLSearchParams.
 - The global 'api' instance allows direct usage without instantiation.
 - This client assumes the API follows RESTful conventions.
-- Authentication state is managed server-side via sessions.
+- Authentication state is managed server-side via sessions. When a session
+  expires, api.enableSessionRecovery() keeps failed calls alive: a login
+  prompt subscribes to the session, calls api.login() and then
+  session.resume(), and every parked request is replayed in place. Only
+  pages rendered for a logged-in user recover; a guest's 401 rejects at once.
+- Upload progress needs XMLHttpRequest, so uploads with onProgress bypass
+  fetch; cancellation (signal, cancelKey) and timeouts work the same way.
 - Future enhancements may include:
-  - Request interceptors for token injection
-  - Response interceptors for global error handling
-  - Request cancellation support
-  - Automatic retry logic for failed requests
-  - Request caching mechanisms
-  - Progress tracking for file uploads
+  - Resumable uploads for large files
 */
 
+class ApiError extends Error {
+    /**
+     * @param {string} message - Human-readable error message
+     * @param {object} details - status, errors, endpoint, method, cause and body
+     */
+    constructor(message, { status = 0, errors = [], endpoint = '', method = 'GET', cause = null, body = null } = {}) {
+        super(message);
+        this.name = 'ApiError';
+        this.status = status;
+        this.errors = errors || [];
+        this.endpoint = endpoint;
+        this.method = method;
+        this.cause = cause;
+        this.body = body;
+    }
+
+    get isNetworkError() {
+        return this.status === 0;
+    }
+
+    get isTimeout() {
+        return !!this.cause && this.cause.name === 'TimeoutError';
+    }
+
+    get isUnauthorized() {
+        return this.status === 401;
+    }
+
+    get isForbidden() {
+        return this.status === 403;
+    }
+
+    get isNotFound() {
+        return this.status === 404;
+    }
+
+    get isValidationError() {
+        return this.status === 422 || (this.status === 400 && Object.keys(this.fieldErrors).length > 0);
+    }
+
+    get isServerError() {
+        return this.status >= 500;
+    }
+
+    /**
+     * Validation errors keyed by field name. The backend may send either an
+     * object ({ field: message }) or a list ([{ field, message }]); plain
+     * strings in a list are not tied to a field and are skipped here.
+     * @returns {object} Map of field name to first message
+     */
+    get fieldErrors() {
+        const fields = {};
+        const add = (field, message) => {
+            if (field && !(field in fields)) {
+                fields[field] = Array.isArray(message) ? message[0] : message;
+            }
+        };
+
+        if (Array.isArray(this.errors)) {
+            this.errors.forEach(error => {
+                if (error && typeof error === 'object') {
+                    add(error.field, error.message);
+                }
+            });
+        } else if (this.errors && typeof this.errors === 'object') {
+            Object.entries(this.errors).forEach(([field, message]) => add(field, message));
+        }
+
+        return fields;
+    }
+}
+
+class ApiCache {
+    /**
+     * @param {object} options - ttl and staleTtl (ms), maxEntries, storage
+     *   (a Storage object, null for memory only) and namespace
+     */
+    constructor(options = {}) {
+        this.options = {
+            ttl: 60000,
+            staleTtl: 5 * 60000,
+            maxEntries: 100,
+            storage: ApiCache.defaultStorage(),
+            namespace: 'buzzarfeed:api:',
+            ...options
+        };
+        this.memory = new Map();
+        this.revalidating = new Map();
+        this.generation = 0;
+    }
+
+    /**
+     * Normalize an endpoint so the same query in a different order shares an entry
+     * @param {string} endpoint - Endpoint including its query string
+     * @returns {string}
+     */
+    static key(endpoint) {
+        const [path, query = ''] = endpoint.split('?');
+        const params = new URLSearchParams(query);
+        params.sort();
+        const normalized = params.toString();
+        return normalized ? `${path}?${normalized}` : path;
+    }
+
+    /**
+     * sessionStorage when the browser allows it (it throws in some private modes)
+     * @returns {Storage|null}
+     */
+    static defaultStorage() {
+        try {
+            return typeof sessionStorage !== 'undefined' ? sessionStorage : null;
+        } catch (error) {
+            return null;
+        }
+    }
+
+    /**
+     * Look up an entry, falling back to storage and dropping it once fully expired
+     * @param {string} key - Normalized endpoint
+     * @returns {{value: any, freshUntil: number, staleUntil: number}|null}
+     */
+    get(key) {
+        let entry = this.memory.get(key);
+
+        if (!entry && this.options.storage) {
+            try {
+                const raw = this.options.storage.getItem(this.options.namespace + key);
+                entry = raw ? JSON.parse(raw) : null;
+                if (entry) {
+                    this.memory.set(key, entry);
+                }
+            } catch (error) {
+                entry = null;
+            }
+        }
+
+        if (entry && Date.now() >= entry.staleUntil) {
+            this.delete(key);
+            return null;
+        }
+
+        // Hand out copies so callers cannot mutate the cached value
+        return entry ? { ...entry, value: JSON.parse(JSON.stringify(entry.value)) } : null;
+    }
+
+    /**
+     * Store a value
+     * @param {string} key - Normalized endpoint
+     * @param {any} value - JSON-serializable result
+     * @param {object} options - Per-call ttl and staleTtl overrides
+     */
+    set(key, value, options = {}) {
+        const { ttl, staleTtl } = { ...this.options, ...options };
+        const now = Date.now();
+        const entry = {
+            value: JSON.parse(JSON.stringify(value)),
+            freshUntil: now + ttl,
+            staleUntil: now + ttl + staleTtl
+        };
+
+        this.memory.delete(key);
+        this.memory.set(key, entry);
+        if (this.memory.size > this.options.maxEntries) {
+            this.delete(this.memory.keys().next().value);
+        }
+
+        if (this.options.storage) {
+            try {
+                this.options.storage.setItem(this.options.namespace + key, JSON.stringify(entry));
+            } catch (error) {
+                // Quota exceeded: keep the entry in memory only
+            }
+        }
+    }
+
+    delete(key) {
+        this.memory.delete(key);
+        if (this.options.storage) {
+            try {
+                this.options.storage.removeItem(this.options.namespace + key);
+            } catch (error) {
+                // Storage unavailable; the memory entry is already gone
+            }
+        }
+    }
+
+    /**
+     * Drop every entry under the given endpoint prefixes ('/stalls' matches
+     * '/stalls', '/stalls/4/menu' and '/stalls?page=2')
+     * @param {string[]|null} prefixes - Prefixes to drop; null clears everything
+     */
+    invalidate(prefixes = null) {
+        this.generation++;
+
+        const matches = key => prefixes === null || prefixes.some(prefix =>
+            key === prefix || key.startsWith(`${prefix}/`) || key.startsWith(`${prefix}?`)
+        );
+
+        this.keys().forEach(key => {
+            if (matches(key)) {
+                this.delete(key);
+            }
+        });
+    }
+
+    clear() {
+        this.invalidate(null);
+    }
+
+    /**
+     * Keys held in memory or storage
+     * @returns {string[]}
+     */
+    keys() {
+        const keys = new Set(this.memory.keys());
+        const { storage, namespace } = this.options;
+
+        if (storage) {
+            try {
+                for (let i = 0; i < storage.length; i++) {
+                    const name = storage.key(i);
+                    if (name && name.startsWith(namespace)) {
+                        keys.add(name.slice(namespace.length));
+                    }
+                }
+            } catch (error) {
+                // Storage unavailable; memory keys are enough
+            }
+        }
+
+        return [...keys];
+    }
+}
+
+class ApiOutbox {
+    /**
+     * @param {ApiClient} client - Client used to replay queued mutations
+     * @param {object} options - dbName, storeName, sentRetention and retryInterval (ms)
+     */
+    constructor(client, options = {}) {
+        this.client = client;
+        this.options = {
+            dbName: 'buzzarfeed',
+            storeName: 'outbox',
+            sentRetention: 60 * 60 * 1000,
+            retryInterval: 30000,
+            ...options
+        };
+        this.entries = [];
+        this.listeners = new Set();
+        this.flushing = null;
+        this.flushAgain = false;
+        this.sendingId = null;
+        this.retryTimer = null;
+        this.db = ApiOutbox.openDatabase(this.options.dbName, this.options.storeName);
+        this.ready = this.load();
+
+        if (typeof window !== 'undefined') {
+            window.addEventListener('online', () => this.flush());
+        }
+        this.ready.then(() => this.flush());
+    }
+
+    /**
+     * Open (or create) the IndexedDB store; resolves to null where IndexedDB
+     * is unavailable, in which case the queue lives in memory only
+     * @returns {Promise<IDBDatabase|null>}
+     */
+    static openDatabase(dbName, storeName) {
+        return new Promise(resolve => {
+            if (typeof indexedDB === 'undefined') {
+                resolve(null);
+                return;
+            }
+            try {
+                const request = indexedDB.open(dbName, 1);
+                request.onupgradeneeded = () => {
+                    if (!request.result.objectStoreNames.contains(storeName)) {
+                        request.result.createObjectStore(storeName, { keyPath: 'id' });
+                    }
+                };
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => resolve(null);
+                request.onblocked = () => resolve(null);
+            } catch (error) {
+                resolve(null);
+            }
+        });
+    }
+
+    /**
+     * Run one IndexedDB operation against the outbox store
+     * @param {string} mode - 'readonly' or 'readwrite'
+     * @param {Function} operation - Receives the object store, returns an IDBRequest
+     * @returns {Promise<any>}
+     */
+    async transaction(mode, operation) {
+        const db = await this.db;
+        if (!db) {
+            return null;
+        }
+        return new Promise((resolve, reject) => {
+            const tx = db.transaction(this.options.storeName, mode);
+            const request = operation(tx.objectStore(this.options.storeName));
+            tx.oncomplete = () => resolve(request.result);
+            tx.onerror = () => reject(tx.error);
+            tx.onabort = () => reject(tx.error);
+        });
+    }
+
+    /**
+     * Sync the in-memory list with IndexedDB (another tab may have changed it)
+     * and drop sent entries older than sentRetention
+     */
+    async load() {
+        let stored;
+        try {
+            stored = await this.transaction('readonly', store => store.getAll());
+        } catch (error) {
+            stored = null;
+        }
+        if (!stored) {
+            return;
+        }
+
+        const known = new Map(this.entries.map(entry => [entry.id, entry]));
+        const cutoff = Date.now() - this.options.sentRetention;
+
+        this.entries = stored
+            .map(entry => (known.has(entry.id) ? Object.assign(known.get(entry.id), entry) : entry))
+            .sort((a, b) => a.queuedAt - b.queuedAt);
+
+        const expired = this.entries.filter(entry => entry.status === 'sent' && entry.updatedAt < cutoff);
+        for (const entry of expired) {
+            await this.remove(entry.id);
+        }
+        this.emit();
+    }
+
+    async save(entry) {
+        try {
+            await this.transaction('readwrite', store => store.put(entry));
+        } catch (error) {
+            console.error('Outbox save failed:', error);
+        }
+    }
+
+    async remove(id) {
+        this.entries = this.entries.filter(entry => entry.id !== id);
+        try {
+            await this.transaction('readwrite', store => store.delete(id));
+        } catch (error) {
+            console.error('Outbox delete failed:', error);
+        }
+    }
+
+    /**
+     * Queue a mutation. A pending entry for the same target (e.g. a second
+     * review draft for the same stall) is merged instead of duplicated.
+     * @param {string} type - Key of ApiOutbox.OPERATIONS (an ApiClient method name)
+     * @param {array} args - Arguments for that method, without the options
+     * @param {string} reason - Key of ApiOutbox.QUEUED_MESSAGES: 'offline',
+     *   'unreachable' or 'behind'
+     * @returns {Promise<object>} Response-shaped object with queued: true
+     */
+    async enqueue(type, args, reason = 'offline') {
+        await this.ready;
+
+        const operation = ApiOutbox.OPERATIONS[type];
+        const key = operation.key(args);
+        const now = Date.now();
+        const queued = this.entries.find(entry =>
+            entry.key === key && entry.status !== 'sent' && entry.id !== this.sendingId
+        );
+        let entry = null;
+
+        if (queued) {
+            const merged = operation.merge(queued.args, args);
+            if (merged === null) {
+                // The two mutations cancel out (e.g. liking and unliking)
+                await this.remove(queued.id);
+            } else {
+                entry = Object.assign(queued, {
+                    args: merged,
+                    label: operation.label(merged),
+                    status: 'pending',
+                    waitingFor: 'network',
+                    error: null,
+                    updatedAt: now
+                });
+            }
+        } else {
+            entry = {
+                id: `${now.toString(36)}-${Math.random().toString(36).slice(2, 8)}`,
+                type,
+                args,
+                key,
+                label: operation.label(args),
+                status: 'pending',
+                waitingFor: 'network',
+                error: null,
+                attempts: 0,
+                queuedAt: now,
+                updatedAt: now
+            };
+            this.entries.push(entry);
+        }
+
+        if (entry) {
+            await this.save(entry);
+        }
+        this.emit();
+        this.flush();
+
+        return {
+            success: true,
+            queued: true,
+            message: ApiOutbox.QUEUED_MESSAGES[reason] || ApiOutbox.QUEUED_MESSAGES.offline,
+            data: { outboxId: entry ? entry.id : null }
+        };
+    }
+
+    /**
+     * Replay pending mutations in order. Only one flush runs at a time, across
+     * tabs as well when the Web Locks API is available.
+     * @returns {Promise<void>}
+     */
+    flush() {
+        if (this.flushing) {
+            // Run once more afterwards; the current pass may already have stopped
+            this.flushAgain = true;
+            return this.flushing;
+        }
+
+        clearTimeout(this.retryTimer);
+        const run = () => this.replay();
+        const locked = typeof navigator !== 'undefined' && navigator.locks
+            ? navigator.locks.request(`${this.options.dbName}-${this.options.storeName}`, run)
+            : run();
+
+        this.flushing = Promise.resolve(locked).finally(() => {
+            this.flushing = null;
+            if (this.flushAgain) {
+                this.flushAgain = false;
+                this.flush();
+            }
+        });
+        return this.flushing;
+    }
+
+    async replay() {
+        await this.load();
+        const attempted = new Set();
+
+        for (;;) {
+            const entry = this.entries.find(item => item.status === 'pending' && !attempted.has(item.id));
+            if (!entry || ApiClient.isOffline()) {
+                return;
+            }
+
+            attempted.add(entry.id);
+            this.sendingId = entry.id;
+            entry.attempts++;
+            let stop = false;
+
+            try {
+                const result = await this.client[entry.type](...entry.args, { queue: false });
+                entry.status = 'sent';
+                entry.waitingFor = null;
+                entry.error = null;
+                entry.result = result ? result.data : null;
+            } catch (error) {
+                entry.error = error.message;
+                if (ApiOutbox.isTransient(error)) {
+                    // Keep the order: nothing after this entry is sent yet
+                    entry.waitingFor = error instanceof ApiError && error.isUnauthorized ? 'login' : 'network';
+                    stop = true;
+                } else {
+                    entry.status = 'failed';
+                    entry.waitingFor = null;
+                }
+            } finally {
+                this.sendingId = null;
+            }
+
+            entry.updatedAt = Date.now();
+            await this.save(entry);
+            this.emit();
+
+            if (stop) {
+                this.retryTimer = setTimeout(() => this.flush(), this.options.retryInterval);
+                return;
+            }
+        }
+    }
+
+    /**
+     * Send a failed entry again
+     * @param {string} id - Entry id
+     * @returns {Promise<void>}
+     */
+    async retry(id) {
+        const entry = this.entries.find(item => item.id === id);
+        if (!entry || entry.status === 'sent') {
+            return;
+        }
+        Object.assign(entry, { status: 'pending', waitingFor: 'network', error: null, updatedAt: Date.now() });
+        await this.save(entry);
+        this.emit();
+        await this.flush();
+    }
+
+    /**
+     * Drop an entry (its mutation is never sent)
+     * @param {string} id - Entry id
+     * @returns {Promise<boolean>} False if the entry is being sent right now
+     */
+    async discard(id) {
+        if (id === this.sendingId) {
+            return false;
+        }
+        await this.remove(id);
+        this.emit();
+        return true;
+    }
+
+    hasPending() {
+        return this.entries.some(entry => entry.status === 'pending');
+    }
+
+    /**
+     * Whether a pending entry is waiting for the connection; entries parked on
+     * a 401 wait for the login prompt instead and do not hold new calls back
+     * @returns {boolean}
+     */
+    isWaitingForNetwork() {
+        return this.entries.some(entry => entry.status === 'pending' && entry.waitingFor !== 'login');
+    }
+
+    getEntries() {
+        return this.entries.map(entry => ({ ...entry, sending: entry.id === this.sendingId }));
+    }
+
+    /**
+     * Listen for changes to the queue
+     * @param {Function} listener - Receives the current entries
+     * @returns {Function} Unsubscribe
+     */
+    subscribe(listener) {
+        this.listeners.add(listener);
+        listener(this.getEntries());
+        return () => this.listeners.delete(listener);
+    }
+
+    emit() {
+        const entries = this.getEntries();
+        this.listeners.forEach(listener => listener(entries));
+    }
+
+    /**
+     * Failures worth queueing rather than reporting: no connection, timeouts
+     * and gateway/overload responses
+     * @param {Error} error
+     * @returns {boolean}
+     */
+    static shouldQueue(error) {
+        return error instanceof ApiError &&
+            (error.isNetworkError || ApiClient.RETRYABLE_STATUSES.includes(error.status));
+    }
+
+    /**
+     * Failures that leave a queued entry pending; a 401 waits for the user to
+     * log in again instead of failing the entry
+     * @param {Error} error
+     * @returns {boolean}
+     */
+    static isTransient(error) {
+        return ApiClient.isAbortError(error) || ApiOutbox.shouldQueue(error) ||
+            (error instanceof ApiError && error.isUnauthorized);
+    }
+}
+
+class ApiSession {
+    /**
+     * @param {ApiClient} client - Client whose 401s are recovered
+     * @param {object} options - ignore: endpoint prefixes whose 401 is final
+     *   (default: the /auth/ routes, where 401 means wrong credentials);
+     *   loggedIn: boolean or function telling whether there is a session to
+     *   recover (default: ApiSession.renderedForUser)
+     */
+    constructor(client, options = {}) {
+        this.client = client;
+        this.options = {
+            ignore: ['/auth/'],
+            loggedIn: ApiSession.renderedForUser,
+            ...options
+        };
+        this.waiting = [];
+        this.listeners = new Set();
+    }
+
+    get expired() {
+        return this.waiting.length > 0;
+    }
+
+    /**
+     * Whether a failure should wait for the user to log in again
+     * @param {Error} error - Failure of a single send
+     * @param {object} context - Request context
+     * @returns {boolean}
+     */
+    shouldRecover(error, context) {
+        const { loggedIn } = this.options;
+
+        return error instanceof ApiError && error.isUnauthorized &&
+            context.recoverSession !== false &&
+            (typeof loggedIn === 'function' ? loggedIn() : Boolean(loggedIn)) &&
+            !this.options.ignore.some(prefix => context.endpoint.startsWith(prefix));
+    }
+
+    /**
+     * Park a request until resume() or cancel()
+     * @param {ApiError} error - The 401; cancel() rejects with it
+     * @param {AbortSignal} signal - Aborting the request stops waiting
+     * @returns {Promise<void>}
+     */
+    waitForLogin(error, signal) {
+        return new Promise((resolve, reject) => {
+            const waiter = {};
+            const onAbort = () => {
+                this.remove(waiter);
+                reject(ApiClient.createAbortError());
+            };
+
+            waiter.resolve = () => {
+                signal.removeEventListener('abort', onAbort);
+                resolve();
+            };
+            waiter.reject = () => {
+                signal.removeEventListener('abort', onAbort);
+                reject(error);
+            };
+
+            signal.addEventListener('abort', onAbort, { once: true });
+            this.waiting.push(waiter);
+            this.emit('expired');
+        });
+    }
+
+    /**
+     * The user has logged in again: replay every parked request
+     */
+    resume() {
+        const waiting = this.waiting;
+        this.waiting = [];
+        this.emit('resumed', waiting.length);
+        waiting.forEach(waiter => waiter.resolve());
+    }
+
+    /**
+     * The user declined to log in: fail every parked request with its 401
+     */
+    cancel() {
+        const waiting = this.waiting;
+        this.waiting = [];
+        this.emit('cancelled', waiting.length);
+        waiting.forEach(waiter => waiter.reject());
+    }
+
+    remove(waiter) {
+        this.waiting = this.waiting.filter(entry => entry !== waiter);
+        if (this.waiting.length === 0) {
+            this.emit('cancelled', 0);
+        }
+    }
+
+    /**
+     * Listen for session events { type: 'expired' | 'resumed' | 'cancelled', pending };
+     * a listener added while the session is expired is told so immediately
+     * @param {Function} listener
+     * @returns {Function} Unsubscribe
+     */
+    subscribe(listener) {
+        this.listeners.add(listener);
+        if (this.expired) {
+            listener({ type: 'expired', pending: this.waiting.length });
+        }
+        return () => this.listeners.delete(listener);
+    }
+
+    emit(type, pending = this.waiting.length) {
+        this.listeners.forEach(listener => listener({ type, pending }));
+    }
+
+    /**
+     * Whether the page was rendered for a logged-in user (the header's
+     * data-auth="user"); a guest has no session to recover
+     * @returns {boolean}
+     */
+    static renderedForUser() {
+        if (typeof document === 'undefined') {
+            return false;
+        }
+        const header = document.querySelector('.header[data-auth]');
+        return Boolean(header && header.dataset.auth === 'user');
+    }
+}
+
+class ApiPaginator {
+    /**
+     * @param {ApiClient} client - Client that loads the pages
+     * @param {string|Function} method - Name of a paginated ApiClient method
+     *   ('getStalls', 'getAdminLogs', ...) or a function (params, options) =>
+     *   Promise<result> for methods with extra arguments such as getStallReviews
+     * @param {object} params - Query parameters sent with every page; page and
+     *   limit set the first page and the page size
+     * @param {object} options - prefetch (default true), maxPages, signal and
+     *   any other request options (timeout, cache, ...) passed to each call
+     */
+    constructor(client, method, params = {}, options = {}) {
+        const { page = 1, limit = null, ...query } = params;
+        const { prefetch = true, maxPages = Infinity, signal = null, ...requestOptions } = options;
+
+        if (typeof method !== 'function' && typeof client[method] !== 'function') {
+            throw new TypeError(`Unknown list method: ${method}`);
+        }
+
+        this.fetchPage = typeof method === 'function'
+            ? method
+            : (pageParams, pageOptions) => client[method](pageParams, pageOptions);
+        this.params = query;
+        this.limit = limit;
+        this.prefetch = prefetch;
+        this.maxPages = maxPages;
+        this.requestOptions = requestOptions;
+
+        this.controller = new AbortController();
+        this.unlink = ApiClient.linkSignal(signal, this.controller);
+
+        this.nextPage = Number(page);
+        this.page = null;
+        this.total = null;
+        this.totalPages = null;
+        this.pagesLoaded = 0;
+        this.hasMore = true;
+        this.done = false;
+        this.prefetched = null;
+        this.queue = Promise.resolve();
+    }
+
+    get aborted() {
+        return this.controller.signal.aborted;
+    }
+
+    /**
+     * Load the next page. Calls are serialized, so an infinite list can call
+     * this from every scroll event without skipping or repeating pages; a
+     * failed page is requested again by the next call.
+     * @returns {Promise<{items: array, page: number, total: number|null,
+     *   totalPages: number|null, hasMore: boolean}|null>} null once the last
+     *   page was read or the paginator was aborted
+     */
+    next() {
+        const advance = () => this.advance();
+        this.queue = this.queue.then(advance, advance);
+        return this.queue;
+    }
+
+    async advance() {
+        if (this.done || !this.hasMore || this.aborted) {
+            this.finish();
+            return null;
+        }
+
+        const pageNumber = this.nextPage;
+        const pending = this.prefetched && this.prefetched.page === pageNumber
+            ? this.prefetched.promise
+            : this.load(pageNumber);
+        this.prefetched = null;
+
+        let result;
+        try {
+            result = await pending;
+        } catch (error) {
+            if (this.aborted) {
+                this.finish();
+                return null;
+            }
+            throw error;
+        }
+
+        const items = Array.isArray(result && result.data) ? result.data : [];
+        const pagination = (result && result.pagination) || {};
+        const perPage = Number(pagination.perPage) || this.limit;
+
+        this.page = pageNumber;
+        this.pagesLoaded++;
+        if (pagination.total != null) {
+            this.total = Number(pagination.total);
+        }
+        if (pagination.totalPages != null) {
+            this.totalPages = Number(pagination.totalPages);
+        }
+
+        // Without totalPages, a short page is the last one
+        this.hasMore = items.length > 0 && this.pagesLoaded < this.maxPages && (
+            this.totalPages !== null ? pageNumber < this.totalPages : !!perPage && items.length >= perPage
+        );
+        this.nextPage = pageNumber + 1;
+
+        if (!this.hasMore) {
+            this.finish();
+        } else if (this.prefetch) {
+            const promise = this.load(this.nextPage);
+            // Errors surface when the page is actually requested
+            promise.catch(() => {});
+            this.prefetched = { page: this.nextPage, promise };
+        }
+
+        return {
+            items,
+            page: pageNumber,
+            total: this.total,
+            totalPages: this.totalPages,
+            hasMore: this.hasMore
+        };
+    }
+
+    load(pageNumber) {
+        const params = { ...this.params, page: pageNumber };
+        if (this.limit) {
+            params.limit = this.limit;
+        }
+        return this.fetchPage(params, { ...this.requestOptions, signal: this.controller.signal });
+    }
+
+    /**
+     * Stop paginating and cancel the page in flight, including a prefetch
+     */
+    abort() {
+        this.controller.abort();
+        this.finish();
+    }
+
+    finish() {
+        this.done = true;
+        this.prefetched = null;
+        this.unlink();
+    }
+
+    /**
+     * Iterate page by page; breaking out of the loop aborts the prefetch
+     * @returns {AsyncGenerator<object>} Pages as returned by next()
+     */
+    async *[Symbol.asyncIterator]() {
+        try {
+            let page;
+            while ((page = await this.next())) {
+                yield page;
+            }
+        } finally {
+            if (!this.done) {
+                this.abort();
+            }
+        }
+    }
+
+    /**
+     * Iterate over the records of every page
+     * @returns {AsyncGenerator<any>}
+     */
+    async *items() {
+        for await (const page of this) {
+            yield* page.items;
+        }
+    }
+
+    /**
+     * Collect every remaining record, e.g. for an export. Unlike iteration,
+     * an abort rejects with an AbortError so a partial list is never mistaken
+     * for the full one.
+     * @returns {Promise<array>}
+     */
+    async all() {
+        const records = [];
+        for await (const page of this) {
+            records.push(...page.items);
+        }
+        if (this.aborted) {
+            throw ApiClient.createAbortError();
+        }
+        return records;
+    }
+}
+
+class InterceptorManager {
+    constructor() {
+        this.entries = [];
+        this.nextId = 0;
+    }
+
+    /**
+     * Register a hook; hooks run in the order they were added
+     * @param {Function} handler - Hook function
+     * @returns {number} Id to pass to eject()
+     */
+    use(handler) {
+        const id = this.nextId++;
+        this.entries.push({ id, handler });
+        return id;
+    }
+
+    /**
+     * Remove a hook by id or by function reference
+     * @param {number|Function} idOrHandler - Value returned by use(), or the hook itself
+     * @returns {boolean} Whether a hook was removed
+     */
+    eject(idOrHandler) {
+        const index = this.entries.findIndex(entry => entry.id === idOrHandler || entry.handler === idOrHandler);
+        if (index === -1) {
+            return false;
+        }
+        this.entries.splice(index, 1);
+        return true;
+    }
+
+    /**
+     * Remove every hook
+     */
+    clear() {
+        this.entries = [];
+    }
+
+    /**
+     * Snapshot of the registered hooks, so a hook ejecting itself mid-run is safe
+     * @returns {Function[]}
+     */
+    handlers() {
+        return this.entries.map(entry => entry.handler);
+    }
+}
+
 class ApiClient {
-    constructor(baseUrl = '/api') {
+    constructor(baseUrl = '/api', options = {}) {
+        const { cache = null, transport = null, ...defaults } = options;
+
         this.baseUrl = baseUrl;
+        this.transport = transport || ApiClient.defaultTransport;
+        this.defaults = {
+            timeout: 15000,
+            retries: 2,
+            retryDelay: 300,
+            maxRetryDelay: 5000,
+            uploadTimeout: 120000,
+            ...defaults
+        };
+        this.pending = new Map();
+        this.cache = null;
+        this.outbox = null;
+        this.session = null;
+        if (cache) {
+            this.enableCache(cache === true ? {} : cache);
+        }
+        this.interceptors = {
+            request: new InterceptorManager(),
+            response: new InterceptorManager(),
+            error: new InterceptorManager()
+        };
+    }
+
+    /**
+     * Replace the function that performs HTTP calls, e.g. with ApiMockAdapter
+     * for working without the PHP backend. Cached responses from the previous
+     * transport are dropped.
+     * @param {Function|null} transport - (url, config, { onUploadProgress }) =>
+     *   Promise<Response-like>; null restores fetch
+     */
+    setTransport(transport) {
+        this.transport = transport || ApiClient.defaultTransport;
+        if (this.cache) {
+            this.cache.clear();
+        }
+    }
+
+    /**
+     * Turn on response caching for this client. Only GET calls that pass the
+     * cache option are cached; every successful mutation invalidates the
+     * resources listed in ApiClient.CACHE_INVALIDATION.
+     * @param {object} options - ApiCache options (ttl, staleTtl, storage, ...)
+     * @returns {ApiCache}
+     */
+    enableCache(options = {}) {
+        const namespace = `buzzarfeed:api:${this.baseUrl}:`;
+        this.cache = new ApiCache({ namespace, ...options });
+        return this.cache;
+    }
+
+    /**
+     * Turn on the offline outbox: createReview and reactToReview calls that
+     * fail for lack of a connection are stored in IndexedDB and replayed in
+     * order once the browser is back online.
+     * @param {object} options - ApiOutbox options
+     * @returns {ApiOutbox}
+     */
+    enableOutbox(options = {}) {
+        if (!this.outbox) {
+            this.outbox = new ApiOutbox(this, options);
+        }
+        return this.outbox;
+    }
+
+    /**
+     * Turn on session recovery: a request rejected with 401 waits until
+     * session.resume() (after the user logs in again) and is then replayed,
+     * or fails with its 401 after session.cancel()
+     * @param {object} options - ApiSession options
+     * @returns {ApiSession}
+     */
+    enableSessionRecovery(options = {}) {
+        if (!this.session) {
+            this.session = new ApiSession(this, options);
+        }
+        return this.session;
+    }
+
+    /**
+     * Walk a paginated list endpoint page by page
+     * @param {string|Function} method - List method name (e.g. 'getApplications')
+     *   or a function (params, options) => Promise<result>
+     * @param {object} params - Query parameters; page and limit are optional
+     * @param {object} options - prefetch, maxPages, signal and request options
+     * @returns {ApiPaginator} Async iterable with next(), items(), all() and abort()
+     */
+    paginate(method, params = {}, options = {}) {
+        return new ApiPaginator(this, method, params, options);
+    }
+
+    /**
+     * Send files as multipart/form-data. Files are checked against the rules
+     * before anything is sent; a violation rejects with a 422 ApiError whose
+     * fieldErrors name the offending inputs, like a server-side validation error.
+     * @param {string} endpoint - API endpoint
+     * @param {FormData|HTMLFormElement|object} data - Fields and File objects;
+     *   arrays in a plain object are sent as field[]
+     * @param {object} options - files ({ field: rule }, see UPLOAD_RULES),
+     *   onProgress ({ loaded, total, percent }), method (default POST) and the
+     *   usual request options (signal, cancelKey, timeout, ...)
+     * @returns {Promise<object>}
+     */
+    async upload(endpoint, data, options = {}) {
+        const {
+            files = {},
+            onProgress = null,
+            method = 'POST',
+            timeout = this.defaults.uploadTimeout,
+            ...requestOptions
+        } = options;
+        const formData = ApiClient.toFormData(data);
+        const errors = ApiClient.validateFiles(formData, files);
+
+        if (Object.keys(errors).length > 0) {
+            throw new ApiError('Please correct the highlighted fields', { status: 422, errors, endpoint, method });
+        }
+
+        return this.request(endpoint, method, formData, { ...requestOptions, timeout, onUploadProgress: onProgress });
+    }
+
+    /**
+     * Send a queueable mutation, or hand it to the outbox when offline, when
+     * earlier mutations are still waiting for the network, or when the
+     * connection fails
+     * @param {string} type - Key of ApiOutbox.OPERATIONS
+     * @param {array} args - Method arguments without the options
+     * @param {object} options - Request options; queue: false bypasses the outbox
+     * @param {Function} send - Performs the request with the remaining options
+     * @returns {Promise<object>}
+     */
+    async sendOrQueue(type, args, options, send) {
+        const { queue = true, ...requestOptions } = options;
+
+        if (!this.outbox || !queue) {
+            return send(requestOptions);
+        }
+
+        await this.outbox.ready;
+        if (ApiClient.isOffline()) {
+            return this.outbox.enqueue(type, args, 'offline');
+        }
+        if (this.outbox.isWaitingForNetwork()) {
+            // Keep the order behind mutations that could not be sent yet
+            return this.outbox.enqueue(type, args, 'behind');
+        }
+
+        try {
+            return await send(requestOptions);
+        } catch (error) {
+            if (ApiOutbox.shouldQueue(error)) {
+                return this.outbox.enqueue(type, args, 'unreachable');
+            }
+            throw error;
+        }
     }
 
     /**
      * Make an API request
      * @param {string} endpoint - API endpoint
-     * @param {string} method - HTTP method
+     * @param {string} method - HTTP method, in any case
      * @param {object|null} data - Request data
-     * @param {object} options - Additional fetch options
+     * @param {object} options - Additional fetch options plus client options:
+     *   timeout (ms, 0 disables), retries, signal (AbortSignal), cancelKey,
+     *   recoverSession (false skips session recovery),
+     *   cache (true or { ttl, staleTtl }), onUpdate (called with revalidated
+     *   data) and invalidates (extra endpoint prefixes to drop on success)
      * @returns {Promise<object>}
      */
     async request(endpoint, method = 'GET', data = null, options = {}) {
+        const { cache = false, onUpdate = null, invalidates = [], ...requestOptions } = options;
+        // Normalized once; the context, retries and cache all compare upper case
+        const verb = String(method).toUpperCase();
+        const isRead = ApiClient.IDEMPOTENT_METHODS.includes(verb);
+
+        if (this.cache && cache && isRead) {
+            return this.cachedRequest(endpoint, verb, requestOptions, cache === true ? {} : cache, onUpdate);
+        }
+
+        const result = await this.execute(endpoint, verb, data, requestOptions);
+
+        if (this.cache && !isRead) {
+            this.invalidateFor(endpoint, invalidates);
+        }
+
+        return result;
+    }
+
+    /**
+     * Serve a GET from the cache: fresh entries are returned as-is, stale ones
+     * are returned immediately and refreshed in the background.
+     * @param {string} endpoint - API endpoint
+     * @param {string} method - HTTP method
+     * @param {object} options - Request options
+     * @param {object} cacheOptions - Per-call ttl and staleTtl
+     * @param {Function|null} onUpdate - Receives the refreshed result when it changed
+     * @returns {Promise<object>}
+     */
+    async cachedRequest(endpoint, method, options, cacheOptions, onUpdate) {
+        const key = ApiCache.key(endpoint);
+        const entry = this.cache.get(key);
+
+        if (entry && Date.now() < entry.freshUntil) {
+            return entry.value;
+        }
+
+        if (entry) {
+            this.revalidate(key, endpoint, method, cacheOptions)
+                .then(value => {
+                    if (onUpdate && JSON.stringify(value) !== JSON.stringify(entry.value)) {
+                        onUpdate(value);
+                    }
+                })
+                .catch(() => {
+                    // Keep serving the stale value; the failure was already logged
+                });
+            return entry.value;
+        }
+
+        return this.fetchAndStore(key, endpoint, method, options, cacheOptions);
+    }
+
+    /**
+     * Refresh a stale entry once, however many callers ask for it meanwhile
+     * @returns {Promise<object>}
+     */
+    revalidate(key, endpoint, method, cacheOptions) {
+        if (!this.cache.revalidating.has(key)) {
+            const promise = this.fetchAndStore(key, endpoint, method, {}, cacheOptions)
+                .finally(() => this.cache.revalidating.delete(key));
+            this.cache.revalidating.set(key, promise);
+        }
+        return this.cache.revalidating.get(key);
+    }
+
+    async fetchAndStore(key, endpoint, method, options, cacheOptions) {
+        const generation = this.cache.generation;
+        const result = await this.execute(endpoint, method, null, options);
+
+        // Skip storing if a mutation invalidated the cache while this was in flight
+        if (this.cache && this.cache.generation === generation) {
+            this.cache.set(key, result, cacheOptions);
+        }
+        return result;
+    }
+
+    /**
+     * Drop cached reads affected by a successful mutation
+     * @param {string} endpoint - Endpoint that was mutated
+     * @param {string[]} extra - Additional prefixes from the caller
+     */
+    invalidateFor(endpoint, extra = []) {
+        const resource = endpoint.split(/[/?]/)[1] || '';
+        const prefixes = resource in ApiClient.CACHE_INVALIDATION
+            ? ApiClient.CACHE_INVALIDATION[resource]
+            : [`/${resource}`];
+
+        this.cache.invalidate(prefixes === null ? null : [...prefixes, ...extra]);
+    }
+
+    /**
+     * Run a request through the interceptors and the network
+     * @param {string} endpoint - API endpoint
+     * @param {string} method - HTTP method
+     * @param {object|null} data - Request data
+     * @param {object} options - Fetch and client options (see request)
+     * @returns {Promise<object>}
+     */
+    async execute(endpoint, method, data, options) {
+        const {
+            timeout = this.defaults.timeout,
+            retries = null,
+            signal = null,
+            cancelKey = null,
+            headers = {},
+            onUploadProgress = null,
+            recoverSession = true,
+            ...fetchOptions
+        } = options;
+
+        let context = {
+            endpoint,
+            method,
+            data,
+            // The browser sets the multipart boundary itself
+            headers: ApiClient.isFormData(data)
+                ? { ...headers }
+                : { 'Content-Type': 'application/json', ...headers },
+            timeout,
+            retries,
+            fetchOptions,
+            onUploadProgress,
+            recoverSession,
+            meta: {}
+        };
+
+        // A newer request with the same cancelKey supersedes this one
+        const controller = new AbortController();
+        const unlink = ApiClient.linkSignal(signal, controller);
+        if (cancelKey) {
+            this.cancel(cancelKey);
+            this.pending.set(cancelKey, controller);
+        }
+
+        try {
+            context = await this.runRequestInterceptors(context);
+            const { response, result } = await this.sendWithSession(context, controller.signal);
+            return await this.runResponseInterceptors(result, context, response);
+        } catch (error) {
+            if (ApiClient.isAbortError(error)) {
+                throw error;
+            }
+            const apiError = error instanceof ApiError
+                ? error
+                : new ApiError(error.message || 'Network request failed', {
+                    endpoint: context.endpoint,
+                    method: context.method,
+                    cause: error
+                });
+            return await this.runErrorInterceptors(apiError, context);
+        } finally {
+            unlink();
+            if (cancelKey && this.pending.get(cancelKey) === controller) {
+                this.pending.delete(cancelKey);
+            }
+        }
+    }
+
+    /**
+     * Send a prepared request, retrying idempotent methods on transient failures
+     * @param {object} context - Request context after the request interceptors
+     * @param {AbortSignal} signal - Signal that cancels the whole request
+     * @returns {Promise<{response: Response, result: object}>}
+     */
+    async send(context, signal) {
+        const { endpoint, method, data, headers, timeout, fetchOptions, onUploadProgress } = context;
         const url = `${this.baseUrl}${endpoint}`;
-        
+        const retries = context.retries ?? (ApiClient.IDEMPOTENT_METHODS.includes(method) ? this.defaults.retries : 0);
+
         const config = {
             method,
-            headers: {
-                'Content-Type': 'application/json',
-                ...options.headers
-            },
-            ...options
+            headers,
+            ...fetchOptions
         };
 
         if (data && method !== 'GET') {
-            config.body = JSON.stringify(data);
+            config.body = ApiClient.isFormData(data) ? data : JSON.stringify(data);
         }
 
-        try {
-            const response = await fetch(url, config);
-            const result = await response.json();
+        // Cancelled while the request interceptors were running
+        if (signal.aborted) {
+            throw ApiClient.createAbortError();
+        }
 
-            if (!response.ok) {
-                throw new Error(result.message || 'Request failed');
+        for (let attempt = 0; ; attempt++) {
+            try {
+                const { response, result } = await this.attempt(url, config, timeout, signal, attempt < retries, onUploadProgress);
+
+                if (!result) {
+                    // Retryable status with attempts remaining
+                    await ApiClient.sleep(this.getRetryDelay(attempt, response), signal);
+                    continue;
+                }
+
+                if (!response.ok) {
+                    throw new ApiError(result.message || 'Request failed', {
+                        status: response.status,
+                        errors: result.errors,
+                        endpoint,
+                        method,
+                        body: result
+                    });
+                }
+
+                return { response, result };
+            } catch (error) {
+                if (signal.aborted || attempt >= retries || !ApiClient.isRetryableError(error)) {
+                    throw error;
+                }
+                await ApiClient.sleep(this.getRetryDelay(attempt), signal);
             }
+        }
+    }
 
-            return result;
+    /**
+     * Send a prepared request; after a 401 with session recovery on, wait for
+     * the user to log in again and replay it once with the same context
+     * @param {object} context - Request context after the request interceptors
+     * @param {AbortSignal} signal - Signal that cancels the whole request
+     * @returns {Promise<{response: Response, result: object}>}
+     */
+    async sendWithSession(context, signal) {
+        try {
+            return await this.send(context, signal);
         } catch (error) {
+            if (!this.session || !this.session.shouldRecover(error, context)) {
+                throw error;
+            }
+            await this.session.waitForLogin(error, signal);
+            return this.send(context, signal);
+        }
+    }
+
+    /**
+     * Global interceptors run before this instance's own, each in registration order
+     * @param {string} type - 'request', 'response' or 'error'
+     * @returns {Function[]}
+     */
+    getInterceptors(type) {
+        return [...ApiClient.interceptors[type].handlers(), ...this.interceptors[type].handlers()];
+    }
+
+    /**
+     * Let request interceptors rewrite the request context
+     * @param {object} context - endpoint, method, data, headers, timeout, retries, fetchOptions, meta
+     * @returns {Promise<object>}
+     */
+    async runRequestInterceptors(context) {
+        for (const handler of this.getInterceptors('request')) {
+            context = (await handler(context, this)) || context;
+        }
+        return context;
+    }
+
+    /**
+     * Let response interceptors transform the parsed body of a successful response
+     * @param {object} result - Parsed JSON body
+     * @param {object} context - Request context
+     * @param {Response} response - Fetch response
+     * @returns {Promise<any>}
+     */
+    async runResponseInterceptors(result, context, response) {
+        for (const handler of this.getInterceptors('response')) {
+            const value = await handler(result, context, response, this);
+            if (value !== undefined) {
+                result = value;
+            }
+        }
+        return result;
+    }
+
+    /**
+     * Pass a failure through the error interceptors. A handler that returns a
+     * value resolves the request with it; throwing replaces the error; returning
+     * nothing passes the error on to the next handler.
+     * @param {ApiError} error - Failure to handle
+     * @param {object} context - Request context
+     * @returns {Promise<any>}
+     */
+    async runErrorInterceptors(error, context) {
+        for (const handler of this.getInterceptors('error')) {
+            try {
+                const value = await handler(error, context, this);
+                if (value !== undefined) {
+                    return value;
+                }
+            } catch (replacement) {
+                error = replacement;
+            }
+        }
+
+        if (!ApiClient.isAbortError(error)) {
             console.error('API Error:', error);
+        }
+        throw error;
+    }
+
+    /**
+     * Perform a single fetch attempt bounded by a timeout. The timeout covers
+     * reading the body as well as waiting for the headers.
+     * @param {string} url - Full request URL
+     * @param {object} config - Fetch configuration
+     * @param {number} timeout - Timeout in milliseconds (0 disables)
+     * @param {AbortSignal} signal - Signal that cancels the whole request
+     * @param {boolean} canRetry - Whether a retryable status should skip parsing
+     * @param {Function|null} onUploadProgress - Passed to the transport; the
+     *   default one switches to XMLHttpRequest, since fetch cannot report it
+     * @returns {Promise<{response: Response, result: object|null}>}
+     */
+    async attempt(url, config, timeout, signal, canRetry, onUploadProgress = null) {
+        const controller = new AbortController();
+        const unlink = ApiClient.linkSignal(signal, controller);
+        let timedOut = false;
+        const timer = timeout > 0
+            ? setTimeout(() => {
+                timedOut = true;
+                controller.abort();
+            }, timeout)
+            : null;
+
+        try {
+            const response = await this.transport(url, { ...config, signal: controller.signal }, { onUploadProgress });
+
+            if (canRetry && ApiClient.RETRYABLE_STATUSES.includes(response.status)) {
+                return { response, result: null };
+            }
+
+            let result;
+            try {
+                result = await response.json();
+            } catch (parseError) {
+                if (controller.signal.aborted) {
+                    throw parseError;
+                }
+                // PHP fatals and proxy pages come back as HTML
+                throw new ApiError('Invalid response from server', {
+                    status: response.status,
+                    endpoint: url.slice(this.baseUrl.length),
+                    method: config.method,
+                    cause: parseError
+                });
+            }
+
+            return { response, result };
+        } catch (error) {
+            if (timedOut) {
+                throw ApiClient.createTimeoutError(timeout);
+            }
             throw error;
+        } finally {
+            clearTimeout(timer);
+            unlink();
+        }
+    }
+
+    /**
+     * Exponential backoff with jitter, honouring Retry-After when present
+     * @param {number} attempt - Zero-based attempt that just failed
+     * @param {Response|null} response - Response that triggered the retry
+     * @returns {number} Delay in milliseconds
+     */
+    getRetryDelay(attempt, response = null) {
+        const { retryDelay, maxRetryDelay } = this.defaults;
+        const retryAfter = response ? parseFloat(response.headers.get('Retry-After')) : NaN;
+
+        if (!Number.isNaN(retryAfter)) {
+            return Math.min(retryAfter * 1000, maxRetryDelay);
+        }
+
+        const ceiling = Math.min(retryDelay * 2 ** attempt, maxRetryDelay);
+        return ceiling / 2 + Math.random() * (ceiling / 2);
+    }
+
+    /**
+     * Abort the in-flight request registered under a cancel key
+     * @param {string} cancelKey - Key passed in the request options
+     * @returns {boolean} Whether a request was aborted
+     */
+    cancel(cancelKey) {
+        const controller = this.pending.get(cancelKey);
+        if (!controller) {
+            return false;
+        }
+        controller.abort();
+        this.pending.delete(cancelKey);
+        return true;
+    }
+
+    /**
+     * Abort every in-flight request that was given a cancel key
+     */
+    cancelAll() {
+        this.pending.forEach(controller => controller.abort());
+        this.pending.clear();
+    }
+
+    /**
+     * Whether the browser reports that it has no network connection
+     * @returns {boolean}
+     */
+    static isOffline() {
+        return typeof navigator !== 'undefined' && navigator.onLine === false;
+    }
+
+    /**
+     * Forward an abort from an outside signal to a controller
+     * @param {AbortSignal|null} signal - Caller-supplied signal
+     * @param {AbortController} controller - Controller to abort
+     * @returns {Function} Removes the listener again
+     */
+    static linkSignal(signal, controller) {
+        if (!signal) {
+            return () => {};
+        }
+        if (signal.aborted) {
+            controller.abort(signal.reason);
+            return () => {};
+        }
+        const onAbort = () => controller.abort(signal.reason);
+        signal.addEventListener('abort', onAbort, { once: true });
+        return () => signal.removeEventListener('abort', onAbort);
+    }
+
+    /**
+     * Wait before the next attempt, stopping early if the request is aborted
+     * @param {number} ms - Delay in milliseconds
+     * @param {AbortSignal} signal - Signal that cancels the wait
+     * @returns {Promise<void>}
+     */
+    static sleep(ms, signal) {
+        return new Promise((resolve, reject) => {
+            if (signal.aborted) {
+                reject(ApiClient.createAbortError());
+                return;
+            }
+            const onAbort = () => {
+                clearTimeout(timer);
+                reject(ApiClient.createAbortError());
+            };
+            const timer = setTimeout(() => {
+                signal.removeEventListener('abort', onAbort);
+                resolve();
+            }, ms);
+            signal.addEventListener('abort', onAbort, { once: true });
+        });
+    }
+
+    static createTimeoutError(timeout) {
+        const error = new Error(`Request timed out after ${timeout}ms`);
+        error.name = 'TimeoutError';
+        return error;
+    }
+
+    static createAbortError() {
+        const error = new Error('Request was cancelled');
+        error.name = 'AbortError';
+        return error;
+    }
+
+    /**
+     * Check whether an error came from a cancelled request
+     * @param {Error} error - Error thrown by request()
+     * @returns {boolean}
+     */
+    static isAbortError(error) {
+        return !!error && error.name === 'AbortError';
+    }
+
+    /**
+     * Network failures and timeouts are worth retrying; HTTP errors are not
+     * @param {Error} error - Error thrown by a single attempt
+     * @returns {boolean}
+     */
+    static isRetryableError(error) {
+        return error.name === 'TimeoutError' || error instanceof TypeError;
+    }
+
+    /**
+     * The built-in transport: fetch, or XMLHttpRequest when upload progress
+     * is wanted
+     * @param {string} url - Full request URL
+     * @param {object} config - Fetch configuration including the signal
+     * @param {object} extra - onUploadProgress
+     * @returns {Promise<Response|object>}
+     */
+    static defaultTransport(url, config, { onUploadProgress = null } = {}) {
+        return onUploadProgress
+            ? ApiClient.xhrFetch(url, config, onUploadProgress)
+            : fetch(url, config);
+    }
+
+    static isFormData(data) {
+        return typeof FormData !== 'undefined' && data instanceof FormData;
+    }
+
+    /**
+     * Build multipart form data from a form, an object or existing FormData
+     * @param {FormData|HTMLFormElement|object} data
+     * @returns {FormData}
+     */
+    static toFormData(data) {
+        if (ApiClient.isFormData(data)) {
+            return data;
         }
+        if (typeof HTMLFormElement !== 'undefined' && data instanceof HTMLFormElement) {
+            return new FormData(data);
+        }
+
+        const formData = new FormData();
+        Object.entries(data || {}).forEach(([field, value]) => {
+            if (Array.isArray(value)) {
+                value.forEach(item => formData.append(`${field}[]`, item));
+            } else if (value !== null && value !== undefined) {
+                formData.append(field, typeof value === 'boolean' ? (value ? '1' : '0') : value);
+            }
+        });
+        return formData;
+    }
+
+    /**
+     * Check every file in the form data against its field's rule
+     * @param {FormData} formData - Data about to be uploaded
+     * @param {object} rules - { field: { maxSize, types, extensions, description } }
+     * @returns {object} Errors keyed by field name (empty when all files pass)
+     */
+    static validateFiles(formData, rules = {}) {
+        const errors = {};
+
+        Object.entries(rules).forEach(([field, rule]) => {
+            const files = [...formData.getAll(field), ...formData.getAll(`${field}[]`)]
+                // Empty file inputs are submitted as a nameless, zero-byte file
+                .filter(file => typeof file === 'object' && (file.size > 0 || file.name));
+
+            for (const file of files) {
+                const extension = (file.name || '').split('.').pop().toLowerCase();
+                const typeAllowed = rule.types.includes(file.type) || rule.extensions.includes(extension);
+
+                if (!typeAllowed) {
+                    errors[field] = `Only ${rule.description} files are allowed.`;
+                    break;
+                }
+                if (file.size > rule.maxSize) {
+                    errors[field] = `File must be ${Math.round(rule.maxSize / (1024 * 1024))}MB or smaller.`;
+                    break;
+                }
+            }
+        });
+
+        return errors;
+    }
+
+    /**
+     * Minimal fetch replacement on XMLHttpRequest that reports upload progress
+     * @param {string} url - Full request URL
+     * @param {object} config - Fetch configuration (method, headers, body, signal)
+     * @param {Function} onProgress - Receives { loaded, total, percent }
+     * @returns {Promise<object>} Response-like object (ok, status, headers.get, json)
+     */
+    static xhrFetch(url, config, onProgress) {
+        return new Promise((resolve, reject) => {
+            const { signal } = config;
+            const xhr = new XMLHttpRequest();
+            const onAbort = () => xhr.abort();
+            const cleanup = () => signal && signal.removeEventListener('abort', onAbort);
+
+            if (signal && signal.aborted) {
+                reject(ApiClient.createAbortError());
+                return;
+            }
+
+            xhr.open(config.method, url);
+            Object.entries(config.headers || {}).forEach(([name, value]) => xhr.setRequestHeader(name, value));
+            xhr.withCredentials = config.credentials === 'include';
+
+            xhr.upload.addEventListener('progress', event => {
+                const total = event.lengthComputable ? event.total : null;
+                onProgress({
+                    loaded: event.loaded,
+                    total,
+                    percent: total ? Math.round((event.loaded / total) * 100) : null
+                });
+            });
+            xhr.addEventListener('load', () => {
+                cleanup();
+                resolve({
+                    ok: xhr.status >= 200 && xhr.status < 300,
+                    status: xhr.status,
+                    headers: { get: name => xhr.getResponseHeader(name) },
+                    json: async () => JSON.parse(xhr.responseText)
+                });
+            });
+            xhr.addEventListener('error', () => {
+                cleanup();
+                reject(new TypeError('Network request failed'));
+            });
+            xhr.addEventListener('abort', () => {
+                cleanup();
+                reject(ApiClient.createAbortError());
+            });
+
+            if (signal) {
+                signal.addEventListener('abort', onAbort, { once: true });
+            }
+            xhr.send(config.body ?? null);
+        });
     }
 
     // Authentication methods
-    async login(email, password) {
-        return this.request('/auth/login', 'POST', { email, password });
+    async login(email, password, options = {}) {
+        return this.request('/auth/login', 'POST', { email, password }, options);
     }
 
-    async register(userData) {
-        return this.request('/auth/register', 'POST', userData);
+    async register(userData, options = {}) {
+        return this.request('/auth/register', 'POST', userData, options);
     }
 
-    async logout() {
-        return this.request('/auth/logout', 'POST');
+    async logout(options = {}) {
+        return this.request('/auth/logout', 'POST', null, options);
     }
 
-    async checkAuth() {
-        return this.request('/auth/check');
+    async checkAuth(options = {}) {
+        return this.request('/auth/check', 'GET', null, options);
     }
 
-    async forgotPassword(email) {
-        return this.request('/auth/forgot-password', 'POST', { email });
+    async forgotPassword(email, options = {}) {
+        return this.request('/auth/forgot-password', 'POST', { email }, options);
     }
 
-    async resetPassword(token, password) {
-        return this.request('/auth/reset-password', 'POST', { token, password });
+    async resetPassword(token, password, options = {}) {
+        return this.request('/auth/reset-password', 'POST', { token, password }, options);
     }
 
     // User methods
-    async getProfile() {
-        return this.request('/users/profile');
+    async getProfile(options = {}) {
+        return this.request('/users/profile', 'GET', null, options);
     }
 
-    async updateProfile(data) {
-        return this.request('/users/profile', 'PUT', data);
+    async updateProfile(data, options = {}) {
+        return this.request('/users/profile', 'PUT', data, options);
     }
 
-    async changePassword(currentPassword, newPassword) {
+    async changePassword(currentPassword, newPassword, options = {}) {
         return this.request('/users/password', 'PUT', {
             current_password: currentPassword,
             new_password: newPassword
-        });
+        }, options);
     }
 
-    async getUsers(params = {}) {
+    async getUsers(params = {}, options = {}) {
         const query = new URLSearchParams(params).toString();
-        return this.request(`/users?${query}`);
+        return this.request(`/users?${query}`, 'GET', null, options);
+    }
+
+    // Saved stalls of the logged-in user, newest first
+    async getFavorites(options = {}) {
+        return this.request('/favorites', 'GET', null, options);
+    }
+
+    async addFavorite(stallId, options = {}) {
+        return this.request('/favorites', 'POST', { stall_id: stallId }, options);
+    }
+
+    async removeFavorite(stallId, options = {}) {
+        return this.request(`/favorites/${stallId}`, 'DELETE', null, options);
+    }
+
+    // Merge stall IDs saved while logged out (newest first); returns the merged list
+    async syncFavorites(stallIds, options = {}) {
+        return this.request('/favorites/sync', 'POST', { stall_ids: stallIds }, options);
     }
 
     // Stall methods
-    async getStalls(params = {}) {
+    async getStalls(params = {}, options = {}) {
         const query = new URLSearchParams(params).toString();
-        return this.request(`/stalls?${query}`);
+        return this.request(`/stalls?${query}`, 'GET', null, { cache: true, ...options });
     }
 
-    async getStall(id) {
-        return this.request(`/stalls/${id}`);
+    // Every active stall, each with menu: [{ name, description }] (see modules/search-index.js)
+    async getStallSearchIndex(options = {}) {
+        return this.request('/stalls/search-index', 'GET', null, { cache: true, ...options });
     }
 
-    async getStallMenu(id) {
-        return this.request(`/stalls/${id}/menu`);
+    async getStall(id, options = {}) {
+        return this.request(`/stalls/${id}`, 'GET', null, { cache: true, ...options });
     }
 
-    async getStallReviews(id, params = {}) {
+    async getStallMenu(id, options = {}) {
+        return this.request(`/stalls/${id}/menu`, 'GET', null, { cache: true, ...options });
+    }
+
+    async getStallReviews(id, params = {}, options = {}) {
         const query = new URLSearchParams(params).toString();
-        return this.request(`/stalls/${id}/reviews?${query}`);
+        return this.request(`/stalls/${id}/reviews?${query}`, 'GET', null, { cache: true, ...options });
+    }
+
+    async createStall(data, options = {}) {
+        return this.request('/stalls', 'POST', data, options);
     }
 
-    async createStall(data) {
-        return this.request('/stalls', 'POST', data);
+    async updateStall(id, data, options = {}) {
+        return this.request(`/stalls/${id}`, 'PUT', data, options);
     }
 
-    async updateStall(id, data) {
-        return this.request(`/stalls/${id}`, 'PUT', data);
+    async deleteStall(id, options = {}) {
+        return this.request(`/stalls/${id}`, 'DELETE', null, options);
     }
 
-    async deleteStall(id) {
-        return this.request(`/stalls/${id}`, 'DELETE');
+    /**
+     * Replace a stall's logo (stall owners only)
+     * @param {number} id - Stall ID
+     * @param {File} file - PNG or JPEG image
+     * @param {object} options - Upload options (onProgress, signal, ...)
+     */
+    async uploadStallLogo(id, file, options = {}) {
+        return this.upload(`/stalls/${id}/logo`, { logo: file }, {
+            files: { logo: ApiClient.UPLOAD_RULES.image },
+            ...options
+        });
+    }
+
+    /**
+     * Add a menu item, or update it when item_id is present, with an optional image
+     * @param {number} id - Stall ID
+     * @param {FormData|HTMLFormElement|object} itemData - item_name, item_price,
+     *   item_description, item_image and, for updates, item_id
+     * @param {object} options - Upload options (onProgress, signal, ...)
+     */
+    async saveMenuItem(id, itemData, options = {}) {
+        return this.upload(`/stalls/${id}/menu`, itemData, {
+            files: { item_image: ApiClient.UPLOAD_RULES.image },
+            ...options
+        });
     }
 
     // Review methods
-    async getReviews(params = {}) {
+    async getReviews(params = {}, options = {}) {
         const query = new URLSearchParams(params).toString();
-        return this.request(`/reviews?${query}`);
+        return this.request(`/reviews?${query}`, 'GET', null, options);
     }
 
-    async getReview(id) {
-        return this.request(`/reviews/${id}`);
+    async getReview(id, options = {}) {
+        return this.request(`/reviews/${id}`, 'GET', null, options);
     }
 
-    async createReview(data) {
-        return this.request('/reviews', 'POST', data);
+    async createReview(data, options = {}) {
+        return this.sendOrQueue('createReview', [data], options, requestOptions =>
+            this.request('/reviews', 'POST', data, requestOptions)
+        );
     }
 
-    async updateReview(id, data) {
-        return this.request(`/reviews/${id}`, 'PUT', data);
+    async updateReview(id, data, options = {}) {
+        return this.request(`/reviews/${id}`, 'PUT', data, options);
     }
 
-    async deleteReview(id) {
-        return this.request(`/reviews/${id}`, 'DELETE');
+    async deleteReview(id, options = {}) {
+        return this.request(`/reviews/${id}`, 'DELETE', null, options);
     }
 
-    async reactToReview(reviewId, reactionType) {
-        return this.request('/reviews/react', 'POST', {
-            review_id: reviewId,
-            reaction_type: reactionType
-        });
+    async reactToReview(reviewId, reactionType, options = {}) {
+        return this.sendOrQueue('reactToReview', [reviewId, reactionType], options, requestOptions =>
+            this.request('/reviews/react', 'POST', {
+                review_id: reviewId,
+                reaction_type: reactionType
+            }, requestOptions)
+        );
     }
 
-    async reportReview(reviewId, reason, details = '') {
+    async reportReview(reviewId, reason, details = '', options = {}) {
         return this.request('/reviews/report', 'POST', {
             review_id: reviewId,
             reason,
             details
-        });
+        }, options);
     }
 
     // Application methods
-    async getApplications(params = {}) {
+    async getApplications(params = {}, options = {}) {
         const query = new URLSearchParams(params).toString();
-        return this.request(`/applications?${query}`);
+        return this.request(`/applications?${query}`, 'GET', null, options);
     }
 
-    async getApplication(id) {
-        return this.request(`/applications/${id}`);
+    async getApplication(id, options = {}) {
+        return this.request(`/applications/${id}`, 'GET', null, options);
     }
 
-    async createApplication(data) {
-        return this.request('/applications', 'POST', data);
+    /**
+     * Submit a stall application with its BIR, permit, DTI/SEC and logo files
+     * @param {FormData|HTMLFormElement|object} data - Application fields and files
+     * @param {object} options - Upload options (onProgress, signal, ...)
+     */
+    async createApplication(data, options = {}) {
+        const { document, image } = ApiClient.UPLOAD_RULES;
+        return this.upload('/applications', data, {
+            files: { bir_registration: document, business_permit: document, dti_sec: document, stall_logo: image },
+            ...options
+        });
     }
 
-    async updateApplication(id, data) {
-        return this.request(`/applications/${id}`, 'PUT', data);
+    async updateApplication(id, data, options = {}) {
+        return this.request(`/applications/${id}`, 'PUT', data, options);
     }
 
-    async approveApplication(id) {
-        return this.request(`/applications/${id}/approve`, 'POST');
+    async approveApplication(id, options = {}) {
+        return this.request(`/applications/${id}/approve`, 'POST', null, options);
     }
 
-    async rejectApplication(id, reason) {
-        return this.request(`/applications/${id}/reject`, 'POST', { reason });
+    async rejectApplication(id, reason, options = {}) {
+        return this.request(`/applications/${id}/reject`, 'POST', { reason }, options);
     }
 
     // Amendment methods
-    async getAmendments(params = {}) {
+    async getAmendments(params = {}, options = {}) {
         const query = new URLSearchParams(params).toString();
-        return this.request(`/amendments?${query}`);
+        return this.request(`/amendments?${query}`, 'GET', null, options);
     }
 
-    async getAmendment(id) {
-        return this.request(`/amendments/${id}`);
+    async getAmendment(id, options = {}) {
+        return this.request(`/amendments/${id}`, 'GET', null, options);
     }
 
-    async createAmendment(data) {
-        return this.request('/amendments', 'POST', data);
+    async createAmendment(data, options = {}) {
+        return this.request('/amendments', 'POST', data, options);
     }
 
-    async approveAmendment(id) {
-        return this.request(`/amendments/${id}/approve`, 'POST');
+    async approveAmendment(id, options = {}) {
+        return this.request(`/amendments/${id}/approve`, 'POST', null, options);
     }
 
-    async rejectAmendment(id) {
-        return this.request(`/amendments/${id}/reject`, 'POST');
+    async rejectAmendment(id, options = {}) {
+        return this.request(`/amendments/${id}/reject`, 'POST', null, options);
     }
 
     // Closure methods
-    async getClosures(params = {}) {
+    async getClosures(params = {}, options = {}) {
         const query = new URLSearchParams(params).toString();
-        return this.request(`/closures?${query}`);
+        return this.request(`/closures?${query}`, 'GET', null, options);
     }
 
-    async getClosure(id) {
-        return this.request(`/closures/${id}`);
+    async getClosure(id, options = {}) {
+        return this.request(`/closures/${id}`, 'GET', null, options);
     }
 
-    async createClosure(data) {
-        return this.request('/closures', 'POST', data);
+    async createClosure(data, options = {}) {
+        return this.request('/closures', 'POST', data, options);
     }
 
-    async approveClosure(id) {
-        return this.request(`/closures/${id}/approve`, 'POST');
+    async approveClosure(id, options = {}) {
+        return this.request(`/closures/${id}/approve`, 'POST', null, options);
     }
 
-    async rejectClosure(id) {
-        return this.request(`/closures/${id}/reject`, 'POST');
+    async rejectClosure(id, options = {}) {
+        return this.request(`/closures/${id}/reject`, 'POST', null, options);
     }
 
     // Admin methods
-    async getDashboardStats() {
-        return this.request('/admin/dashboard');
+    async getDashboardStats(options = {}) {
+        return this.request('/admin/dashboard', 'GET', null, options);
     }
 
-    async getAdminLogs(params = {}) {
+    async getAdminLogs(params = {}, options = {}) {
         const query = new URLSearchParams(params).toString();
-        return this.request(`/admin/logs?${query}`);
+        return this.request(`/admin/logs?${query}`, 'GET', null, options);
     }
 
-    async getReports(params = {}) {
+    async getReports(params = {}, options = {}) {
         const query = new URLSearchParams(params).toString();
-        return this.request(`/admin/reports?${query}`);
+        return this.request(`/admin/reports?${query}`, 'GET', null, options);
+    }
+
+    async getMapLayout(options = {}) {
+        return this.request('/admin/map-layout', 'GET', null, options);
+    }
+
+    /**
+     * Save the map's zones and paths, and move stall pins
+     * @param {object} layout - zones and paths ([{ id, name, points: [{ x, y }] }])
+     *   and pins ([{ stall_id, x, y }], the moved ones only)
+     */
+    async saveMapLayout(layout, options = {}) {
+        return this.request('/admin/map-layout', 'PUT', layout, options);
     }
 }
 
+ApiClient.IDEMPOTENT_METHODS = ['GET', 'HEAD'];
+ApiClient.RETRYABLE_STATUSES = [408, 429, 502, 503, 504];
+
+// Client-side file checks; they mirror the server's limits so bad files fail
+// before the upload instead of after it
+ApiClient.UPLOAD_RULES = {
+    image: {
+        maxSize: 5 * 1024 * 1024,
+        types: ['image/png', 'image/jpeg', 'image/jpg'],
+        extensions: ['png', 'jpg', 'jpeg'],
+        description: 'PNG and JPEG'
+    },
+    document: {
+        maxSize: 5 * 1024 * 1024,
+        types: ['image/png', 'image/jpeg', 'image/jpg', 'application/pdf'],
+        extensions: ['png', 'jpg', 'jpeg', 'pdf'],
+        description: 'PDF, PNG and JPEG'
+    }
+};
+
+// Cached endpoint prefixes dropped after a mutation of each resource
+// (null clears everything, e.g. when the logged-in user changes)
+ApiClient.CACHE_INVALIDATION = {
+    auth: null,
+    users: ['/users'],
+    stalls: ['/stalls'],
+    reviews: ['/reviews', '/stalls'],
+    applications: ['/applications', '/stalls'],
+    amendments: ['/amendments', '/stalls'],
+    closures: ['/closures', '/stalls'],
+    favorites: ['/favorites'],
+    admin: ['/admin', '/stalls']
+};
+
+// Mutations the outbox can queue: how to label them, which queued entry a new
+// one replaces (key) and how the two combine (merge returns null to drop both)
+ApiOutbox.OPERATIONS = {
+    createReview: {
+        label: ([data]) => `Review: ${data.title || 'Untitled'}`,
+        key: ([data]) => `review:${data.stall_id}`,
+        merge: (queued, next) => next
+    },
+    reactToReview: {
+        label: ([, reactionType]) => (reactionType === 'like' ? 'Like on a review' : 'Dislike on a review'),
+        key: ([reviewId]) => `reaction:${reviewId}`,
+        // Reactions toggle, so sending the same one twice is a no-op
+        merge: (queued, next) => (queued[1] === next[1] ? null : next)
+    }
+};
+// What a queued call tells the user, by why it was queued
+ApiOutbox.QUEUED_MESSAGES = {
+    offline: 'You are offline. This will be sent automatically when you reconnect.',
+    unreachable: 'The server could not be reached. This will be sent automatically once the connection recovers.',
+    behind: 'Earlier changes are still waiting to be sent. This will be sent right after them.'
+};
+
+// Interceptors shared by every ApiClient instance
+ApiClient.interceptors = {
+    request: new InterceptorManager(),
+    response: new InterceptorManager(),
+    error: new InterceptorManager()
+};
+
 // Create a global instance
 const api = new ApiClient();
 
+// Make the client reachable from ES modules via window
+if (typeof window !== 'undefined') {
+    window.ApiClient = ApiClient;
+    window.ApiError = ApiError;
+    window.api = api;
+}
+
 // Export for module systems
 if (typeof module !== 'undefined' && module.exports) {
-    module.exports = { ApiClient, api };
+    module.exports = { ApiClient, ApiError, ApiCache, ApiOutbox, ApiSession, ApiPaginator, InterceptorManager, api };
 }
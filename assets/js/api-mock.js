@@ -0,0 +1,1874 @@
+/*
+PROGRAM NAME: API Mock Adapter (api-mock.js)
+
+PROGRAMMER: Frontend Team
+
+SYSTEM CONTEXT:
+This module is part of the BuzzarFeed platform and lets the frontend run without the PHP and MySQL stack.
+It plugs into the API client (api-client.js) as a transport: instead of sending requests over the network,
+ApiClient hands them to ApiMockAdapter, which answers every route the client calls (auth, users, stalls,
+reviews, applications, amendments, closures and admin) from in-memory data seeded from JSON fixtures.
+It is only loaded in development mode (see includes/header.php) and stays inactive unless switched on.
+
+DATE CREATED: October 19, 2026
+LAST MODIFIED: October 19, 2026
+
+PURPOSE:
+The purpose of this program is to make pages such as the stalls grid and the admin panel buildable and
+testable offline:
+- Answer requests with the same status codes and response shapes as the API controllers
+- Keep changes (new reviews, approved applications, uploaded logos) in memory for the rest of the page
+- Simulate network latency and upload progress so loading states can be seen
+- Inject failures on demand to exercise retries, error messages and the offline outbox
+
+DATA STRUCTURES:
+- ApiMockAdapter class:
+  - baseUrl (string): API prefix stripped from request URLs (default: '/api').
+  - latency (number|array): Delay per request in ms, or [min, max] for a random delay.
+  - errorRate (number): Share of requests (0-1) that fail with a 503.
+  - failures (object): Injected failures keyed by 'METHOD /path', '/path' or '*':
+    { status, message, times }; status 0 simulates a network failure, times limits how often it fires.
+  - db (object): In-memory tables copied from the fixtures (users, stalls, menu_items, reviews,
+    review_reactions, favorite_stalls, review_reports, applications, amendments, closures, admin_logs,
+    map_layouts).
+  - userId (number|null): Signed-in user; kept in sessionStorage so it survives page loads.
+  - ready (Promise): Resolves once the fixtures are loaded.
+- ApiMockAdapter.ROUTES (array): [method, path pattern, handler name]; ':id' matches a path segment.
+- Fixtures (assets/js/fixtures/api-fixtures.json): Rows named like the database columns;
+  plain-text passwords, since nothing leaves the browser.
+
+ALGORITHM / LOGIC:
+1. isEnabled(): the ?mockApi=1 query flag (remembered for the tab until ?mockApi=0) or
+   window.BUZZARFEED_MOCK_API switches the adapter on.
+2. install(client): create an adapter and set it as the client's transport.
+3. For each request (transport):
+   a. Wait for the fixtures.
+   b. Parse the path, query string and JSON or FormData body.
+   c. Report upload progress for FormData bodies, then wait for the configured latency (abortable).
+   d. Apply an injected failure, or a random one based on errorRate.
+   e. Find the route and run its handler, which checks the session, validates input and
+      reads or changes the in-memory tables.
+   f. Wrap the result in a response-like object (ok, status, headers.get, json).
+4. reset(): restore the tables from the fixtures.
+
+NOTES:
+- Response bodies follow ApiResponse: { success, message, data }, { success: false, message, errors }
+  and { success, data, pagination } for lists.
+- Stalls and reviews are formatted like StallService::formatStallData and ReviewService::formatReviewData.
+- Uploaded files are shown through object URLs; nothing is stored.
+- Data changes are lost on page load by design (only the session is kept); call reset() to
+  start over within a page.
+- Usage:
+    ?mockApi=1&mockLatency=800&mockErrorRate=0.2    (in the page URL)
+    window.apiMock.fail('POST /reviews', { status: 0, times: 1 });
+    window.apiMock.reset();
+- Future enhancements may include:
+  - Persisting the in-memory state to IndexedDB
+  - Recording real API responses as fixtures
+*/
+
+class ApiMockAdapter {
+    /**
+     * @param {object} options
+     * @param {string} options.baseUrl - API prefix (default: '/api')
+     * @param {number|number[]} options.latency - ms, or [min, max] (default: [150, 400])
+     * @param {number} options.errorRate - 0-1 chance of a random 503 (default: 0)
+     * @param {object} options.failures - Injected failures, see fail()
+     * @param {object} options.fixtures - Fixture data; fetched from fixturesUrl when omitted
+     * @param {string} options.fixturesUrl - Fixture JSON file
+     */
+    constructor(options = {}) {
+        const {
+            baseUrl = '/api',
+            latency = [150, 400],
+            errorRate = 0,
+            failures = {},
+            fixtures = null,
+            fixturesUrl = ApiMockAdapter.FIXTURES_URL
+        } = options;
+
+        this.baseUrl = ApiMockAdapter.toUrl(baseUrl).pathname.replace(/\/$/, '');
+        this.latency = latency;
+        this.errorRate = errorRate;
+        this.failures = {};
+        this.fixtures = null;
+        this.db = null;
+        this.userId = ApiMockAdapter.readSession();
+        this.transport = this.transport.bind(this);
+
+        Object.entries(failures).forEach(([route, failure]) => this.fail(route, failure));
+
+        this.ready = fixtures
+            ? Promise.resolve(this.reset(fixtures))
+            : this.loadFixtures(fixturesUrl);
+    }
+
+    async loadFixtures(url) {
+        const response = await fetch(url);
+        if (!response.ok) {
+            throw new Error(`Mock API fixtures could not be loaded from ${url}`);
+        }
+        this.reset(await response.json());
+    }
+
+    /**
+     * Restore the tables from the fixtures; the signed-in user stays signed in
+     * if the fixtures still contain them
+     * @param {object} fixtures - New fixtures; the current ones when omitted
+     */
+    reset(fixtures = this.fixtures) {
+        this.fixtures = fixtures;
+        this.db = JSON.parse(JSON.stringify(fixtures));
+        ApiMockAdapter.TABLES.forEach(table => {
+            this.db[table] = this.db[table] || [];
+        });
+        this.setSession(this.userId && this.findUser(this.userId) ? this.userId : null);
+    }
+
+    /**
+     * Make requests to a route fail
+     * @param {string} route - 'METHOD /path', '/path' (any method) or '*'
+     * @param {object} failure - status (0 = network failure, default 500), message, times
+     */
+    fail(route, failure = {}) {
+        this.failures[route] = { status: 500, times: Infinity, ...failure };
+    }
+
+    clearFailures() {
+        this.failures = {};
+    }
+
+    /**
+     * ApiClient transport: answer a request from the in-memory tables
+     * @param {string} url - Full request URL
+     * @param {object} config - Fetch configuration (method, body, signal)
+     * @param {object} extra - onUploadProgress
+     * @returns {Promise<object>} Response-like object
+     */
+    async transport(url, config = {}, { onUploadProgress = null } = {}) {
+        const { signal = null } = config;
+        const method = (config.method || 'GET').toUpperCase();
+        const parsed = ApiMockAdapter.toUrl(url);
+        const path = parsed.pathname.startsWith(this.baseUrl)
+            ? parsed.pathname.slice(this.baseUrl.length) || '/'
+            : parsed.pathname;
+
+        await this.ready;
+
+        if (onUploadProgress && ApiMockAdapter.isFormData(config.body)) {
+            await this.simulateUpload(config.body, onUploadProgress, signal);
+        } else {
+            await ApiMockAdapter.delay(this.getLatency(), signal);
+        }
+
+        const failure = this.takeFailure(method, path);
+        if (failure) {
+            if (failure.status === 0) {
+                throw new TypeError('Failed to fetch');
+            }
+            return ApiMockAdapter.createResponse(failure.status, {
+                success: false,
+                message: failure.message || 'Simulated server error',
+                errors: []
+            }, failure.status === 503 ? { 'Retry-After': '1' } : {});
+        }
+
+        const request = {
+            method,
+            path,
+            query: Object.fromEntries(parsed.searchParams),
+            body: ApiMockAdapter.parseBody(config.body)
+        };
+
+        let result;
+        try {
+            result = this.route(request);
+        } catch (error) {
+            console.error('Mock API handler failed:', error);
+            result = this.error('Internal server error', 500);
+        }
+
+        return ApiMockAdapter.createResponse(result.status, result.body);
+    }
+
+    route(request) {
+        let allowed = false;
+
+        for (const [method, pattern, handler] of ApiMockAdapter.ROUTES) {
+            const params = ApiMockAdapter.matchPath(pattern, request.path);
+            if (!params) {
+                continue;
+            }
+            if (method !== request.method) {
+                allowed = true;
+                continue;
+            }
+            return this[handler]({ ...request, params });
+        }
+
+        return allowed
+            ? this.error('Method not allowed', 405)
+            : this.error('Endpoint not found', 404);
+    }
+
+    takeFailure(method, path) {
+        const key = [`${method} ${path}`, path, '*'].find(route => this.failures[route]);
+
+        if (key) {
+            const failure = this.failures[key];
+            failure.times -= 1;
+            if (failure.times <= 0) {
+                delete this.failures[key];
+            }
+            return failure;
+        }
+
+        if (this.errorRate > 0 && Math.random() < this.errorRate) {
+            return { status: 503, message: 'Service temporarily unavailable' };
+        }
+
+        return null;
+    }
+
+    getLatency() {
+        if (Array.isArray(this.latency)) {
+            const [min, max] = this.latency;
+            return min + Math.round(Math.random() * (max - min));
+        }
+        return this.latency || 0;
+    }
+
+    async simulateUpload(formData, onProgress, signal) {
+        const total = ApiMockAdapter.formDataSize(formData);
+        const steps = 4;
+        const step = this.getLatency() / steps;
+
+        for (let i = 1; i <= steps; i++) {
+            await ApiMockAdapter.delay(step, signal);
+            const loaded = Math.round((total * i) / steps);
+            onProgress({ loaded, total, percent: Math.round((i / steps) * 100) });
+        }
+    }
+
+    // ---------------------------------------------------------------------
+    // Responses and session
+    // ---------------------------------------------------------------------
+
+    success(data = null, status = 200, message = 'Success') {
+        return { status, body: { success: true, message, data } };
+    }
+
+    error(message = 'An error occurred', status = 400, errors = []) {
+        return { status, body: { success: false, message, errors } };
+    }
+
+    validationError(errors, message = 'Please correct the highlighted fields') {
+        return this.error(message, 422, errors);
+    }
+
+    paginated(rows, query, defaultLimit) {
+        const page = Math.max(parseInt(query.page, 10) || 1, 1);
+        const perPage = Math.max(parseInt(query.limit, 10) || defaultLimit, 1);
+
+        return {
+            status: 200,
+            body: {
+                success: true,
+                data: rows.slice((page - 1) * perPage, page * perPage),
+                pagination: {
+                    total: rows.length,
+                    page,
+                    perPage,
+                    totalPages: Math.ceil(rows.length / perPage)
+                }
+            }
+        };
+    }
+
+    /**
+     * Same checks, status and messages as BaseController::validateRequired()
+     * @returns {object|null} 400 result, or null when every field is present
+     */
+    requireFields(body, fields) {
+        const missing = fields.filter(field => body[field] === undefined || body[field] === null || body[field] === '');
+        if (missing.length === 0) {
+            return null;
+        }
+
+        const errors = {};
+        missing.forEach(field => {
+            const label = field.replace(/_/g, ' ');
+            errors[field] = `${label.charAt(0).toUpperCase()}${label.slice(1)} is required`;
+        });
+        return this.error(`Missing required fields: ${missing.join(', ')}`, 400, errors);
+    }
+
+    currentUser() {
+        return this.userId ? this.findUser(this.userId) : null;
+    }
+
+    /**
+     * @param {boolean} admin - Require the admin role as well
+     * @returns {object} { user } or { denied: result }
+     */
+    authorize(admin = false) {
+        const user = this.currentUser();
+        if (!user) {
+            return { denied: this.error('Authentication required', 401) };
+        }
+        if (admin && user.role !== 'admin') {
+            return { denied: this.error('Admin access required', 403) };
+        }
+        return { user };
+    }
+
+    setSession(userId) {
+        this.userId = userId;
+        try {
+            if (userId) {
+                sessionStorage.setItem(ApiMockAdapter.SESSION_KEY, String(userId));
+            } else {
+                sessionStorage.removeItem(ApiMockAdapter.SESSION_KEY);
+            }
+        } catch (error) {
+            // sessionStorage unavailable; the session lasts for this page only
+        }
+    }
+
+    // ---------------------------------------------------------------------
+    // Table helpers and formatting
+    // ---------------------------------------------------------------------
+
+    findUser(id) {
+        return this.db.users.find(user => user.user_id === Number(id)) || null;
+    }
+
+    findStall(id) {
+        return this.db.stalls.find(stall => stall.stall_id === Number(id) && stall.status === 'active') || null;
+    }
+
+    findById(table, key, id) {
+        return this.db[table].find(row => row[key] === Number(id)) || null;
+    }
+
+    nextId(table, key) {
+        return this.db[table].reduce((max, row) => Math.max(max, row[key]), 0) + 1;
+    }
+
+    log(admin, entity, entityId, action, details) {
+        this.db.admin_logs.push({
+            log_id: this.nextId('admin_logs', 'log_id'),
+            admin_id: admin.user_id,
+            entity,
+            entity_id: Number(entityId),
+            action,
+            details,
+            ip_address: '127.0.0.1',
+            created_at: ApiMockAdapter.now()
+        });
+    }
+
+    canManageStall(user, stall) {
+        return user.role === 'admin' || stall.owner_id === user.user_id;
+    }
+
+    formatUser(user) {
+        const { password, ...profile } = user;
+        return profile;
+    }
+
+    formatStall(stall) {
+        const reviews = this.db.reviews.filter(review => review.stall_id === stall.stall_id);
+        const owner = this.findUser(stall.owner_id);
+        const prices = this.db.menu_items
+            .filter(item => item.stall_id === stall.stall_id && item.is_available)
+            .map(item => Number(item.price));
+        const rating = reviews.length
+            ? reviews.reduce((sum, review) => sum + Number(review.rating), 0) / reviews.length
+            : 0;
+
+        return {
+            id: stall.stall_id,
+            name: stall.name,
+            description: stall.description || '',
+            categories: Array.isArray(stall.food_categories) ? stall.food_categories : [],
+            rating: Math.round(rating * 10) / 10,
+            reviews: reviews.length,
+            hours: stall.hours || 'Hours not specified',
+            image: stall.logo_path || null,
+            address: stall.address || '',
+            latitude: stall.latitude ?? null,
+            longitude: stall.longitude ?? null,
+            price_min: prices.length ? Math.min(...prices) : null,
+            price_max: prices.length ? Math.max(...prices) : null,
+            owner_name: owner ? `${owner.first_name} ${owner.last_name}` : null,
+            owner_email: owner ? owner.email : null
+        };
+    }
+
+    formatReview(review) {
+        const stall = this.findById('stalls', 'stall_id', review.stall_id);
+        const reviewer = this.findUser(review.user_id);
+        const reactions = this.db.review_reactions.filter(reaction => reaction.review_id === review.review_id);
+
+        return {
+            id: review.review_id,
+            reviewer: review.is_anonymous || !reviewer ? 'Anonymous' : `${reviewer.first_name} ${reviewer.last_name}`,
+            title: review.title || '',
+            text: review.comment || '',
+            rating: Number(review.rating).toFixed(1),
+            stall_name: stall ? stall.name : '',
+            stall_id: review.stall_id,
+            stall_logo: stall ? stall.logo_path : null,
+            like_count: reactions.filter(reaction => reaction.reaction_type === 'like').length,
+            dislike_count: reactions.filter(reaction => reaction.reaction_type === 'dislike').length,
+            created_at: review.created_at || ''
+        };
+    }
+
+    storeFile(file, folder) {
+        if (typeof URL !== 'undefined' && typeof URL.createObjectURL === 'function' && typeof Blob !== 'undefined' && file instanceof Blob) {
+            return URL.createObjectURL(file);
+        }
+        return `uploads/${folder}/${file.name || 'upload'}`;
+    }
+
+    // ---------------------------------------------------------------------
+    // Auth
+    // ---------------------------------------------------------------------
+
+    login({ body }) {
+        const invalid = this.requireFields(body, ['email', 'password']);
+        if (invalid) return invalid;
+
+        const user = this.db.users.find(row =>
+            row.email === String(body.email).trim() && row.status === 'active'
+        );
+        if (!user || user.password !== body.password) {
+            return this.error('Invalid email or password', 401);
+        }
+
+        this.setSession(user.user_id);
+
+        return this.success({
+            user: {
+                id: user.user_id,
+                email: user.email,
+                firstName: user.first_name,
+                lastName: user.last_name,
+                role: user.role
+            }
+        }, 200, 'Login successful');
+    }
+
+    logout() {
+        this.setSession(null);
+        return this.success(null, 200, 'Logout successful');
+    }
+
+    register({ body }) {
+        const invalid = this.requireFields(body, ['email', 'password', 'firstName', 'lastName', 'phone']);
+        if (invalid) return invalid;
+
+        const email = String(body.email).trim();
+        if (this.db.users.some(user => user.email === email)) {
+            return this.error('Email is already registered', 400);
+        }
+
+        const user = {
+            user_id: this.nextId('users', 'user_id'),
+            email,
+            password: body.password,
+            first_name: body.firstName,
+            last_name: body.lastName,
+            phone: body.phone,
+            role: 'food_enthusiast',
+            status: 'active',
+            created_at: ApiMockAdapter.now()
+        };
+        this.db.users.push(user);
+
+        return this.success({ user_id: user.user_id }, 201, 'Registration successful');
+    }
+
+    checkAuth() {
+        const user = this.currentUser();
+        if (!user) {
+            return this.success({ authenticated: false });
+        }
+
+        return this.success({
+            authenticated: true,
+            user: {
+                id: user.user_id,
+                firstName: user.first_name,
+                lastName: user.last_name,
+                role: user.role
+            }
+        });
+    }
+
+    forgotPassword({ body }) {
+        const invalid = this.requireFields(body, ['email']);
+        if (invalid) return invalid;
+
+        return this.success(null, 200, 'If that email is registered, a reset link has been sent.');
+    }
+
+    resetPassword({ body }) {
+        const invalid = this.requireFields(body, ['token', 'password']);
+        if (invalid) return invalid;
+
+        return this.success(null, 200, 'Your password has been reset. You can now log in.');
+    }
+
+    // ---------------------------------------------------------------------
+    // Users
+    // ---------------------------------------------------------------------
+
+    getProfile() {
+        const { user, denied } = this.authorize();
+        if (denied) return denied;
+
+        return this.success(this.formatUser(user));
+    }
+
+    updateProfile({ body }) {
+        const { user, denied } = this.authorize();
+        if (denied) return denied;
+
+        ['first_name', 'last_name', 'phone'].forEach(field => {
+            if (body[field] !== undefined) {
+                user[field] = body[field];
+            }
+        });
+
+        return this.success(this.formatUser(user), 200, 'Profile updated successfully');
+    }
+
+    changePassword({ body }) {
+        const { user, denied } = this.authorize();
+        if (denied) return denied;
+
+        const invalid = this.requireFields(body, ['current_password', 'new_password']);
+        if (invalid) return invalid;
+
+        if (user.password !== body.current_password) {
+            return this.error('Current password is incorrect', 400);
+        }
+
+        user.password = body.new_password;
+        return this.success(null, 200, 'Password changed successfully');
+    }
+
+    getUsers({ query }) {
+        const { denied } = this.authorize(true);
+        if (denied) return denied;
+
+        const search = (query.search || '').toLowerCase();
+        const users = this.db.users
+            .filter(user => !search || `${user.first_name} ${user.last_name} ${user.email}`.toLowerCase().includes(search))
+            .map(user => this.formatUser(user));
+
+        return this.paginated(users, query, 20);
+    }
+
+    // ---------------------------------------------------------------------
+    // Favorites
+    // ---------------------------------------------------------------------
+
+    // Active saved stalls of a user, newest first, as in FavoriteService
+    favoriteStalls(userId) {
+        return this.db.favorite_stalls
+            .filter(row => row.user_id === userId)
+            .sort((a, b) => b.created_at.localeCompare(a.created_at) || b.stall_id - a.stall_id)
+            .map(row => this.findStall(row.stall_id))
+            .filter(stall => stall && stall.status === 'active')
+            .map(stall => this.formatStall(stall));
+    }
+
+    getFavorites() {
+        const { user, denied } = this.authorize();
+        if (denied) return denied;
+
+        return this.success(this.favoriteStalls(user.user_id));
+    }
+
+    addFavorite({ body }) {
+        const { user, denied } = this.authorize();
+        if (denied) return denied;
+
+        const invalid = this.requireFields(body, ['stall_id']);
+        if (invalid) return invalid;
+
+        const stallId = Number(body.stall_id);
+        const stall = this.findStall(stallId);
+        if (!stall || stall.status !== 'active') {
+            return this.error('Stall not found.', 404);
+        }
+
+        if (!this.db.favorite_stalls.some(row => row.user_id === user.user_id && row.stall_id === stallId)) {
+            this.db.favorite_stalls.push({ user_id: user.user_id, stall_id: stallId, created_at: ApiMockAdapter.now() });
+        }
+
+        return this.success({ stall_id: stallId, saved: true }, 201, 'Stall saved.');
+    }
+
+    removeFavorite({ params }) {
+        const { user, denied } = this.authorize();
+        if (denied) return denied;
+
+        const stallId = Number(params.id);
+        this.db.favorite_stalls = this.db.favorite_stalls
+            .filter(row => !(row.user_id === user.user_id && row.stall_id === stallId));
+
+        return this.success({ stall_id: stallId, saved: false }, 200, 'Stall removed from saved stalls.');
+    }
+
+    syncFavorites({ body }) {
+        const { user, denied } = this.authorize();
+        if (denied) return denied;
+
+        if (!Array.isArray(body.stall_ids)) {
+            return this.validationError({ stall_ids: 'Stall IDs must be a list' }, 'Invalid saved stalls');
+        }
+
+        // A second apart, newest first, so the guest's order survives sorting by created_at
+        let added = 0;
+        body.stall_ids.map(Number).forEach((stallId, offset) => {
+            const stall = this.findStall(stallId);
+            const saved = this.db.favorite_stalls.some(row => row.user_id === user.user_id && row.stall_id === stallId);
+            if (stall && stall.status === 'active' && !saved) {
+                this.db.favorite_stalls.push({ user_id: user.user_id, stall_id: stallId, created_at: ApiMockAdapter.now(-offset) });
+                added++;
+            }
+        });
+
+        const message = added === 1 ? '1 saved stall added to your account.' : `${added} saved stalls added to your account.`;
+        return this.success(this.favoriteStalls(user.user_id), 200, message);
+    }
+
+    // ---------------------------------------------------------------------
+    // Stalls
+    // ---------------------------------------------------------------------
+
+    getStalls({ query }) {
+        const search = (query.search || '').toLowerCase();
+        // Comma-separated categories must all match, as in StallService
+        const categories = query.category && query.category !== 'all'
+            ? query.category.split(',').map(name => name.trim()).filter(Boolean)
+            : [];
+
+        const stalls = this.db.stalls
+            .filter(stall => stall.status === 'active')
+            .filter(stall => !search || `${stall.name} ${stall.description}`.toLowerCase().includes(search))
+            .filter(stall => categories.every(name => (stall.food_categories || []).includes(name)))
+            .map(stall => this.formatStall(stall));
+
+        return this.paginated(stalls, query, 12);
+    }
+
+    getStallSearchIndex() {
+        const stalls = this.db.stalls
+            .filter(stall => stall.status === 'active')
+            .map(stall => ({
+                ...this.formatStall(stall),
+                menu: this.db.menu_items
+                    .filter(item => item.stall_id === stall.stall_id && item.is_available)
+                    .map(item => ({ name: item.name, description: item.description || '' }))
+            }));
+
+        return this.success(stalls);
+    }
+
+    getStall({ params }) {
+        const stall = this.findStall(params.id);
+        if (!stall) {
+            return this.error('Stall not found', 404);
+        }
+        return this.success(this.formatStall(stall));
+    }
+
+    getStallMenu({ params }) {
+        if (!this.findStall(params.id)) {
+            return this.error('Stall not found', 404);
+        }
+        return this.success(this.db.menu_items.filter(item => item.stall_id === Number(params.id)));
+    }
+
+    getStallReviews({ params, query }) {
+        const reviews = this.db.reviews
+            .filter(review => review.stall_id === Number(params.id))
+            .sort((a, b) => b.created_at.localeCompare(a.created_at))
+            .map(review => this.formatReview(review));
+
+        return this.paginated(reviews, query, 10);
+    }
+
+    createStall({ body }) {
+        const { user, denied } = this.authorize();
+        if (denied) return denied;
+
+        const invalid = this.requireFields(body, ['name', 'description', 'location']);
+        if (invalid) return invalid;
+
+        const stall = {
+            stall_id: this.nextId('stalls', 'stall_id'),
+            owner_id: user.user_id,
+            name: body.name,
+            description: body.description,
+            food_categories: [].concat(body.categories || []),
+            hours: body.hours || null,
+            logo_path: null,
+            address: body.location,
+            latitude: body.latitude ?? null,
+            longitude: body.longitude ?? null,
+            status: 'active',
+            created_at: ApiMockAdapter.now()
+        };
+        this.db.stalls.push(stall);
+
+        return this.success({ stall_id: stall.stall_id }, 201, 'Stall created successfully');
+    }
+
+    updateStall({ params, body }) {
+        const { user, denied } = this.authorize();
+        if (denied) return denied;
+
+        const stall = this.findStall(params.id);
+        if (!stall) {
+            return this.error('Stall not found', 404);
+        }
+        if (!this.canManageStall(user, stall)) {
+            return this.error('You can only manage your own stall', 403);
+        }
+
+        ['name', 'description', 'hours', 'latitude', 'longitude'].forEach(field => {
+            if (body[field] !== undefined) {
+                stall[field] = body[field];
+            }
+        });
+        if (body.location !== undefined) {
+            stall.address = body.location;
+        }
+        if (body.categories !== undefined) {
+            stall.food_categories = [].concat(body.categories);
+        }
+
+        return this.success(this.formatStall(stall), 200, 'Stall updated successfully');
+    }
+
+    deleteStall({ params }) {
+        const { user, denied } = this.authorize();
+        if (denied) return denied;
+
+        const stall = this.findStall(params.id);
+        if (!stall) {
+            return this.error('Stall not found', 404);
+        }
+        if (!this.canManageStall(user, stall)) {
+            return this.error('You can only manage your own stall', 403);
+        }
+
+        stall.status = 'inactive';
+        return this.success(null, 200, 'Stall deleted successfully');
+    }
+
+    uploadStallLogo({ params, body }) {
+        const { user, denied } = this.authorize();
+        if (denied) return denied;
+
+        const stall = this.findStall(params.id);
+        if (!stall) {
+            return this.error('Stall not found', 404);
+        }
+        if (stall.owner_id !== user.user_id) {
+            return this.error('You can only manage your own stall', 403);
+        }
+        if (!body.logo || !body.logo.size) {
+            return this.validationError({ logo: 'Please choose an image to upload.' });
+        }
+
+        stall.logo_path = this.storeFile(body.logo, 'stalls');
+        return this.success({ logo_path: stall.logo_path }, 200, 'Stall logo updated successfully!');
+    }
+
+    saveMenuItem({ params, body }) {
+        const { user, denied } = this.authorize();
+        if (denied) return denied;
+
+        const stall = this.findStall(params.id);
+        if (!stall) {
+            return this.error('Stall not found', 404);
+        }
+        if (stall.owner_id !== user.user_id) {
+            return this.error('You can only manage your own stall', 403);
+        }
+
+        const name = String(body.item_name || '').trim();
+        const price = Number(body.item_price);
+        const errors = {};
+        if (name === '') {
+            errors.item_name = 'Item name is required.';
+        }
+        if (body.item_price === undefined || body.item_price === '' || Number.isNaN(price) || price < 0) {
+            errors.item_price = 'Enter a valid price.';
+        }
+        if (Object.keys(errors).length > 0) {
+            return this.validationError(errors);
+        }
+
+        const image = body.item_image && body.item_image.size ? body.item_image : null;
+        const itemId = Number(body.item_id) || 0;
+
+        if (itemId) {
+            const item = this.db.menu_items.find(row => row.item_id === itemId && row.stall_id === stall.stall_id);
+            if (!item) {
+                return this.error('Menu item not found or access denied', 404);
+            }
+
+            Object.assign(item, { name, price, description: body.item_description || '' });
+            if (image) {
+                item.image_path = this.storeFile(image, 'menu_items');
+            }
+            return this.success({ item_id: item.item_id, image_path: item.image_path }, 200, 'Menu item updated successfully!');
+        }
+
+        const item = {
+            item_id: this.nextId('menu_items', 'item_id'),
+            stall_id: stall.stall_id,
+            name,
+            description: body.item_description || '',
+            price,
+            image_path: image ? this.storeFile(image, 'menu_items') : null,
+            is_available: 1
+        };
+        this.db.menu_items.push(item);
+
+        return this.success({ item_id: item.item_id, image_path: item.image_path }, 201, 'Menu item added successfully!');
+    }
+
+    // ---------------------------------------------------------------------
+    // Reviews
+    // ---------------------------------------------------------------------
+
+    getReviews({ query }) {
+        const reviews = this.db.reviews
+            .filter(review => !query.stall_id || review.stall_id === Number(query.stall_id))
+            .filter(review => !query.user_id || review.user_id === Number(query.user_id))
+            .sort((a, b) => b.created_at.localeCompare(a.created_at))
+            .map(review => this.formatReview(review));
+
+        return this.paginated(reviews, query, 10);
+    }
+
+    getReview({ params }) {
+        const review = this.findById('reviews', 'review_id', params.id);
+        if (!review) {
+            return this.error('Review not found', 404);
+        }
+        return this.success(this.formatReview(review));
+    }
+
+    createReview({ body }) {
+        const { user, denied } = this.authorize();
+        if (denied) return denied;
+
+        const invalid = this.requireFields(body, ['stall_id', 'rating', 'comment']);
+        if (invalid) return invalid;
+
+        const rating = Number(body.rating);
+        if (!(rating >= 1 && rating <= 5)) {
+            return this.error('Please select a rating between 1 and 5 stars.', 422);
+        }
+
+        const stall = this.findStall(body.stall_id);
+        if (!stall) {
+            return this.error('Stall not found.', 404);
+        }
+        if (stall.owner_id === user.user_id) {
+            return this.error('You cannot review your own stall.', 403);
+        }
+        if (this.db.reviews.some(review => review.stall_id === stall.stall_id && review.user_id === user.user_id)) {
+            return this.error('You have already reviewed this stall.', 409);
+        }
+
+        const review = {
+            review_id: this.nextId('reviews', 'review_id'),
+            stall_id: stall.stall_id,
+            user_id: user.user_id,
+            rating,
+            title: body.title || '',
+            comment: body.comment,
+            is_anonymous: body.is_anonymous ? 1 : 0,
+            created_at: ApiMockAdapter.now()
+        };
+        this.db.reviews.push(review);
+
+        return this.success({ review_id: review.review_id }, 201, 'Review submitted successfully!');
+    }
+
+    updateReview({ params, body }) {
+        const { user, denied } = this.authorize();
+        if (denied) return denied;
+
+        const review = this.findById('reviews', 'review_id', params.id);
+        if (!review || review.user_id !== user.user_id) {
+            return this.error('Review not found or access denied', 400);
+        }
+
+        if (body.rating !== undefined) {
+            const rating = Number(body.rating);
+            if (!(rating >= 1 && rating <= 5)) {
+                return this.error('Please select a rating between 1 and 5 stars.', 400);
+            }
+            review.rating = rating;
+        }
+        ['title', 'comment'].forEach(field => {
+            if (body[field] !== undefined) {
+                review[field] = body[field];
+            }
+        });
+
+        return this.success(this.formatReview(review), 200, 'Review updated successfully');
+    }
+
+    deleteReview({ params }) {
+        const { user, denied } = this.authorize();
+        if (denied) return denied;
+
+        const review = this.findById('reviews', 'review_id', params.id);
+        if (!review || (review.user_id !== user.user_id && user.role !== 'admin')) {
+            return this.error('Review not found or access denied', 400);
+        }
+
+        this.db.reviews = this.db.reviews.filter(row => row !== review);
+        this.db.review_reactions = this.db.review_reactions.filter(row => row.review_id !== review.review_id);
+        if (user.role === 'admin' && review.user_id !== user.user_id) {
+            const stall = this.findById('stalls', 'stall_id', review.stall_id);
+            this.log(user, 'review', review.review_id, 'delete', `Deleted review on ${stall ? stall.name : 'unknown stall'}`);
+        }
+
+        return this.success(null, 200, 'Review deleted successfully');
+    }
+
+    reactToReview({ body }) {
+        const { user, denied } = this.authorize();
+        if (denied) return denied;
+
+        const invalid = this.requireFields(body, ['review_id', 'reaction_type']);
+        if (invalid) return invalid;
+
+        if (!['like', 'dislike'].includes(body.reaction_type)) {
+            return this.error('Invalid reaction type.', 422);
+        }
+
+        const reviewId = Number(body.review_id);
+        if (!this.findById('reviews', 'review_id', reviewId)) {
+            return this.error('Review not found.', 404);
+        }
+
+        const existing = this.db.review_reactions.find(row => row.review_id === reviewId && row.user_id === user.user_id);
+        let userReaction = body.reaction_type;
+
+        if (existing && existing.reaction_type === body.reaction_type) {
+            // Same reaction again removes it
+            this.db.review_reactions = this.db.review_reactions.filter(row => row !== existing);
+            userReaction = null;
+        } else if (existing) {
+            existing.reaction_type = body.reaction_type;
+        } else {
+            this.db.review_reactions.push({ review_id: reviewId, user_id: user.user_id, reaction_type: body.reaction_type });
+        }
+
+        const reactions = this.db.review_reactions.filter(row => row.review_id === reviewId);
+
+        return this.success({
+            review_id: reviewId,
+            like_count: reactions.filter(row => row.reaction_type === 'like').length,
+            dislike_count: reactions.filter(row => row.reaction_type === 'dislike').length,
+            user_reaction: userReaction
+        }, 200, 'Reaction saved.');
+    }
+
+    reportReview({ body }) {
+        const { user, denied } = this.authorize();
+        if (denied) return denied;
+
+        const invalid = this.requireFields(body, ['review_id', 'reason']);
+        if (invalid) return invalid;
+
+        const reviewId = Number(body.review_id);
+        if (!this.findById('reviews', 'review_id', reviewId)) {
+            return this.error('Review not found.', 400);
+        }
+        if (this.db.review_reports.some(row => row.review_id === reviewId && row.reported_by === user.user_id)) {
+            return this.error('You have already reported this review.', 400);
+        }
+
+        this.db.review_reports.push({
+            report_id: this.nextId('review_reports', 'report_id'),
+            review_id: reviewId,
+            reported_by: user.user_id,
+            reason: body.reason,
+            details: body.details || '',
+            status: 'pending',
+            created_at: ApiMockAdapter.now()
+        });
+
+        return this.success(null, 200, 'Thank you. The review has been reported.');
+    }
+
+    // ---------------------------------------------------------------------
+    // Applications
+    // ---------------------------------------------------------------------
+
+    getApplications({ query }) {
+        const { denied } = this.authorize(true);
+        if (denied) return denied;
+
+        const applications = this.db.applications
+            .filter(application => !query.status || application.status === query.status)
+            .sort((a, b) => b.created_at.localeCompare(a.created_at))
+            .map(application => this.formatApplication(application));
+
+        return this.paginated(applications, query, 20);
+    }
+
+    getApplication({ params }) {
+        const { denied } = this.authorize(true);
+        if (denied) return denied;
+
+        const application = this.findById('applications', 'application_id', params.id);
+        if (!application) {
+            return this.error('Application not found', 404);
+        }
+        return this.success(this.formatApplication(application));
+    }
+
+    formatApplication(application) {
+        const applicant = this.findUser(application.user_id);
+        return {
+            ...application,
+            applicant_name: applicant ? `${applicant.first_name} ${applicant.last_name}` : null,
+            applicant_email: applicant ? applicant.email : null
+        };
+    }
+
+    createApplication({ body }) {
+        const { user, denied } = this.authorize();
+        if (denied) return denied;
+
+        if (this.db.applications.some(row => row.user_id === user.user_id && row.status === 'pending')) {
+            return this.error('You already have a pending stall application under review.', 409);
+        }
+
+        const stallName = String(body.stall_name || '').trim();
+        const description = String(body.description || '').trim();
+        const categories = [].concat(body.categories || []);
+        const errors = {};
+
+        if (stallName === '') {
+            errors.stall_name = 'Stall name is required';
+        } else if (stallName.length < 2) {
+            errors.stall_name = 'Stall name must be at least 2 characters';
+        }
+        if (description === '') {
+            errors.description = 'Description is required';
+        } else if (description.length < 5) {
+            errors.description = 'Description must be at least 5 characters';
+        }
+        if (!String(body.location || '').trim()) {
+            errors.location = 'Location is required';
+        }
+        if (categories.length === 0) {
+            errors.categories = 'Please select at least one food category';
+        }
+        ApiMockAdapter.APPLICATION_FILES.forEach(([field, label]) => {
+            if (!body[field] || !body[field].size) {
+                errors[field] = `${label} is required`;
+            }
+        });
+        if (!body.agree_terms || body.agree_terms === '0') {
+            errors.agree_terms = 'You must agree to the Terms of Services';
+        }
+        if (Object.keys(errors).length > 0) {
+            return this.validationError(errors);
+        }
+
+        const application = {
+            application_id: this.nextId('applications', 'application_id'),
+            user_id: user.user_id,
+            stall_name: stallName,
+            stall_description: description,
+            food_categories: categories,
+            location: String(body.location).trim(),
+            status: 'pending',
+            review_notes: null,
+            created_at: ApiMockAdapter.now()
+        };
+        ApiMockAdapter.APPLICATION_FILES.forEach(([field]) => {
+            application[`${field}_path`] = body[field] && body[field].size
+                ? this.storeFile(body[field], 'applications')
+                : null;
+        });
+        application.stall_logo_path = body.stall_logo && body.stall_logo.size
+            ? this.storeFile(body.stall_logo, 'applications')
+            : null;
+        this.db.applications.push(application);
+
+        return this.success(
+            { application_id: application.application_id },
+            201,
+            'Your stall registration has been submitted for review!'
+        );
+    }
+
+    updateApplication({ params, body }) {
+        const { denied } = this.authorize(true);
+        if (denied) return denied;
+
+        const application = this.findById('applications', 'application_id', params.id);
+        if (!application) {
+            return this.error('Application not found', 400);
+        }
+
+        ['stall_name', 'stall_description', 'location', 'review_notes'].forEach(field => {
+            if (body[field] !== undefined) {
+                application[field] = body[field];
+            }
+        });
+
+        return this.success(this.formatApplication(application), 200, 'Application updated successfully');
+    }
+
+    approveApplication({ params }) {
+        const { user, denied } = this.authorize(true);
+        if (denied) return denied;
+
+        const application = this.findById('applications', 'application_id', params.id);
+        if (!application || application.status !== 'pending') {
+            return this.error('Application not found or already reviewed', 400);
+        }
+
+        application.status = 'approved';
+        this.db.stalls.push({
+            stall_id: this.nextId('stalls', 'stall_id'),
+            owner_id: application.user_id,
+            name: application.stall_name,
+            description: application.stall_description,
+            food_categories: application.food_categories,
+            hours: null,
+            logo_path: application.stall_logo_path,
+            address: application.location,
+            latitude: null,
+            longitude: null,
+            status: 'active',
+            created_at: ApiMockAdapter.now()
+        });
+
+        const owner = this.findUser(application.user_id);
+        if (owner && owner.role === 'food_enthusiast') {
+            owner.role = 'food_stall_owner';
+        }
+        this.log(user, 'stall_application', application.application_id, 'approve', `Approved application for ${application.stall_name}`);
+
+        return this.success(null, 200, 'Application approved successfully');
+    }
+
+    rejectApplication({ params, body }) {
+        const { user, denied } = this.authorize(true);
+        if (denied) return denied;
+
+        const invalid = this.requireFields(body, ['reason']);
+        if (invalid) return invalid;
+
+        const application = this.findById('applications', 'application_id', params.id);
+        if (!application || application.status !== 'pending') {
+            return this.error('Application not found or already reviewed', 400);
+        }
+
+        application.status = 'declined';
+        application.review_notes = body.reason;
+        this.log(user, 'stall_application', application.application_id, 'decline', `Declined application for ${application.stall_name}`);
+
+        return this.success(null, 200, 'Application rejected successfully');
+    }
+
+    // ---------------------------------------------------------------------
+    // Amendments and closures
+    // ---------------------------------------------------------------------
+
+    getAmendments({ query }) {
+        return this.listRequests('amendments', query);
+    }
+
+    getAmendment({ params }) {
+        return this.getRequest('amendments', 'amendment_id', params.id, 'Amendment not found');
+    }
+
+    createAmendment({ body }) {
+        return this.createRequest('amendments', 'amendment_id', body, 'Amendment request submitted successfully');
+    }
+
+    approveAmendment({ params }) {
+        return this.reviewRequest('amendments', 'amendment_id', params.id, 'approved', amendment => {
+            const stall = this.findById('stalls', 'stall_id', amendment.stall_id);
+            if (stall && amendment.field && amendment.field in stall) {
+                stall[amendment.field] = amendment.requested_value;
+            }
+        });
+    }
+
+    rejectAmendment({ params }) {
+        return this.reviewRequest('amendments', 'amendment_id', params.id, 'rejected');
+    }
+
+    getClosures({ query }) {
+        return this.listRequests('closures', query);
+    }
+
+    getClosure({ params }) {
+        return this.getRequest('closures', 'closure_id', params.id, 'Closure request not found');
+    }
+
+    createClosure({ body }) {
+        return this.createRequest('closures', 'closure_id', body, 'Closure request submitted successfully');
+    }
+
+    approveClosure({ params }) {
+        return this.reviewRequest('closures', 'closure_id', params.id, 'approved', closure => {
+            const stall = this.findById('stalls', 'stall_id', closure.stall_id);
+            if (stall) {
+                stall.status = 'inactive';
+            }
+        });
+    }
+
+    rejectClosure({ params }) {
+        return this.reviewRequest('closures', 'closure_id', params.id, 'rejected');
+    }
+
+    listRequests(table, query) {
+        const { denied } = this.authorize(true);
+        if (denied) return denied;
+
+        const rows = this.db[table]
+            .filter(row => !query.status || row.status === query.status)
+            .sort((a, b) => b.created_at.localeCompare(a.created_at))
+            .map(row => this.formatRequest(row));
+
+        return this.paginated(rows, query, 20);
+    }
+
+    getRequest(table, key, id, notFound) {
+        const { denied } = this.authorize(true);
+        if (denied) return denied;
+
+        const row = this.findById(table, key, id);
+        if (!row) {
+            return this.error(notFound, 404);
+        }
+        return this.success(this.formatRequest(row));
+    }
+
+    createRequest(table, key, body, message) {
+        const { user, denied } = this.authorize();
+        if (denied) return denied;
+
+        const stall = this.findStall(body.stall_id);
+        if (!stall || stall.owner_id !== user.user_id) {
+            return this.error('Stall not found or access denied', 400);
+        }
+
+        const row = {
+            ...body,
+            [key]: this.nextId(table, key),
+            stall_id: stall.stall_id,
+            user_id: user.user_id,
+            status: 'pending',
+            created_at: ApiMockAdapter.now()
+        };
+        this.db[table].push(row);
+
+        return this.success({ [key]: row[key] }, 201, message);
+    }
+
+    reviewRequest(table, key, id, status, onApprove = null) {
+        const { user, denied } = this.authorize(true);
+        if (denied) return denied;
+
+        const row = this.findById(table, key, id);
+        if (!row || row.status !== 'pending') {
+            return this.error('Request not found or already reviewed', 400);
+        }
+
+        row.status = status;
+        if (onApprove) {
+            onApprove(row);
+        }
+        this.log(user, key.replace(/_id$/, ''), row[key], status === 'approved' ? 'approve' : 'reject', `${status === 'approved' ? 'Approved' : 'Rejected'} ${key.replace(/_id$/, '')} request #${row[key]}`);
+
+        return this.success(null, 200, `Request ${status} successfully`);
+    }
+
+    formatRequest(row) {
+        const stall = this.findById('stalls', 'stall_id', row.stall_id);
+        const owner = this.findUser(row.user_id);
+        return {
+            ...row,
+            stall_name: stall ? stall.name : null,
+            owner_name: owner ? `${owner.first_name} ${owner.last_name}` : null,
+            owner_email: owner ? owner.email : null
+        };
+    }
+
+    // ---------------------------------------------------------------------
+    // Admin
+    // ---------------------------------------------------------------------
+
+    getDashboardStats() {
+        const { denied } = this.authorize(true);
+        if (denied) return denied;
+
+        const pending = table => this.db[table].filter(row => row.status === 'pending').length;
+
+        return this.success({
+            totalUsers: this.db.users.length,
+            totalStalls: this.db.stalls.filter(stall => stall.status === 'active').length,
+            totalReviews: this.db.reviews.length,
+            pendingApplications: pending('applications'),
+            pendingAmendments: pending('amendments'),
+            pendingClosures: pending('closures')
+        });
+    }
+
+    getAdminLogs({ query }) {
+        const { denied } = this.authorize(true);
+        if (denied) return denied;
+
+        const logs = this.db.admin_logs
+            .slice()
+            .sort((a, b) => b.created_at.localeCompare(a.created_at))
+            .map(log => {
+                const admin = this.findUser(log.admin_id);
+                return {
+                    ...log,
+                    user_id: log.admin_id,
+                    admin_name: admin ? `${admin.first_name} ${admin.last_name}` : null,
+                    admin_email: admin ? admin.email : null
+                };
+            });
+
+        return this.paginated(logs, query, 50);
+    }
+
+    getReports({ query }) {
+        const { denied } = this.authorize(true);
+        if (denied) return denied;
+
+        const reports = this.db.review_reports
+            .slice()
+            .sort((a, b) => b.created_at.localeCompare(a.created_at))
+            .map(report => {
+                const review = this.findById('reviews', 'review_id', report.review_id);
+                const reporter = this.findUser(report.reported_by);
+                const stall = review ? this.findById('stalls', 'stall_id', review.stall_id) : null;
+                return {
+                    ...report,
+                    comment: review ? review.comment : null,
+                    first_name: reporter ? reporter.first_name : null,
+                    last_name: reporter ? reporter.last_name : null,
+                    stall_name: stall ? stall.name : null
+                };
+            });
+
+        return this.paginated(reports, query, 20);
+    }
+
+    getMapLayout() {
+        const { denied } = this.authorize(true);
+        if (denied) return denied;
+
+        return this.success(this.currentLayout());
+    }
+
+    // Mirrors MapLayoutService::saveLayout(): validate, diff by ID, save, log each change
+    saveMapLayout({ body }) {
+        const { user, denied } = this.authorize(true);
+        if (denied) return denied;
+
+        const errors = {};
+        const zones = ApiMockAdapter.readFeatures(body.zones, 'zones', errors);
+        const paths = ApiMockAdapter.readFeatures(body.paths, 'paths', errors);
+        const pins = ApiMockAdapter.readPins(body.pins, errors);
+        if (Object.keys(errors).length > 0) {
+            return this.validationError(errors, 'Please correct the map layout');
+        }
+
+        const current = this.currentLayout();
+        const changes = [
+            ...ApiMockAdapter.diffFeatures(current.zones, zones, 'zone'),
+            ...ApiMockAdapter.diffFeatures(current.paths, paths, 'path')
+        ];
+        const moves = pins
+            .map(pin => ({ pin, stall: this.findStall(pin.stall_id) }))
+            .filter(({ pin, stall }) => stall && (stall.latitude !== pin.x || stall.longitude !== pin.y));
+
+        if (changes.length === 0 && moves.length === 0) {
+            return this.success(current, 200, 'No changes to save.');
+        }
+
+        if (changes.length > 0) {
+            const layoutId = this.nextId('map_layouts', 'layout_id');
+            this.db.map_layouts.push({
+                layout_id: layoutId,
+                layout: { zones, paths },
+                updated_by: user.user_id,
+                created_at: ApiMockAdapter.now()
+            });
+            const verbs = { add: 'Added', update: 'Updated', delete: 'Deleted' };
+            changes.forEach(({ kind, change, name }) => {
+                this.log(user, 'map', layoutId, `${change}_${kind}`, `${verbs[change]} map ${kind}: ${name}`);
+            });
+        }
+
+        moves.forEach(({ pin, stall }) => {
+            const from = stall.latitude !== null && stall.longitude !== null
+                ? ` | From: ${stall.latitude}%, ${stall.longitude}%`
+                : '';
+            stall.latitude = pin.x;
+            stall.longitude = pin.y;
+            this.log(user, 'stall', stall.stall_id, 'move_pin',
+                `Moved map pin of stall: ${stall.name} | To: ${pin.x}%, ${pin.y}%${from}`);
+        });
+
+        const count = changes.length + moves.length;
+        return this.success(
+            this.currentLayout(),
+            200,
+            count === 1 ? 'Map layout saved (1 change).' : `Map layout saved (${count} changes).`
+        );
+    }
+
+    currentLayout() {
+        const latest = this.db.map_layouts.reduce(
+            (newest, row) => (!newest || row.layout_id > newest.layout_id ? row : newest),
+            null
+        );
+        return {
+            zones: latest ? latest.layout.zones : [],
+            paths: latest ? latest.layout.paths : [],
+            updated_at: latest ? latest.created_at : null
+        };
+    }
+
+    // ---------------------------------------------------------------------
+    // Static helpers
+    // ---------------------------------------------------------------------
+
+    /**
+     * Use the mock adapter as a client's transport
+     * @param {ApiClient} client
+     * @param {object} options - ApiMockAdapter options
+     * @returns {ApiMockAdapter}
+     */
+    static install(client, options = {}) {
+        const adapter = new ApiMockAdapter({ baseUrl: client.baseUrl, ...options });
+        client.setTransport(adapter.transport);
+        return adapter;
+    }
+
+    /**
+     * ?mockApi=1 turns the adapter on for this tab, ?mockApi=0 turns it off;
+     * otherwise window.BUZZARFEED_MOCK_API decides
+     * @returns {boolean}
+     */
+    static isEnabled() {
+        if (typeof window === 'undefined') {
+            return false;
+        }
+
+        const flag = new URLSearchParams(window.location.search).get('mockApi');
+        try {
+            if (flag !== null) {
+                sessionStorage.setItem(ApiMockAdapter.ENABLED_KEY, flag === '0' ? '0' : '1');
+            }
+            const stored = sessionStorage.getItem(ApiMockAdapter.ENABLED_KEY);
+            if (stored !== null) {
+                return stored === '1';
+            }
+        } catch (error) {
+            if (flag !== null) {
+                return flag !== '0';
+            }
+        }
+
+        return !!window.BUZZARFEED_MOCK_API;
+    }
+
+    /**
+     * Options from window.BUZZARFEED_MOCK_API (when an object) and the
+     * mockLatency / mockErrorRate query parameters
+     * @returns {object}
+     */
+    static configFromPage() {
+        const config = typeof window.BUZZARFEED_MOCK_API === 'object' && window.BUZZARFEED_MOCK_API
+            ? { ...window.BUZZARFEED_MOCK_API }
+            : {};
+        const params = new URLSearchParams(window.location.search);
+
+        if (params.has('mockLatency')) {
+            config.latency = Number(params.get('mockLatency')) || 0;
+        }
+        if (params.has('mockErrorRate')) {
+            config.errorRate = Number(params.get('mockErrorRate')) || 0;
+        }
+
+        return config;
+    }
+
+    static readSession() {
+        try {
+            const stored = sessionStorage.getItem(ApiMockAdapter.SESSION_KEY);
+            return stored ? Number(stored) : null;
+        } catch (error) {
+            return null;
+        }
+    }
+
+    static matchPath(pattern, path) {
+        const patternParts = pattern.split('/').filter(Boolean);
+        const pathParts = path.split('/').filter(Boolean);
+
+        if (patternParts.length !== pathParts.length) {
+            return null;
+        }
+
+        const params = {};
+        for (let i = 0; i < patternParts.length; i++) {
+            if (patternParts[i].startsWith(':')) {
+                params[patternParts[i].slice(1)] = decodeURIComponent(pathParts[i]);
+            } else if (patternParts[i] !== pathParts[i]) {
+                return null;
+            }
+        }
+        return params;
+    }
+
+    /**
+     * JSON bodies are parsed; FormData becomes an object with 'field[]' entries
+     * collected into arrays and files kept as File objects
+     */
+    static parseBody(body) {
+        if (!body) {
+            return {};
+        }
+
+        if (ApiMockAdapter.isFormData(body)) {
+            const data = {};
+            for (const [key, value] of body.entries()) {
+                if (key.endsWith('[]')) {
+                    const field = key.slice(0, -2);
+                    data[field] = (data[field] || []).concat(value);
+                } else {
+                    data[key] = value;
+                }
+            }
+            return data;
+        }
+
+        try {
+            return JSON.parse(body);
+        } catch (error) {
+            return {};
+        }
+    }
+
+    static isFormData(body) {
+        return typeof FormData !== 'undefined' && body instanceof FormData;
+    }
+
+    static formDataSize(formData) {
+        let size = 0;
+        for (const [key, value] of formData.entries()) {
+            size += key.length + (typeof value === 'string' ? value.length : value.size || 0);
+        }
+        return size;
+    }
+
+    static createResponse(status, body, headers = {}) {
+        const headerMap = Object.fromEntries(
+            Object.entries(headers).map(([name, value]) => [name.toLowerCase(), value])
+        );
+        const text = JSON.stringify(body);
+
+        return {
+            ok: status >= 200 && status < 300,
+            status,
+            headers: {
+                get: name => headerMap[name.toLowerCase()] ?? null
+            },
+            json: async () => JSON.parse(text)
+        };
+    }
+
+    static delay(ms, signal = null) {
+        return new Promise((resolve, reject) => {
+            const abortError = () => {
+                const error = new Error('The operation was aborted.');
+                error.name = 'AbortError';
+                return error;
+            };
+
+            if (signal && signal.aborted) {
+                reject(abortError());
+                return;
+            }
+
+            const onAbort = () => {
+                clearTimeout(timer);
+                reject(abortError());
+            };
+            const timer = setTimeout(() => {
+                if (signal) {
+                    signal.removeEventListener('abort', onAbort);
+                }
+                resolve();
+            }, ms);
+
+            if (signal) {
+                signal.addEventListener('abort', onAbort, { once: true });
+            }
+        });
+    }
+
+    static toUrl(url) {
+        const origin = typeof window !== 'undefined' && window.location ? window.location.origin : 'http://localhost';
+        return new URL(url, origin);
+    }
+
+    // Same rules as MapLayoutService::validateFeatures()
+    static readFeatures(features, type, errors) {
+        if (features === undefined || features === null) {
+            return [];
+        }
+        if (!Array.isArray(features)) {
+            errors[type] = `${type.charAt(0).toUpperCase()}${type.slice(1)} must be a list`;
+            return [];
+        }
+        if (features.length > ApiMockAdapter.MAP_LAYOUT.maxFeatures) {
+            errors[type] = `A layout can have at most ${ApiMockAdapter.MAP_LAYOUT.maxFeatures} ${type}`;
+            return [];
+        }
+
+        const kind = type.slice(0, -1);
+        const minPoints = ApiMockAdapter.MAP_LAYOUT.minPoints[type];
+        const maxPoints = ApiMockAdapter.MAP_LAYOUT.maxPoints;
+        const ids = new Set();
+        const valid = [];
+
+        features.forEach((feature, index) => {
+            const field = `${type}.${index}`;
+            const id = feature && typeof feature.id === 'string' ? feature.id : '';
+            const name = feature && feature.name ? String(feature.name).trim() : '';
+            const points = feature && Array.isArray(feature.points) ? feature.points : [];
+
+            if (!/^[a-z0-9-]{1,40}$/.test(id) || ids.has(id)) {
+                errors[`${field}.id`] = `Each ${kind} needs its own ID`;
+                return;
+            }
+            ids.add(id);
+
+            if (type === 'zones' && name === '') {
+                errors[`${field}.name`] = 'Zone name is required';
+            } else if (name.length > ApiMockAdapter.MAP_LAYOUT.maxNameLength) {
+                errors[`${field}.name`] = `Names can be at most ${ApiMockAdapter.MAP_LAYOUT.maxNameLength} characters`;
+            }
+
+            if (points.length < minPoints || points.length > maxPoints) {
+                errors[`${field}.points`] = `${kind.charAt(0).toUpperCase()}${kind.slice(1)}s need between ${minPoints} and ${maxPoints} points`;
+                return;
+            }
+
+            const clean = points.map(point => ({
+                x: ApiMockAdapter.mapPercent(point && point.x),
+                y: ApiMockAdapter.mapPercent(point && point.y)
+            }));
+            if (clean.some(point => point.x === null || point.y === null)) {
+                errors[`${field}.points`] = 'Points must lie on the map';
+                return;
+            }
+
+            valid.push({ id, name, points: clean });
+        });
+
+        return valid;
+    }
+
+    // Same rules as MapLayoutService::validatePins(); a later move of the same stall wins
+    static readPins(pins, errors) {
+        if (pins === undefined || pins === null) {
+            return [];
+        }
+        if (!Array.isArray(pins)) {
+            errors.pins = 'Pins must be a list';
+            return [];
+        }
+
+        const valid = new Map();
+        pins.forEach((pin, index) => {
+            const stallId = pin ? parseInt(pin.stall_id, 10) || 0 : 0;
+            const x = ApiMockAdapter.mapPercent(pin && pin.x);
+            const y = ApiMockAdapter.mapPercent(pin && pin.y);
+            if (stallId <= 0 || x === null || y === null) {
+                errors[`pins.${index}`] = 'Each pin needs a stall and a position on the map';
+                return;
+            }
+            valid.set(stallId, { stall_id: stallId, x, y });
+        });
+        return Array.from(valid.values());
+    }
+
+    // Same as MapLayoutService::diffFeatures()
+    static diffFeatures(old, next, kind) {
+        const oldById = new Map(old.map(feature => [feature.id, feature]));
+        const nextById = new Map(next.map(feature => [feature.id, feature]));
+        const label = feature => feature.name || `Unnamed ${kind} (${feature.id})`;
+        const changes = [];
+
+        nextById.forEach((feature, id) => {
+            const previous = oldById.get(id);
+            if (!previous) {
+                changes.push({ kind, change: 'add', name: label(feature) });
+            } else if (previous.name !== feature.name || JSON.stringify(previous.points) !== JSON.stringify(feature.points)) {
+                changes.push({ kind, change: 'update', name: label(feature) });
+            }
+        });
+        oldById.forEach((feature, id) => {
+            if (!nextById.has(id)) {
+                changes.push({ kind, change: 'delete', name: label(feature) });
+            }
+        });
+
+        return changes;
+    }
+
+    // Same as Helpers::mapPercent(): 0-100 rounded to two decimals, else null
+    static mapPercent(value) {
+        if (value === null || value === undefined || value === '' || typeof value === 'boolean') {
+            return null;
+        }
+        const percent = Number(value);
+        if (!Number.isFinite(percent) || percent < 0 || percent > 100) {
+            return null;
+        }
+        return Math.round(percent * 100) / 100;
+    }
+
+    static now(offsetSeconds = 0) {
+        return new Date(Date.now() + offsetSeconds * 1000).toISOString().slice(0, 19).replace('T', ' ');
+    }
+}
+
+// Resolved next to this script so the site can live in a subdirectory
+ApiMockAdapter.FIXTURES_URL = typeof document !== 'undefined' && document.currentScript
+    ? new URL('fixtures/api-fixtures.json', document.currentScript.src).href
+    : 'fixtures/api-fixtures.json';
+ApiMockAdapter.SESSION_KEY = 'buzzarfeed.mockApi.user';
+ApiMockAdapter.ENABLED_KEY = 'buzzarfeed.mockApi';
+ApiMockAdapter.TABLES = [
+    'users', 'stalls', 'menu_items', 'reviews', 'review_reactions', 'favorite_stalls', 'review_reports',
+    'applications', 'amendments', 'closures', 'admin_logs', 'map_layouts'
+];
+// Limits of MapLayoutService
+ApiMockAdapter.MAP_LAYOUT = {
+    maxFeatures: 50,
+    maxPoints: 100,
+    maxNameLength: 60,
+    minPoints: { zones: 3, paths: 2 }
+};
+ApiMockAdapter.APPLICATION_FILES = [
+    ['bir_registration', 'BIR Registration'],
+    ['business_permit', 'Business Permit'],
+    ['dti_sec', 'DTI / SEC Registration']
+];
+
+// Fixed paths come before the ':id' patterns they would otherwise match
+ApiMockAdapter.ROUTES = [
+    ['POST', '/auth/login', 'login'],
+    ['POST', '/auth/register', 'register'],
+    ['POST', '/auth/logout', 'logout'],
+    ['GET', '/auth/check', 'checkAuth'],
+    ['POST', '/auth/forgot-password', 'forgotPassword'],
+    ['POST', '/auth/reset-password', 'resetPassword'],
+
+    ['GET', '/users/profile', 'getProfile'],
+    ['PUT', '/users/profile', 'updateProfile'],
+    ['PUT', '/users/password', 'changePassword'],
+    ['GET', '/users', 'getUsers'],
+
+    ['GET', '/favorites', 'getFavorites'],
+    ['POST', '/favorites/sync', 'syncFavorites'],
+    ['POST', '/favorites', 'addFavorite'],
+    ['DELETE', '/favorites/:id', 'removeFavorite'],
+
+    ['GET', '/stalls', 'getStalls'],
+    ['GET', '/stalls/search-index', 'getStallSearchIndex'],
+    ['POST', '/stalls', 'createStall'],
+    ['GET', '/stalls/:id', 'getStall'],
+    ['PUT', '/stalls/:id', 'updateStall'],
+    ['DELETE', '/stalls/:id', 'deleteStall'],
+    ['GET', '/stalls/:id/menu', 'getStallMenu'],
+    ['POST', '/stalls/:id/menu', 'saveMenuItem'],
+    ['GET', '/stalls/:id/reviews', 'getStallReviews'],
+    ['POST', '/stalls/:id/logo', 'uploadStallLogo'],
+
+    ['POST', '/reviews/react', 'reactToReview'],
+    ['POST', '/reviews/report', 'reportReview'],
+    ['GET', '/reviews', 'getReviews'],
+    ['POST', '/reviews', 'createReview'],
+    ['GET', '/reviews/:id', 'getReview'],
+    ['PUT', '/reviews/:id', 'updateReview'],
+    ['DELETE', '/reviews/:id', 'deleteReview'],
+
+    ['GET', '/applications', 'getApplications'],
+    ['POST', '/applications', 'createApplication'],
+    ['GET', '/applications/:id', 'getApplication'],
+    ['PUT', '/applications/:id', 'updateApplication'],
+    ['POST', '/applications/:id/approve', 'approveApplication'],
+    ['POST', '/applications/:id/reject', 'rejectApplication'],
+
+    ['GET', '/amendments', 'getAmendments'],
+    ['POST', '/amendments', 'createAmendment'],
+    ['GET', '/amendments/:id', 'getAmendment'],
+    ['POST', '/amendments/:id/approve', 'approveAmendment'],
+    ['POST', '/amendments/:id/reject', 'rejectAmendment'],
+
+    ['GET', '/closures', 'getClosures'],
+    ['POST', '/closures', 'createClosure'],
+    ['GET', '/closures/:id', 'getClosure'],
+    ['POST', '/closures/:id/approve', 'approveClosure'],
+    ['POST', '/closures/:id/reject', 'rejectClosure'],
+
+    ['GET', '/admin/dashboard', 'getDashboardStats'],
+    ['GET', '/admin/logs', 'getAdminLogs'],
+    ['GET', '/admin/reports', 'getReports'],
+    ['GET', '/admin/map-layout', 'getMapLayout'],
+    ['PUT', '/admin/map-layout', 'saveMapLayout']
+];
+
+// Switch the global client over when the mock API is enabled
+if (typeof window !== 'undefined') {
+    window.ApiMockAdapter = ApiMockAdapter;
+
+    if (window.api && ApiMockAdapter.isEnabled()) {
+        window.apiMock = ApiMockAdapter.install(window.api, ApiMockAdapter.configFromPage());
+        console.info('BuzzarFeed mock API enabled. Add ?mockApi=0 to the URL to use the real API.');
+    }
+}
+
+// Export for module systems
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { ApiMockAdapter };
+}
@@ -0,0 +1,367 @@
+/*
+PROGRAM NAME: API Schema Validator (api-schema.js)
+
+PROGRAMMER: Frontend Team
+
+SYSTEM CONTEXT:
+This module is part of the BuzzarFeed platform and checks, in development mode, that API responses match the
+contract the frontend is written against. The contract lives in assets/js/schemas/api-schema.json and lists every
+route served by api/index.php with its response envelope and data shape. The validator hooks into the API client
+(api-client.js) through its response and error interceptors; it never changes a response.
+
+DATE CREATED: October 19, 2026
+LAST MODIFIED: October 19, 2026
+
+PURPOSE:
+The purpose of this program is to catch drift between the PHP backend and the JavaScript that consumes it:
+- Describe each endpoint's response in one machine-readable file instead of comments
+- Validate every response (and error response) against it while developing
+- Report mismatches with their exact location, e.g. data[2].categories: expected array, got string
+- Flag endpoints that have no schema yet
+
+DATA STRUCTURES:
+- ApiSchema class:
+  - schema (object|null): Parsed api-schema.json:
+    - envelopes (object): success, paginated and error response wrappers
+    - definitions (object): Reusable resource schemas (Stall, Review, Application, ...)
+    - endpoints (object): 'METHOD /path/{id}' -> { envelope, data }
+  - ready (Promise): Resolves once the schema is loaded
+  - reports (array): The most recent mismatch reports (newest last)
+  - onMismatch (Function): Receives each report; logs to the console by default
+- Report (object): { method, endpoint, route, status, mismatches: [{ path, message }] }
+- Supported schema keywords: type (string or array; 'integer' means a whole number), properties,
+  required, items, enum, pattern, anyOf, allOf and $ref ('#/definitions/Name').
+
+ALGORITHM / LOGIC:
+1. install(client): load the schema and register a response and an error interceptor.
+2. For each response:
+   a. Wait for the schema; stop if it failed to load.
+   b. Strip the query string and find the endpoint pattern ({id} matches one path segment,
+      literal segments win over parameters).
+   c. No pattern: report the endpoint as undocumented (once per route).
+   d. Validate the body against the endpoint's envelope, then body.data against its data schema.
+   e. For errors that carry a response body, validate the body against the error envelope.
+3. validate() walks the value and schema together, collecting a { path, message } pair for each
+   mismatch instead of stopping at the first one.
+4. Each report is kept in reports and passed to onMismatch.
+
+NOTES:
+- Loaded by includes/header.php in development mode only; production pages never download it.
+- Validation is skipped for requests made with { validate: false } in their meta (set by a
+  request interceptor) and never blocks or alters a response.
+- api-mock.js answers from the same contract, so mismatches there point at the mock.
+- Usage from the console:
+    window.apiSchema.reports            // recent mismatches
+    window.apiSchema.validate(value, { $ref: '#/definitions/Stall' })
+- Future enhancements may include:
+  - Validating request bodies
+  - Generating the schema from the PHP controllers
+*/
+
+class ApiSchema {
+    /**
+     * @param {object} options
+     * @param {object} options.schema - Parsed schema; fetched from schemaUrl when omitted
+     * @param {string} options.schemaUrl - Schema JSON file
+     * @param {Function} options.onMismatch - Called with each report
+     * @param {number} options.maxReports - Reports to keep (default: 50)
+     */
+    constructor(options = {}) {
+        const {
+            schema = null,
+            schemaUrl = ApiSchema.SCHEMA_URL,
+            onMismatch = ApiSchema.logReport,
+            maxReports = 50
+        } = options;
+
+        this.schema = null;
+        this.reports = [];
+        this.maxReports = maxReports;
+        this.onMismatch = onMismatch;
+        this.undocumented = new Set();
+
+        this.ready = schema
+            ? Promise.resolve(this.setSchema(schema))
+            : this.loadSchema(schemaUrl);
+    }
+
+    async loadSchema(url) {
+        try {
+            const response = await fetch(url);
+            if (!response.ok) {
+                throw new Error(`HTTP ${response.status}`);
+            }
+            this.setSchema(await response.json());
+        } catch (error) {
+            console.warn(`API schema could not be loaded from ${url}; responses will not be validated.`, error);
+        }
+    }
+
+    setSchema(schema) {
+        this.schema = schema;
+        this.routes = Object.keys(schema.endpoints || {}).map(key => {
+            const [method, pattern] = key.split(' ');
+            return { key, method, segments: pattern.split('/').filter(Boolean) };
+        });
+    }
+
+    /**
+     * Register the validating interceptors on a client
+     * @param {ApiClient} client
+     * @param {object} options - ApiSchema options
+     * @returns {ApiSchema}
+     */
+    static install(client, options = {}) {
+        const validator = new ApiSchema(options);
+
+        client.interceptors.response.use(async (result, context, response) => {
+            await validator.ready;
+            validator.checkResponse(context, response ? response.status : 200, result);
+        });
+
+        client.interceptors.error.use(async (error, context) => {
+            if (error.body) {
+                await validator.ready;
+                validator.checkResponse(context, error.status, error.body);
+            }
+        });
+
+        return validator;
+    }
+
+    /**
+     * Validate one response body and report any mismatches
+     * @param {object} context - Request context (method, endpoint, meta)
+     * @param {number} status - HTTP status
+     * @param {object} body - Parsed response body
+     * @returns {object|null} Report, or null when the body matches
+     */
+    checkResponse(context, status, body) {
+        if (!this.schema || (context.meta && context.meta.validate === false)) {
+            return null;
+        }
+
+        const method = (context.method || 'GET').toUpperCase();
+        const path = String(context.endpoint || '').split('?')[0];
+        const route = this.findRoute(method, path);
+        let mismatches;
+
+        if (status >= 400) {
+            mismatches = this.validate(body, this.schema.envelopes.error);
+        } else if (!route) {
+            if (this.undocumented.has(`${method} ${path}`)) {
+                return null;
+            }
+            this.undocumented.add(`${method} ${path}`);
+            mismatches = [{ path: '', message: 'endpoint has no schema in api-schema.json' }];
+        } else {
+            const endpoint = this.schema.endpoints[route];
+            mismatches = [
+                ...this.validate(body, this.schema.envelopes[endpoint.envelope]),
+                ...(body && typeof body === 'object' && 'data' in body
+                    ? this.validate(body.data, endpoint.data, 'data')
+                    : [])
+            ];
+        }
+
+        if (mismatches.length === 0) {
+            return null;
+        }
+
+        const report = { method, endpoint: path, route, status, mismatches };
+        this.reports.push(report);
+        if (this.reports.length > this.maxReports) {
+            this.reports.shift();
+        }
+        if (this.onMismatch) {
+            this.onMismatch(report);
+        }
+        return report;
+    }
+
+    /**
+     * Find the endpoint key for a request; literal segments beat {params}
+     * @param {string} method - HTTP method
+     * @param {string} path - Endpoint path without the query string
+     * @returns {string|null}
+     */
+    findRoute(method, path) {
+        const segments = path.split('/').filter(Boolean);
+        let best = null;
+        let bestScore = -1;
+
+        this.routes.forEach(route => {
+            if (route.method !== method || route.segments.length !== segments.length) {
+                return;
+            }
+
+            let score = 0;
+            const matches = route.segments.every((segment, i) => {
+                if (/^\{\w+\}$/.test(segment)) {
+                    return true;
+                }
+                score++;
+                return segment === segments[i];
+            });
+
+            if (matches && score > bestScore) {
+                best = route.key;
+                bestScore = score;
+            }
+        });
+
+        return best;
+    }
+
+    /**
+     * Check a value against a schema
+     * @param {any} value - Value to check
+     * @param {object} schema - Schema (may be a $ref)
+     * @param {string} path - Location of value, used in messages
+     * @returns {Array<{path: string, message: string}>} Every mismatch found
+     */
+    validate(value, schema, path = '') {
+        if (!schema) {
+            return [];
+        }
+
+        if (schema.$ref) {
+            return this.validate(value, this.resolve(schema.$ref), path);
+        }
+
+        if (schema.allOf) {
+            return schema.allOf.reduce((errors, part) => errors.concat(this.validate(value, part, path)), []);
+        }
+
+        if (schema.anyOf) {
+            const results = schema.anyOf.map(option => this.validate(value, option, path));
+            if (results.some(errors => errors.length === 0)) {
+                return [];
+            }
+            // Report against the closest option rather than all of them
+            return results.reduce((best, errors) => (errors.length < best.length ? errors : best));
+        }
+
+        const errors = [];
+        const at = path || '(body)';
+
+        if (schema.enum && !schema.enum.some(allowed => allowed === value)) {
+            errors.push({
+                path: at,
+                message: `expected one of ${schema.enum.map(ApiSchema.preview).join(', ')}, got ${ApiSchema.preview(value)}`
+            });
+            return errors;
+        }
+
+        if (schema.type) {
+            const types = [].concat(schema.type);
+            if (!types.some(type => ApiSchema.isType(value, type))) {
+                errors.push({
+                    path: at,
+                    message: `expected ${types.join(' or ')}, got ${ApiSchema.typeOf(value)} ${ApiSchema.preview(value)}`
+                });
+                return errors;
+            }
+        }
+
+        if (schema.pattern && typeof value === 'string' && !new RegExp(schema.pattern).test(value)) {
+            errors.push({ path: at, message: `${ApiSchema.preview(value)} does not match /${schema.pattern}/` });
+        }
+
+        if (value && typeof value === 'object' && !Array.isArray(value)) {
+            (schema.required || []).forEach(key => {
+                if (!(key in value)) {
+                    errors.push({ path: ApiSchema.join(path, key), message: 'missing required property' });
+                }
+            });
+
+            Object.entries(schema.properties || {}).forEach(([key, propertySchema]) => {
+                if (key in value) {
+                    errors.push(...this.validate(value[key], propertySchema, ApiSchema.join(path, key)));
+                }
+            });
+        }
+
+        if (Array.isArray(value) && schema.items) {
+            value.forEach((item, index) => {
+                errors.push(...this.validate(item, schema.items, `${path}[${index}]`));
+            });
+        }
+
+        return errors;
+    }
+
+    resolve(ref) {
+        const name = ref.replace(/^#\/definitions\//, '');
+        const definition = this.schema && this.schema.definitions ? this.schema.definitions[name] : null;
+        if (!definition) {
+            throw new Error(`Unknown schema reference ${ref}`);
+        }
+        return definition;
+    }
+
+    static isType(value, type) {
+        switch (type) {
+            case 'null':
+                return value === null;
+            case 'array':
+                return Array.isArray(value);
+            case 'object':
+                return value !== null && typeof value === 'object' && !Array.isArray(value);
+            case 'integer':
+                return Number.isInteger(value);
+            case 'number':
+                return typeof value === 'number' && Number.isFinite(value);
+            default:
+                return typeof value === type;
+        }
+    }
+
+    static typeOf(value) {
+        if (value === null) return 'null';
+        if (Array.isArray(value)) return 'array';
+        if (typeof value === 'number' && !Number.isInteger(value)) return 'number';
+        if (typeof value === 'number') return 'integer';
+        return typeof value;
+    }
+
+    static preview(value) {
+        if (value === undefined) return 'undefined';
+        if (value !== null && typeof value === 'object') {
+            return Array.isArray(value) ? `(${value.length} items)` : '';
+        }
+        const text = JSON.stringify(value);
+        return text.length > 40 ? `${text.slice(0, 37)}...` : text;
+    }
+
+    static join(path, key) {
+        return path ? `${path}.${key}` : key;
+    }
+
+    static logReport(report) {
+        const lines = report.mismatches.map(({ path, message }) => `  ${path ? `${path}: ` : ''}${message}`);
+        const route = report.route && report.route !== `${report.method} ${report.endpoint}`
+            ? ` (${report.route})`
+            : '';
+        console.warn(`API response does not match schema: ${report.method} ${report.endpoint}${route} [${report.status}]\n${lines.join('\n')}`);
+    }
+}
+
+// Resolved next to this script so the site can live in a subdirectory
+ApiSchema.SCHEMA_URL = typeof document !== 'undefined' && document.currentScript
+    ? new URL('schemas/api-schema.json', document.currentScript.src).href
+    : 'schemas/api-schema.json';
+
+// Validate the global client's responses
+if (typeof window !== 'undefined') {
+    window.ApiSchema = ApiSchema;
+
+    if (window.api) {
+        window.apiSchema = ApiSchema.install(window.api);
+    }
+}
+
+// Export for module systems
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { ApiSchema };
+}
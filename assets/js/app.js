@@ -10,7 +10,7 @@ The application follows a modular architecture (ISO 9241: Modularity and Maintai
 It integrates seamlessly with DOM elements and external modules to provide a dynamic, responsive, and engaging user interface.
 
 DATE CREATED: December 4, 2025
-LAST MODIFIED: December 4, 2025
+LAST MODIFIED: October 19, 2026
 
 PURPOSE:
 The purpose of this program is to initialize and manage core frontend functionality of BuzzarFeed:
@@ -18,6 +18,20 @@ The purpose of this program is to initialize and manage core frontend functional
 - Brand/featured carousels with autoplay and manual navigation.
 - Scroll-triggered behaviors and smooth scrolling.
 - Utility functions for reusable tasks (debouncing, throttling, validation, etc.).
+- Inline form error handling for server-rendered validation messages.
+- Star ratings: labelled read-only stars, and the star input of the review forms.
+- Offline outbox for reviews and reactions, with a status panel.
+- Review likes and dislikes that show at once and are undone if the server rejects them.
+- File uploads (stall applications, logos, menu images) with progress and cancellation.
+- Live stall search and faceted filtering (categories, rating, open now, price, sort) on the stalls page.
+- Search, category, rating and open-now filters on the map page, applied to its pins and explore list.
+- Saving stalls with heart buttons, for guests in the browser and for users in their account.
+- "Open now" badges on stalls and map pins, and a check of the hours vendors type, in Manila time.
+- Pan and zoom for the bazaar map, with pin tooltips that follow the map and crowded pins grouped into clusters.
+- A food-crawl planner on the map that orders chosen stalls into a short, shareable walk.
+- Links to the map's view and to a stall on it, kept in the URL ("Show on map" on stall cards and pages).
+- A location picker for stall owners to pin, drag, nudge and undo their stall's place on the map.
+- The bazaar's zones and walkways over the map, and the admin editor that draws them and moves pins.
 - Logging of initialization messages to the console for developer feedback.
 
 DATA STRUCTURES:
@@ -25,6 +39,25 @@ DATA STRUCTURES:
 - this.carousel (Carousel instance): Manages carousel slides, auto-play, and navigation controls.
 - this.scrollManager (ScrollManager instance): Handles scroll-based animations and back-to-top functionality.
 - Utils (class): Provides helper functions for DOM manipulation, validation, and other reusable utilities.
+- FormErrors (class): Shows and clears field-level validation errors.
+- this.starRatings (StarRating[]): Star inputs marked with data-star-rating-input.
+- this.outboxStatus (OutboxStatus instance): Panel listing queued mutations of window.api.
+- this.uploadForms (UploadForm[]): Forms and file inputs marked with data-upload.
+- this.sessionModal (SessionModal instance): Login prompt shown when the API session expires.
+- this.hoursBadges (HoursBadges instance): Keeps the open/closed badges and map pins current.
+- this.hoursInputs (HoursInput[]): Hours fields marked with data-hours-input.
+- this.mapPickers (MapPicker[]): Stall location pickers marked with data-map-picker.
+- this.mapViewport (MapViewport instance): Pan and zoom of the map on map.php (#mapContainer).
+- this.mapClusters (MapClusters instance): Groups overlapping map pins into count bubbles.
+- this.mapTooltip (MapTooltip instance): Stall tooltip of the map's pins.
+- this.mapCrawl (MapCrawl instance): Food-crawl planner drawing its route on the map.
+- this.mapZones (MapZones instance): Button showing the zones and walkways over the map.
+- this.mapEditor (MapEditor instance): Admin editor of the map's pins, zones and walkways (admin-panel.php).
+- this.mapState (MapState instance): Open stall, zoom and pan of the map, read from and kept in the URL.
+- this.favorites (Favorites instance): Saved stalls and every heart button on the page.
+- this.reviewReactions (ReviewReactions instance): Like and dislike buttons of the reviews (stall-detail.php).
+- this.stallSearch (StallSearch instance): Search-as-you-type and facet filters for the stalls grid (stalls.php).
+- this.mapFilters (MapFilters instance): Search and filters of map.php, applied to its pins and explore list.
 - DOM Elements: Query selectors for carousel and other interactive components.
 - app (BuzzarFeedApp instance): Main application instance exported for external access or testing.
 
@@ -34,7 +67,23 @@ ALGORITHM / LOGIC:
    a. Initialize navigation menu via Navigation module.
    b. Initialize carousel if element exists, with configurable auto-play interval.
    c. Initialize ScrollManager to handle animations and scroll-related features.
-   d. Log welcome message to the console.
+   d. Clear inline errors on forms marked with data-form-errors as fields are edited.
+      Label the star ratings marked with data-star-rating and mount the star inputs.
+      Keep the hours badges current and check hours fields marked with data-hours-input.
+      Mount MapPicker on every stall location picker marked with data-map-picker.
+      Make the map on map.php zoomable, cluster its crowded pins, show its pin tooltips, add the
+      food-crawl planner and the zones toggle; then show the stall and view linked in the URL.
+   e. Enable session recovery on the API client with the shared login modal, then enable
+      its offline outbox and show the outbox status panel.
+   f. Mount UploadForm on every form or file input marked with data-upload, and the map editor
+      on the admin panel's element marked with data-map-editor.
+   g. Load the saved stalls (from the account when the header's data-auth is "user", merging
+      any saved as a guest) and bind every heart button; let the crawl planner add them.
+      Reload the Saved Stalls tab (data-saved-stalls) when the merge added stalls it lacks.
+      Handle the review reaction buttons marked with data-review-reactions.
+   h. Mount StallSearch on the stalls grid marked with data-stall-search, and MapFilters on
+      the explore section marked with data-map-explore, both adding hearts to their cards.
+   i. Log welcome message to the console.
 3. Export app instance for external modules or testing purposes.
 
 NOTES:
@@ -48,6 +97,25 @@ import { Carousel } from "./modules/carousel.js";
 import { Navigation } from "./modules/navigation.js";
 import { ScrollManager } from "./modules/scroll.js";
 import { Utils } from "./modules/utils.js";
+import { FormErrors } from "./modules/form-errors.js";
+import { StarRating } from "./modules/star-rating.js";
+import { OutboxStatus } from "./modules/outbox-status.js";
+import { UploadForm } from "./modules/upload-form.js";
+import { SessionModal } from "./modules/session-modal.js";
+import { StallSearch } from "./modules/stall-search.js";
+import { Favorites } from "./modules/favorites.js";
+import { ReviewReactions } from "./modules/review-reactions.js";
+import { HoursBadges } from "./modules/hours-badges.js";
+import { HoursInput } from "./modules/hours-input.js";
+import { MapViewport } from "./modules/map-viewport.js";
+import { MapPicker } from "./modules/map-picker.js";
+import { MapClusters } from "./modules/map-clusters.js";
+import { MapTooltip } from "./modules/map-tooltip.js";
+import { MapCrawl } from "./modules/map-crawl.js";
+import { MapZones } from "./modules/map-zones.js";
+import { MapEditor } from "./modules/map-editor.js";
+import { MapState } from "./modules/map-state.js";
+import { MapFilters } from "./modules/map-filters.js";
 
 class BuzzarFeedApp {
   constructor() {
@@ -79,6 +147,92 @@ class BuzzarFeedApp {
     // Initialize scroll manager
     this.scrollManager = new ScrollManager();
 
+    // Clear server-rendered field errors as the user corrects them
+    FormErrors.mountAll();
+
+    // Star ratings: read-only stars and the review forms' inputs
+    this.starRatings = StarRating.mountAll();
+
+    // "Open now" badges, and a check of the hours vendors type
+    this.hoursBadges = new HoursBadges();
+    this.hoursInputs = HoursInput.mountAll();
+
+    // Pin a stall's place on the map (register-stall.php, manage-stall.php)
+    this.mapPickers = MapPicker.mountAll();
+
+    // Pan and zoom the bazaar map; clusters are drawn before the tooltip follows its pin
+    const mapContainer = document.getElementById("mapContainer");
+    if (mapContainer) {
+      this.mapViewport = new MapViewport(mapContainer);
+      this.mapClusters = new MapClusters(this.mapViewport);
+      this.mapTooltip = new MapTooltip(mapContainer, this.mapViewport);
+      this.mapCrawl = new MapCrawl(mapContainer, this.mapViewport, { tooltip: this.mapTooltip });
+      this.mapZones = new MapZones(mapContainer, this.mapViewport);
+      this.mapState = new MapState(mapContainer, this.mapViewport, {
+        clusters: this.mapClusters,
+        tooltip: this.mapTooltip,
+      });
+    }
+
+    if (window.api) {
+      // Ask for the password again when the session expires, then replay the failed requests
+      this.sessionModal = new SessionModal(window.api.enableSessionRecovery(), window.api);
+
+      // Queue reviews and reactions made offline; replays on any page
+      this.outboxStatus = new OutboxStatus(window.api.enableOutbox());
+
+      // Send file forms through the API client with progress and cancel
+      this.uploadForms = UploadForm.mountAll(window.api);
+
+      // Admin map editor: pins, zones and walkways (admin-panel.php)
+      const mapEditor = document.querySelector("[data-map-editor]");
+      if (mapEditor) {
+        this.mapEditor = new MapEditor(mapEditor, window.api);
+      }
+
+      // Saved stalls; guests keep theirs in the browser until they log in
+      const header = document.querySelector(".header");
+      const loggedIn = Boolean(header && header.dataset.auth === "user");
+      this.favorites = new Favorites(window.api, { loggedIn }).bind();
+      if (this.mapCrawl) this.mapCrawl.useFavorites(this.favorites);
+
+      // my-account.php rendered the Saved Stalls tab before the guest list was merged
+      const savedStalls = document.querySelector("[data-saved-stalls]");
+      if (savedStalls) {
+        this.favorites.ready.then(() => {
+          const hearts = savedStalls.querySelectorAll("[data-favorite-stall]");
+          const shown = new Set(Array.from(hearts, (button) => Number(button.dataset.favoriteStall)));
+          if (this.favorites.merged && [...this.favorites.ids].some((id) => !shown.has(id))) {
+            window.location.reload();
+          }
+        });
+      }
+
+      // Likes and dislikes on reviews; guests are asked to log in
+      if (document.querySelector("[data-review-reactions]")) {
+        this.reviewReactions = new ReviewReactions(document, window.api, {
+          loggedIn,
+          loginModal: document.getElementById("loginRequiredModal"),
+        });
+      }
+
+      // Search and filter stalls in place, keeping the URL in sync
+      const stallsContainer = document.querySelector("[data-stall-search]");
+      if (stallsContainer) {
+        this.stallSearch = new StallSearch(stallsContainer, window.api, { favorites: this.favorites });
+      }
+
+      // Filter the map's pins and explore list together, keeping the URL in sync
+      const exploreSection = document.querySelector("[data-map-explore]");
+      if (exploreSection) {
+        this.mapFilters = new MapFilters(exploreSection, window.api, {
+          clusters: this.mapClusters,
+          tooltip: this.mapTooltip,
+          favorites: this.favorites,
+        });
+      }
+    }
+
     // Log initialization
     this.logWelcome();
   }
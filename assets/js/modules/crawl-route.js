@@ -0,0 +1,161 @@
+/*
+PROGRAM NAME: Crawl Route Module (crawl-route.js)
+
+PROGRAMMER: Frontend Team
+
+SYSTEM CONTEXT:
+This module is part of the BuzzarFeed platform and orders the stalls of a food crawl planned on map.php
+(MapCrawl, map-crawl.js). It works on plain points, so it knows nothing about the page: the map passes each stall's
+position and gets back the order to walk them in.
+
+DATE CREATED: October 19, 2026
+LAST MODIFIED: October 19, 2026
+
+PURPOSE:
+The purpose of this program is to find a short walk through a group's chosen stalls:
+- Start from a fixed point (the entrance) when one is given, otherwise from the best stall
+- Build a first route by always walking to the closest stall not yet visited
+- Shorten it by undoing crossings until no swap helps
+
+DATA STRUCTURES:
+- points ({x, y}[]): Stall positions, in any unit that is the same on both axes
+- start ({x, y}|null): Fixed starting point that is not itself a stop
+- order (number[]): Indexes into points, in walking order
+
+ALGORITHM / LOGIC:
+1. plan(points, start):
+   a. Nearest neighbour: from the start (or, without one, from each stall in turn, keeping
+      the shortest result), repeatedly walk to the closest unvisited stall.
+   b. 2-opt: for every pair of edges, reverse the stops between them when that shortens the
+      walk; repeat until a full pass finds nothing, or MAX_PASSES passes have run.
+2. The walk is an open path: it ends at the last stall rather than returning to the start.
+
+NOTES:
+- Distances are straight lines; aisles and stalls in the way are not known to the map.
+- A bazaar crawl is a handful of stalls, so the quadratic passes are instant.
+- Future enhancements may include an end point (e.g. meeting back at the entrance).
+*/
+
+export class CrawlRoute {
+  /**
+   * Order points into a short walk
+   * @param {Array<{x: number, y: number}>} points - Stops
+   * @param {{x: number, y: number}|null} start - Fixed starting point, not a stop
+   * @returns {number[]} Indexes into points, in walking order
+   */
+  static plan(points, start = null) {
+    if (points.length < 2) {
+      return points.map((_, index) => index);
+    }
+
+    let best = null;
+    const starts = start ? [null] : points.map((_, index) => index);
+    starts.forEach((first) => {
+      const order = CrawlRoute.nearestNeighbour(points, start, first);
+      if (!best || CrawlRoute.length(points, order, start) < CrawlRoute.length(points, best, start)) {
+        best = order;
+      }
+    });
+
+    return CrawlRoute.twoOpt(points, best, start);
+  }
+
+  /**
+   * Walk to the closest unvisited point each time
+   * @param {object[]} points
+   * @param {object|null} start - Fixed starting point
+   * @param {number|null} first - Point to begin with when there is no start
+   * @returns {number[]}
+   */
+  static nearestNeighbour(points, start, first) {
+    const left = new Set(points.map((_, index) => index));
+    const order = [];
+    let current = start;
+
+    if (!start) {
+      order.push(first);
+      left.delete(first);
+      current = points[first];
+    }
+
+    while (left.size > 0) {
+      let next = null;
+      left.forEach((index) => {
+        if (next === null || CrawlRoute.distance(current, points[index]) < CrawlRoute.distance(current, points[next])) {
+          next = index;
+        }
+      });
+      order.push(next);
+      left.delete(next);
+      current = points[next];
+    }
+
+    return order;
+  }
+
+  /**
+   * Reverse stretches of the walk while that makes it shorter
+   * @param {object[]} points
+   * @param {number[]} order
+   * @param {object|null} start - Fixed starting point (never moved)
+   * @returns {number[]}
+   */
+  static twoOpt(points, order, start) {
+    const route = order.slice();
+    // Before the first stop is the start, or nothing, so without a start the first stop may move too
+    const at = (position) => (position < 0 ? start : points[route[position]]);
+
+    for (let pass = 0; pass < CrawlRoute.MAX_PASSES; pass++) {
+      let improved = false;
+
+      for (let i = 0; i < route.length - 1; i++) {
+        for (let k = i + 1; k < route.length; k++) {
+          const before = at(i - 1);
+          const after = k + 1 < route.length ? at(k + 1) : null;
+
+          // Reversing i..k swaps edges (before, i) and (k, after) for (before, k) and (i, after)
+          const current =
+            (before ? CrawlRoute.distance(before, at(i)) : 0) + (after ? CrawlRoute.distance(at(k), after) : 0);
+          const swapped =
+            (before ? CrawlRoute.distance(before, at(k)) : 0) + (after ? CrawlRoute.distance(at(i), after) : 0);
+
+          if (swapped < current - CrawlRoute.EPSILON) {
+            route.splice(i, k - i + 1, ...route.slice(i, k + 1).reverse());
+            improved = true;
+          }
+        }
+      }
+
+      if (!improved) break;
+    }
+
+    return route;
+  }
+
+  /**
+   * Length of a walk
+   * @param {object[]} points
+   * @param {number[]} order
+   * @param {object|null} start
+   * @returns {number}
+   */
+  static length(points, order, start = null) {
+    let total = 0;
+    let current = start;
+    order.forEach((index) => {
+      if (current) total += CrawlRoute.distance(current, points[index]);
+      current = points[index];
+    });
+    return total;
+  }
+
+  static distance(a, b) {
+    return Math.hypot(a.x - b.x, a.y - b.y);
+  }
+}
+
+// Improvement passes before 2-opt gives up
+CrawlRoute.MAX_PASSES = 50;
+
+// Gains smaller than this are rounding noise
+CrawlRoute.EPSILON = 1e-9;
@@ -0,0 +1,266 @@
+/*
+PROGRAM NAME: Favorites Module (favorites.js)
+
+PROGRAMMER: Frontend Team
+
+SYSTEM CONTEXT:
+This module is part of the BuzzarFeed platform and keeps track of the stalls a visitor has saved. Logged-in users'
+saved stalls live in their account (api.getFavorites, /api/favorites); guests' live in localStorage until they log
+in, when they are merged into the account (api.syncFavorites). Heart buttons ([data-favorite-stall]) on stall
+cards, stall-detail.php, map tooltips and the Saved Stalls tab of my-account.php all read from one instance.
+
+DATE CREATED: October 19, 2026
+LAST MODIFIED: October 19, 2026
+
+PURPOSE:
+The purpose of this program is to let anyone save stalls and find them again:
+- Toggle a stall with a heart, updating every heart for that stall on the page at once
+- Keep guests' saved stalls in the browser
+- Merge the browser's list into the account on the first page after logging in
+- Undo a toggle the server rejected and announce it to screen readers
+
+DATA STRUCTURES:
+- api (ApiClient): Client for the favorites endpoints
+- loggedIn (boolean): Whether the page was rendered for a logged-in user (header[data-auth])
+- storage (Storage|null): localStorage, or null when the browser blocks it
+- ids (Set<number>): Saved stall IDs, newest first
+- pending (Set<number>): Stalls with a save or remove request in flight
+- ready (Promise): Settles once the account's list (or the guest list) is loaded
+- merged (boolean): Whether sync() added a guest list to the account on this page
+- listeners (Set<Function>): Called with the IDs whenever they change
+- status (DOM element): Screen-reader live region used by bind()
+
+ALGORITHM / LOGIC:
+1. Guests: read the list from localStorage.
+2. Logged-in users: sync() sends any guest list to api.syncFavorites (or calls
+   api.getFavorites when there is none), takes the returned stalls as the saved set and
+   clears the guest list, noting that it was merged; on failure the guest list is kept for
+   the next page.
+3. toggle(id):
+   a. Ignore clicks while the previous toggle of the stall is still in flight.
+   b. Update the set and every heart immediately.
+   c. Guests: write the list to localStorage.
+   d. Logged-in users: call api.addFavorite or api.removeFavorite; on failure restore the
+      previous state and announce the error.
+4. bind(root): handle clicks on hearts under root, show them (they are hidden until
+   JavaScript runs) and keep them in step with the set. A heart whose stall changes (the
+   map tooltip's) dispatches a bubbling "favorites:render" event to be redrawn.
+
+NOTES:
+- The guest list is capped at MAX_GUEST stalls, newest first.
+- Hearts are buttons beside the card links, never inside them, so cards stay valid links.
+- Styles live in the FAVORITES section of styles.css.
+- Future enhancements may include syncing saved stalls between open tabs.
+*/
+
+export class Favorites {
+  constructor(api, options = {}) {
+    this.api = api;
+    this.loggedIn = Boolean(options.loggedIn);
+    this.storage = options.storage !== undefined ? options.storage : Favorites.defaultStorage();
+    this.ids = new Set(this.loggedIn ? [] : this.readGuest());
+    this.pending = new Set();
+    this.listeners = new Set();
+    this.status = null;
+    this.merged = false;
+    this.ready = this.loggedIn && this.api ? this.sync() : Promise.resolve();
+  }
+
+  has(stallId) {
+    return this.ids.has(Number(stallId));
+  }
+
+  /**
+   * Load the account's saved stalls, merging in anything saved while logged out
+   * @returns {Promise<void>}
+   */
+  async sync() {
+    const guest = this.readGuest();
+
+    try {
+      const response = guest.length > 0 ? await this.api.syncFavorites(guest) : await this.api.getFavorites();
+      this.ids = new Set((response.data || []).map((stall) => Number(stall.id)));
+      if (guest.length > 0) {
+        this.writeGuest([]);
+        this.merged = true;
+      }
+      this.emit();
+    } catch (error) {
+      // Keep the guest list; the next page load tries again
+    }
+  }
+
+  /**
+   * Save or un-save a stall
+   * @param {number|string} stallId
+   * @returns {Promise<boolean|null>} Whether the stall is now saved; null while a request is pending
+   */
+  async toggle(stallId) {
+    const id = Number(stallId);
+    if (this.pending.has(id)) return null;
+    this.pending.add(id);
+
+    try {
+      // The account's list replaces the set when it arrives; toggle on top of it
+      if (this.loggedIn) await this.ready;
+
+      const saved = !this.has(id);
+      this.set(id, saved);
+
+      if (!this.loggedIn) {
+        this.writeGuest(Array.from(this.ids));
+        return saved;
+      }
+
+      try {
+        if (saved) {
+          await this.api.addFavorite(id);
+        } else {
+          await this.api.removeFavorite(id);
+        }
+        return saved;
+      } catch (error) {
+        this.set(id, !saved);
+        throw error;
+      }
+    } finally {
+      this.pending.delete(id);
+    }
+  }
+
+  // Saved stalls are kept newest first
+  set(id, saved) {
+    const ids = Array.from(this.ids).filter((other) => other !== id);
+    this.ids = new Set(saved ? [id, ...ids] : ids);
+    this.emit();
+  }
+
+  /**
+   * Handle the heart buttons under root
+   * @param {Document|HTMLElement} root
+   * @returns {Favorites}
+   */
+  bind(root = document) {
+    this.status = document.createElement("p");
+    this.status.className = "sr-only";
+    this.status.setAttribute("role", "status");
+    document.body.appendChild(this.status);
+
+    root.addEventListener("click", (e) => {
+      const button = e.target.closest("[data-favorite-stall]");
+      if (!button || !root.contains(button)) return;
+
+      e.preventDefault();
+      const name = button.dataset.stallName || "this stall";
+      this.toggle(button.dataset.favoriteStall)
+        .then((saved) => {
+          if (saved === null) return;
+          this.status.textContent = saved ? `${name} saved` : `${name} removed from saved stalls`;
+        })
+        .catch((error) => {
+          if (error && error.name === "AbortError") return;
+          this.status.textContent = `Couldn't update saved stalls for ${name}. Please try again.`;
+        });
+    });
+
+    // Hearts reused for another stall ask to be redrawn
+    root.addEventListener("favorites:render", (e) => {
+      const button = e.target.closest("[data-favorite-stall]");
+      if (button) this.render(button);
+    });
+
+    const render = () => {
+      root.querySelectorAll("[data-favorite-stall]").forEach((button) => this.render(button));
+    };
+    this.subscribe(render);
+    render();
+
+    return this;
+  }
+
+  /**
+   * Build a heart button for a stall (e.g. for cards rendered in the browser)
+   * @param {object} stall - Stall with id and name
+   * @returns {HTMLButtonElement}
+   */
+  createButton(stall) {
+    const button = document.createElement("button");
+    button.type = "button";
+    button.className = "favorite-btn";
+    button.dataset.favoriteStall = String(stall.id);
+    button.dataset.stallName = stall.name;
+
+    const icon = document.createElement("i");
+    icon.setAttribute("aria-hidden", "true");
+    button.appendChild(icon);
+
+    this.render(button);
+    return button;
+  }
+
+  // Show a heart and reflect whether its stall is saved
+  render(button) {
+    const saved = this.has(button.dataset.favoriteStall);
+    const name = button.dataset.stallName || "this stall";
+    const icon = button.querySelector("i");
+
+    button.hidden = false;
+    button.classList.toggle("is-saved", saved);
+    button.setAttribute("aria-pressed", saved ? "true" : "false");
+    button.setAttribute("aria-label", `Save ${name}`);
+    button.title = saved ? "Saved" : "Save";
+    if (icon) icon.className = `${saved ? "fas" : "far"} fa-heart`;
+  }
+
+  /**
+   * @param {Function} listener - Called with the saved IDs (newest first)
+   * @returns {Function} Unsubscribe
+   */
+  subscribe(listener) {
+    this.listeners.add(listener);
+    return () => this.listeners.delete(listener);
+  }
+
+  emit() {
+    const ids = Array.from(this.ids);
+    this.listeners.forEach((listener) => listener(ids));
+  }
+
+  readGuest() {
+    try {
+      const ids = JSON.parse((this.storage && this.storage.getItem(Favorites.STORAGE_KEY)) || "[]");
+      return Array.isArray(ids) ? ids.map(Number).filter((id) => id > 0).slice(0, Favorites.MAX_GUEST) : [];
+    } catch (error) {
+      return [];
+    }
+  }
+
+  writeGuest(ids) {
+    try {
+      if (!this.storage) return;
+      if (ids.length === 0) {
+        this.storage.removeItem(Favorites.STORAGE_KEY);
+      } else {
+        this.storage.setItem(Favorites.STORAGE_KEY, JSON.stringify(ids.slice(0, Favorites.MAX_GUEST)));
+      }
+    } catch (error) {
+      // Storage full or blocked; the list lasts for this page only
+    }
+  }
+
+  /**
+   * localStorage when the browser allows it (it throws in some private modes)
+   * @returns {Storage|null}
+   */
+  static defaultStorage() {
+    try {
+      return typeof localStorage !== "undefined" ? localStorage : null;
+    } catch (error) {
+      return null;
+    }
+  }
+}
+
+Favorites.STORAGE_KEY = "buzzarfeed.favorites";
+
+Favorites.MAX_GUEST = 200;
@@ -0,0 +1,220 @@
+/*
+PROGRAM NAME: Form Errors Module (form-errors.js)
+
+PROGRAMMER: Frontend Team
+
+SYSTEM CONTEXT:
+This module is part of the BuzzarFeed platform and displays validation errors next to the form fields they belong to.
+It works with the ApiError class from api-client.js, whose fieldErrors getter returns errors keyed by field name,
+and with the server-rendered forms on pages such as signup, register-stall and manage-stall, which print the same markup.
+
+DATE CREATED: October 19, 2026
+LAST MODIFIED: October 19, 2026
+
+PURPOSE:
+The purpose of this program is to give every form one consistent way of showing validation feedback:
+- Map an ApiError (or a plain { field: message } object) onto the matching inputs
+- Render the message inline, mark the input invalid and link the two for screen readers
+- Clear a field's message as soon as the user edits it
+- Return the messages that have no matching field so the caller can show them in an alert or toast
+
+DATA STRUCTURES:
+- source (ApiError | object | array): Errors to display; normalized to { field: message }
+- options (object):
+  - errorClass (string): Class of the inline message element (default: 'form-error')
+  - inputErrorClass (string): Class added to the invalid input (default: 'form-input-error')
+  - groupSelector (string): Wrapper the message is appended to (default: '.form-group')
+- form[data-form-errors] (DOM element): Forms whose server-rendered errors clear on edit;
+  the attribute value overrides errorClass
+
+ALGORITHM / LOGIC:
+1. normalize(): read fieldErrors from an ApiError, or convert an object/array of errors to { field: message }.
+2. apply():
+   a. Clear errors previously rendered in the form.
+   b. For each field, find inputs named "field" or "field[]".
+   c. Add the input error class, aria-invalid and aria-describedby.
+   d. Append the message element to the field's wrapper (or after the input).
+   e. Focus the first invalid input.
+   f. Return messages whose field was not found.
+3. clear(): remove all inline messages and invalid states from the form.
+4. watch(): clear a field's message on input/change events.
+5. mountAll(): call watch() for every form marked with data-form-errors.
+
+NOTES:
+- Messages are inserted with textContent, never innerHTML.
+- Radio groups and checkbox lists share one message per field name.
+- The module has no dependency on ApiClient; any object with a fieldErrors property is accepted.
+- Future enhancements may include:
+  - Scrolling the first invalid field into view inside modals
+  - Client-side validation rules that reuse the same rendering
+*/
+
+const DEFAULT_OPTIONS = {
+  errorClass: "form-error",
+  inputErrorClass: "form-input-error",
+  groupSelector: ".form-group",
+};
+
+export class FormErrors {
+  /**
+   * Convert any supported error source into { field: message }
+   * @param {ApiError|object|array} source
+   * @returns {object}
+   */
+  static normalize(source) {
+    if (!source) return {};
+
+    if (source.fieldErrors && typeof source.fieldErrors === "object") {
+      return { ...source.fieldErrors };
+    }
+
+    const fields = {};
+    const entries = Array.isArray(source)
+      ? source
+          .filter((error) => error && typeof error === "object")
+          .map((error) => [error.field, error.message])
+      : Object.entries(source);
+
+    entries.forEach(([field, message]) => {
+      if (field && !(field in fields)) {
+        fields[field] = Array.isArray(message) ? message[0] : message;
+      }
+    });
+
+    return fields;
+  }
+
+  /**
+   * Show errors next to their fields
+   * @param {HTMLFormElement} form
+   * @param {ApiError|object|array} source
+   * @param {object} options
+   * @returns {object} Errors that did not match any field
+   */
+  static apply(form, source, options = {}) {
+    const settings = FormErrors.settings(form, options);
+    const unmatched = {};
+    let firstInvalid = null;
+
+    FormErrors.clear(form, options);
+
+    Object.entries(FormErrors.normalize(source)).forEach(([field, message]) => {
+      const inputs = FormErrors.findInputs(form, field);
+
+      if (inputs.length === 0) {
+        unmatched[field] = message;
+        return;
+      }
+
+      const messageId = `${form.id || "form"}-${field.replace(/\W+/g, "-")}-error`;
+      const messageEl = document.createElement("span");
+      messageEl.className = settings.errorClass;
+      messageEl.id = messageId;
+      messageEl.dataset.errorFor = field;
+      messageEl.setAttribute("role", "alert");
+      messageEl.textContent = message;
+
+      inputs.forEach((input) => {
+        input.classList.add(settings.inputErrorClass);
+        input.setAttribute("aria-invalid", "true");
+        input.setAttribute("aria-describedby", messageId);
+      });
+
+      const anchor = inputs[inputs.length - 1];
+      const group = anchor.closest(settings.groupSelector);
+      if (group && form.contains(group)) {
+        group.appendChild(messageEl);
+      } else {
+        anchor.insertAdjacentElement("afterend", messageEl);
+      }
+
+      firstInvalid = firstInvalid || inputs[0];
+    });
+
+    FormErrors.watch(form, options);
+
+    if (firstInvalid && typeof firstInvalid.focus === "function") {
+      firstInvalid.focus();
+    }
+
+    return unmatched;
+  }
+
+  /**
+   * Remove every inline error from a form
+   * @param {HTMLFormElement} form
+   * @param {object} options
+   */
+  static clear(form, options = {}) {
+    const settings = FormErrors.settings(form, options);
+
+    form
+      .querySelectorAll(`.${settings.errorClass}[data-error-for]`)
+      .forEach((el) => el.remove());
+
+    form.querySelectorAll("[aria-invalid='true']").forEach((input) => {
+      FormErrors.resetInput(input, settings);
+    });
+  }
+
+  /**
+   * Clear a field's error as soon as the user edits it
+   * @param {HTMLFormElement} form
+   * @param {object} options
+   */
+  static watch(form, options = {}) {
+    if (form.dataset.formErrorsWatching) return;
+    form.dataset.formErrorsWatching = "true";
+
+    const onEdit = (event) => {
+      const input = event.target;
+      if (!input.name) return;
+
+      const settings = FormErrors.settings(form, options);
+      const field = input.name.replace(/\[\]$/, "");
+
+      FormErrors.findInputs(form, field).forEach((el) => {
+        FormErrors.resetInput(el, settings);
+      });
+
+      form
+        .querySelectorAll(`.${settings.errorClass}[data-error-for]`)
+        .forEach((el) => {
+          if (el.dataset.errorFor === field) el.remove();
+        });
+    };
+
+    form.addEventListener("input", onEdit);
+    form.addEventListener("change", onEdit);
+  }
+
+  /**
+   * Watch all forms that were rendered with server-side errors
+   */
+  static mountAll() {
+    document.querySelectorAll("form[data-form-errors]").forEach((form) => {
+      FormErrors.watch(form);
+    });
+  }
+
+  static findInputs(form, field) {
+    return Array.from(form.elements).filter(
+      (el) => el.name === field || el.name === `${field}[]`
+    );
+  }
+
+  static resetInput(input, settings) {
+    input.classList.remove(settings.inputErrorClass);
+    input.removeAttribute("aria-invalid");
+    input.removeAttribute("aria-describedby");
+  }
+
+  static settings(form, options) {
+    const errorClass = form.dataset.formErrors;
+    return {
+      ...DEFAULT_OPTIONS,
+      ...(errorClass ? { errorClass } : {}),
+      ...options,
+    };
+  }
+}
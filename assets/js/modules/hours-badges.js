@@ -0,0 +1,114 @@
+/*
+PROGRAM NAME: Hours Badges Module (hours-badges.js)
+
+PROGRAMMER: Frontend Team
+
+SYSTEM CONTEXT:
+This module is part of the BuzzarFeed platform and shows whether stalls are open right now. Stall cards (stalls.php,
+the map's explore section, the home page's featured stalls and cards built by StallCard), the stall-detail header
+and the map tooltip carry a badge element holding the stall's hours text; map pins carry the same text in
+data-stall-hours. The hours are read by StallHours (stall-hours.js) in Manila time.
+
+DATE CREATED: October 19, 2026
+LAST MODIFIED: October 19, 2026
+
+PURPOSE:
+The purpose of this program is to label every stall on a page with its current state:
+- "Open now", "Closing soon", "Opens at 6 PM" (or tomorrow, or on a later day) and "Closed"
+- Keep the labels current while the page stays open
+- Mark map pins so open stalls stand out
+
+DATA STRUCTURES:
+- root (Document|HTMLElement): Element whose badges and pins are kept current
+- interval (number): Milliseconds between refreshes (default: one minute)
+- [data-hours-badge] (DOM element): Badge; the attribute holds the hours text
+- [data-stall-hours] (DOM element): Map pin; receives data-hours-state (open, closing, opening, closed)
+
+ALGORITHM / LOGIC:
+1. refresh(): render every badge and mark every pin under root for the current time.
+2. render(badge):
+   a. Ask StallHours.status() for the state of the hours text.
+   b. Unparseable hours keep the badge hidden (the hours text is still shown beside it).
+   c. Otherwise show the label, set the is-<state> class and put the hours as read in the title.
+3. Re-run refresh() every interval; a badge whose hours change (the map tooltip's)
+   dispatches a bubbling "hours-badge:render" event to be redrawn at once.
+
+NOTES:
+- Badges are hidden until this module runs, so pages without JavaScript show only the hours text.
+- Styles live in the HOURS BADGES section of styles.css; pin markers in map.css.
+- Future enhancements may include announcing when a saved stall opens.
+*/
+
+import { StallHours } from "./stall-hours.js";
+
+export class HoursBadges {
+  constructor(root = document, options = {}) {
+    this.root = root;
+    this.interval = options.interval || 60 * 1000;
+
+    this.root.addEventListener("hours-badge:render", (e) => {
+      const badge = e.target.closest("[data-hours-badge]");
+      if (badge) HoursBadges.render(badge);
+    });
+
+    this.refresh();
+    this.timer = setInterval(() => this.refresh(), this.interval);
+  }
+
+  /**
+   * Update every badge and pin for a moment (default: now)
+   * @param {Date} date
+   */
+  refresh(date = new Date()) {
+    this.root.querySelectorAll("[data-hours-badge]").forEach((badge) => HoursBadges.render(badge, date));
+
+    this.root.querySelectorAll("[data-stall-hours]").forEach((pin) => {
+      const { state } = StallHours.status(pin.dataset.stallHours, date);
+      if (state === "unknown") {
+        delete pin.dataset.hoursState;
+      } else {
+        pin.dataset.hoursState = state;
+      }
+    });
+  }
+
+  /**
+   * Show a badge's current label, or hide it when the hours cannot be read
+   * @param {HTMLElement} badge - Element with data-hours-badge
+   * @param {Date} date
+   */
+  static render(badge, date = new Date()) {
+    const rules = StallHours.parse(badge.dataset.hoursBadge);
+    const { state, label } = StallHours.status(rules, date);
+
+    badge.classList.remove("is-open", "is-closing", "is-opening", "is-closed");
+    if (state === "unknown") {
+      badge.hidden = true;
+      badge.textContent = "";
+      badge.removeAttribute("title");
+      return;
+    }
+
+    badge.hidden = false;
+    badge.classList.add(`is-${state}`);
+    badge.textContent = label;
+    badge.title = StallHours.describe(rules).join("\n");
+  }
+
+  /**
+   * Build a hidden badge for an hours string (e.g. for cards rendered in the browser)
+   * @param {string} hours
+   * @returns {HTMLSpanElement}
+   */
+  static create(hours) {
+    const badge = document.createElement("span");
+    badge.className = "hours-badge";
+    badge.dataset.hoursBadge = hours || "";
+    HoursBadges.render(badge);
+    return badge;
+  }
+
+  destroy() {
+    clearInterval(this.timer);
+  }
+}
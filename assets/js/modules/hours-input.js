@@ -0,0 +1,100 @@
+/*
+PROGRAM NAME: Hours Input Module (hours-input.js)
+
+PROGRAMMER: Frontend Team
+
+SYSTEM CONTEXT:
+This module is part of the BuzzarFeed platform and checks the operating hours vendors type in manage-stall.php.
+It reads the text with StallHours (stall-hours.js), the same parser behind the "Open now" badges, so vendors see
+how their hours will be understood before they save them.
+
+DATE CREATED: October 19, 2026
+LAST MODIFIED: October 19, 2026
+
+PURPOSE:
+The purpose of this program is to help vendors enter hours the site can read:
+- Show the hours as they were understood ("Fri–Sun: 6 PM – 1 AM")
+- Warn when the text cannot be read, since the stall would then get no open/closed badge
+- Never block saving; free text is still accepted
+
+DATA STRUCTURES:
+- input (DOM element): input[data-hours-input]
+- hint (DOM element): Message under the input, linked with aria-describedby
+- delay (number): Pause after typing before the text is checked (ms)
+
+ALGORITHM / LOGIC:
+1. Create the hint after the input and link it to the input.
+2. check() on load and after each pause in typing:
+   a. Empty: hide the hint.
+   b. Parsed: show "Read as: ..." with StallHours.describe().
+   c. Not parsed: show a warning with example formats and mark the hint as a warning.
+3. mountAll(): create a HoursInput for every input marked with data-hours-input.
+
+NOTES:
+- The warning is advisory; the form's own validation is unchanged.
+- Styles live in the Hours Hint section of manage-stall.css.
+- Future enhancements may include a structured day-and-time picker.
+*/
+
+import { StallHours } from "./stall-hours.js";
+import { Utils } from "./utils.js";
+
+export class HoursInput {
+  constructor(input, options = {}) {
+    if (!input) return;
+
+    this.input = input;
+    this.delay = options.delay || 400;
+
+    this.init();
+  }
+
+  init() {
+    this.hint = document.createElement("p");
+    this.hint.className = "hours-hint";
+    this.hint.id = `${this.input.id || this.input.name}-hint`;
+    this.hint.setAttribute("aria-live", "polite");
+    this.hint.hidden = true;
+    this.input.after(this.hint);
+
+    const describedBy = this.input.getAttribute("aria-describedby");
+    this.input.setAttribute("aria-describedby", describedBy ? `${describedBy} ${this.hint.id}` : this.hint.id);
+
+    this.input.addEventListener("input", Utils.debounce(() => this.check(), this.delay));
+    this.input.addEventListener("change", () => this.check());
+    this.check();
+  }
+
+  check() {
+    const text = this.input.value.trim();
+    this.hint.classList.remove("hours-hint-warning");
+
+    if (!text) {
+      this.hint.hidden = true;
+      this.hint.textContent = "";
+      return;
+    }
+
+    const rules = StallHours.parse(text);
+    this.hint.hidden = false;
+
+    if (rules) {
+      this.hint.textContent = `Read as: ${StallHours.describe(rules).join("; ")}`;
+      return;
+    }
+
+    this.hint.classList.add("hours-hint-warning");
+    this.hint.textContent =
+      "We couldn't read these hours, so your stall won't show whether it's open. " +
+      'Try a format like "5PM-12AM", "Mon-Sat 9am-9pm" or "Fri-Sun 6pm to 1am".';
+  }
+
+  /**
+   * Create a HoursInput for every input marked with data-hours-input
+   * @param {Document|HTMLElement} root
+   * @returns {HoursInput[]}
+   */
+  static mountAll(root = document) {
+    return Array.from(root.querySelectorAll("input[data-hours-input]")).map((input) => new HoursInput(input));
+  }
+}
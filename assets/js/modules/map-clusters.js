@@ -0,0 +1,239 @@
+/*
+PROGRAM NAME: Map Clusters Module (map-clusters.js)
+
+PROGRAMMER: Frontend Team
+
+SYSTEM CONTEXT:
+This module is part of the BuzzarFeed platform and groups crowded pins on the map of map.php. It works on the stage
+built by MapViewport (map-viewport.js): pins that would overlap on screen at the current zoom are hidden behind a
+count bubble, and the bubbles are rebuilt whenever the map is zoomed, panned or resized.
+
+DATE CREATED: October 19, 2026
+LAST MODIFIED: October 19, 2026
+
+PURPOSE:
+The purpose of this program is to keep every stall on a crowded aisle reachable:
+- Replace pins that are close together on screen with one bubble showing how many there are
+- Zoom in on a bubble's stalls when it is clicked
+- Fan the pins out around the bubble (spiderfy) when zooming in would not separate them
+
+DATA STRUCTURES:
+- viewport (MapViewport): Supplies the zoom and the on-screen position of map points
+- pins (DOM element[]): The map's pins; positions are the percentages in their style
+- radius (number): On-screen distance in pixels under which pins are grouped
+- clusters (object[]): { members, left, top } per bubble; members hold each pin with its
+  map (left, top) and screen (x, y) position; the cluster's left and top are percent of the map
+- bubbles (DOM element[]): button.map-cluster elements in the stage
+- spider (object|null): The cluster whose pins are fanned out
+
+ALGORITHM / LOGIC:
+1. cluster(), after every viewport change:
+   a. Find each visible pin's position on screen.
+   b. Take the pins in order; each pin not yet grouped collects the ungrouped pins within
+      radius of it. Groups of two or more become a cluster at their average position.
+   c. When the groups changed, hide clustered pins and draw a bubble for each cluster.
+2. Clicking a bubble:
+   a. Find the zoom at which its closest two pins are radius apart.
+   b. Within maxScale: animate to that zoom (at least one zoom step) centred on the cluster.
+   c. Beyond it: spiderfy, showing its pins on a circle around the bubble's position.
+3. A viewport change or a click elsewhere on the map closes the fan and clusters again.
+
+NOTES:
+- Bubbles keep their on-screen size like pins (see the Map Clusters section of map.css).
+- Fanned pins are offset with --spider-x and --spider-y (screen pixels); MapTooltip adds the
+  same offset when placing the tooltip.
+- Hidden pins are left out; call cluster() after hiding or showing pins.
+- A focused bubble passes the focus to its stalls (their new bubble or first pin) when it is
+  redrawn or fanned out, so keyboard users are not sent back to the top of the page.
+- Future enhancements may include drawing legs from fanned pins to their true position.
+*/
+
+export class MapClusters {
+  constructor(viewport, options = {}) {
+    if (!viewport || !viewport.stage) return;
+
+    this.viewport = viewport;
+    this.stage = viewport.stage;
+    this.radius = options.radius || 36;
+    this.spiderRadius = options.spiderRadius || 48;
+    this.pins = Array.from(this.stage.querySelectorAll(".map-pin"));
+    this.clusters = [];
+    this.bubbles = [];
+    this.spider = null;
+    this.key = "";
+
+    this.init();
+  }
+
+  init() {
+    this.viewport.subscribe(() => {
+      if (this.spider) this.closeSpider();
+      this.cluster();
+    });
+
+    this.stage.addEventListener("click", (e) => {
+      const bubble = e.target.closest(".map-cluster");
+      if (bubble) {
+        e.preventDefault();
+        this.open(this.clusters[Number(bubble.dataset.cluster)]);
+      } else if (this.spider && !e.target.closest(".map-pin")) {
+        this.closeSpider();
+        this.cluster();
+      }
+    });
+
+    this.cluster();
+  }
+
+  /**
+   * Group the pins that overlap at the current zoom and draw a bubble per group
+   */
+  cluster() {
+    const positions = this.pins
+      .filter((pin) => !pin.hidden)
+      .map((pin) => {
+        const left = parseFloat(pin.style.left) || 0;
+        const top = parseFloat(pin.style.top) || 0;
+        return { pin, left, top, ...this.viewport.toViewport(left, top) };
+      });
+
+    const grouped = new Set();
+    const clusters = [];
+
+    positions.forEach((seed) => {
+      if (grouped.has(seed.pin)) return;
+      const members = positions.filter(
+        (other) => !grouped.has(other.pin) && Math.hypot(other.x - seed.x, other.y - seed.y) < this.radius
+      );
+      if (members.length < 2) return;
+
+      members.forEach((member) => grouped.add(member.pin));
+      clusters.push({
+        members,
+        left: members.reduce((sum, member) => sum + member.left, 0) / members.length,
+        top: members.reduce((sum, member) => sum + member.top, 0) / members.length,
+      });
+    });
+
+    // Members' screen positions change with every frame; the bubbles only when the groups do
+    const focused = this.clusters[this.bubbles.indexOf(document.activeElement)];
+    this.clusters = clusters;
+    const key = clusters
+      .map((cluster) => cluster.members.map((member) => this.pins.indexOf(member.pin)).join(","))
+      .join("|");
+    if (key === this.key) return;
+    this.key = key;
+
+    this.pins.forEach((pin) => pin.classList.toggle("is-clustered", grouped.has(pin)));
+    this.render();
+
+    // Keep the keyboard focus on the stalls of a bubble that was redrawn
+    if (focused) {
+      const pin = focused.members[0].pin;
+      (this.bubbleOf(pin) || pin).focus({ preventScroll: true });
+    }
+  }
+
+  render() {
+    this.bubbles.forEach((bubble) => bubble.remove());
+    this.bubbles = this.clusters.map((cluster, index) => {
+      const count = cluster.members.length;
+      const bubble = document.createElement("button");
+      bubble.type = "button";
+      bubble.className = "map-cluster";
+      bubble.dataset.cluster = String(index);
+      bubble.style.left = `${cluster.left}%`;
+      bubble.style.top = `${cluster.top}%`;
+      bubble.textContent = String(count);
+      bubble.setAttribute(
+        "aria-label",
+        `${count} stalls: ${cluster.members.map((member) => member.pin.dataset.stallName).join(", ")}`
+      );
+      this.stage.appendChild(bubble);
+      return bubble;
+    });
+  }
+
+  /**
+   * The bubble a pin is grouped into
+   * @param {HTMLElement} pin
+   * @returns {HTMLElement|null}
+   */
+  bubbleOf(pin) {
+    const index = this.clusters.indexOf(this.clusterOf(pin));
+    return index === -1 ? null : this.bubbles[index];
+  }
+
+  /**
+   * The cluster a pin is grouped into
+   * @param {HTMLElement} pin
+   * @returns {object|null}
+   */
+  clusterOf(pin) {
+    return this.clusters.find((cluster) => cluster.members.some((member) => member.pin === pin)) || null;
+  }
+
+  /**
+   * Zoom in on a cluster, or fan it out when zooming would not separate its pins
+   * @param {object} cluster
+   */
+  open(cluster) {
+    if (!cluster) return;
+
+    // Distance between the closest two pins at the current zoom
+    let closest = Infinity;
+    cluster.members.forEach((a, i) => {
+      cluster.members.slice(i + 1).forEach((b) => {
+        closest = Math.min(closest, Math.hypot(a.x - b.x, a.y - b.y));
+      });
+    });
+
+    const needed = closest > 0 ? (this.viewport.scale * this.radius * 1.1) / closest : Infinity;
+    if (needed > this.viewport.maxScale) {
+      this.spiderfy(cluster);
+      return;
+    }
+
+    this.viewport.focus(cluster.left, cluster.top, Math.max(needed, this.viewport.scale * this.viewport.step));
+  }
+
+  // Show a cluster's pins on a circle around its position
+  spiderfy(cluster) {
+    this.closeSpider();
+    this.spider = cluster;
+
+    const bubble = this.bubbles[this.clusters.indexOf(cluster)];
+    const hadFocus = Boolean(bubble) && bubble === document.activeElement;
+    if (bubble) bubble.hidden = true;
+
+    const count = cluster.members.length;
+    const radius = Math.max(this.spiderRadius, (count * 34) / (2 * Math.PI));
+    const center = this.viewport.toViewport(cluster.left, cluster.top);
+
+    cluster.members.forEach((member, index) => {
+      const angle = (2 * Math.PI * index) / count - Math.PI / 2;
+      // Offsets are from the pin's own position to its place on the circle
+      const x = center.x + radius * Math.cos(angle) - member.x;
+      const y = center.y + radius * Math.sin(angle) - member.y;
+      member.pin.classList.remove("is-clustered");
+      member.pin.classList.add("is-spidered");
+      member.pin.style.setProperty("--spider-x", `${x}px`);
+      member.pin.style.setProperty("--spider-y", `${y}px`);
+    });
+
+    if (hadFocus) cluster.members[0].pin.focus({ preventScroll: true });
+  }
+
+  closeSpider() {
+    if (!this.spider) return;
+
+    this.spider.members.forEach((member) => {
+      member.pin.classList.remove("is-spidered");
+      member.pin.style.removeProperty("--spider-x");
+      member.pin.style.removeProperty("--spider-y");
+    });
+    this.spider = null;
+    // Redraw on the next cluster() so the fanned pins are grouped again
+    this.key = "";
+  }
+}
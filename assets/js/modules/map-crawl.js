@@ -0,0 +1,557 @@
+/*
+PROGRAM NAME: Map Crawl Module (map-crawl.js)
+
+PROGRAMMER: Frontend Team
+
+SYSTEM CONTEXT:
+This module is part of the BuzzarFeed platform and adds the food-crawl planner to the map of map.php. It fills the
+empty panel ([data-crawl-panel]) that sections/map/MapSection.php renders below the map, draws the route on the stage
+built by MapViewport (map-viewport.js) and leaves the ordering to CrawlRoute (crawl-route.js).
+
+DATE CREATED: October 19, 2026
+LAST MODIFIED: October 19, 2026
+
+PURPOSE:
+The purpose of this program is to help a group plan a walk through the stalls they want to try:
+- Pick stops by tapping pins while planning, or add every saved stall at once
+- Order the stops into a short walk, starting at the bazaar entrance or at the first stop
+- Draw the walk on the map as a line with numbered stops
+- List the stops in order with a checkbox to tick each one off along the way
+- Share the crawl as a link that opens the same route
+
+DATA STRUCTURES:
+- container (DOM element): #mapContainer; data-entrance holds the entrance as "left,top" percent
+- viewport (MapViewport): Supplies the stage and the map's size
+- panel (DOM element): [data-crawl-panel], filled by build()
+- pins (DOM element[]): The map's pins; data-stall-id and data-stall-name identify each stall
+- stops (string[]): Stall IDs in walking order
+- done (Set<string>): Stops ticked off
+- planning (boolean): Whether tapping a pin adds or removes it instead of opening its popover
+- fromEntrance (boolean): Whether the walk starts at the entrance
+- line (SVG element), markers (DOM element[]): The route and its numbered stops on the stage
+- favorites (Favorites|null): Saved stalls, set with useFavorites()
+
+ALGORITHM / LOGIC:
+1. Build the panel and the route overlay; open a crawl shared in the URL (?crawl=3,8,5, with
+   &start=entrance when it starts there) in its shared order.
+2. While planning, a click on a pin (tap, click, Enter or Space) is caught before it reaches
+   the pin: the stall is added or removed and the tooltip stays closed. A click ending a drag
+   of the map is left alone.
+3. plan():
+   a. Keep the stops already ticked off first, in their order.
+   b. Order the rest with CrawlRoute.plan(), starting from the last stop ticked off, else the
+      entrance when chosen. Positions are measured in map pixels, so the map's shape does
+      not bend distances.
+4. render(): redraw the line and numbers on the map, the list, the summary and the share link.
+5. Share: use the device's share sheet when there is one, otherwise copy the link, otherwise
+   select it for the user to copy.
+
+NOTES:
+- The route is kept on the stage in percent, so it follows the map as it is zoomed and panned;
+  numbers keep their on-screen size like pins (see the Crawl Planner section of map.css).
+- The page URL is left alone: the filters own it, and a crawl is shared through its link.
+- Stops hidden by the filters or grouped into clusters stay on the route.
+- Future enhancements may include estimated walking times between stops.
+*/
+
+import { CrawlRoute } from "./crawl-route.js";
+
+export class MapCrawl {
+  constructor(container, viewport, options = {}) {
+    this.panel = document.querySelector("[data-crawl-panel]");
+    if (!container || !viewport || !viewport.stage || !this.panel) return;
+
+    this.container = container;
+    this.viewport = viewport;
+    this.tooltip = options.tooltip || null;
+    this.favorites = null;
+    this.pins = Array.from(container.querySelectorAll(".map-pin[data-stall-id]"));
+    this.entrance = MapCrawl.parsePoint(container.dataset.entrance);
+    this.stops = [];
+    this.done = new Set();
+    this.planning = false;
+    this.fromEntrance = Boolean(this.entrance);
+    this.markers = [];
+
+    this.init();
+  }
+
+  init() {
+    this.build();
+    this.buildOverlay();
+
+    // Capture, so a pin picked while planning does not also open its popover
+    this.container.addEventListener(
+      "click",
+      (e) => {
+        const pin = this.planning && !e.defaultPrevented ? e.target.closest(".map-pin[data-stall-id]") : null;
+        if (!pin) return;
+        e.stopPropagation();
+        this.toggleStop(pin.dataset.stallId);
+      },
+      true
+    );
+
+    this.readUrl(window.location.search);
+    this.panel.hidden = false;
+    this.render();
+  }
+
+  build() {
+    const header = document.createElement("div");
+    header.className = "crawl-header";
+
+    const title = document.createElement("h3");
+    title.className = "crawl-title";
+    const titleIcon = document.createElement("i");
+    titleIcon.className = "fas fa-route";
+    titleIcon.setAttribute("aria-hidden", "true");
+    title.append(titleIcon, " Food crawl");
+
+    this.toggleButton = document.createElement("button");
+    this.toggleButton.type = "button";
+    this.toggleButton.className = "crawl-toggle";
+    this.toggleButton.setAttribute("aria-pressed", "false");
+    this.toggleButton.addEventListener("click", () => this.setPlanning(!this.planning));
+
+    header.append(title, this.toggleButton);
+
+    this.hint = document.createElement("p");
+    this.hint.className = "crawl-hint";
+
+    const options = document.createElement("div");
+    options.className = "crawl-options";
+
+    this.favoritesButton = document.createElement("button");
+    this.favoritesButton.type = "button";
+    this.favoritesButton.className = "crawl-btn";
+    this.favoritesButton.hidden = true;
+    const heart = document.createElement("i");
+    heart.className = "fas fa-heart";
+    heart.setAttribute("aria-hidden", "true");
+    this.favoritesButton.append(heart, " Add saved stalls");
+    this.favoritesButton.addEventListener("click", () => this.addFavorites());
+    options.appendChild(this.favoritesButton);
+
+    if (this.entrance) {
+      const label = document.createElement("label");
+      label.className = "crawl-entrance-option";
+      this.entranceInput = document.createElement("input");
+      this.entranceInput.type = "checkbox";
+      this.entranceInput.addEventListener("change", () => {
+        this.fromEntrance = this.entranceInput.checked;
+        this.plan();
+        this.render();
+      });
+      label.append(this.entranceInput, " Start at the entrance");
+      options.appendChild(label);
+    }
+
+    this.list = document.createElement("ol");
+    this.list.className = "crawl-list";
+    this.list.setAttribute("aria-label", "Crawl stops in walking order");
+
+    this.summary = document.createElement("p");
+    this.summary.className = "crawl-summary";
+
+    this.share = document.createElement("div");
+    this.share.className = "crawl-share";
+
+    this.linkInput = document.createElement("input");
+    this.linkInput.type = "text";
+    this.linkInput.readOnly = true;
+    this.linkInput.className = "crawl-link";
+    this.linkInput.setAttribute("aria-label", "Link to this crawl");
+    this.linkInput.addEventListener("focus", () => this.linkInput.select());
+
+    const shareButton = document.createElement("button");
+    shareButton.type = "button";
+    shareButton.className = "crawl-btn crawl-btn-primary";
+    const shareIcon = document.createElement("i");
+    shareIcon.className = navigator.share ? "fas fa-share-alt" : "fas fa-link";
+    shareIcon.setAttribute("aria-hidden", "true");
+    shareButton.append(shareIcon, navigator.share ? " Share" : " Copy link");
+    shareButton.addEventListener("click", () => this.shareLink());
+
+    const clearButton = document.createElement("button");
+    clearButton.type = "button";
+    clearButton.className = "crawl-btn";
+    clearButton.textContent = "Clear";
+    clearButton.addEventListener("click", () => this.clear());
+
+    this.share.append(this.linkInput, shareButton, clearButton);
+
+    this.status = document.createElement("p");
+    this.status.className = "sr-only";
+    this.status.setAttribute("role", "status");
+
+    this.panel.replaceChildren(header, this.hint, options, this.list, this.summary, this.share, this.status);
+  }
+
+  // The route line and its numbered stops, on the stage so they follow the map
+  buildOverlay() {
+    const svg = document.createElementNS(MapCrawl.SVG_NS, "svg");
+    svg.setAttribute("class", "crawl-route");
+    svg.setAttribute("viewBox", "0 0 100 100");
+    svg.setAttribute("preserveAspectRatio", "none");
+    svg.setAttribute("aria-hidden", "true");
+
+    this.line = document.createElementNS(MapCrawl.SVG_NS, "polyline");
+    this.line.setAttribute("class", "crawl-line");
+    this.line.setAttribute("vector-effect", "non-scaling-stroke");
+    svg.appendChild(this.line);
+
+    this.svg = svg;
+    this.viewport.stage.appendChild(svg);
+  }
+
+  /**
+   * Let the planner add the visitor's saved stalls
+   * @param {Favorites} favorites
+   */
+  useFavorites(favorites) {
+    if (!favorites || !this.favoritesButton) return;
+
+    this.favorites = favorites;
+    favorites.subscribe(() => this.renderFavorites());
+    favorites.ready.then(() => this.renderFavorites()).catch(() => {});
+    this.renderFavorites();
+  }
+
+  /**
+   * Switch between planning (pins add and remove stops) and the normal map
+   * @param {boolean} planning
+   */
+  setPlanning(planning) {
+    this.planning = planning;
+    this.container.classList.toggle("is-planning-crawl", planning);
+
+    if (planning && this.tooltip && this.tooltip.pinned) this.tooltip.hide();
+
+    this.pins.forEach((pin) => {
+      if (planning) {
+        pin.setAttribute("aria-pressed", this.stops.includes(pin.dataset.stallId) ? "true" : "false");
+      } else {
+        pin.removeAttribute("aria-pressed");
+      }
+    });
+
+    this.status.textContent = planning
+      ? "Planning a crawl: choose pins to add or remove stops"
+      : "Finished planning";
+    this.render();
+  }
+
+  /**
+   * Add a stall to the crawl, or remove it when it is already a stop
+   * @param {string} stallId
+   */
+  toggleStop(stallId) {
+    const id = String(stallId);
+    const name = this.nameOf(id);
+
+    if (this.stops.includes(id)) {
+      this.removeStop(id);
+      return;
+    }
+
+    this.stops.push(id);
+    this.plan();
+    this.render();
+    this.status.textContent = `Added ${name} as stop ${this.stops.indexOf(id) + 1} of ${this.stops.length}`;
+  }
+
+  removeStop(stallId) {
+    this.stops = this.stops.filter((id) => id !== stallId);
+    this.done.delete(stallId);
+    this.plan();
+    this.render();
+    this.status.textContent = `Removed ${this.nameOf(stallId)}`;
+  }
+
+  addFavorites() {
+    if (!this.favorites) return;
+
+    const added = this.savedOnMap().filter((id) => !this.stops.includes(id));
+    if (added.length === 0) return;
+
+    this.stops.push(...added);
+    this.plan();
+    this.render();
+    this.status.textContent = added.length === 1 ? "Added 1 saved stall" : `Added ${added.length} saved stalls`;
+  }
+
+  clear() {
+    this.stops = [];
+    this.done.clear();
+    this.render();
+    this.status.textContent = "Crawl cleared";
+  }
+
+  /**
+   * Order the stops into a short walk; stops already ticked off keep their place
+   */
+  plan() {
+    const done = this.stops.filter((id) => this.done.has(id));
+    const rest = this.stops.filter((id) => !this.done.has(id));
+    const points = rest.map((id) => this.pointOf(id));
+
+    let start = this.fromEntrance && this.entrance ? this.toPixels(this.entrance) : null;
+    if (done.length > 0) start = this.pointOf(done[done.length - 1]);
+
+    this.stops = [...done, ...CrawlRoute.plan(points, start).map((index) => rest[index])];
+  }
+
+  render() {
+    const count = this.stops.length;
+
+    this.toggleButton.setAttribute("aria-pressed", this.planning ? "true" : "false");
+    this.toggleButton.textContent = this.planning ? "Done" : count > 0 ? "Edit my crawl" : "Plan my crawl";
+
+    if (this.planning) {
+      this.hint.textContent = "Tap pins on the map to add or remove stops. We'll put them in a short walking order.";
+    } else if (count > 0) {
+      this.hint.textContent = "Follow the numbers on the map and tick off each stop as you go.";
+    } else {
+      this.hint.textContent = "Going with friends? Pick the stalls you want to try and get a walking order.";
+    }
+
+    if (this.entranceInput) this.entranceInput.checked = this.fromEntrance;
+
+    this.pins.forEach((pin) => {
+      const stop = this.stops.includes(pin.dataset.stallId);
+      pin.classList.toggle("is-crawl-stop", stop);
+      if (this.planning) pin.setAttribute("aria-pressed", stop ? "true" : "false");
+    });
+
+    this.renderRoute();
+    this.renderList();
+    this.renderFavorites();
+
+    this.renderSummary();
+    this.summary.hidden = count === 0;
+    this.list.hidden = count === 0;
+    this.share.hidden = count === 0;
+    this.linkInput.value = count > 0 ? this.shareUrl() : "";
+  }
+
+  renderRoute() {
+    const start = this.fromEntrance && this.entrance && this.stops.length > 0 ? this.entrance : null;
+    const points = [...(start ? [start] : []), ...this.stops.map((id) => this.positionOf(id))];
+    this.line.setAttribute("points", points.map((point) => `${point.left},${point.top}`).join(" "));
+
+    this.markers.forEach((marker) => marker.remove());
+    this.markers = this.stops.map((id, index) => {
+      const position = this.positionOf(id);
+      const marker = this.createMarker("crawl-stop", position);
+      marker.textContent = String(index + 1);
+      marker.classList.toggle("is-done", this.done.has(id));
+      return marker;
+    });
+
+    if (start) {
+      const marker = this.createMarker("crawl-stop crawl-entrance", start);
+      const icon = document.createElement("i");
+      icon.className = "fas fa-door-open";
+      marker.appendChild(icon);
+      this.markers.push(marker);
+    }
+  }
+
+  createMarker(className, position) {
+    const marker = document.createElement("span");
+    marker.className = className;
+    marker.style.left = `${position.left}%`;
+    marker.style.top = `${position.top}%`;
+    marker.setAttribute("aria-hidden", "true");
+    this.viewport.stage.appendChild(marker);
+    return marker;
+  }
+
+  renderList() {
+    this.list.replaceChildren(
+      ...this.stops.map((id, index) => {
+        const name = this.nameOf(id);
+        const done = this.done.has(id);
+
+        const item = document.createElement("li");
+        item.className = "crawl-item";
+        item.classList.toggle("is-done", done);
+        item.dataset.stallId = id;
+
+        const label = document.createElement("label");
+        label.className = "crawl-check";
+
+        const checkbox = document.createElement("input");
+        checkbox.type = "checkbox";
+        checkbox.checked = done;
+        checkbox.addEventListener("change", () => this.markDone(id, checkbox.checked));
+
+        const number = document.createElement("span");
+        number.className = "crawl-number";
+        number.textContent = String(index + 1);
+        number.setAttribute("aria-hidden", "true");
+
+        const nameEl = document.createElement("span");
+        nameEl.className = "crawl-name";
+        nameEl.textContent = name;
+
+        label.append(checkbox, number, nameEl);
+
+        const view = document.createElement("a");
+        view.className = "crawl-view";
+        view.href = `stall-detail.php?id=${encodeURIComponent(id)}`;
+        view.textContent = "View";
+        view.setAttribute("aria-label", `View ${name}`);
+
+        const remove = document.createElement("button");
+        remove.type = "button";
+        remove.className = "crawl-remove";
+        remove.setAttribute("aria-label", `Remove ${name} from the crawl`);
+        const removeIcon = document.createElement("i");
+        removeIcon.className = "fas fa-times";
+        removeIcon.setAttribute("aria-hidden", "true");
+        remove.appendChild(removeIcon);
+        remove.addEventListener("click", () => {
+          // Keep the focus in the list once this item is gone
+          const next = item.nextElementSibling || item.previousElementSibling;
+          const nextId = next ? next.dataset.stallId : null;
+          this.removeStop(id);
+          const target = nextId ? this.list.querySelector(`[data-stall-id="${nextId}"] .crawl-remove`) : null;
+          (target || this.toggleButton).focus();
+        });
+
+        item.append(label, view, remove);
+        return item;
+      })
+    );
+  }
+
+  renderFavorites() {
+    if (!this.favorites) return;
+
+    const saved = this.savedOnMap();
+    this.favoritesButton.hidden = false;
+    this.favoritesButton.disabled = saved.length === 0 || saved.every((id) => this.stops.includes(id));
+    this.favoritesButton.title = saved.length === 0 ? "Save stalls with the heart to add them here" : "";
+  }
+
+  markDone(stallId, done) {
+    if (done) {
+      this.done.add(stallId);
+    } else {
+      this.done.delete(stallId);
+    }
+
+    const item = this.list.querySelector(`[data-stall-id="${stallId}"]`);
+    if (item) item.classList.toggle("is-done", done);
+    const marker = this.markers[this.stops.indexOf(stallId)];
+    if (marker) marker.classList.toggle("is-done", done);
+
+    this.renderSummary();
+    if (done && this.done.size === this.stops.length) this.status.textContent = "Crawl complete!";
+  }
+
+  renderSummary() {
+    const count = this.stops.length;
+    const stops = count === 1 ? "1 stop" : `${count} stops`;
+    this.summary.textContent = this.done.size > 0 ? `${stops}, ${count - this.done.size} to go` : stops;
+  }
+
+  async shareLink() {
+    const url = this.shareUrl();
+
+    if (navigator.share) {
+      try {
+        await navigator.share({ title: "Our BuzzarFeed food crawl", url });
+      } catch (error) {
+        // Closing the share sheet is not an error
+      }
+      return;
+    }
+
+    try {
+      await navigator.clipboard.writeText(url);
+      this.status.textContent = "Link copied";
+    } catch (error) {
+      this.linkInput.focus();
+      this.linkInput.select();
+      this.status.textContent = "Copy the selected link to share your crawl";
+    }
+  }
+
+  /**
+   * Link that opens this crawl on the map page
+   * @returns {string}
+   */
+  shareUrl() {
+    const params = new URLSearchParams();
+    params.set("crawl", this.stops.join(","));
+    if (this.entrance && this.fromEntrance) params.set("start", "entrance");
+
+    const url = new URL(window.location.pathname, window.location.href);
+    url.search = params.toString().replace(/%2C/g, ",");
+    url.hash = "map-view";
+    return url.toString();
+  }
+
+  // Open a crawl shared in the URL, keeping the shared order so everyone sees the same numbers
+  readUrl(search) {
+    const params = new URLSearchParams(search);
+    const ids = (params.get("crawl") || "")
+      .split(",")
+      .map((id) => id.trim())
+      .filter((id, index, all) => id && all.indexOf(id) === index && this.pinOf(id));
+    if (ids.length === 0) return;
+
+    this.stops = ids;
+    this.fromEntrance = Boolean(this.entrance) && params.get("start") === "entrance";
+  }
+
+  savedOnMap() {
+    if (!this.favorites) return [];
+    return Array.from(this.favorites.ids)
+      .map(String)
+      .filter((id) => this.pinOf(id));
+  }
+
+  pinOf(stallId) {
+    return this.pins.find((pin) => pin.dataset.stallId === stallId) || null;
+  }
+
+  nameOf(stallId) {
+    const pin = this.pinOf(stallId);
+    return pin ? pin.dataset.stallName : "Stall";
+  }
+
+  // Pin position in percent of the map
+  positionOf(stallId) {
+    const pin = this.pinOf(stallId);
+    return { left: parseFloat(pin.style.left) || 0, top: parseFloat(pin.style.top) || 0 };
+  }
+
+  pointOf(stallId) {
+    return this.toPixels(this.positionOf(stallId));
+  }
+
+  // Percent of the map to map pixels, so distances across and down the map compare fairly
+  toPixels({ left, top }) {
+    const { width, height } = this.viewport.size();
+    if (!width || !height) return { x: left, y: top };
+    return { x: (left * width) / 100, y: (top * height) / 100 };
+  }
+
+  /**
+   * Parse a "left,top" percent pair
+   * @param {string} value
+   * @returns {{left: number, top: number}|null}
+   */
+  static parsePoint(value) {
+    const [left, top] = String(value || "")
+      .split(",")
+      .map((part) => parseFloat(part));
+    return Number.isFinite(left) && Number.isFinite(top) ? { left, top } : null;
+  }
+}
+
+MapCrawl.SVG_NS = "http://www.w3.org/2000/svg";
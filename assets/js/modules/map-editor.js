@@ -0,0 +1,738 @@
+/*
+PROGRAM NAME: Map Editor Module (map-editor.js)
+
+PROGRAMMER: Frontend Team
+
+SYSTEM CONTEXT:
+This module is part of the BuzzarFeed platform and is the map layout editor in the Map Layout tab of admin-panel.php.
+Admins correct misplaced stall pins and draw the bazaar's named zones and walkable paths over maps.png. The map zooms
+and pans with MapViewport (map-viewport.js) and is drawn with MapZones.render() (map-zones.js), the same overlay
+visitors can show on map.php. Changes are saved through the API client (saveMapLayout, PUT /api/admin/map-layout).
+
+DATE CREATED: October 19, 2026
+LAST MODIFIED: October 19, 2026
+
+PURPOSE:
+The purpose of this program is to let admins keep the map true to the bazaar without editing stalls one by one:
+- Drag any stall's pin, or nudge it with the arrow keys, while its saved spot stays marked
+- Draw zones (e.g. "Dessert Row") as polygons and walkable paths as lines, point by point
+- Rename, show and delete zones and paths
+- Preview every change on the map and in a list, then save them all at once or discard them
+
+DATA STRUCTURES:
+- container (DOM element): div[data-map-editor]; data-map-editor-layout is the id of the script element holding the
+  saved layout as JSON
+- map (DOM element): .map-editor-map, the image and pins; wrapped by the viewport
+- panel (DOM element): [data-map-editor-panel], filled by build()
+- pins (object[]): { element, ghost, id, name, position, saved } per stall; positions are { x, y }. Pins
+  without a valid stall ID are disabled and left out
+- zones, paths (object[]): The edited layout, [{ id, name, points: [{ x, y }] }]
+- saved (object): { zones, paths } as last saved
+- mode (string): "move" (drag pins), "zone" or "path" (clicks add points)
+- draft (object[]): Points of the zone or path being drawn
+- selected (object|null): { kind, id } of the feature highlighted from the lists
+- drag (object|null): The pointer dragging a pin and where the drag started
+- saving (boolean): Whether a save is in flight
+
+ALGORITHM / LOGIC:
+1. Read the saved layout and the pins; wrap the map in a MapViewport, add the overlay on its stage
+   and "Add a point in the middle of the view" to its controls; build the panel.
+2. Move mode: drag a pin to move it (clamped to the map), or nudge a focused pin with the arrow
+   keys (Shift for bigger steps). A moved pin keeps a faded marker at its saved spot.
+3. Zone and path modes: a click on the map adds a point under the pointer (or in the middle of
+   the view with the control). Enter, Finish or a click on a zone's first point ends the shape
+   once it has enough points; Backspace removes the last point; Escape or Cancel drops it. A
+   finished shape gets the next free ID (zone-1, path-1, ...) and its name field is focused.
+4. After every change, redraw the overlay, the lists and the unsaved changes: zones and paths
+   are compared with the saved layout by ID (added, updated, deleted), pins by position.
+5. Save sends the zones, paths and moved pins; on success the response becomes the saved layout.
+   Errors are shown in a toast and the changes are kept.
+6. Leaving the page with unsaved changes asks for confirmation.
+
+NOTES:
+- Coordinates follow the map picker's contract: percent (0-100, two decimals) of the map image from
+  its top-left corner (see map-picker.js and MapLayoutService).
+- The server logs each change in admin_logs (MapLayoutService::saveLayout()); the list of unsaved
+  changes uses the same wording.
+- Styles live in the MAP ZONES section of styles.css and the Map Editor section of admin-panel.css.
+- Future enhancements may include dragging the corners of a drawn zone.
+*/
+
+import { MapViewport } from "./map-viewport.js";
+import { MapPicker } from "./map-picker.js";
+import { MapZones } from "./map-zones.js";
+import { Utils } from "./utils.js";
+
+export class MapEditor {
+  constructor(container, api) {
+    this.map = container ? container.querySelector(".map-editor-map") : null;
+    this.panel = container ? container.querySelector("[data-map-editor-panel]") : null;
+    if (!this.map || !this.panel || !api) return;
+
+    this.container = container;
+    this.api = api;
+
+    const layout = MapEditor.readLayout(document.getElementById(container.dataset.mapEditorLayout));
+    this.saved = MapEditor.copy(layout);
+    this.zones = MapEditor.copy(layout.zones);
+    this.paths = MapEditor.copy(layout.paths);
+    this.pins = [];
+    this.map.querySelectorAll(".map-editor-pin").forEach((element) => {
+      // A pin the server would reject on save is shown but cannot be moved
+      const id = Number(element.dataset.stallId);
+      if (!Number.isInteger(id) || id <= 0) {
+        element.disabled = true;
+        return;
+      }
+
+      const saved = { x: parseFloat(element.style.left) || 0, y: parseFloat(element.style.top) || 0 };
+      this.pins.push({
+        element,
+        ghost: null,
+        id,
+        name: element.dataset.stallName || "a stall",
+        position: { ...saved },
+        saved,
+      });
+    });
+
+    this.mode = "move";
+    this.draft = [];
+    this.selected = null;
+    this.drag = null;
+    this.saving = false;
+
+    this.init();
+  }
+
+  init() {
+    this.viewport = new MapViewport(this.map, {
+      layers: ":scope > .map-image, :scope > .map-editor-pin",
+      ignore: ".map-editor-pin, .map-editor-vertex",
+    });
+
+    this.overlay = document.createElement("div");
+    this.overlay.className = "map-zones";
+    this.overlay.setAttribute("aria-hidden", "true");
+    this.viewport.stage.querySelector(".map-image").after(this.overlay);
+    this.vertices = [];
+
+    this.pointButton = this.viewport.createButton("fas fa-crosshairs", "Add a point in the middle of the view", () =>
+      this.addPoint(MapEditor.fromCentre(this.viewport.center()))
+    );
+    this.viewport.controls.appendChild(this.pointButton);
+
+    this.build();
+
+    this.map.tabIndex = -1;
+    this.map.addEventListener("click", (e) => this.handleClick(e));
+    this.container.addEventListener("keydown", (e) => this.handleKey(e));
+
+    this.pins.forEach((pin) => {
+      pin.element.addEventListener("keydown", (e) => this.handlePinKey(e, pin));
+      pin.element.addEventListener("pointerdown", (e) => this.handlePointerDown(e, pin));
+      pin.element.addEventListener("pointermove", (e) => this.handlePointerMove(e, pin));
+      pin.element.addEventListener("pointerup", (e) => this.handlePointerUp(e, pin));
+      pin.element.addEventListener("pointercancel", (e) => this.handlePointerUp(e, pin));
+    });
+
+    window.addEventListener("beforeunload", (e) => {
+      if (this.changes().length === 0) return;
+      e.preventDefault();
+      e.returnValue = "";
+    });
+
+    this.render();
+  }
+
+  build() {
+    this.modeButtons = [
+      ["move", "fas fa-arrows-alt", "Move pins"],
+      ["zone", "fas fa-draw-polygon", "Draw zone"],
+      ["path", "fas fa-route", "Draw path"],
+    ].map(([mode, icon, label]) => {
+      const button = MapEditor.button(icon, label, "map-editor-mode");
+      button.dataset.mode = mode;
+      button.addEventListener("click", () => this.setMode(mode));
+      return button;
+    });
+
+    const modes = document.createElement("div");
+    modes.className = "map-editor-modes";
+    modes.setAttribute("role", "group");
+    modes.setAttribute("aria-label", "Editing mode");
+    modes.append(...this.modeButtons);
+
+    this.hint = document.createElement("p");
+    this.hint.className = "map-editor-hint";
+
+    this.draftBar = document.createElement("div");
+    this.draftBar.className = "map-editor-draft";
+    this.draftCount = document.createElement("span");
+    this.draftCount.className = "map-editor-draft-count";
+    this.finishButton = MapEditor.button("fas fa-check", "Finish", "map-editor-btn");
+    this.finishButton.addEventListener("click", () => this.finishDraft());
+    this.removePointButton = MapEditor.button("fas fa-undo", "Remove last point", "map-editor-btn");
+    this.removePointButton.addEventListener("click", () => this.removePoint());
+    this.cancelButton = MapEditor.button("fas fa-times", "Cancel", "map-editor-btn");
+    this.cancelButton.addEventListener("click", () => this.cancelDraft());
+    this.draftBar.append(this.draftCount, this.finishButton, this.removePointButton, this.cancelButton);
+
+    this.zoneList = document.createElement("ul");
+    this.zoneList.className = "map-editor-list";
+    this.pathList = document.createElement("ul");
+    this.pathList.className = "map-editor-list";
+
+    this.changeList = document.createElement("ul");
+    this.changeList.className = "map-editor-changes";
+    this.saveButton = MapEditor.button("fas fa-save", "Save layout", "map-editor-btn map-editor-save");
+    this.saveButton.addEventListener("click", () => this.save());
+    this.discardButton = MapEditor.button("fas fa-undo", "Discard changes", "map-editor-btn");
+    this.discardButton.addEventListener("click", () => this.discard());
+    const actions = document.createElement("div");
+    actions.className = "map-editor-actions";
+    actions.append(this.saveButton, this.discardButton);
+
+    this.status = document.createElement("p");
+    this.status.className = "sr-only";
+    this.status.setAttribute("role", "status");
+
+    this.panel.replaceChildren(
+      modes,
+      this.hint,
+      this.draftBar,
+      MapEditor.heading("Zones"),
+      this.zoneList,
+      MapEditor.heading("Paths"),
+      this.pathList,
+      MapEditor.heading("Unsaved changes"),
+      this.changeList,
+      actions,
+      this.status
+    );
+  }
+
+  /**
+   * Switch between moving pins and drawing a zone or path; an unfinished shape is dropped
+   * @param {string} mode - "move", "zone" or "path"
+   */
+  setMode(mode) {
+    this.mode = mode;
+    this.draft = [];
+    this.map.classList.toggle("is-drawing", mode !== "move");
+    this.render();
+    this.announce(
+      mode === "move" ? "Moving pins" : `Drawing a ${mode}: click the map to add points, then press Enter or Finish`
+    );
+  }
+
+  /**
+   * Add a point to the shape being drawn
+   * @param {{x: number, y: number}} point - Percent of the map image
+   */
+  addPoint(point) {
+    if (this.mode === "move") return;
+
+    this.draft.push(MapPicker.clamp(point));
+    this.renderShapes();
+    this.renderDraft();
+    this.announce(`Point ${this.draft.length} added`);
+  }
+
+  removePoint() {
+    this.draft.pop();
+    this.renderShapes();
+    this.renderDraft();
+  }
+
+  cancelDraft() {
+    this.draft = [];
+    this.renderShapes();
+    this.renderDraft();
+    this.announce(`${this.mode === "zone" ? "Zone" : "Path"} cancelled`);
+  }
+
+  /**
+   * End the shape being drawn, once it has enough points, and focus its name field
+   */
+  finishDraft() {
+    const kind = this.mode;
+    if (kind === "move" || this.draft.length < MapEditor.MIN_POINTS[kind]) return;
+
+    const list = kind === "zone" ? this.zones : this.paths;
+    const feature = { id: MapEditor.nextId(kind, list), name: "", points: this.draft };
+    list.push(feature);
+    this.draft = [];
+    this.selected = { kind, id: feature.id };
+    this.render();
+
+    const input = this.panel.querySelector(`[data-${kind}-id="${feature.id}"] .map-editor-name`);
+    if (input) input.focus();
+    this.announce(`${kind === "zone" ? "Zone" : "Path"} added. Give it a name.`);
+  }
+
+  /**
+   * Delete a zone or path
+   * @param {string} kind - "zone" or "path"
+   * @param {string} id
+   */
+  remove(kind, id) {
+    const list = kind === "zone" ? this.zones : this.paths;
+    const index = list.findIndex((feature) => feature.id === id);
+    if (index === -1) return;
+
+    const [feature] = list.splice(index, 1);
+    if (this.selected && this.selected.id === id && this.selected.kind === kind) this.selected = null;
+    this.render();
+    this.announce(`Deleted ${MapEditor.label(kind, feature)}`);
+  }
+
+  // Highlight a feature and bring it into view
+  select(kind, feature) {
+    this.selected = { kind, id: feature.id };
+    const { x, y } = MapZones.labelPoint(feature.points, kind === "zone");
+    this.viewport.focus(x, y, Math.max(this.viewport.scale, 2));
+    this.renderShapes();
+  }
+
+  movePin(pin, position) {
+    pin.position = MapPicker.clamp(position);
+    this.drawPin(pin);
+    this.renderChanges();
+  }
+
+  /**
+   * Save the layout and the moved pins
+   * @returns {Promise<void>}
+   */
+  async save() {
+    if (this.saving || this.changes().length === 0) return;
+
+    const unnamed = this.zones.find((zone) => zone.name.trim() === "");
+    if (unnamed) {
+      Utils.showToast("Name every zone before saving.", "error");
+      const input = this.panel.querySelector(`[data-zone-id="${unnamed.id}"] .map-editor-name`);
+      if (input) input.focus();
+      return;
+    }
+
+    const moved = this.movedPins();
+    const trim = (feature) => ({ ...feature, name: feature.name.trim() });
+    this.saving = true;
+    this.renderChanges();
+
+    try {
+      const response = await this.api.saveMapLayout({
+        zones: this.zones.map(trim),
+        paths: this.paths.map(trim),
+        pins: moved.map((pin) => ({ stall_id: pin.id, x: pin.position.x, y: pin.position.y })),
+      });
+
+      const layout = MapEditor.normalize(response.data || {});
+      this.saved = MapEditor.copy(layout);
+      this.zones = MapEditor.copy(layout.zones);
+      this.paths = MapEditor.copy(layout.paths);
+      moved.forEach((pin) => {
+        pin.saved = { ...pin.position };
+      });
+      Utils.showToast(response.message || "Map layout saved.", "success");
+    } catch (error) {
+      const errors = error && error.errors && typeof error.errors === "object" ? Object.values(error.errors) : [];
+      Utils.showToast(
+        errors[0] || (error && error.message) || "The layout could not be saved. Please try again.",
+        "error"
+      );
+    } finally {
+      this.saving = false;
+      this.render();
+    }
+  }
+
+  /**
+   * Go back to the saved layout and pins
+   */
+  discard() {
+    if (this.saving) return;
+
+    this.zones = MapEditor.copy(this.saved.zones);
+    this.paths = MapEditor.copy(this.saved.paths);
+    this.draft = [];
+    this.selected = null;
+    this.pins.forEach((pin) => {
+      pin.position = { ...pin.saved };
+    });
+    this.render();
+    this.announce("Changes discarded");
+  }
+
+  /**
+   * Unsaved changes, worded like their admin log entries
+   * @returns {string[]}
+   */
+  changes() {
+    const verbs = { add: "Added", update: "Updated", delete: "Deleted" };
+    const features = [
+      ...MapEditor.diff(this.saved.zones, this.zones).map(({ change, feature }) =>
+        `${verbs[change]} map zone: ${MapEditor.label("zone", feature)}`
+      ),
+      ...MapEditor.diff(this.saved.paths, this.paths).map(({ change, feature }) =>
+        `${verbs[change]} map path: ${MapEditor.label("path", feature)}`
+      ),
+    ];
+    return [...features, ...this.movedPins().map((pin) => `Moved map pin of stall: ${pin.name}`)];
+  }
+
+  movedPins() {
+    return this.pins.filter((pin) => pin.position.x !== pin.saved.x || pin.position.y !== pin.saved.y);
+  }
+
+  handleClick(e) {
+    if (this.mode === "move" || e.target.closest(".map-controls, .map-editor-pin")) return;
+
+    // A click on a zone's first point closes it
+    if (e.target.closest(".map-editor-vertex.is-first")) {
+      this.finishDraft();
+      return;
+    }
+
+    const point = this.fromPointer(e);
+    if (!point) return;
+
+    this.map.focus({ preventScroll: true });
+    this.addPoint(point);
+  }
+
+  handleKey(e) {
+    if (this.mode === "move" || e.target.closest("input, textarea")) return;
+
+    if (e.key === "Enter" && !e.target.closest("button")) {
+      e.preventDefault();
+      this.finishDraft();
+    } else if (e.key === "Escape" && this.draft.length > 0) {
+      e.preventDefault();
+      this.cancelDraft();
+    } else if (e.key === "Backspace" && this.draft.length > 0) {
+      e.preventDefault();
+      this.removePoint();
+    }
+  }
+
+  // Same steps as MapPicker.handleKey(): the same distance on screen along both axes, at any zoom
+  handlePinKey(e, pin) {
+    const directions = { ArrowLeft: [-1, 0], ArrowRight: [1, 0], ArrowUp: [0, -1], ArrowDown: [0, 1] };
+    const direction = directions[e.key];
+    if (!direction || this.mode !== "move" || e.altKey || e.ctrlKey || e.metaKey) return;
+
+    e.preventDefault();
+
+    const { width, height } = this.viewport.size();
+    const step = (MapPicker.NUDGE * (e.shiftKey ? MapPicker.SHIFT_FACTOR : 1)) / this.viewport.scale;
+    const aspect = width > 0 && height > 0 ? width / height : 1;
+
+    this.movePin(pin, {
+      x: pin.position.x + direction[0] * step,
+      y: pin.position.y + direction[1] * step * aspect,
+    });
+    this.announce(`${pin.name}: ${pin.position.x.toFixed(1)}% across, ${pin.position.y.toFixed(1)}% down`);
+  }
+
+  handlePointerDown(e, pin) {
+    if (e.button !== 0 || this.mode !== "move") return;
+
+    e.preventDefault();
+    this.drag = { pointerId: e.pointerId, x: e.clientX, y: e.clientY, moved: false };
+    if (pin.element.setPointerCapture) pin.element.setPointerCapture(e.pointerId);
+  }
+
+  handlePointerMove(e, pin) {
+    if (!this.drag || e.pointerId !== this.drag.pointerId) return;
+    if (!this.drag.moved && Math.hypot(e.clientX - this.drag.x, e.clientY - this.drag.y) < MapViewport.DRAG_THRESHOLD) {
+      return;
+    }
+
+    const point = this.fromPointer(e, { clamp: true });
+    if (!point) return;
+
+    this.drag.moved = true;
+    pin.element.classList.add("is-dragging");
+    this.movePin(pin, point);
+  }
+
+  handlePointerUp(e, pin) {
+    if (!this.drag || e.pointerId !== this.drag.pointerId) return;
+
+    const { moved } = this.drag;
+    this.drag = null;
+    pin.element.classList.remove("is-dragging");
+    if (moved) this.announce(`Moved ${pin.name}`);
+  }
+
+  // Point of the map under the pointer, or null outside it (unless clamped to its edges)
+  fromPointer(e, { clamp = false } = {}) {
+    const rect = this.viewport.stage.getBoundingClientRect();
+    if (!rect.width || !rect.height) return null;
+
+    const point = {
+      x: ((e.clientX - rect.left) * 100) / rect.width,
+      y: ((e.clientY - rect.top) * 100) / rect.height,
+    };
+    if (clamp) return MapPicker.clamp(point);
+    return point.x >= 0 && point.x <= 100 && point.y >= 0 && point.y <= 100 ? MapPicker.clamp(point) : null;
+  }
+
+  render() {
+    this.pins.forEach((pin) => this.drawPin(pin));
+    this.renderShapes();
+    this.renderDraft();
+    this.renderList(this.zoneList, "zone", this.zones);
+    this.renderList(this.pathList, "path", this.paths);
+    this.renderChanges();
+  }
+
+  // The saved layout's look, with the selected feature and the shape being drawn on top
+  renderShapes() {
+    MapZones.render(this.overlay, { zones: this.zones, paths: this.paths }, { unnamedZone: "Unnamed zone" });
+
+    if (this.selected) {
+      const key = this.selected.kind === "zone" ? "zone-id" : "path-id";
+      this.overlay
+        .querySelectorAll(`[data-${key}="${this.selected.id}"]`)
+        .forEach((element) => element.classList.add("is-selected"));
+    }
+
+    if (this.draft.length > 0) {
+      const line = document.createElementNS(MapZones.SVG_NS, this.mode === "zone" ? "polygon" : "polyline");
+      line.setAttribute("class", `map-editor-draft-shape map-editor-draft-${this.mode}`);
+      line.setAttribute("points", MapZones.pointsAttr(this.draft));
+      line.setAttribute("vector-effect", "non-scaling-stroke");
+      this.overlay.querySelector("svg").appendChild(line);
+    }
+
+    this.vertices.forEach((vertex) => vertex.remove());
+    this.vertices = this.draft.map((point, index) => {
+      const vertex = document.createElement("span");
+      vertex.className = "map-editor-vertex";
+      vertex.classList.toggle(
+        "is-first",
+        index === 0 && this.mode === "zone" && this.draft.length >= MapEditor.MIN_POINTS.zone
+      );
+      vertex.style.left = `${point.x}%`;
+      vertex.style.top = `${point.y}%`;
+      this.viewport.stage.appendChild(vertex);
+      return vertex;
+    });
+  }
+
+  renderDraft() {
+    const drawing = this.mode !== "move";
+    const min = MapEditor.MIN_POINTS[this.mode] || 0;
+
+    this.modeButtons.forEach((button) => button.setAttribute("aria-pressed", String(button.dataset.mode === this.mode)));
+    this.pointButton.disabled = !drawing;
+    this.draftBar.hidden = !drawing;
+    this.draftCount.textContent = `${this.draft.length} point${this.draft.length === 1 ? "" : "s"}`;
+    this.finishButton.disabled = this.draft.length < min;
+    this.removePointButton.disabled = this.draft.length === 0;
+    this.cancelButton.disabled = this.draft.length === 0;
+
+    if (this.mode === "move") {
+      this.hint.textContent = "Drag a pin to move its stall, or focus it and use the arrow keys (Shift for bigger steps).";
+    } else if (this.mode === "zone") {
+      this.hint.textContent = `Click the map to outline the zone (at least ${min} points). Click the first point or press Enter to close it.`;
+    } else {
+      this.hint.textContent = `Click the map along the walkway (at least ${min} points), then press Enter or Finish.`;
+    }
+  }
+
+  renderList(list, kind, features) {
+    const items = features.map((feature, index) => {
+      const item = document.createElement("li");
+      item.className = "map-editor-item";
+      item.dataset[`${kind}Id`] = feature.id;
+
+      const input = document.createElement("input");
+      input.type = "text";
+      input.className = "map-editor-name";
+      input.value = feature.name;
+      input.maxLength = MapEditor.MAX_NAME_LENGTH;
+      input.placeholder = kind === "zone" ? "Zone name (required)" : "Path name (optional)";
+      input.setAttribute("aria-label", `Name of ${kind} ${index + 1}`);
+      input.addEventListener("input", () => {
+        feature.name = input.value;
+        this.renderShapes();
+        this.renderChanges();
+      });
+
+      const show = MapEditor.iconButton("fas fa-search-location", `Show ${kind} ${index + 1} on the map`);
+      show.addEventListener("click", () => this.select(kind, feature));
+
+      const remove = MapEditor.iconButton("fas fa-trash-alt", `Delete ${kind} ${index + 1}`);
+      remove.classList.add("map-editor-delete");
+      remove.addEventListener("click", () => this.remove(kind, feature.id));
+
+      item.append(input, show, remove);
+      return item;
+    });
+
+    if (items.length === 0) {
+      const empty = document.createElement("li");
+      empty.className = "map-editor-empty";
+      empty.textContent = kind === "zone" ? "No zones yet." : "No paths yet.";
+      items.push(empty);
+    }
+
+    list.replaceChildren(...items);
+  }
+
+  renderChanges() {
+    const changes = this.changes();
+
+    this.changeList.replaceChildren(
+      ...(changes.length > 0 ? changes : ["Nothing to save."]).map((text) => {
+        const item = document.createElement("li");
+        item.textContent = text;
+        return item;
+      })
+    );
+    this.saveButton.disabled = this.saving || changes.length === 0;
+    this.discardButton.disabled = this.saving || changes.length === 0;
+    this.saveButton.setAttribute("aria-busy", String(this.saving));
+  }
+
+  // Place a pin, with a faded marker at its saved spot while it is moved
+  drawPin(pin) {
+    pin.element.style.left = `${pin.position.x}%`;
+    pin.element.style.top = `${pin.position.y}%`;
+
+    const moved = pin.position.x !== pin.saved.x || pin.position.y !== pin.saved.y;
+    pin.element.classList.toggle("is-moved", moved);
+
+    if (moved && !pin.ghost) {
+      pin.ghost = document.createElement("span");
+      pin.ghost.className = "map-editor-ghost";
+      pin.ghost.setAttribute("aria-hidden", "true");
+      const icon = document.createElement("i");
+      icon.className = "fas fa-map-marker-alt";
+      pin.ghost.appendChild(icon);
+      pin.element.before(pin.ghost);
+    } else if (!moved && pin.ghost) {
+      pin.ghost.remove();
+      pin.ghost = null;
+    }
+
+    if (pin.ghost) {
+      pin.ghost.style.left = `${pin.saved.x}%`;
+      pin.ghost.style.top = `${pin.saved.y}%`;
+    }
+  }
+
+  announce(message) {
+    this.status.textContent = message;
+  }
+
+  /**
+   * Compare saved zones or paths with edited ones by ID
+   * @param {object[]} saved
+   * @param {object[]} edited
+   * @returns {Array<{change: string, feature: object}>} Added and updated (in edited order), then deleted
+   */
+  static diff(saved, edited) {
+    const savedById = new Map(saved.map((feature) => [feature.id, feature]));
+    const editedIds = new Set(edited.map((feature) => feature.id));
+    const changes = [];
+
+    edited.forEach((feature) => {
+      const previous = savedById.get(feature.id);
+      if (!previous) {
+        changes.push({ change: "add", feature });
+      } else if (
+        previous.name.trim() !== feature.name.trim() ||
+        MapZones.pointsAttr(previous.points) !== MapZones.pointsAttr(feature.points)
+      ) {
+        changes.push({ change: "update", feature });
+      }
+    });
+    saved.forEach((feature) => {
+      if (!editedIds.has(feature.id)) changes.push({ change: "delete", feature });
+    });
+
+    return changes;
+  }
+
+  // The feature's name, or how the server names it in the log
+  static label(kind, feature) {
+    return feature.name.trim() || `Unnamed ${kind} (${feature.id})`;
+  }
+
+  // First free "zone-N" or "path-N"
+  static nextId(kind, features) {
+    const ids = new Set(features.map((feature) => feature.id));
+    let number = 1;
+    while (ids.has(`${kind}-${number}`)) number++;
+    return `${kind}-${number}`;
+  }
+
+  /**
+   * Read the layout the page embeds as JSON
+   * @param {HTMLElement|null} script
+   * @returns {{zones: object[], paths: object[]}}
+   */
+  static readLayout(script) {
+    try {
+      return MapEditor.normalize(JSON.parse(script ? script.textContent : "{}"));
+    } catch (error) {
+      return { zones: [], paths: [] };
+    }
+  }
+
+  static normalize(layout) {
+    const features = (list) =>
+      (Array.isArray(list) ? list : []).map((feature) => ({
+        id: String(feature.id),
+        name: String(feature.name || ""),
+        points: (feature.points || []).map((point) => ({ x: Number(point.x), y: Number(point.y) })),
+      }));
+    return { zones: features(layout && layout.zones), paths: features(layout && layout.paths) };
+  }
+
+  static copy(value) {
+    return JSON.parse(JSON.stringify(value));
+  }
+
+  // MapViewport.center() gives { left, top }; points are { x, y }
+  static fromCentre({ left, top }) {
+    return { x: left, y: top };
+  }
+
+  static heading(text) {
+    const heading = document.createElement("h3");
+    heading.className = "map-editor-heading";
+    heading.textContent = text;
+    return heading;
+  }
+
+  static button(icon, label, className) {
+    const button = document.createElement("button");
+    button.type = "button";
+    button.className = className;
+
+    const iconEl = document.createElement("i");
+    iconEl.className = icon;
+    iconEl.setAttribute("aria-hidden", "true");
+    button.append(iconEl, ` ${label}`);
+    return button;
+  }
+
+  static iconButton(icon, label) {
+    const button = MapEditor.button(icon, "", "map-editor-icon-btn");
+    button.setAttribute("aria-label", label);
+    button.title = label;
+    return button;
+  }
+}
+
+// Fewest points of a zone and of a path (MapLayoutService::MIN_POINTS)
+MapEditor.MIN_POINTS = { zone: 3, path: 2 };
+
+// Longest zone or path name (MapLayoutService::MAX_NAME_LENGTH)
+MapEditor.MAX_NAME_LENGTH = 60;
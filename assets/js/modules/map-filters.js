@@ -0,0 +1,358 @@
+/*
+PROGRAM NAME: Map Filters Module (map-filters.js)
+
+PROGRAMMER: Frontend Team
+
+SYSTEM CONTEXT:
+This module is part of the BuzzarFeed platform and ties together the filters, the map and the "Explore Food Stalls"
+list of map.php. The page is rendered by PHP with every stall as a pin (those not matching ?search= and ?category=
+hidden) and the matching stalls in the list; this module takes over from there, searching the same client-side index
+as the stalls page (SearchIndex, search-index.js) and filtering with StallFacets (stall-facets.js), so the pins and the
+list change together without reloading the page. It replaces the explore section's own search box.
+
+DATE CREATED: October 19, 2026
+LAST MODIFIED: October 19, 2026
+
+PURPOSE:
+The purpose of this program is to let visitors narrow the map to the stalls they are after:
+- Search stalls and menu items, pick categories, a minimum rating and open now
+- Hide the pins and list entries of stalls that do not match, as the user types or clicks
+- Keep the filters in the address bar so a filtered map can be shared, reloaded and stepped
+  through with the browser's back and forward buttons, leaving the map's own parameters
+  (MapState's stall and view, a shared crawl) in place
+- Highlight a stall's pin while its list entry is hovered or focused
+- Scroll to and highlight a stall's list entry when its pin is clicked
+
+DATA STRUCTURES:
+- section (DOM element): section.explore-section; data-base-url prefixes stall logo paths
+- results (DOM element): [data-explore-results], the list that is re-rendered
+- form (DOM element): The map's search form (.map-search); input (DOM element) is its search field
+- links (DOM element[]): Category pills (a.filter-btn); categories (string[]) are the ones they offer
+- facets (StallFacets): Rating and open now panel ([data-map-facets]) and pill controller
+- pins (DOM element[]): The map's pins; data-stall-id links each one to its list entry
+- clusters (MapClusters|null), tooltip (MapTooltip|null): Regrouped and closed when pins are hidden
+- state (object): { search, categories, rating, open, price, sort } currently shown
+- index (SearchIndex|null): Every active stall with its menu; null until loaded
+- typing (boolean): True while consecutive keystrokes share one history entry
+- activeId (string|null): Stall whose pin is highlighted from the list
+- status (DOM element): Screen-reader live region announcing the number of stalls shown
+
+ALGORITHM / LOGIC:
+1. Read the state from the URL (the format StallSearch uses on stalls.php), record it on the
+   current history entry and load the search index quietly; the server-rendered pins and list
+   stay until it arrives.
+2. Typing: after a 300 ms pause, show the new search. The first pause of a burst pushes a
+   history entry and later ones replace it. Submitting the form, toggling a pill or changing a
+   facet pushes an entry; popstate restores the state without touching history.
+3. refresh():
+   a. With a search, rank the stalls with SearchIndex.search() and keep only the matches.
+   b. Count each option, filter with StallFacets and render the list.
+   c. Hide the pins of the stalls left out, regroup the clusters and close a tooltip whose
+      pin was hidden.
+4. Pointer or focus on a list entry: highlight its pin, or the cluster bubble holding it; the
+   highlight moves with the bubbles as the map is zoomed.
+5. Pin click: scroll its list entry into view and highlight it for a moment.
+
+NOTES:
+- Without window.api the module does nothing; the search form and pills reload map.php, which
+  filters by search and category on the server.
+- Rating and open now are filtered in the browser only; their panel is hidden until this module runs.
+- Cards show two categories and use the "empty" star class, like ExploreSection.php.
+- Styles live in the Map Filters, Explore List and pin highlight sections of map.css.
+- Future enhancements may include zooming the map to fit the stalls that match.
+*/
+
+import { SearchIndex } from "./search-index.js";
+import { StallCard } from "./stall-card.js";
+import { StallFacets } from "./stall-facets.js";
+import { StallSearch } from "./stall-search.js";
+import { Utils } from "./utils.js";
+
+export class MapFilters {
+  constructor(section, api, options = {}) {
+    if (!section || !api) return;
+
+    this.section = section;
+    this.api = api;
+    this.results = section.querySelector("[data-explore-results]");
+    this.form = document.querySelector(".map-search");
+    this.input = this.form ? this.form.querySelector("input[name='search']") : null;
+    this.links = Array.from(document.querySelectorAll(".category-filters .filter-btn"));
+    this.pins = Array.from(document.querySelectorAll(".map-pin[data-stall-id]"));
+    this.baseUrl = section.dataset.baseUrl || "/";
+    this.delay = options.delay || 300;
+    this.clusters = options.clusters || null;
+    this.tooltip = options.tooltip || null;
+    this.favorites = options.favorites || null;
+    this.typing = false;
+    this.index = null;
+    this.loading = false;
+    this.activeId = null;
+    this.flashTimer = null;
+
+    if (!this.results) return;
+
+    this.categories = this.links.map(StallFacets.linkCategory).filter(Boolean);
+    this.facets = new StallFacets(
+      document.querySelector("[data-map-facets]"),
+      this.links,
+      (changes) => this.update(changes),
+      { groups: ["rating", "open"] }
+    );
+
+    this.init();
+  }
+
+  init() {
+    this.state = StallSearch.readUrl(window.location.search);
+    history.replaceState(this.state, "", window.location.href);
+
+    this.status = document.createElement("p");
+    this.status.className = "sr-only";
+    this.status.setAttribute("role", "status");
+    this.results.before(this.status);
+
+    if (this.input) {
+      const search = Utils.debounce(() => {
+        this.update({ search: this.input.value.trim() }, { replace: this.typing, typing: true });
+      }, this.delay);
+      this.input.addEventListener("input", search);
+      this.input.addEventListener("blur", () => {
+        this.typing = false;
+      });
+    }
+
+    if (this.form) {
+      this.form.addEventListener("submit", (e) => {
+        e.preventDefault();
+        this.update({ search: this.input ? this.input.value.trim() : "" });
+      });
+    }
+
+    window.addEventListener("popstate", () => {
+      this.typing = false;
+      this.state = StallSearch.readUrl(window.location.search);
+      if (this.input) this.input.value = this.state.search;
+      this.show();
+    });
+
+    // List entries point at their pins, and pins at their entries
+    this.results.addEventListener("mouseover", (e) => this.highlightPin(e.target));
+    this.results.addEventListener("mouseleave", () => this.highlightPin(null));
+    this.results.addEventListener("focusin", (e) => this.highlightPin(e.target));
+    this.results.addEventListener("focusout", (e) => {
+      if (!this.results.contains(e.relatedTarget)) this.highlightPin(null);
+    });
+    this.pins.forEach((pin) => pin.addEventListener("click", () => this.showEntry(pin.dataset.stallId)));
+
+    // Cluster bubbles are redrawn as the map moves; keep the highlight on the current one
+    if (this.clusters) {
+      this.clusters.viewport.subscribe(() => {
+        if (this.activeId) this.markPin();
+      });
+    }
+
+    this.facets.render(this.state, null);
+    this.load();
+  }
+
+  /**
+   * Apply a change to the search or filters and record it in history
+   * @param {object} changes - search and/or facet state (categories, rating, open)
+   * @param {object} options - replace (replace the current history entry instead of
+   *   pushing) and typing (the change came from a keystroke)
+   */
+  update(changes, { replace = false, typing = false } = {}) {
+    const state = { ...this.state, ...changes };
+
+    if (StallSearch.toQuery(state) === StallSearch.toQuery(this.state)) {
+      return;
+    }
+
+    this.state = state;
+    this.typing = typing;
+    const url = `${window.location.pathname}${MapFilters.toQuery(state, window.location.search)}`;
+
+    if (replace) {
+      history.replaceState(state, "", url);
+    } else {
+      history.pushState(state, "", url);
+    }
+
+    this.show();
+  }
+
+  show() {
+    if (this.index) {
+      this.refresh();
+    } else {
+      this.results.setAttribute("aria-busy", "true");
+      this.load();
+    }
+  }
+
+  // Fetch the search index (shared with any other module on the page) and show the current state with it
+  async load() {
+    if (this.loading) return;
+    this.loading = true;
+
+    try {
+      this.index = await SearchIndex.load(this.api);
+      this.refresh();
+    } catch (error) {
+      this.results.replaceChildren(this.createEmptyState("fa-exclamation-triangle", "Search is unavailable right now."));
+      this.status.textContent = "Search is unavailable";
+    } finally {
+      this.loading = false;
+      this.results.removeAttribute("aria-busy");
+    }
+  }
+
+  // Search, filter and count the stalls for the current state, then update the list and the pins
+  refresh() {
+    if (!this.index) return;
+
+    const now = new Date();
+    let stalls = this.index.documents;
+    let ranking = null;
+    const matches = new Map();
+
+    if (this.state.search) {
+      const results = this.index.search(this.state.search);
+      ranking = new Map(results.map((result, rank) => [result.document, rank]));
+      results.forEach((result) => matches.set(result.document, result));
+      stalls = stalls.filter((stall) => ranking.has(stall));
+    }
+
+    const counts = StallFacets.count(stalls, this.state, this.categories, now);
+    this.facets.render(this.state, counts);
+
+    const shown = StallFacets.apply(stalls, this.state, now, ranking);
+    this.render(shown, matches);
+    this.filterPins(new Set(shown.map((stall) => String(stall.id))));
+  }
+
+  /**
+   * Render the list of stalls shown on the map
+   * @param {object[]} stalls - Stalls in display order
+   * @param {Map} matches - Stall to SearchIndex result
+   */
+  render(stalls, matches = new Map()) {
+    if (stalls.length === 0) {
+      this.results.replaceChildren(this.createEmptyState("fa-search", "No stalls match your search."));
+      this.status.textContent = "No stalls found";
+      return;
+    }
+
+    const grid = document.createElement("div");
+    grid.className = "explore-grid";
+    stalls.forEach((stall) => {
+      const card = StallCard.create(stall, {
+        baseUrl: this.baseUrl,
+        maxCategories: 2,
+        emptyStarClass: "empty",
+        match: matches.get(stall),
+        favorites: this.favorites,
+        mapLink: true,
+      });
+      card.dataset.stallId = String(stall.id);
+      grid.appendChild(card);
+    });
+
+    const children = [grid];
+    if (this.state.search) {
+      const more = document.createElement("a");
+      more.className = "explore-see-all";
+      more.href = `stalls.php${StallSearch.toQuery({ ...StallFacets.defaults, search: this.state.search })}`;
+      more.textContent = "See all results on the Stalls page";
+      children.push(more);
+    }
+
+    this.results.replaceChildren(...children);
+    this.status.textContent = stalls.length === 1 ? "1 stall shown" : `${stalls.length} stalls shown`;
+  }
+
+  /**
+   * Show only the pins of the given stalls
+   * @param {Set<string>} ids - Stall IDs to show
+   */
+  filterPins(ids) {
+    this.pins.forEach((pin) => {
+      pin.hidden = !ids.has(pin.dataset.stallId);
+    });
+
+    if (this.clusters) this.clusters.cluster();
+    if (this.tooltip && this.tooltip.pin && this.tooltip.pin.hidden) this.tooltip.hide();
+    if (this.activeId) this.markPin();
+  }
+
+  // Highlight the pin of the list entry under the pointer or focus (none for null)
+  highlightPin(target) {
+    const entry = target && target.closest ? target.closest("[data-stall-id]") : null;
+    const id = entry ? entry.dataset.stallId : null;
+    if (id === this.activeId) return;
+
+    this.activeId = id;
+    this.markPin();
+  }
+
+  markPin() {
+    document
+      .querySelectorAll(".map-pin.is-highlighted, .map-cluster.is-highlighted")
+      .forEach((element) => element.classList.remove("is-highlighted"));
+
+    const pin = this.activeId ? this.pins.find((candidate) => candidate.dataset.stallId === this.activeId) : null;
+    if (!pin || pin.hidden) return;
+
+    const bubble = pin.classList.contains("is-clustered") && this.clusters ? this.clusters.bubbleOf(pin) : null;
+    (bubble || pin).classList.add("is-highlighted");
+  }
+
+  // Bring a stall's list entry into view and flash its highlight
+  showEntry(stallId) {
+    const entry = this.results.querySelector(`[data-stall-id="${Number(stallId)}"]`);
+    if (!entry) return;
+
+    clearTimeout(this.flashTimer);
+    this.results.querySelectorAll(".is-highlighted").forEach((element) => element.classList.remove("is-highlighted"));
+
+    entry.scrollIntoView({ behavior: "smooth", block: "nearest" });
+    entry.classList.add("is-highlighted");
+    this.flashTimer = setTimeout(() => entry.classList.remove("is-highlighted"), MapFilters.FLASH_MS);
+  }
+
+  /**
+   * Query string for a filter state, keeping the parameters other modules own (stall, zoom, crawl...)
+   * @param {object} state - Search and facet state
+   * @param {string} search - Current query string
+   * @returns {string}
+   */
+  static toQuery(state, search) {
+    const params = new URLSearchParams(StallSearch.toQuery(state));
+    new URLSearchParams(search).forEach((value, key) => {
+      if (!MapFilters.PARAMS.includes(key)) params.set(key, value);
+    });
+    const query = params.toString().replace(/%2C/g, ",");
+    return query ? `?${query}` : "";
+  }
+
+  createEmptyState(icon, text) {
+    const state = document.createElement("div");
+    state.className = "empty-state";
+
+    const iconEl = document.createElement("i");
+    iconEl.className = `fas ${icon}`;
+
+    const paragraph = document.createElement("p");
+    paragraph.textContent = text;
+
+    state.append(iconEl, paragraph);
+    return state;
+  }
+}
+
+// How long a list entry stays highlighted after its pin is clicked
+MapFilters.FLASH_MS = 2000;
+
+// URL parameters written by StallSearch.toQuery(); the rest of the URL is left as it is
+MapFilters.PARAMS = ["search", "category", "rating", "open", "price", "sort"];
@@ -0,0 +1,348 @@
+/*
+PROGRAM NAME: Map Picker Module (map-picker.js)
+
+PROGRAMMER: Frontend Team
+
+SYSTEM CONTEXT:
+This module is part of the BuzzarFeed platform and lets stall owners pin where their stall is on the bazaar map:
+when registering (register-stall.php) and when editing the stall (manage-stall.php, on the page and in the edit
+modal). The markup comes from includes/map-picker.php. The map zooms and pans with MapViewport (map-viewport.js),
+and the position is written to two form fields that the pages save as the stall's map position.
+
+DATE CREATED: October 19, 2026
+LAST MODIFIED: October 19, 2026
+
+PURPOSE:
+The purpose of this program is to make placing a stall's pin quick and exact:
+- Click the map to place the pin, and drag the pin to adjust it
+- Nudge the pin with the arrow keys (Shift for bigger steps), or put it in the middle of the view
+- Undo any move, with the Undo button or Ctrl+Z
+- Zoom in on a crowded aisle
+- Show the other stalls' pins greyed out, and warn when the new pin overlaps one of them
+
+DATA STRUCTURES:
+- container (DOM element): div[data-map-picker]; data-map-picker-x and data-map-picker-y give the ids of the fields
+- inputX, inputY (DOM element): Fields holding the position, e.g. map_x and map_y
+- position ({x, y}|null): Pin position in percent of the map image, from its top-left corner
+- history (Array<{x, y}|null>): Earlier positions, newest last, for undo
+- stalls (object[]): Other stalls' markers (span.map-picker-stall), with their name and position
+- viewport (MapViewport): Zoom and pan of the picker
+- pin (DOM element): button.map-picker-pin
+- status (DOM element): Position or overlap warning under the map, read out by screen readers
+- drag (object|null): The pointer dragging the pin and where the drag started
+- nudging (boolean): Whether the last move was an arrow key, so a run of nudges is undone at once
+
+ALGORITHM / LOGIC:
+1. Read the position from the fields and the other stalls from their markers; wrap the map in a
+   MapViewport and add Undo and "Put the pin in the middle of the view" to its controls.
+2. Click on the map (not at the end of a pan): place the pin under the pointer.
+3. Drag the pin: follow the pointer, clamped to the map; on release, record the move once.
+4. Arrow keys on the pin: move by NUDGE percent on screen, divided by the zoom; consecutive
+   nudges are recorded as one move.
+5. Every recorded move pushes the previous position on the history (up to HISTORY_LIMIT) and
+   writes the fields, firing change on them and map-picker:change on the container.
+6. After every move, mark the other stalls whose pins are closer than OVERLAP (percent of the
+   map width, with the height scaled to match) and show a warning naming them.
+7. mountAll(): create a MapPicker for every element marked with data-map-picker.
+
+NOTES:
+- Coordinate contract: x and y are percent (0-100, two decimals) of the map image from its
+  top-left corner, the same numbers map.php uses for a pin's left and top. The server reads
+  them with Helpers::mapPercent() and keeps them in the latitude and longitude columns of
+  stall_locations (legacy names; they are not geographic).
+- The overlap warning is advisory; two stalls may share a spot.
+- Styles live in the MAP PICKER section of styles.css.
+- Future enhancements may include snapping to the bazaar's numbered stall slots.
+*/
+
+import { MapViewport } from "./map-viewport.js";
+
+export class MapPicker {
+  constructor(container, options = {}) {
+    if (!container) return;
+
+    this.container = container;
+    this.inputX = document.getElementById(container.dataset.mapPickerX);
+    this.inputY = document.getElementById(container.dataset.mapPickerY);
+    if (!this.inputX || !this.inputY) return;
+
+    this.nudge = options.nudge || MapPicker.NUDGE;
+    this.position = MapPicker.readPoint(this.inputX.value, this.inputY.value);
+    this.history = [];
+    this.drag = null;
+    this.nudging = false;
+    this.stalls = Array.from(container.querySelectorAll(".map-picker-stall")).map((element) => ({
+      element,
+      name: element.dataset.stallName || "another stall",
+      x: parseFloat(element.style.left) || 0,
+      y: parseFloat(element.style.top) || 0,
+    }));
+
+    this.init();
+  }
+
+  init() {
+    this.viewport = new MapViewport(this.container, {
+      layers: ":scope > .map-image, :scope > .map-picker-stall",
+      ignore: ".map-picker-pin",
+    });
+
+    this.pin = document.createElement("button");
+    this.pin.type = "button";
+    this.pin.className = "map-picker-pin";
+    this.pin.setAttribute("aria-label", "Your stall's pin. Use the arrow keys to move it, with Shift for bigger steps");
+    this.pin.hidden = true;
+    const icon = document.createElement("i");
+    icon.className = "fas fa-map-marker-alt";
+    icon.setAttribute("aria-hidden", "true");
+    this.pin.appendChild(icon);
+    this.viewport.stage.appendChild(this.pin);
+
+    this.centreButton = this.viewport.createButton("fas fa-crosshairs", "Put the pin in the middle of the view", () =>
+      this.placeAtCentre()
+    );
+    this.undoButton = this.viewport.createButton("fas fa-undo", "Undo the last move (Ctrl+Z)", () => this.undo());
+    this.viewport.controls.append(this.centreButton, this.undoButton);
+
+    this.status = document.createElement("p");
+    this.status.className = "map-picker-status";
+    this.status.id = `${this.inputX.id}-picker-status`;
+    this.status.setAttribute("aria-live", "polite");
+    this.container.after(this.status);
+    this.pin.setAttribute("aria-describedby", this.status.id);
+
+    this.container.classList.add("map-picker");
+    this.container.addEventListener("click", (e) => this.handleClick(e));
+    this.container.addEventListener("keydown", (e) => {
+      if ((e.ctrlKey || e.metaKey) && !e.shiftKey && e.key.toLowerCase() === "z") {
+        e.preventDefault();
+        this.undo();
+      }
+    });
+
+    this.pin.addEventListener("keydown", (e) => this.handleKey(e));
+    this.pin.addEventListener("blur", () => {
+      this.nudging = false;
+    });
+    this.pin.addEventListener("pointerdown", (e) => this.handlePointerDown(e));
+    this.pin.addEventListener("pointermove", (e) => this.handlePointerMove(e));
+    this.pin.addEventListener("pointerup", (e) => this.handlePointerUp(e));
+    this.pin.addEventListener("pointercancel", (e) => this.handlePointerUp(e));
+
+    this.draw();
+  }
+
+  /**
+   * Move the pin and write the fields
+   * @param {{x: number, y: number}|null} point - Percent of the map image; null removes the pin
+   * @param {object} options - record: keep the previous position for undo
+   */
+  place(point, { record = true } = {}) {
+    if (record) this.record(this.position);
+    this.position = point ? MapPicker.clamp(point) : null;
+    this.draw();
+    this.write();
+  }
+
+  /**
+   * Go back to the position before the last move
+   */
+  undo() {
+    if (this.history.length === 0) return;
+
+    const hadFocus = document.activeElement === this.pin;
+    this.nudging = false;
+    this.position = this.history.pop();
+    this.draw();
+    this.write();
+
+    // The pin may be gone; keep the focus in the picker
+    if (hadFocus && !this.position) this.centreButton.focus();
+  }
+
+  placeAtCentre() {
+    const { left, top } = this.viewport.center();
+    this.nudging = false;
+    this.place({ x: left, y: top });
+    this.pin.focus({ preventScroll: true });
+  }
+
+  record(previous) {
+    this.history.push(previous ? { ...previous } : null);
+    if (this.history.length > MapPicker.HISTORY_LIMIT) this.history.shift();
+  }
+
+  handleClick(e) {
+    if (e.target.closest(".map-controls, .map-picker-pin")) return;
+
+    const point = this.fromPointer(e);
+    if (!point) return;
+
+    this.nudging = false;
+    this.place(point);
+  }
+
+  handleKey(e) {
+    const directions = { ArrowLeft: [-1, 0], ArrowRight: [1, 0], ArrowUp: [0, -1], ArrowDown: [0, 1] };
+    const direction = directions[e.key];
+    if (!direction || !this.position || e.altKey || e.ctrlKey || e.metaKey) return;
+
+    e.preventDefault();
+
+    // The same distance on screen along both axes, at any zoom
+    const { width, height } = this.viewport.size();
+    const step = (this.nudge * (e.shiftKey ? MapPicker.SHIFT_FACTOR : 1)) / this.viewport.scale;
+    const aspect = width > 0 && height > 0 ? width / height : 1;
+
+    this.place(
+      { x: this.position.x + direction[0] * step, y: this.position.y + direction[1] * step * aspect },
+      { record: !this.nudging }
+    );
+    this.nudging = true;
+  }
+
+  handlePointerDown(e) {
+    if (e.button !== 0 || !this.position) return;
+
+    e.preventDefault();
+    this.drag = { pointerId: e.pointerId, x: e.clientX, y: e.clientY, start: { ...this.position }, moved: false };
+    if (this.pin.setPointerCapture) this.pin.setPointerCapture(e.pointerId);
+  }
+
+  handlePointerMove(e) {
+    if (!this.drag || e.pointerId !== this.drag.pointerId) return;
+    if (!this.drag.moved && Math.hypot(e.clientX - this.drag.x, e.clientY - this.drag.y) < MapViewport.DRAG_THRESHOLD) {
+      return;
+    }
+
+    const point = this.fromPointer(e, { clamp: true });
+    if (!point) return;
+
+    this.drag.moved = true;
+    this.pin.classList.add("is-dragging");
+    this.position = point;
+    this.drawPin();
+  }
+
+  handlePointerUp(e) {
+    if (!this.drag || e.pointerId !== this.drag.pointerId) return;
+
+    const { start, moved } = this.drag;
+    this.drag = null;
+    this.pin.classList.remove("is-dragging");
+    if (!moved) return;
+
+    this.nudging = false;
+    this.record(start);
+    this.draw();
+    this.write();
+  }
+
+  // Point of the map under the pointer, or null outside it (unless clamped to its edges)
+  fromPointer(e, { clamp = false } = {}) {
+    const rect = this.viewport.stage.getBoundingClientRect();
+    if (!rect.width || !rect.height) return null;
+
+    const point = {
+      x: ((e.clientX - rect.left) * 100) / rect.width,
+      y: ((e.clientY - rect.top) * 100) / rect.height,
+    };
+    if (clamp) return MapPicker.clamp(point);
+    return point.x >= 0 && point.x <= 100 && point.y >= 0 && point.y <= 100 ? MapPicker.clamp(point) : null;
+  }
+
+  drawPin() {
+    this.pin.hidden = !this.position;
+    if (!this.position) return;
+    this.pin.style.left = `${this.position.x}%`;
+    this.pin.style.top = `${this.position.y}%`;
+  }
+
+  draw() {
+    this.drawPin();
+    this.undoButton.disabled = this.history.length === 0;
+
+    const overlapping = this.overlapping();
+    this.stalls.forEach((stall) => stall.element.classList.toggle("is-overlapping", overlapping.includes(stall)));
+    this.status.classList.toggle("is-warning", overlapping.length > 0);
+
+    if (!this.position) {
+      this.status.textContent = "No pin yet. Click the map where your stall is, or use the crosshair button.";
+    } else if (overlapping.length > 0) {
+      this.status.textContent = `This pin overlaps ${MapPicker.listNames(overlapping)}. Move it if your stall is elsewhere.`;
+    } else {
+      const { x, y } = this.position;
+      this.status.textContent = `Pinned ${x.toFixed(1)}% across and ${y.toFixed(1)}% down the map.`;
+    }
+  }
+
+  /**
+   * Other stalls whose pins are too close to this one
+   * @returns {object[]} Entries of this.stalls, closest first
+   */
+  overlapping() {
+    if (!this.position) return [];
+
+    const { width, height } = this.viewport.size();
+    const ratio = width > 0 && height > 0 ? height / width : 1;
+    const distance = (stall) => Math.hypot(stall.x - this.position.x, (stall.y - this.position.y) * ratio);
+
+    return this.stalls
+      .filter((stall) => distance(stall) < MapPicker.OVERLAP)
+      .sort((a, b) => distance(a) - distance(b));
+  }
+
+  // Write the fields, telling form-errors.js and the page that they changed
+  write() {
+    this.inputX.value = this.position ? this.position.x.toFixed(2) : "";
+    this.inputY.value = this.position ? this.position.y.toFixed(2) : "";
+    [this.inputX, this.inputY].forEach((input) => input.dispatchEvent(new Event("change", { bubbles: true })));
+
+    this.container.dispatchEvent(
+      new CustomEvent("map-picker:change", { bubbles: true, detail: this.position ? { ...this.position } : null })
+    );
+  }
+
+  // "A", "A and B", or "A, B and 2 more"
+  static listNames(stalls) {
+    const names = stalls.map((stall) => stall.name);
+    if (names.length <= 2) return names.join(" and ");
+    return `${names.slice(0, 2).join(", ")} and ${names.length - 2} more`;
+  }
+
+  /**
+   * Read a position written by a picker (or by the server)
+   * @param {string} x - Percent of the map width
+   * @param {string} y - Percent of the map height
+   * @returns {{x: number, y: number}|null} Null when either is empty, not a number, or off the map
+   */
+  static readPoint(x, y) {
+    if (String(x).trim() === "" || String(y).trim() === "") return null;
+
+    const point = { x: Number(x), y: Number(y) };
+    if (![point.x, point.y].every((value) => Number.isFinite(value) && value >= 0 && value <= 100)) return null;
+    return point;
+  }
+
+  // Keep a point on the map, to two decimals like the saved fields
+  static clamp(point) {
+    const round = (value) => Math.round(Math.min(100, Math.max(0, value)) * 100) / 100;
+    return { x: round(point.x), y: round(point.y) };
+  }
+
+  static mountAll(root = document) {
+    return Array.from(root.querySelectorAll("[data-map-picker]")).map((container) => new MapPicker(container));
+  }
+}
+
+// Percent of the map width an arrow key moves the pin at the whole-map zoom
+MapPicker.NUDGE = 0.5;
+
+// Step multiplier with Shift held
+MapPicker.SHIFT_FACTOR = 5;
+
+// Distance (percent of the map width) under which two pins count as overlapping
+MapPicker.OVERLAP = 2;
+
+// Moves kept for undo
+MapPicker.HISTORY_LIMIT = 50;
@@ -0,0 +1,198 @@
+/*
+PROGRAM NAME: Map State Module (map-state.js)
+
+PROGRAMMER: Frontend Team
+
+SYSTEM CONTEXT:
+This module is part of the BuzzarFeed platform and keeps the view of the map on map.php in the address bar, so a link
+can open the map where someone left it: zoomed in on an aisle, or on a stall with its popover open. It works with
+MapViewport (map-viewport.js) for the zoom and pan, MapTooltip (map-tooltip.js) for the popover and MapClusters
+(map-clusters.js) for pins grouped into a bubble. The filters in the same URL belong to MapFilters (map-filters.js);
+"Show on map" links on stall cards and stall-detail.php point here with ?stall=.
+
+DATE CREATED: October 19, 2026
+LAST MODIFIED: October 19, 2026
+
+PURPOSE:
+The purpose of this program is to make any view of the map linkable:
+- Open map.php?stall=12 by flying to the stall's pin and opening its popover
+- Restore the zoom and pan of a shared or reloaded link
+- Keep the open stall, zoom and pan in the URL as the map is used, without adding history entries
+- Show a stall in place when a "Show on map" link is used on map.php itself
+
+DATA STRUCTURES:
+- container (DOM element): #mapContainer
+- viewport (MapViewport): Zoom and pan of the map
+- tooltip (MapTooltip|null): The stall popover
+- clusters (MapClusters|null): Fans out a cluster so its stall's pin can be shown
+- pins (DOM element[]): The map's pins; data-stall-id identifies each stall
+- URL parameters:
+  - stall (number): Stall whose popover is open
+  - zoom (number): Zoom, left out at the whole map
+  - at (string): "left,top" point of the map (percent) at the centre of the viewport
+
+ALGORITHM / LOGIC:
+1. On load, read the URL:
+   a. With zoom and at, show that view at once, and open the stall's popover when there is one.
+   b. With only a stall, animate to its pin at STALL_ZOOM or closer, then open its popover,
+      fanning out its cluster when it is still grouped.
+2. After the map stops moving (300 ms) and whenever the popover opens, moves or closes,
+   replace the current history entry with the new stall, zoom and at, keeping every other
+   parameter (filters, crawl).
+3. popstate (entries pushed by the filters): show the entry's view and popover at once.
+4. A click on a link with data-map-stall whose pin is on the map shows the stall without
+   reloading; other clicks (new tab, stall not on the map) follow the link.
+
+NOTES:
+- Stalls whose pin is filtered out are not shown; the link still opens the filtered map.
+- Zoom is written with two decimals and the centre with one, which keeps links short.
+- Future enhancements may include a "Copy link to this view" button on the map.
+*/
+
+import { Utils } from "./utils.js";
+
+export class MapState {
+  constructor(container, viewport, options = {}) {
+    if (!container || !viewport || !viewport.stage) return;
+
+    this.container = container;
+    this.viewport = viewport;
+    this.tooltip = options.tooltip || null;
+    this.clusters = options.clusters || null;
+    this.delay = options.delay || 300;
+    this.pins = Array.from(container.querySelectorAll(".map-pin[data-stall-id]"));
+
+    this.init();
+  }
+
+  init() {
+    this.viewport.subscribe(Utils.debounce(() => this.write(), this.delay));
+    if (this.tooltip) this.tooltip.subscribe(() => this.write());
+
+    window.addEventListener("popstate", () => this.apply(MapState.readUrl(window.location.search)));
+
+    // "Show on map" links on this page show the stall in place
+    document.addEventListener("click", (e) => {
+      const link = e.target.closest ? e.target.closest("[data-map-stall]") : null;
+      if (!link || e.defaultPrevented || e.button !== 0 || e.ctrlKey || e.metaKey || e.shiftKey || e.altKey) return;
+
+      const pin = this.pinOf(link.dataset.mapStall);
+      if (!pin || pin.hidden) return;
+
+      e.preventDefault();
+      this.container.scrollIntoView({ behavior: "smooth", block: "center" });
+      this.showStall(pin.dataset.stallId, { focus: true });
+    });
+
+    this.apply(MapState.readUrl(window.location.search), { animate: true });
+  }
+
+  /**
+   * Show a state read from the URL
+   * @param {object} state - { stall, zoom, at } from readUrl()
+   * @param {object} options - animate: fly to a stall given without a view (on load; popstate
+   *   shows its view at once, back at the whole map when it has none)
+   */
+  apply({ stall, zoom, at }, { animate = false } = {}) {
+    if (zoom && at) {
+      this.viewport.jumpTo(at.left, at.top, zoom);
+    } else if (!animate) {
+      this.viewport.jumpTo(50, 50, this.viewport.minScale);
+    }
+
+    const pin = stall ? this.pinOf(stall) : null;
+    if (!pin || pin.hidden) {
+      if (this.tooltip && this.tooltip.pinned) this.tooltip.hide();
+      return;
+    }
+
+    if (animate && !(zoom && at)) {
+      this.showStall(stall);
+    } else {
+      this.open(pin);
+    }
+  }
+
+  /**
+   * Fly to a stall's pin and open its popover
+   * @param {string|number} stallId
+   * @param {object} options - focus: move the keyboard focus to the pin
+   * @returns {Promise<boolean>} Whether the stall is on the map
+   */
+  async showStall(stallId, { focus = false } = {}) {
+    const pin = this.pinOf(stallId);
+    if (!pin || pin.hidden) return false;
+
+    const left = parseFloat(pin.style.left) || 0;
+    const top = parseFloat(pin.style.top) || 0;
+    await this.viewport.focus(left, top, Math.max(this.viewport.scale, MapState.STALL_ZOOM));
+
+    // The filters may have hidden it while the map moved
+    if (pin.hidden) return false;
+
+    this.open(pin);
+    if (focus) pin.focus({ preventScroll: true });
+    return true;
+  }
+
+  // Open the popover on a pin, fanning out its cluster when it is grouped
+  open(pin) {
+    if (this.clusters && pin.classList.contains("is-clustered")) {
+      const cluster = this.clusters.clusterOf(pin);
+      if (cluster) this.clusters.spiderfy(cluster);
+    }
+    if (this.tooltip) this.tooltip.open(pin);
+  }
+
+  // Replace the current history entry with the map's stall, zoom and centre
+  write() {
+    const params = new URLSearchParams(window.location.search);
+    const pin = this.tooltip && this.tooltip.pinned ? this.tooltip.pin : null;
+
+    if (pin) {
+      params.set("stall", pin.dataset.stallId);
+    } else {
+      params.delete("stall");
+    }
+
+    if (this.viewport.scale > this.viewport.minScale + 0.01) {
+      const { left, top } = this.viewport.center();
+      params.set("zoom", String(Math.round(this.viewport.scale * 100) / 100));
+      params.set("at", `${left.toFixed(1)},${top.toFixed(1)}`);
+    } else {
+      params.delete("zoom");
+      params.delete("at");
+    }
+
+    const query = params.toString().replace(/%2C/g, ",");
+    const url = `${window.location.pathname}${query ? `?${query}` : ""}${window.location.hash}`;
+    if (url !== `${window.location.pathname}${window.location.search}${window.location.hash}`) {
+      history.replaceState(history.state, "", url);
+    }
+  }
+
+  pinOf(stallId) {
+    return this.pins.find((pin) => pin.dataset.stallId === String(stallId)) || null;
+  }
+
+  /**
+   * Read the map's parameters: ?stall=, ?zoom= and ?at=
+   * @param {string} query - Query string, with or without the leading "?"
+   * @returns {object} { stall, zoom, at }, each null when missing or invalid
+   */
+  static readUrl(query) {
+    const params = new URLSearchParams(query);
+    const stall = params.get("stall") || "";
+    const zoom = parseFloat(params.get("zoom"));
+    const [left, top] = (params.get("at") || "").split(",").map((part) => parseFloat(part));
+
+    return {
+      stall: /^\d+$/.test(stall) ? stall : null,
+      zoom: zoom > 0 ? zoom : null,
+      at: Number.isFinite(left) && Number.isFinite(top) ? { left, top } : null,
+    };
+  }
+}
+
+// Closest zoom a stall link flies to
+MapState.STALL_ZOOM = 2.5;
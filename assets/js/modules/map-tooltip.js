@@ -0,0 +1,346 @@
+/*
+PROGRAM NAME: Map Tooltip Module (map-tooltip.js)
+
+PROGRAMMER: Frontend Team
+
+SYSTEM CONTEXT:
+This module is part of the BuzzarFeed platform and shows the stall tooltip (#stallTooltip in
+sections/map/MapSection.php) for the pins on map.php: as a preview while the mouse is over a pin, and as a popover
+that stays open when a pin is tapped, clicked or pressed with Enter. It replaces the page's former inline script and
+places the tooltip with MapViewport (map-viewport.js), so it stays on its pin at any zoom and while the map moves.
+
+DATE CREATED: October 19, 2026
+LAST MODIFIED: October 19, 2026
+
+PURPOSE:
+The purpose of this program is to preview a stall from its pin, with a mouse, a finger or the keyboard:
+- Fill the tooltip with the stall's name, categories, rating, hours badge, heart and description
+- Place it above the pin, or below when there is no room, without leaving the map
+- Keep it on the pin while the map is zoomed or panned
+- Link the "View Stall" button to the stall's page
+- Toggle the popover on tap, close it with its close button, Escape or a tap elsewhere
+- Move between nearby pins with the arrow keys
+
+DATA STRUCTURES:
+- container (DOM element): #mapContainer, the coordinate space of the tooltip
+- viewport (MapViewport): Converts pin positions (percent of the map) to container pixels
+- tooltip (DOM element): #stallTooltip
+- pins (DOM element[]): The map's pin buttons
+- pin (DOM element|null): Pin the tooltip is showing; data-stall-* attributes hold its stall
+- pinned (boolean): Whether the tooltip is an open popover rather than a hover preview
+- hideTimer (number|null): Pending hide after the pointer leaves the pin
+- listeners (Set<Function>): Called with the popover's pin whenever it opens, moves or closes
+
+ALGORITHM / LOGIC:
+1. Pointer enters a pin: fill the tooltip from the pin's data attributes, show it and place it
+   (unless a popover is open).
+2. place():
+   a. Find the pin's tip in container pixels with viewport.toViewport().
+   b. Put the tooltip above the pin when it fits, otherwise below.
+   c. Shift it sideways so it stays inside the container.
+   d. Hide it when the pin has been panned out of view or grouped into a cluster; add the
+      offset of pins fanned out by MapClusters.
+3. The viewport changes: place() again.
+4. Pointer leaves the pin: hide after a short delay unless it moved onto the tooltip; leaving
+   the tooltip hides it. Neither hides an open popover.
+5. Pin clicked (tap, click, Enter or Space): open the popover on it, or close it when it is
+   already open there.
+6. Keys:
+   a. Arrows on a pin: focus the nearest shown pin in that direction, scoring distance along
+      the arrow plus twice the distance across it; an open popover moves with the focus.
+   b. Tab on the pin of an open popover moves into it; Shift+Tab on its first control returns.
+   c. Escape closes the tooltip and returns the focus to its pin when it was inside.
+7. A pin taking the focus out of view is panned to the middle of the map.
+8. Opening, moving or closing the popover notifies subscribers (MapState keeps ?stall= in the
+   URL with it); hover previews do not.
+
+NOTES:
+- Text is inserted with textContent.
+- The heart and hours badge are redrawn through the "favorites:render" and "hours-badge:render"
+  events handled by Favorites and HoursBadges.
+- Pins carry their screen reader label (name, rating, categories) from MapSection.php and
+  aria-expanded from this module; the tooltip is a non-modal dialog.
+- The stars are drawn by StarRating.display() (star-rating.js), like every other rating.
+- Future enhancements may include swiping between stalls in the popover.
+*/
+
+import { StarRating } from "./star-rating.js";
+
+export class MapTooltip {
+  constructor(container, viewport, options = {}) {
+    this.container = container;
+    this.viewport = viewport;
+    this.tooltip = container ? container.querySelector(".stall-tooltip") : null;
+    this.gap = options.gap || 10;
+    this.pins = container ? Array.from(container.querySelectorAll(".map-pin")) : [];
+    this.pin = null;
+    this.pinned = false;
+    this.hideTimer = null;
+    this.listeners = new Set();
+
+    if (!this.tooltip || !viewport) return;
+
+    this.init();
+  }
+
+  init() {
+    this.closeButton = this.tooltip.querySelector(".tooltip-close");
+
+    this.pins.forEach((pin) => {
+      pin.addEventListener("mouseenter", () => {
+        if (!this.pinned) this.show(pin);
+      });
+      pin.addEventListener("mouseleave", () => this.scheduleHide());
+      pin.addEventListener("click", () => this.toggle(pin));
+      pin.addEventListener("keydown", (e) => this.handlePinKey(e, pin));
+      pin.addEventListener("focus", () => this.reveal(pin));
+    });
+
+    this.tooltip.addEventListener("mouseenter", () => clearTimeout(this.hideTimer));
+    this.tooltip.addEventListener("mouseleave", () => {
+      if (!this.pinned) this.hide();
+    });
+    this.tooltip.addEventListener("keydown", (e) => {
+      if (e.key === "Tab" && e.shiftKey && e.target === this.firstControl()) {
+        e.preventDefault();
+        this.pin.focus({ preventScroll: true });
+      }
+    });
+    if (this.closeButton) this.closeButton.addEventListener("click", () => this.hide());
+
+    document.addEventListener("keydown", (e) => {
+      if (e.key === "Escape" && this.pin) this.hide();
+    });
+
+    // A tap or click anywhere else closes the popover
+    document.addEventListener("click", (e) => {
+      if (this.pinned && !e.target.closest(".map-pin, .stall-tooltip")) this.hide();
+    });
+
+    this.viewport.subscribe(() => {
+      if (this.pin) this.place();
+    });
+  }
+
+  show(pin) {
+    clearTimeout(this.hideTimer);
+    if (this.pin && this.pin !== pin) this.pin.setAttribute("aria-expanded", "false");
+    this.pin = pin;
+    pin.setAttribute("aria-expanded", "true");
+    this.fill(pin.dataset);
+    this.tooltip.classList.remove("hidden");
+    this.place();
+  }
+
+  /**
+   * Open the popover on a pin
+   * @param {HTMLElement} pin
+   */
+  open(pin) {
+    this.show(pin);
+    this.pinned = true;
+    this.emit();
+  }
+
+  // Open the popover on a pin, or close it when it is already open there
+  toggle(pin) {
+    if (this.pinned && this.pin === pin) {
+      this.hide();
+      return;
+    }
+    this.open(pin);
+  }
+
+  scheduleHide() {
+    if (this.pinned) return;
+
+    // Delay hiding to allow moving onto the tooltip
+    clearTimeout(this.hideTimer);
+    this.hideTimer = setTimeout(() => {
+      if (!this.tooltip.matches(":hover")) this.hide();
+    }, 100);
+  }
+
+  hide() {
+    clearTimeout(this.hideTimer);
+    const pin = this.pin;
+    const wasPinned = this.pinned;
+    const hadFocus = this.tooltip.contains(document.activeElement);
+
+    this.pin = null;
+    this.pinned = false;
+    this.tooltip.classList.add("hidden");
+
+    if (!pin) return;
+    pin.setAttribute("aria-expanded", "false");
+    if (hadFocus) pin.focus({ preventScroll: true });
+    if (wasPinned) this.emit();
+  }
+
+  handlePinKey(e, pin) {
+    if (e.key === "Tab" && !e.shiftKey && this.pinned && this.pin === pin && this.firstControl()) {
+      e.preventDefault();
+      this.firstControl().focus();
+      return;
+    }
+
+    const direction = MapTooltip.DIRECTIONS[e.key];
+    if (!direction) return;
+
+    e.preventDefault();
+    const next = this.neighbour(pin, direction);
+    if (!next) return;
+
+    next.focus({ preventScroll: true });
+    if (this.pinned) this.open(next);
+  }
+
+  /**
+   * Nearest shown pin in a direction, preferring pins in line with the given one
+   * @param {HTMLElement} pin
+   * @param {number[]} direction - Unit vector [x, y] on screen
+   * @returns {HTMLElement|null}
+   */
+  neighbour(pin, [dx, dy]) {
+    const from = this.tipOf(pin);
+    let best = null;
+    let bestScore = Infinity;
+
+    this.pins.forEach((other) => {
+      if (other === pin || !MapTooltip.isShown(other)) return;
+      const to = this.tipOf(other);
+      const along = (to.x - from.x) * dx + (to.y - from.y) * dy;
+      if (along <= 0) return;
+
+      const score = along + 2 * Math.abs((to.x - from.x) * dy - (to.y - from.y) * dx);
+      if (score < bestScore) {
+        best = other;
+        bestScore = score;
+      }
+    });
+
+    return best;
+  }
+
+  // Pan a focused pin into view when it is outside the map's visible part
+  reveal(pin) {
+    const tip = this.tipOf(pin);
+    if (tip.x >= 0 && tip.x <= this.container.clientWidth && tip.y >= 0 && tip.y <= this.container.clientHeight) {
+      return;
+    }
+    this.viewport.focus(parseFloat(pin.style.left) || 0, parseFloat(pin.style.top) || 0, this.viewport.scale);
+  }
+
+  firstControl() {
+    return Array.from(this.tooltip.querySelectorAll("button, a[href]")).find((control) => !control.hidden) || null;
+  }
+
+  // Pin tip in container pixels; pins fanned out by MapClusters are offset from their map position
+  tipOf(pin) {
+    const tip = this.viewport.toViewport(parseFloat(pin.style.left) || 0, parseFloat(pin.style.top) || 0);
+    tip.x += parseFloat(pin.style.getPropertyValue("--spider-x")) || 0;
+    tip.y += parseFloat(pin.style.getPropertyValue("--spider-y")) || 0;
+    return tip;
+  }
+
+  fill(stall) {
+    const rating = parseFloat(stall.stallRating) || 0;
+
+    this.tooltip.querySelector(".tooltip-name").textContent = stall.stallName;
+
+    const categories = this.tooltip.querySelector(".tooltip-categories");
+    categories.replaceChildren(
+      ...(stall.stallCategories || "")
+        .split(", ")
+        .filter(Boolean)
+        .map((category) => {
+          const tag = document.createElement("span");
+          tag.className = "tooltip-cat";
+          tag.textContent = category;
+          return tag;
+        })
+    );
+
+    const stars = StarRating.display(rating, { className: "tooltip-stars" });
+    const ratingText = document.createElement("span");
+    ratingText.textContent = rating > 0 ? rating.toFixed(1) : "No ratings";
+    this.tooltip.querySelector(".tooltip-rating").replaceChildren(stars, ratingText);
+
+    this.tooltip.querySelector(".tooltip-desc").textContent = `${stall.stallDesc || ""}...`;
+
+    const view = this.tooltip.querySelector(".tooltip-view-btn");
+    if (view) view.href = `stall-detail.php?id=${encodeURIComponent(stall.stallId)}`;
+
+    // Let HoursBadges and Favorites redraw for this stall
+    const hoursBadge = this.tooltip.querySelector("[data-hours-badge]");
+    if (hoursBadge) {
+      hoursBadge.dataset.hoursBadge = stall.stallHours || "";
+      hoursBadge.dispatchEvent(new CustomEvent("hours-badge:render", { bubbles: true }));
+    }
+
+    const favoriteButton = this.tooltip.querySelector("[data-favorite-stall]");
+    if (favoriteButton) {
+      favoriteButton.dataset.favoriteStall = stall.stallId;
+      favoriteButton.dataset.stallName = stall.stallName;
+      favoriteButton.dispatchEvent(new CustomEvent("favorites:render", { bubbles: true }));
+    }
+  }
+
+  // Position above or below the pin's tip, inside the container
+  place() {
+    const tip = this.tipOf(this.pin);
+    const width = this.container.clientWidth;
+    const height = this.container.clientHeight;
+
+    if (!MapTooltip.isShown(this.pin) || tip.x < 0 || tip.x > width || tip.y < 0 || tip.y > height) {
+      this.tooltip.classList.add("hidden");
+      return;
+    }
+    this.tooltip.classList.remove("hidden");
+
+    const pinHeight = this.pin.offsetHeight || 32;
+    const tooltipWidth = this.tooltip.offsetWidth || 300;
+    const tooltipHeight = this.tooltip.offsetHeight || 120;
+
+    let top = tip.y - pinHeight - this.gap - tooltipHeight;
+    if (top < 0) top = tip.y + this.gap;
+
+    const left = Math.min(Math.max(8, tip.x - tooltipWidth / 2), Math.max(8, width - tooltipWidth - 8));
+
+    this.tooltip.style.transform = "none";
+    this.tooltip.style.marginTop = "0";
+    this.tooltip.style.left = `${left}px`;
+    this.tooltip.style.top = `${top}px`;
+  }
+
+  /**
+   * @param {Function} listener - Called with the pin of the open popover (null once closed)
+   * @returns {Function} Unsubscribe
+   */
+  subscribe(listener) {
+    this.listeners.add(listener);
+    return () => this.listeners.delete(listener);
+  }
+
+  emit() {
+    const pin = this.pinned ? this.pin : null;
+    this.listeners.forEach((listener) => listener(pin));
+  }
+
+  /**
+   * Whether a pin is drawn on the map (not filtered out or grouped into a cluster)
+   * @param {HTMLElement} pin
+   * @returns {boolean}
+   */
+  static isShown(pin) {
+    return !pin.hidden && !pin.classList.contains("is-clustered");
+  }
+}
+
+// Screen direction of each arrow key
+MapTooltip.DIRECTIONS = {
+  ArrowLeft: [-1, 0],
+  ArrowRight: [1, 0],
+  ArrowUp: [0, -1],
+  ArrowDown: [0, 1],
+};
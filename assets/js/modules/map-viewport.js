@@ -0,0 +1,473 @@
+/*
+PROGRAM NAME: Map Viewport Module (map-viewport.js)
+
+PROGRAMMER: Frontend Team
+
+SYSTEM CONTEXT:
+This module is part of the BuzzarFeed platform and makes the bazaar map on map.php (sections/map/MapSection.php)
+zoomable and pannable. The map image and its pins are moved into a stage that is scaled and translated inside the
+map container; pins keep their percentage positions on the stage, and MapTooltip (map-tooltip.js) uses
+toViewport() to place the tooltip over a pin at any zoom. MapPicker (map-picker.js) zooms the location pickers of
+register-stall.php and manage-stall.php with it.
+
+DATE CREATED: October 19, 2026
+LAST MODIFIED: October 19, 2026
+
+PURPOSE:
+The purpose of this program is to let visitors get close to a crowded part of the map, especially on phones:
+- Zoom with the mouse wheel, a pinch, or the zoom buttons
+- Pan by dragging, with inertia after a flick
+- Reset to the whole map with one button
+- Keep pins the same size on screen at every zoom level
+
+DATA STRUCTURES:
+- container (DOM element): #mapContainer; the visible viewport (overflow hidden)
+- stage (DOM element): div.map-stage holding the map image and pins; transformed
+- layers (string): Selector of the container's children moved into the stage (default: image, zones overlay
+  and pins)
+- ignore (string): IGNORE plus the caller's own elements that never start a pan
+- scale (number): Current zoom, from minScale (1, the whole map) to maxScale
+- x, y (number): Stage offset in container pixels; always keeps the map covering the viewport
+- pointers (Map): Active pointers by pointerId, for dragging and pinching
+- gesture (object|null): Start of the current drag or pinch
+- velocity (object): Recent drag speed in px/ms, used for inertia
+- listeners (Set<Function>): Called with { scale, x, y } after every change
+- settle (Function|null): Settles the promise of the running animation
+- controls (DOM element): Zoom in, zoom out and reset buttons
+
+ALGORITHM / LOGIC:
+1. Wrap the image and pins in the stage and add the controls.
+2. Wheel: zoom by a factor of the wheel distance around the cursor; zooming out of the whole
+   map is left to the page so it scrolls as before.
+3. One pointer: pan once it has moved a few pixels (a shorter press stays a click on the pin
+   under it); on release, keep moving at the release speed and slow down each frame.
+4. Two pointers: zoom by the change in distance between them, keeping the map point under
+   their first midpoint under their current midpoint.
+5. Buttons: animate to the new zoom around the viewport centre, or back to the whole map;
+   focus() animates to a zoom centred on a point of the map (used by MapClusters and
+   MapState), and jumpTo() goes there at once.
+6. After every change: clamp the offset so the map covers the viewport, write the stage
+   transform and --map-scale (pins divide their size by it), and notify listeners.
+7. Resize: keep the zoom and the relative offset.
+
+NOTES:
+- A drag never triggers the click that ends it, so pins and links under the cursor are safe.
+- At the whole-map zoom, vertical touch scrolling is left to the page (touch-action: pan-y).
+- Elements matching IGNORE (controls, tooltip) or the ignore option never start a pan.
+- The container is never scrolled, even when a pin out of view takes the focus.
+- Styles live in the MAP VIEWPORT section of styles.css, since the location pickers use them too.
+- Future enhancements may include double-tap to zoom.
+*/
+
+const IGNORE = ".map-controls, .stall-tooltip";
+
+export class MapViewport {
+  constructor(container, options = {}) {
+    if (!container) return;
+
+    this.container = container;
+    this.minScale = options.minScale || 1;
+    this.maxScale = options.maxScale || 4;
+    this.step = options.step || 1.5;
+    this.layers = options.layers || ":scope > .map-image, :scope > .map-zones, :scope > .map-pin";
+    this.ignore = options.ignore ? `${IGNORE}, ${options.ignore}` : IGNORE;
+    this.scale = this.minScale;
+    this.x = 0;
+    this.y = 0;
+    this.pointers = new Map();
+    this.gesture = null;
+    this.velocity = { x: 0, y: 0 };
+    this.dragged = false;
+    this.frame = null;
+    this.settle = null;
+    this.listeners = new Set();
+
+    this.init();
+  }
+
+  init() {
+    this.stage = document.createElement("div");
+    this.stage.className = "map-stage";
+    this.container
+      .querySelectorAll(this.layers)
+      .forEach((element) => this.stage.appendChild(element));
+    this.container.prepend(this.stage);
+
+    this.controls = document.createElement("div");
+    this.controls.className = "map-controls";
+    this.zoomInButton = this.createButton("fas fa-plus", "Zoom in", () => this.zoomBy(this.step));
+    this.zoomOutButton = this.createButton("fas fa-minus", "Zoom out", () => this.zoomBy(1 / this.step));
+    this.resetButton = this.createButton("fas fa-compress-arrows-alt", "Show the whole map", () => this.reset());
+    this.controls.append(this.zoomInButton, this.zoomOutButton, this.resetButton);
+    this.container.appendChild(this.controls);
+
+    this.container.classList.add("map-viewport");
+    this.container.addEventListener("wheel", (e) => this.handleWheel(e), { passive: false });
+    this.container.addEventListener("pointerdown", (e) => this.handlePointerDown(e));
+    this.container.addEventListener("pointermove", (e) => this.handlePointerMove(e));
+    this.container.addEventListener("pointerup", (e) => this.handlePointerUp(e));
+    this.container.addEventListener("pointercancel", (e) => this.handlePointerUp(e));
+
+    // Swallow the click that ends a drag
+    this.container.addEventListener(
+      "click",
+      (e) => {
+        if (!this.dragged) return;
+        this.dragged = false;
+        e.preventDefault();
+        e.stopPropagation();
+      },
+      true
+    );
+
+    // Focusing a pin out of view scrolls the container; the view is moved with the offset only
+    this.container.addEventListener("scroll", () => {
+      this.container.scrollLeft = 0;
+      this.container.scrollTop = 0;
+    });
+
+    let width = this.container.clientWidth;
+    const resize = () => {
+      const newWidth = this.container.clientWidth;
+      if (width > 0 && newWidth > 0 && newWidth !== width) {
+        this.x *= newWidth / width;
+        this.y *= newWidth / width;
+      }
+      width = newWidth;
+      this.update();
+    };
+    if (typeof ResizeObserver !== "undefined") {
+      new ResizeObserver(resize).observe(this.container);
+    } else {
+      window.addEventListener("resize", resize);
+    }
+
+    this.update();
+  }
+
+  createButton(icon, label, onClick) {
+    const button = document.createElement("button");
+    button.type = "button";
+    button.className = "map-control-btn";
+    button.setAttribute("aria-label", label);
+    button.title = label;
+
+    const iconEl = document.createElement("i");
+    iconEl.className = icon;
+    iconEl.setAttribute("aria-hidden", "true");
+    button.appendChild(iconEl);
+
+    button.addEventListener("click", onClick);
+    return button;
+  }
+
+  /**
+   * Size of the map at the whole-map zoom
+   * @returns {{width: number, height: number}}
+   */
+  size() {
+    return { width: this.container.clientWidth, height: this.stage.offsetHeight };
+  }
+
+  /**
+   * Position in the container of a point given in percent of the map
+   * @param {number} left - Percent of the map width
+   * @param {number} top - Percent of the map height
+   * @returns {{x: number, y: number}}
+   */
+  toViewport(left, top) {
+    const { width, height } = this.size();
+    return {
+      x: this.x + (this.scale * width * left) / 100,
+      y: this.y + (this.scale * height * top) / 100,
+    };
+  }
+
+  /**
+   * Zoom around a point of the container (default: its centre)
+   * @param {number} scale - New zoom; clamped to minScale..maxScale
+   * @param {number} cx
+   * @param {number} cy
+   */
+  zoomTo(scale, cx, cy) {
+    const { width, height } = this.size();
+    const originX = cx ?? width / 2;
+    const originY = cy ?? height / 2;
+    const newScale = Math.min(this.maxScale, Math.max(this.minScale, scale));
+
+    this.x = originX - ((originX - this.x) * newScale) / this.scale;
+    this.y = originY - ((originY - this.y) * newScale) / this.scale;
+    this.scale = newScale;
+    this.update();
+  }
+
+  zoomBy(factor, cx, cy) {
+    const { width, height } = this.size();
+    const start = { scale: this.scale, x: this.x, y: this.y };
+    const scale = Math.min(this.maxScale, Math.max(this.minScale, this.scale * factor));
+    const originX = cx ?? width / 2;
+    const originY = cy ?? height / 2;
+
+    this.animate(start, {
+      scale,
+      x: originX - ((originX - this.x) * scale) / this.scale,
+      y: originY - ((originY - this.y) * scale) / this.scale,
+    });
+  }
+
+  /**
+   * Animate to a zoom with a point of the map (in percent) at the centre of the viewport
+   * @param {number} left - Percent of the map width
+   * @param {number} top - Percent of the map height
+   * @param {number} scale
+   * @returns {Promise} Settles when the map arrives, or when another move interrupts it
+   */
+  focus(left, top, scale) {
+    return this.animate({ scale: this.scale, x: this.x, y: this.y }, this.centredOn(left, top, scale));
+  }
+
+  /**
+   * Show a zoom with a point of the map (in percent) at the centre of the viewport, without animating
+   * @param {number} left - Percent of the map width
+   * @param {number} top - Percent of the map height
+   * @param {number} scale
+   */
+  jumpTo(left, top, scale) {
+    this.stop();
+    Object.assign(this, this.centredOn(left, top, scale));
+    this.update();
+  }
+
+  /**
+   * Point of the map (in percent) at the centre of the viewport
+   * @returns {{left: number, top: number}}
+   */
+  center() {
+    const { width, height } = this.size();
+    if (!width || !height) return { left: 50, top: 50 };
+    return {
+      left: ((width / 2 - this.x) * 100) / (this.scale * width),
+      top: ((height / 2 - this.y) * 100) / (this.scale * height),
+    };
+  }
+
+  // View with a point of the map at the centre, before clamping
+  centredOn(left, top, scale) {
+    const { width, height } = this.size();
+    const target = Math.min(this.maxScale, Math.max(this.minScale, scale));
+    return {
+      scale: target,
+      x: width / 2 - (target * width * left) / 100,
+      y: height / 2 - (target * height * top) / 100,
+    };
+  }
+
+  reset() {
+    return this.animate({ scale: this.scale, x: this.x, y: this.y }, { scale: this.minScale, x: 0, y: 0 });
+  }
+
+  // Ease from one view to another over a few frames; settles when done or stopped
+  animate(from, to, duration = 200) {
+    this.stop();
+    let started = null;
+
+    return new Promise((resolve) => {
+      this.settle = resolve;
+
+      const step = (now) => {
+        // Frame times can precede performance.now(), so time from the first frame
+        if (started === null) started = now;
+        const t = Math.min(1, (now - started) / duration);
+        const eased = 1 - Math.pow(1 - t, 3);
+        this.scale = from.scale + (to.scale - from.scale) * eased;
+        this.x = from.x + (to.x - from.x) * eased;
+        this.y = from.y + (to.y - from.y) * eased;
+        this.update();
+
+        if (t < 1) {
+          this.frame = requestAnimationFrame(step);
+        } else {
+          this.frame = null;
+          this.settle = null;
+          resolve();
+        }
+      };
+      this.frame = requestAnimationFrame(step);
+    });
+  }
+
+  stop() {
+    if (this.frame) cancelAnimationFrame(this.frame);
+    this.frame = null;
+    if (this.settle) this.settle();
+    this.settle = null;
+  }
+
+  handleWheel(e) {
+    const delta = e.deltaY * (e.deltaMode === 1 ? 16 : 1);
+    if (delta === 0 || (delta > 0 && this.scale <= this.minScale)) return;
+
+    e.preventDefault();
+    this.stop();
+    const rect = this.container.getBoundingClientRect();
+    this.zoomTo(this.scale * Math.exp(-delta * 0.002), e.clientX - rect.left, e.clientY - rect.top);
+  }
+
+  handlePointerDown(e) {
+    if (e.button !== 0 || e.target.closest(this.ignore)) return;
+
+    this.stop();
+    this.dragged = false;
+    this.pointers.set(e.pointerId, { x: e.clientX, y: e.clientY });
+    this.startGesture();
+  }
+
+  handlePointerMove(e) {
+    if (!this.pointers.has(e.pointerId) || !this.gesture) return;
+    this.pointers.set(e.pointerId, { x: e.clientX, y: e.clientY });
+
+    const points = Array.from(this.pointers.values());
+    const rect = this.container.getBoundingClientRect();
+
+    if (points.length >= 2) {
+      const mid = { x: (points[0].x + points[1].x) / 2 - rect.left, y: (points[0].y + points[1].y) / 2 - rect.top };
+      const distance = Math.hypot(points[0].x - points[1].x, points[0].y - points[1].y);
+      const { start } = this.gesture;
+      const scale = Math.min(
+        this.maxScale,
+        Math.max(this.minScale, (start.scale * distance) / Math.max(1, this.gesture.distance))
+      );
+
+      // Keep the map point first under the fingers under them
+      this.x = mid.x - ((this.gesture.mid.x - start.x) * scale) / start.scale;
+      this.y = mid.y - ((this.gesture.mid.y - start.y) * scale) / start.scale;
+      this.scale = scale;
+      this.capture(e);
+      this.update();
+      return;
+    }
+
+    const dx = e.clientX - this.gesture.pointer.x;
+    const dy = e.clientY - this.gesture.pointer.y;
+    if (!this.dragged && Math.hypot(dx, dy) < MapViewport.DRAG_THRESHOLD) return;
+    this.capture(e);
+
+    const now = performance.now();
+    const elapsed = Math.max(1, now - this.gesture.time);
+    const previous = { x: this.x, y: this.y };
+    this.x = this.gesture.start.x + dx;
+    this.y = this.gesture.start.y + dy;
+    this.update();
+
+    // Smooth the speed so one uneven frame does not decide the flick
+    this.velocity = {
+      x: this.velocity.x * 0.5 + ((this.x - previous.x) / elapsed) * 0.5,
+      y: this.velocity.y * 0.5 + ((this.y - previous.y) / elapsed) * 0.5,
+    };
+    this.gesture.time = now;
+  }
+
+  handlePointerUp(e) {
+    if (!this.pointers.has(e.pointerId)) return;
+    this.pointers.delete(e.pointerId);
+
+    if (this.pointers.size > 0) {
+      // Pinch to one finger: carry on panning from here
+      this.startGesture();
+      return;
+    }
+
+    const gesture = this.gesture;
+    this.gesture = null;
+    this.container.classList.remove("is-dragging");
+
+    // A finger that stopped before lifting does not glide
+    if (this.dragged && gesture && performance.now() - gesture.time < 100) {
+      this.glide();
+    }
+  }
+
+  // Pointers are captured only once a drag starts, so a plain tap still clicks the pin under it
+  capture(e) {
+    if (!this.dragged) {
+      this.dragged = true;
+      this.container.classList.add("is-dragging");
+    }
+    if (this.container.setPointerCapture && !this.container.hasPointerCapture(e.pointerId)) {
+      this.container.setPointerCapture(e.pointerId);
+    }
+  }
+
+  startGesture() {
+    const points = Array.from(this.pointers.values());
+    const rect = this.container.getBoundingClientRect();
+
+    this.velocity = { x: 0, y: 0 };
+    this.gesture = {
+      start: { scale: this.scale, x: this.x, y: this.y },
+      pointer: points[0],
+      time: performance.now(),
+      mid:
+        points.length >= 2
+          ? { x: (points[0].x + points[1].x) / 2 - rect.left, y: (points[0].y + points[1].y) / 2 - rect.top }
+          : null,
+      distance: points.length >= 2 ? Math.hypot(points[0].x - points[1].x, points[0].y - points[1].y) : 0,
+    };
+  }
+
+  // Keep moving after a flick, slowing down every frame
+  glide() {
+    this.stop();
+    let last = null;
+
+    const step = (now) => {
+      const elapsed = last === null ? 16 : Math.min(32, Math.max(0, now - last));
+      last = now;
+      const before = { x: this.x, y: this.y };
+      this.x += this.velocity.x * elapsed;
+      this.y += this.velocity.y * elapsed;
+      this.update();
+
+      // Stop along an axis that hit the edge
+      if (this.x === before.x) this.velocity.x = 0;
+      if (this.y === before.y) this.velocity.y = 0;
+
+      const friction = Math.pow(MapViewport.FRICTION, elapsed / 16);
+      this.velocity = { x: this.velocity.x * friction, y: this.velocity.y * friction };
+      this.frame = Math.hypot(this.velocity.x, this.velocity.y) > 0.02 ? requestAnimationFrame(step) : null;
+    };
+    this.frame = requestAnimationFrame(step);
+  }
+
+  // Clamp, draw and notify
+  update() {
+    const { width, height } = this.size();
+    this.x = Math.min(0, Math.max(width - width * this.scale, this.x));
+    this.y = Math.min(0, Math.max(height - height * this.scale, this.y));
+
+    this.stage.style.transform = `translate(${this.x}px, ${this.y}px) scale(${this.scale})`;
+    this.stage.style.setProperty("--map-scale", String(this.scale));
+    this.container.classList.toggle("is-zoomed", this.scale > this.minScale);
+    this.zoomInButton.disabled = this.scale >= this.maxScale;
+    this.zoomOutButton.disabled = this.scale <= this.minScale;
+    this.resetButton.disabled = this.scale <= this.minScale;
+
+    const view = { scale: this.scale, x: this.x, y: this.y };
+    this.listeners.forEach((listener) => listener(view));
+  }
+
+  /**
+   * @param {Function} listener - Called with { scale, x, y } after every change
+   * @returns {Function} Unsubscribe
+   */
+  subscribe(listener) {
+    this.listeners.add(listener);
+    return () => this.listeners.delete(listener);
+  }
+}
+
+// Pixels a pointer must move before a press becomes a drag
+MapViewport.DRAG_THRESHOLD = 5;
+
+// Share of the glide speed kept per 16 ms frame
+MapViewport.FRICTION = 0.92;
@@ -0,0 +1,134 @@
+/*
+PROGRAM NAME: Map Zones Module (map-zones.js)
+
+PROGRAMMER: Frontend Team
+
+SYSTEM CONTEXT:
+This module is part of the BuzzarFeed platform and shows the bazaar's layout on the map of map.php: the named zones
+(e.g. "Dessert Row") and walkable paths that admins draw in the map editor (map-editor.js, admin-panel.php).
+sections/map/MapSection.php renders them as a hidden overlay; MapViewport (map-viewport.js) moves it onto its stage
+and this module adds the button that shows and hides it. The editor draws with render(), so both look the same.
+
+DATE CREATED: October 19, 2026
+LAST MODIFIED: October 19, 2026
+
+PURPOSE:
+The purpose of this program is to help visitors find their way around the bazaar:
+- Show or hide the zones and walkways over the map with one button next to the zoom buttons
+- Draw zones as shaded polygons and walkways as dashed lines, each with its name
+
+DATA STRUCTURES:
+- overlay (DOM element): div.map-zones[data-map-zones] on the stage; hidden until shown
+- viewport (MapViewport): Supplies the controls the button is added to
+- button (DOM element): Toggle, with aria-pressed
+- Layout (object): { zones, paths }, each [{ id, name, points: [{ x, y }] }] in percent of the map image
+
+ALGORITHM / LOGIC:
+1. When the map has an overlay, add the toggle button to the viewport's controls.
+2. toggle(): show or hide the overlay and update aria-pressed.
+3. render(overlay, layout):
+   a. One SVG (viewBox 0 0 100 100, stretched over the map) holding a polygon per zone and a
+      polyline per path; strokes keep their width at every zoom.
+   b. A label per zone at the average of its corners, and per named path at its middle.
+
+NOTES:
+- Keep render() in sync with the overlay loop in MapSection.php.
+- The overlay ignores the pointer, so pins and the map under it work as before.
+- Styles live in the MAP ZONES section of styles.css, since the admin editor uses them too.
+- Future enhancements may include highlighting the zone of an open stall.
+*/
+
+export class MapZones {
+  constructor(container, viewport) {
+    this.overlay = container ? container.querySelector("[data-map-zones]") : null;
+    if (!this.overlay || !viewport || !viewport.controls) return;
+
+    this.viewport = viewport;
+    this.button = viewport.createButton("fas fa-layer-group", "Zones and walkways", () => this.toggle());
+    this.button.setAttribute("aria-pressed", "false");
+    viewport.controls.appendChild(this.button);
+  }
+
+  /**
+   * Show or hide the zones and walkways
+   * @param {boolean} shown - Defaults to the opposite of the current state
+   */
+  toggle(shown = this.overlay.hidden) {
+    this.overlay.hidden = !shown;
+    this.button.setAttribute("aria-pressed", String(shown));
+  }
+
+  /**
+   * Draw a layout into an overlay, replacing what it held
+   * @param {HTMLElement} overlay - div.map-zones
+   * @param {object} layout - zones and paths
+   * @param {object} options - unnamedZone: label for zones without a name yet
+   */
+  static render(overlay, { zones = [], paths = [] }, { unnamedZone = "" } = {}) {
+    const svg = document.createElementNS(MapZones.SVG_NS, "svg");
+    svg.setAttribute("class", "map-zones-shapes");
+    svg.setAttribute("viewBox", "0 0 100 100");
+    svg.setAttribute("preserveAspectRatio", "none");
+    svg.setAttribute("aria-hidden", "true");
+
+    zones.forEach((zone) => svg.appendChild(MapZones.shape("polygon", "map-zone", "zoneId", zone)));
+    paths.forEach((path) => svg.appendChild(MapZones.shape("polyline", "map-path", "pathId", path)));
+
+    const labels = [
+      ...zones.map((zone) => MapZones.label("map-zone-label", "zoneId", zone, zone.name || unnamedZone, true)),
+      ...paths
+        .filter((path) => path.name)
+        .map((path) => MapZones.label("map-zone-label map-path-label", "pathId", path, path.name, false)),
+    ];
+
+    overlay.replaceChildren(svg, ...labels);
+  }
+
+  static shape(tag, className, key, feature) {
+    const shape = document.createElementNS(MapZones.SVG_NS, tag);
+    shape.setAttribute("class", className);
+    shape.setAttribute("points", MapZones.pointsAttr(feature.points));
+    shape.setAttribute("vector-effect", "non-scaling-stroke");
+    shape.dataset[key] = feature.id;
+    return shape;
+  }
+
+  static label(className, key, feature, text, closed) {
+    const { x, y } = MapZones.labelPoint(feature.points, closed);
+    const label = document.createElement("span");
+    label.className = className;
+    label.style.left = `${x}%`;
+    label.style.top = `${y}%`;
+    label.dataset[key] = feature.id;
+    label.textContent = text;
+    return label;
+  }
+
+  /**
+   * "x,y x,y ..." for an SVG points attribute
+   * @param {Array<{x: number, y: number}>} points
+   * @returns {string}
+   */
+  static pointsAttr(points) {
+    return points.map((point) => `${point.x},${point.y}`).join(" ");
+  }
+
+  /**
+   * Where a feature's name goes: the average of a zone's corners, or the middle of a path
+   * @param {Array<{x: number, y: number}>} points
+   * @param {boolean} closed - Whether the points outline a zone
+   * @returns {{x: number, y: number}}
+   */
+  static labelPoint(points, closed) {
+    if (points.length === 0) return { x: 0, y: 0 };
+
+    const middle = closed ? points : points.slice(Math.ceil(points.length / 2) - 1, Math.floor(points.length / 2) + 1);
+    const round = (value) => Math.round((value / middle.length) * 100) / 100;
+    return {
+      x: round(middle.reduce((sum, point) => sum + point.x, 0)),
+      y: round(middle.reduce((sum, point) => sum + point.y, 0)),
+    };
+  }
+}
+
+MapZones.SVG_NS = "http://www.w3.org/2000/svg";
@@ -0,0 +1,164 @@
+/*
+PROGRAM NAME: Outbox Status Module (outbox-status.js)
+
+PROGRAMMER: Frontend Team
+
+SYSTEM CONTEXT:
+This module is part of the BuzzarFeed platform and shows the state of the API client's offline outbox.
+Reviews and reactions that could not be sent (no signal, timeouts, server overload) are kept by ApiOutbox in api-client.js;
+this panel lists them so the user knows their text was not lost and can retry or discard each one.
+
+DATE CREATED: October 19, 2026
+LAST MODIFIED: October 19, 2026
+
+PURPOSE:
+The purpose of this program is to make queued mutations visible and controllable:
+- Show every queued review or reaction with a Pending, Sending, Failed or Sent badge
+- Show the reason a mutation failed
+- Let the user retry or discard failed and pending items, and dismiss sent ones
+- Tell the user when the browser goes offline or comes back online
+
+DATA STRUCTURES:
+- outbox (ApiOutbox): Queue to display, from api.enableOutbox()
+- panel (DOM element): Fixed panel appended to the body; hidden while the queue is empty
+- list (DOM element): <ul> with one <li> per entry
+- entries (array): Snapshot received from outbox.subscribe()
+
+ALGORITHM / LOGIC:
+1. Build the panel (title, online/offline state, list) and append it to the body.
+2. Subscribe to the outbox; re-render the list on every change.
+3. For each entry render its label, status badge, error and action buttons.
+4. Delegate button clicks: retry -> outbox.retry(id), discard/dismiss -> outbox.discard(id).
+5. Update the connection line on window online/offline events.
+6. Hide the panel when there is nothing to show.
+
+NOTES:
+- All text is inserted with textContent.
+- The list is an aria-live region so screen readers announce status changes.
+- Styles live in the OFFLINE OUTBOX PANEL section of styles.css.
+- Future enhancements may include editing a failed review before retrying it.
+*/
+
+const STATUS_LABELS = {
+  pending: "Pending",
+  sending: "Sending",
+  failed: "Failed",
+  sent: "Sent",
+};
+
+export class OutboxStatus {
+  constructor(outbox) {
+    if (!outbox) return;
+
+    this.outbox = outbox;
+    this.render = this.render.bind(this);
+    this.updateConnection = this.updateConnection.bind(this);
+
+    this.init();
+  }
+
+  init() {
+    this.panel = document.createElement("section");
+    this.panel.className = "outbox-panel";
+    this.panel.setAttribute("aria-label", "Unsent reviews and reactions");
+    this.panel.hidden = true;
+
+    const title = document.createElement("h2");
+    title.className = "outbox-title";
+    title.textContent = "Waiting to send";
+
+    this.connection = document.createElement("p");
+    this.connection.className = "outbox-connection";
+
+    this.list = document.createElement("ul");
+    this.list.className = "outbox-list";
+    this.list.setAttribute("aria-live", "polite");
+
+    this.panel.append(title, this.connection, this.list);
+    document.body.appendChild(this.panel);
+
+    this.panel.addEventListener("click", (e) => this.handleClick(e));
+    window.addEventListener("online", this.updateConnection);
+    window.addEventListener("offline", this.updateConnection);
+
+    this.updateConnection();
+    this.unsubscribe = this.outbox.subscribe(this.render);
+  }
+
+  render(entries) {
+    this.list.replaceChildren(...entries.map((entry) => this.renderEntry(entry)));
+    this.panel.hidden = entries.length === 0;
+  }
+
+  renderEntry(entry) {
+    const status = entry.sending ? "sending" : entry.status;
+
+    const item = document.createElement("li");
+    item.className = `outbox-item outbox-${status}`;
+    item.dataset.id = entry.id;
+
+    const label = document.createElement("span");
+    label.className = "outbox-label";
+    label.textContent = entry.label;
+
+    const badge = document.createElement("span");
+    badge.className = "outbox-badge";
+    badge.textContent = STATUS_LABELS[status];
+
+    item.append(label, badge);
+
+    if (entry.error && status !== "sent") {
+      const error = document.createElement("p");
+      error.className = "outbox-error";
+      error.textContent = entry.error;
+      item.appendChild(error);
+    }
+
+    const actions = document.createElement("div");
+    actions.className = "outbox-actions";
+
+    if (status === "failed" || status === "pending") {
+      actions.appendChild(this.createButton("retry", "Retry", entry.label));
+      actions.appendChild(this.createButton("discard", "Discard", entry.label));
+    } else if (status === "sent") {
+      actions.appendChild(this.createButton("discard", "Dismiss", entry.label));
+    }
+
+    if (actions.children.length) {
+      item.appendChild(actions);
+    }
+
+    return item;
+  }
+
+  createButton(action, text, label) {
+    const button = document.createElement("button");
+    button.type = "button";
+    button.className = `outbox-btn outbox-btn-${action}`;
+    button.dataset.action = action;
+    button.textContent = text;
+    button.setAttribute("aria-label", `${text}: ${label}`);
+    return button;
+  }
+
+  handleClick(e) {
+    const button = e.target.closest("[data-action]");
+    if (!button) return;
+
+    const { id } = button.closest(".outbox-item").dataset;
+
+    if (button.dataset.action === "retry") {
+      this.outbox.retry(id);
+    } else if (button.dataset.action === "discard") {
+      this.outbox.discard(id);
+    }
+  }
+
+  updateConnection() {
+    const offline = navigator.onLine === false;
+    this.connection.textContent = offline
+      ? "You are offline. Items will be sent when you reconnect."
+      : "Online";
+    this.panel.classList.toggle("is-offline", offline);
+  }
+}
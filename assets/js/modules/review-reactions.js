@@ -0,0 +1,208 @@
+/*
+PROGRAM NAME: Review Reactions Module (review-reactions.js)
+
+PROGRAMMER: Frontend Team
+
+SYSTEM CONTEXT:
+This module is part of the BuzzarFeed platform and handles the like and dislike buttons of the reviews on
+stall-detail.php. Reactions are sent through the API client (api.reactToReview, POST /api/reviews/react), which
+queues them in its offline outbox when the connection is lost and waits for the shared login prompt when the session
+has expired.
+
+DATE CREATED: October 19, 2026
+LAST MODIFIED: October 19, 2026
+
+PURPOSE:
+The purpose of this program is to make reacting to a review feel instant without losing track of the server:
+- Update the counts and the pressed button as soon as it is clicked
+- Send one request for a burst of clicks, for the reaction the user ends on
+- Take the counts from the server's answer, which includes everyone else's reactions
+- Undo the change and show a toast when the server rejects it
+
+DATA STRUCTURES:
+- root (DOM element): Holds the reaction groups (div.review-reactions[data-review-reactions])
+- api (ApiClient): Client for api.reactToReview
+- loggedIn (boolean): Whether the page was rendered for a logged-in user (header[data-auth])
+- loginModal (DOM element|null): Shown to guests who click a reaction
+- reviews (Map<number, object>): Per review:
+  - group (DOM element): Its div.review-reactions
+  - saved ({ reaction, like, dislike }): The server's state, or the outbox's once queued
+  - wanted (string|null): Reaction the user ended on: "like", "dislike" or null
+  - timer (number|null): Debounce timer of the next request
+  - sending (boolean): Whether a request is in flight
+
+ALGORITHM / LOGIC:
+1. Read each group's pressed button and counts as the saved state.
+2. On a click (guests see the login prompt instead):
+   a. Clicking the pressed reaction clears it; the other one switches to it.
+   b. Show the wanted reaction at once: the saved counts, minus the saved reaction, plus the
+      wanted one.
+   c. Restart a short timer; when it ends, send the request.
+3. Sending: nothing when the wanted reaction is the saved one. The server toggles, so
+   sending the saved reaction clears it and sending the other one switches to it; every
+   wanted state is one request away. One request per review is in flight at a time; clicks
+   made meanwhile are sent once it settles.
+4. Answer:
+   a. Sent: the server's counts and reaction become the saved state.
+   b. Queued: the outbox replays the request later, so the shown state becomes the saved one.
+   c. Failed: go back to the saved state and show the error in a toast, except when the user
+      cancelled the login prompt.
+
+NOTES:
+- Counts never go below zero, even if the page was rendered with stale counts.
+- The buttons stay enabled while a request is in flight, so the page never feels stuck.
+- Styles live in stall-detail.css (.reaction-btn).
+- Future enhancements may include showing who reacted to a review.
+*/
+
+import { Utils } from "./utils.js";
+
+export class ReviewReactions {
+  constructor(root, api, options = {}) {
+    if (!root || !api) return;
+
+    this.root = root;
+    this.api = api;
+    this.loggedIn = Boolean(options.loggedIn);
+    this.loginModal = options.loginModal || null;
+    this.reviews = new Map();
+
+    root.querySelectorAll("[data-review-reactions]").forEach((group) => {
+      const saved = ReviewReactions.read(group);
+      this.reviews.set(Number(group.dataset.reviewReactions), {
+        group,
+        saved,
+        wanted: saved.reaction,
+        timer: null,
+        sending: false,
+      });
+      this.render(group, saved);
+    });
+
+    root.addEventListener("click", (e) => {
+      const button = e.target.closest("[data-review-reactions] [data-reaction]");
+      if (!button || !root.contains(button)) return;
+
+      e.preventDefault();
+      this.react(button.closest("[data-review-reactions]").dataset.reviewReactions, button.dataset.reaction);
+    });
+  }
+
+  /**
+   * Toggle a reaction on a review, showing it at once and sending it after a short pause
+   * @param {number|string} reviewId
+   * @param {string} reaction - "like" or "dislike"
+   */
+  react(reviewId, reaction) {
+    const review = this.reviews.get(Number(reviewId));
+    if (!review) return;
+
+    if (!this.loggedIn) {
+      if (this.loginModal) this.loginModal.style.display = "flex";
+      return;
+    }
+
+    review.wanted = review.wanted === reaction ? null : reaction;
+    this.render(review.group, ReviewReactions.apply(review.saved, review.wanted));
+
+    clearTimeout(review.timer);
+    review.timer = setTimeout(() => this.send(Number(reviewId)), ReviewReactions.DEBOUNCE);
+  }
+
+  /**
+   * Bring the server to the wanted reaction with at most one request
+   * @param {number} reviewId
+   * @returns {Promise<void>}
+   */
+  async send(reviewId) {
+    const review = this.reviews.get(reviewId);
+    review.timer = null;
+    if (review.sending || review.wanted === review.saved.reaction) return;
+
+    const wanted = review.wanted;
+    review.sending = true;
+
+    try {
+      // The server toggles: the saved reaction clears it, the other one switches to it
+      const result = await this.api.reactToReview(reviewId, wanted || review.saved.reaction);
+
+      review.saved = result.queued
+        ? ReviewReactions.apply(review.saved, wanted)
+        : ReviewReactions.fromResponse(result.data, review.saved, wanted);
+    } catch (error) {
+      // Drop clicks made meanwhile too; they were based on the state being undone
+      review.wanted = review.saved.reaction;
+      clearTimeout(review.timer);
+      review.timer = null;
+
+      if (!error || (error.name !== "AbortError" && !error.isUnauthorized)) {
+        Utils.showToast((error && error.message) || "Your reaction could not be saved. Please try again.", "error");
+      }
+    } finally {
+      review.sending = false;
+    }
+
+    this.render(review.group, ReviewReactions.apply(review.saved, review.wanted));
+    if (review.wanted !== review.saved.reaction && !review.timer) this.send(reviewId);
+  }
+
+  // Show a state: the pressed button and both counts
+  render(group, state) {
+    group.querySelectorAll("[data-reaction]").forEach((button) => {
+      const reaction = button.dataset.reaction;
+      const pressed = state.reaction === reaction;
+      const count = button.querySelector(`.${reaction}-count`);
+
+      button.classList.toggle("active", pressed);
+      button.setAttribute("aria-pressed", String(pressed));
+      if (count) count.textContent = String(state[reaction]);
+    });
+  }
+
+  /**
+   * State shown by the page: the pressed button and the counts
+   * @param {HTMLElement} group
+   * @returns {{reaction: string|null, like: number, dislike: number}}
+   */
+  static read(group) {
+    const state = { reaction: null, like: 0, dislike: 0 };
+
+    group.querySelectorAll("[data-reaction]").forEach((button) => {
+      const reaction = button.dataset.reaction;
+      const count = button.querySelector(`.${reaction}-count`);
+      state[reaction] = Math.max(0, parseInt(count ? count.textContent : "0", 10) || 0);
+      if (button.classList.contains("active")) state.reaction = reaction;
+    });
+
+    return state;
+  }
+
+  /**
+   * A state with the user's reaction changed
+   * @param {object} saved - { reaction, like, dislike }
+   * @param {string|null} reaction
+   * @returns {object}
+   */
+  static apply(saved, reaction) {
+    const state = { ...saved, reaction };
+    if (saved.reaction) state[saved.reaction] = Math.max(0, state[saved.reaction] - 1);
+    if (reaction) state[reaction] += 1;
+    return state;
+  }
+
+  // The server's counts and reaction; falls back to the expected state for anything missing
+  static fromResponse(data, saved, wanted) {
+    const expected = ReviewReactions.apply(saved, wanted);
+    if (!data) return expected;
+
+    const count = (value, fallback) => (Number.isFinite(Number(value)) ? Math.max(0, Number(value)) : fallback);
+    return {
+      reaction: data.user_reaction !== undefined ? data.user_reaction : expected.reaction,
+      like: count(data.like_count, expected.like),
+      dislike: count(data.dislike_count, expected.dislike),
+    };
+  }
+}
+
+// Pause after the last click before the reaction is sent (ms)
+ReviewReactions.DEBOUNCE = 400;
@@ -0,0 +1,473 @@
+/*
+PROGRAM NAME: Search Index Module (search-index.js)
+
+PROGRAMMER: Frontend Team
+
+SYSTEM CONTEXT:
+This module is part of the BuzzarFeed platform and provides the typo-tolerant search behind "Search the Buzz..."
+on stalls.php and the explore section of map.php. The index is built in the browser from
+api.getStallSearchIndex(), which returns every active stall with the names and descriptions of its menu items, so a
+search for "sisig" finds the stall that serves it even when the stall's name does not mention it.
+
+DATE CREATED: October 19, 2026
+LAST MODIFIED: October 19, 2026
+
+PURPOSE:
+The purpose of this program is to match what people type to the stalls they mean:
+- Index stall names, descriptions, categories and menu item names and descriptions
+- Match whole words, word prefixes (as the user types) and misspellings
+- Treat dish synonyms and spellings as the same ("milk tea" / "milktea", "bbq" / "inihaw")
+- Rank stalls by where and how well each word matched
+- Report the matched ranges so pages can highlight them
+
+DATA STRUCTURES:
+- documents (object[]): The indexed stalls, in API order
+- fields (object[]): { name, weight, get(document) -> string[] } for each searchable field
+- texts (Array<object>): Per document, field name -> the strings that were indexed
+- vocabulary (Map): Normalized term -> postings [{ doc, field, item, start, end }], where item is
+  the string's position in the field and start/end are offsets into the original string
+- joined (Map): Neighbouring word pairs joined into one term -> postings; splits (Map) holds the
+  length of each pair's first word
+- synonyms (string[][]): Groups of phrases that mean the same dish
+- Result (object): { document, score, highlights: { field: Map(item -> [[start, end], ...]) } }
+
+ALGORITHM / LOGIC:
+1. Build:
+   a. Split every field string into words (letters and digits), keeping their offsets.
+   b. Normalize each word: lower case, accents removed.
+   c. Add each word to the vocabulary, and each pair of neighbouring words joined
+      ("milk tea" -> "milktea") to the joined vocabulary.
+2. search(query):
+   a. Split and normalize the query; an empty query returns every document unranked.
+   b. Expand it with synonyms: each synonym phrase found in the query gives a variant with
+      the phrase replaced by each alternative.
+   c. For each query word, score vocabulary terms: exact 1, prefix up to 0.9, misspelling
+      (Damerau-Levenshtein distance 1, or 2 for words of 8+ letters) up to 0.75, misspelled
+      prefix 0.5. Joined pairs only match words longer than the pair's first word, and
+      synonym substitutes only match exactly or as a prefix.
+   d. A document matches a variant when every word matches one of its fields; its score is
+      the sum of each word's best field weight x match score, plus a bonus when the stall name
+      starts with the query.
+   e. Keep each document's best variant, merge the highlight ranges and sort by score,
+      keeping API order for ties.
+3. highlight(text, ranges): build text nodes with the ranges wrapped in <mark>.
+
+NOTES:
+- The index is built once per page; load(api) shares one index between modules.
+- Searching is synchronous and runs on every keystroke; the vocabulary of a night market
+  (hundreds of stalls, a few thousand menu words) keeps a full scan cheap.
+- Categories are indexed but not highlighted (pages show formatted category names).
+- Future enhancements may include learning synonyms from searches that found nothing.
+*/
+
+const MATCH_EXACT = 1;
+const MATCH_PREFIX = 0.9;
+const MATCH_FUZZY = 0.75;
+const MATCH_FUZZY_PREFIX = 0.5;
+const MAX_VARIANTS = 12;
+
+const loaded = new WeakMap();
+
+export class SearchIndex {
+  /**
+   * @param {object[]} documents - Stalls from api.getStallSearchIndex()
+   * @param {object} options - fields and synonyms (defaults: STALL_FIELDS and SYNONYMS)
+   */
+  constructor(documents, options = {}) {
+    const { fields = SearchIndex.STALL_FIELDS, synonyms = SearchIndex.SYNONYMS } = options;
+
+    this.documents = documents || [];
+    this.fields = fields;
+    this.weights = Object.fromEntries(fields.map((field) => [field.name, field.weight]));
+    this.synonyms = synonyms.map((group) => group.map((phrase) => SearchIndex.terms(phrase)));
+    this.vocabulary = new Map();
+    this.joined = new Map();
+    this.splits = new Map();
+    this.texts = [];
+    this.cache = new Map();
+
+    this.build();
+  }
+
+  /**
+   * Load the stall index once per API client and page
+   * @param {ApiClient} api
+   * @returns {Promise<SearchIndex>}
+   */
+  static load(api) {
+    if (!loaded.has(api)) {
+      const promise = api.getStallSearchIndex().then((result) => new SearchIndex(result.data || []));
+      // A failed load may be retried by the next caller
+      promise.catch(() => loaded.delete(api));
+      loaded.set(api, promise);
+    }
+    return loaded.get(api);
+  }
+
+  build() {
+    this.documents.forEach((record, doc) => {
+      const texts = {};
+
+      this.fields.forEach((field) => {
+        const values = (field.get(record) || []).map((value) => String(value ?? ""));
+        texts[field.name] = values;
+
+        values.forEach((text, item) => {
+          const words = SearchIndex.tokenize(text);
+          words.forEach((word, i) => {
+            this.add(this.vocabulary, word.term, { doc, field: field.name, item, start: word.start, end: word.end });
+
+            const next = words[i + 1];
+            if (next) {
+              const key = word.term + next.term;
+              this.add(this.joined, key, { doc, field: field.name, item, start: word.start, end: next.end });
+              // A joined pair only matches words longer than its first half ("milkt", not "milk")
+              this.splits.set(key, Math.min(this.splits.get(key) || Infinity, word.term.length));
+            }
+          });
+        });
+      });
+
+      this.texts.push(texts);
+    });
+  }
+
+  add(vocabulary, term, posting) {
+    if (!vocabulary.has(term)) {
+      vocabulary.set(term, []);
+    }
+    vocabulary.get(term).push(posting);
+  }
+
+  /**
+   * Find and rank documents for a query
+   * @param {string} query - What the user typed
+   * @param {object} options - limit (default: no limit)
+   * @returns {object[]} Results, best first
+   */
+  search(query, { limit = Infinity } = {}) {
+    const terms = SearchIndex.terms(query);
+
+    if (terms.length === 0) {
+      return this.documents.slice(0, limit).map((document) => ({ document, score: 0, highlights: {} }));
+    }
+
+    const best = new Map();
+
+    this.expand(terms).forEach((variant) => {
+      this.searchVariant(variant, terms).forEach((result, doc) => {
+        const current = best.get(doc);
+        if (!current) {
+          best.set(doc, result);
+          return;
+        }
+        SearchIndex.mergeHighlights(current.highlights, result.highlights);
+        current.score = Math.max(current.score, result.score);
+      });
+    });
+
+    return Array.from(best.entries())
+      .sort(([docA, a], [docB, b]) => b.score - a.score || docA - docB)
+      .slice(0, limit)
+      .map(([doc, result]) => ({ document: this.documents[doc], ...result }));
+  }
+
+  searchVariant(variant, original) {
+    const perTerm = variant.map(({ term, fuzzy }) => {
+      const scores = new Map();
+
+      this.matchTerm(term, fuzzy).forEach(({ postings, quality }) => {
+        postings.forEach((posting) => {
+          const score = this.weights[posting.field] * quality;
+          let entry = scores.get(posting.doc);
+          if (!entry) {
+            entry = { score: 0, postings: [] };
+            scores.set(posting.doc, entry);
+          }
+          entry.score = Math.max(entry.score, score);
+          entry.postings.push(posting);
+        });
+      });
+
+      return scores;
+    });
+
+    const results = new Map();
+    const phrase = original.join(" ");
+
+    perTerm[0].forEach((_, doc) => {
+      if (!perTerm.every((scores) => scores.has(doc))) return;
+
+      const highlights = {};
+      let score = 0;
+      perTerm.forEach((scores) => {
+        const entry = scores.get(doc);
+        score += entry.score;
+        entry.postings.forEach((posting) => SearchIndex.addRange(highlights, posting));
+      });
+
+      const name = SearchIndex.terms((this.texts[doc].name || [])[0] || "").join(" ");
+      if (name === phrase) {
+        score += 3;
+      } else if (name.startsWith(phrase)) {
+        score += 2;
+      }
+
+      results.set(doc, { score, highlights });
+    });
+
+    return results;
+  }
+
+  /**
+   * Vocabulary entries that match one query word
+   * @param {string} term - Normalized query word
+   * @param {boolean} fuzzy - Allow misspellings (off for synonym substitutes)
+   * @returns {Array<{postings: object[], quality: number}>}
+   */
+  matchTerm(term, fuzzy = true) {
+    const cacheKey = `${fuzzy ? "~" : "="}${term}`;
+    if (this.cache.has(cacheKey)) {
+      return this.cache.get(cacheKey);
+    }
+
+    const maxDistance = !fuzzy ? 0 : term.length >= 8 ? 2 : term.length >= 4 ? 1 : 0;
+    const matches = [];
+
+    this.vocabulary.forEach((postings, key) => {
+      const quality = SearchIndex.quality(term, key, maxDistance);
+      if (quality > 0) matches.push({ postings, quality });
+    });
+
+    this.joined.forEach((postings, key) => {
+      if (term.length <= this.splits.get(key)) return;
+      const quality = SearchIndex.quality(term, key, maxDistance);
+      if (quality > 0) matches.push({ postings, quality });
+    });
+
+    this.cache.set(cacheKey, matches);
+    return matches;
+  }
+
+  /**
+   * How well a vocabulary term matches a query word
+   * @returns {number} 0 for no match, up to 1 for an exact match
+   */
+  static quality(term, key, maxDistance) {
+    if (key === term) {
+      return MATCH_EXACT;
+    }
+    if (key.startsWith(term)) {
+      return MATCH_PREFIX * (0.6 + (0.4 * term.length) / key.length);
+    }
+    if (maxDistance === 0) {
+      return 0;
+    }
+    if (Math.abs(key.length - term.length) <= maxDistance) {
+      const distance = SearchIndex.distance(term, key, maxDistance);
+      if (distance <= maxDistance) {
+        return MATCH_FUZZY - 0.15 * (distance - 1);
+      }
+    }
+    if (term.length >= 5 && key.length > term.length && SearchIndex.distance(term, key.slice(0, term.length), 1) <= 1) {
+      return MATCH_FUZZY_PREFIX;
+    }
+    return 0;
+  }
+
+  /**
+   * The query plus its synonym variants; substituted words are matched without fuzziness
+   * @param {string[]} terms - Normalized query words
+   * @returns {Array<Array<{term: string, fuzzy: boolean}>>}
+   */
+  expand(terms) {
+    const variants = [terms.map((term) => ({ term, fuzzy: true }))];
+    const seen = new Set([terms.join(" ")]);
+
+    for (let v = 0; v < variants.length && variants.length < MAX_VARIANTS; v++) {
+      const variant = variants[v];
+      const words = variant.map(({ term }) => term);
+
+      this.synonyms.forEach((group) => {
+        group.forEach((phrase) => {
+          const at = SearchIndex.indexOfPhrase(words, phrase);
+          if (at === -1) return;
+
+          group.forEach((alternative) => {
+            if (alternative === phrase || variants.length >= MAX_VARIANTS) return;
+            const next = [
+              ...variant.slice(0, at),
+              ...alternative.map((term) => ({ term, fuzzy: false })),
+              ...variant.slice(at + phrase.length),
+            ];
+            const key = next.map(({ term }) => term).join(" ");
+            if (!seen.has(key)) {
+              seen.add(key);
+              variants.push(next);
+            }
+          });
+        });
+      });
+    }
+
+    return variants;
+  }
+
+  static indexOfPhrase(terms, phrase) {
+    for (let i = 0; i + phrase.length <= terms.length; i++) {
+      if (phrase.every((word, j) => terms[i + j] === word)) return i;
+    }
+    return -1;
+  }
+
+  static addRange(highlights, { field, item, start, end }) {
+    if (!highlights[field]) highlights[field] = new Map();
+    const ranges = highlights[field].get(item) || [];
+    ranges.push([start, end]);
+    highlights[field].set(item, SearchIndex.mergeRanges(ranges));
+  }
+
+  static mergeHighlights(target, source) {
+    Object.entries(source).forEach(([field, items]) => {
+      items.forEach((ranges, item) => {
+        ranges.forEach(([start, end]) => SearchIndex.addRange(target, { field, item, start, end }));
+      });
+    });
+  }
+
+  static mergeRanges(ranges) {
+    const sorted = ranges.slice().sort((a, b) => a[0] - b[0]);
+    const merged = [];
+    sorted.forEach(([start, end]) => {
+      const last = merged[merged.length - 1];
+      if (last && start <= last[1]) {
+        last[1] = Math.max(last[1], end);
+      } else {
+        merged.push([start, end]);
+      }
+    });
+    return merged;
+  }
+
+  /**
+   * Split text into normalized words with their offsets in the original text
+   * @param {string} text
+   * @returns {Array<{term: string, start: number, end: number}>}
+   */
+  static tokenize(text) {
+    const words = [];
+    const pattern = /[\p{L}\p{N}]+/gu;
+    let match;
+
+    while ((match = pattern.exec(text)) !== null) {
+      const term = SearchIndex.normalize(match[0]);
+      if (term) {
+        words.push({ term, start: match.index, end: match.index + match[0].length });
+      }
+    }
+
+    return words;
+  }
+
+  static terms(text) {
+    return SearchIndex.tokenize(String(text || "")).map((word) => word.term);
+  }
+
+  static normalize(word) {
+    return word.normalize("NFD").replace(/[\u0300-\u036f]/g, "").toLowerCase();
+  }
+
+  /**
+   * Damerau-Levenshtein (optimal string alignment) distance, giving up past max
+   * @returns {number} The distance, or max + 1 when it is larger than max
+   */
+  static distance(a, b, max) {
+    if (a === b) return 0;
+    if (Math.abs(a.length - b.length) > max) return max + 1;
+
+    let before = null;
+    let previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+
+    for (let i = 1; i <= a.length; i++) {
+      const current = [i];
+      let rowMin = i;
+
+      for (let j = 1; j <= b.length; j++) {
+        const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+        let value = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+        if (before && i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+          value = Math.min(value, before[j - 2] + 1);
+        }
+        current.push(value);
+        rowMin = Math.min(rowMin, value);
+      }
+
+      if (rowMin > max) return max + 1;
+      before = previous;
+      previous = current;
+    }
+
+    return previous[b.length];
+  }
+
+  /**
+   * Text nodes for a string with the matched ranges wrapped in <mark>
+   * @param {string} text
+   * @param {Array<[number, number]>} ranges - From a result's highlights
+   * @returns {DocumentFragment}
+   */
+  static highlight(text, ranges = []) {
+    const fragment = document.createDocumentFragment();
+    let position = 0;
+
+    SearchIndex.mergeRanges(ranges).forEach(([start, end]) => {
+      if (start > position) {
+        fragment.appendChild(document.createTextNode(text.slice(position, start)));
+      }
+      const mark = document.createElement("mark");
+      mark.className = "search-highlight";
+      mark.textContent = text.slice(start, end);
+      fragment.appendChild(mark);
+      position = end;
+    });
+
+    if (position < text.length) {
+      fragment.appendChild(document.createTextNode(text.slice(position)));
+    }
+
+    return fragment;
+  }
+}
+
+SearchIndex.STALL_FIELDS = [
+  { name: "name", weight: 5, get: (stall) => [stall.name] },
+  { name: "categories", weight: 3, get: (stall) => stall.categories || [] },
+  { name: "menu", weight: 3, get: (stall) => (stall.menu || []).map((item) => item.name) },
+  { name: "description", weight: 1.5, get: (stall) => [stall.description] },
+  { name: "menuDescription", weight: 1, get: (stall) => (stall.menu || []).map((item) => item.description) },
+];
+
+// Each group lists spellings and names for the same dish or ingredient
+SearchIndex.SYNONYMS = [
+  ["milk tea", "milktea", "boba", "pearl tea"],
+  ["bbq", "barbecue", "barbeque", "inihaw", "ihaw", "grilled"],
+  ["siomai", "shumai", "siumai"],
+  ["siopao", "bao"],
+  ["halo halo", "halohalo"],
+  ["kape", "coffee"],
+  ["lechon", "roast pork"],
+  ["pancit", "noodles"],
+  ["isaw", "intestine"],
+  ["silog", "breakfast"],
+  ["fries", "french fries"],
+  ["burger", "hamburger"],
+  ["ice cream", "sorbetes", "gelato"],
+  ["dessert", "sweets", "panghimagas"],
+  ["shake", "smoothie"],
+  ["pastry", "pastries", "bakery", "tinapay"],
+  ["chicken", "manok"],
+  ["pork", "baboy"],
+  ["beef", "baka"],
+  ["fish", "isda"],
+  ["rice", "kanin"],
+];
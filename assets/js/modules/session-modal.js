@@ -0,0 +1,256 @@
+/*
+PROGRAM NAME: Session Modal Module (session-modal.js)
+
+PROGRAMMER: Frontend Team
+
+SYSTEM CONTEXT:
+This module is part of the BuzzarFeed platform and is the shared login prompt shown when the PHP session expires.
+It listens to the API client's ApiSession (api-client.js): when a request is rejected with 401 the request is parked
+and this modal asks the user to log in again with api.login(). On success the parked requests are replayed, so a
+half-written review or an admin decision is sent instead of lost.
+
+DATE CREATED: October 19, 2026
+LAST MODIFIED: October 19, 2026
+
+PURPOSE:
+The purpose of this program is to turn an expired session into a short interruption instead of a failed page:
+- Show one login dialog, however many requests failed
+- Log in through the API without leaving the page
+- Replay the failed requests after a successful login
+- Let the user cancel, in which case the requests fail with their original error
+
+DATA STRUCTURES:
+- session (ApiSession): Source of 'expired', 'resumed' and 'cancelled' events, from api.enableSessionRecovery()
+- api (ApiClient): Used for api.login()
+- overlay (DOM element): Full-screen backdrop holding the dialog; hidden until the session expires
+- form (DOM element): Email and password fields, error line and the Cancel / Log In buttons
+- returnFocus (DOM element|null): Element focused before the dialog opened
+
+ALGORITHM / LOGIC:
+1. Build the dialog and append it to the body; subscribe to the session.
+2. 'expired': open the dialog (or update the waiting count), focusing the email field.
+3. Submit:
+   a. Require both fields (FormErrors shows what is missing).
+   b. Call api.login(); show the server's message on failure.
+   c. On success close the dialog and call session.resume() to replay the requests.
+4. Cancel button or Escape: session.cancel(); the parked requests fail with their 401.
+5. 'resumed' / 'cancelled': close the dialog and return focus to where it was.
+6. Tab and Shift+Tab stay inside the dialog while it is open.
+
+NOTES:
+- Login failures never trigger the modal again: ApiSession ignores 401s from /auth/ routes.
+- All text is inserted with textContent.
+- Styles live in the SESSION MODAL section of styles.css.
+- Future enhancements may include showing which actions are waiting to be sent.
+*/
+
+import { FormErrors } from "./form-errors.js";
+import { Utils } from "./utils.js";
+
+export class SessionModal {
+  constructor(session, api) {
+    if (!session || !api) return;
+
+    this.session = session;
+    this.api = api;
+    this.returnFocus = null;
+    this.busy = false;
+
+    this.init();
+  }
+
+  init() {
+    this.build();
+
+    this.form.addEventListener("submit", (e) => {
+      e.preventDefault();
+      this.submit();
+    });
+    this.cancelButton.addEventListener("click", () => this.session.cancel());
+    this.overlay.addEventListener("keydown", (e) => this.handleKeydown(e));
+
+    this.unsubscribe = this.session.subscribe((event) => {
+      if (event.type === "expired") {
+        this.open(event.pending);
+      } else {
+        this.close();
+      }
+    });
+  }
+
+  build() {
+    this.overlay = document.createElement("div");
+    this.overlay.className = "session-modal";
+    this.overlay.hidden = true;
+
+    this.dialog = document.createElement("div");
+    this.dialog.className = "session-modal-dialog";
+    this.dialog.setAttribute("role", "dialog");
+    this.dialog.setAttribute("aria-modal", "true");
+    this.dialog.setAttribute("aria-labelledby", "session-modal-title");
+    this.dialog.setAttribute("aria-describedby", "session-modal-text");
+
+    const title = document.createElement("h2");
+    title.className = "session-modal-title";
+    title.id = "session-modal-title";
+    title.textContent = "Please log in again";
+
+    this.text = document.createElement("p");
+    this.text.className = "session-modal-text";
+    this.text.id = "session-modal-text";
+
+    this.form = document.createElement("form");
+    this.form.className = "session-modal-form";
+    this.form.id = "session-modal-form";
+    this.form.noValidate = true;
+
+    this.email = this.createField("email", "Email", "email", "username");
+    this.password = this.createField("password", "Password", "password", "current-password");
+
+    this.error = document.createElement("p");
+    this.error.className = "session-modal-error";
+    this.error.setAttribute("role", "alert");
+    this.error.hidden = true;
+
+    const actions = document.createElement("div");
+    actions.className = "session-modal-actions";
+
+    this.cancelButton = document.createElement("button");
+    this.cancelButton.type = "button";
+    this.cancelButton.className = "btn btn-secondary";
+    this.cancelButton.textContent = "Cancel";
+
+    this.submitButton = document.createElement("button");
+    this.submitButton.type = "submit";
+    this.submitButton.className = "btn btn-primary";
+    this.submitButton.textContent = "Log In";
+
+    actions.append(this.cancelButton, this.submitButton);
+    this.form.append(this.email.closest(".form-group"), this.password.closest(".form-group"), this.error, actions);
+    this.dialog.append(title, this.text, this.form);
+    this.overlay.appendChild(this.dialog);
+    document.body.appendChild(this.overlay);
+  }
+
+  createField(name, label, type, autocomplete) {
+    const group = document.createElement("div");
+    group.className = "form-group";
+
+    const labelEl = document.createElement("label");
+    labelEl.htmlFor = `session-modal-${name}`;
+    labelEl.textContent = label;
+
+    const input = document.createElement("input");
+    input.id = `session-modal-${name}`;
+    input.name = name;
+    input.type = type;
+    input.autocomplete = autocomplete;
+    input.className = "form-input";
+    input.required = true;
+
+    group.append(labelEl, input);
+    return input;
+  }
+
+  open(pending) {
+    this.text.textContent = pending > 1
+      ? `Your session has expired. Log in to finish the ${pending} actions you started.`
+      : "Your session has expired. Log in to finish what you started.";
+
+    if (!this.overlay.hidden) return;
+
+    this.returnFocus = document.activeElement;
+    this.overlay.hidden = false;
+    document.body.classList.add("session-modal-open");
+    (this.email.value ? this.password : this.email).focus();
+  }
+
+  close() {
+    if (this.overlay.hidden) return;
+
+    this.overlay.hidden = true;
+    document.body.classList.remove("session-modal-open");
+    this.password.value = "";
+    this.showError("");
+    FormErrors.clear(this.form);
+
+    if (this.returnFocus && typeof this.returnFocus.focus === "function") {
+      this.returnFocus.focus();
+    }
+    this.returnFocus = null;
+  }
+
+  async submit() {
+    if (this.busy) return;
+
+    const email = this.email.value.trim();
+    const password = this.password.value;
+    const missing = {};
+    if (!email) missing.email = "Email is required";
+    if (!password) missing.password = "Password is required";
+
+    this.showError("");
+    if (Object.keys(missing).length > 0) {
+      FormErrors.apply(this.form, missing);
+      return;
+    }
+
+    this.setBusy(true);
+
+    try {
+      await this.api.login(email, password);
+      this.setBusy(false);
+      const { pending } = this;
+      this.session.resume();
+      if (pending > 0) {
+        Utils.showToast("Welcome back! Finishing what you started.", "success");
+      }
+    } catch (error) {
+      this.setBusy(false);
+      const unmatched = FormErrors.apply(this.form, error);
+      if (Object.keys(FormErrors.normalize(error)).length === 0) {
+        // Wrong credentials: keep the email, retype the password
+        this.password.select();
+      }
+      this.showError(Object.values(unmatched)[0] || (error && error.message) || "Login failed. Please try again.");
+    }
+  }
+
+  get pending() {
+    return this.session.waiting.length;
+  }
+
+  showError(message) {
+    this.error.textContent = message;
+    this.error.hidden = !message;
+  }
+
+  setBusy(busy) {
+    this.busy = busy;
+    this.submitButton.disabled = busy;
+    this.submitButton.textContent = busy ? "Logging in..." : "Log In";
+    this.dialog.setAttribute("aria-busy", busy ? "true" : "false");
+  }
+
+  handleKeydown(e) {
+    if (e.key === "Escape") {
+      e.preventDefault();
+      this.session.cancel();
+      return;
+    }
+
+    if (e.key !== "Tab") return;
+
+    const focusable = Array.from(this.dialog.querySelectorAll("input, button")).filter((el) => !el.disabled);
+    const first = focusable[0];
+    const last = focusable[focusable.length - 1];
+
+    if (e.shiftKey && document.activeElement === first) {
+      e.preventDefault();
+      last.focus();
+    } else if (!e.shiftKey && document.activeElement === last) {
+      e.preventDefault();
+      first.focus();
+    }
+  }
+}
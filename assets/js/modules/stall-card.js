@@ -0,0 +1,226 @@
+/*
+PROGRAM NAME: Stall Card Module (stall-card.js)
+
+PROGRAMMER: Frontend Team
+
+SYSTEM CONTEXT:
+This module is part of the BuzzarFeed platform and builds stall cards in the browser for pages that re-render their
+stall lists without a reload: the stalls grid on stalls.php (StallSearch) and the explore section of map.php
+(MapFilters). The markup matches the cards PHP renders in stalls.php and sections/map/ExploreSection.php, so the
+existing stylesheets apply unchanged.
+
+DATE CREATED: October 19, 2026
+LAST MODIFIED: October 19, 2026
+
+PURPOSE:
+The purpose of this program is to keep client-rendered stall cards identical to the server-rendered ones:
+- Logo or placeholder, category tags, name, star rating, hours with an open/closed badge and description
+- Optional limits that match a page's own cards (e.g. two categories on the map)
+- Search highlights on the name and description, and the menu items that matched
+- A heart button to save the stall, when the page has a Favorites instance
+- A "Show on map" link to the stall's pin (map.php?stall=)
+
+DATA STRUCTURES:
+- stall (object): Stall from the API (id, name, image, categories, rating, reviews, hours, description)
+- options (object):
+  - baseUrl (string): Prefix for logo paths (BASE_URL)
+  - maxCategories (number): Category tags to show (default: all)
+  - emptyStarClass (string): Extra class for empty stars ("empty" on the map page)
+  - match (object|null): SearchIndex result whose highlights are shown on the card
+  - favorites (Favorites|null): When given, the card is wrapped with its heart button
+  - mapLink (boolean): Add a "Show on map" link for stalls that have a map position
+
+ALGORITHM / LOGIC:
+1. Create the link, logo (or placeholder) and content wrapper.
+2. Add category tags, up to maxCategories, with formatCategoryName.
+3. Add the name, highlighted when it matched.
+4. Add the stars (StarRating.display: full stars, a half star for a remainder of .5 or more,
+   then empty stars); then the rating text and review count.
+5. Add the hours with their badge (HoursBadges) and the description, highlighted when it matched.
+6. When menu items matched, add "On the menu:" with up to three of them.
+7. With favorites or a map link, return div.stall-card-item holding the card,
+   favorites.createButton() and the map link.
+
+NOTES:
+- Text is inserted with textContent or SearchIndex.highlight(); never as HTML.
+- formatCategoryName mirrors Helpers::formatCategoryName; keep the two in sync.
+- Keep the markup in sync with the card loops in stalls.php and ExploreSection.php.
+- Styles for the menu match line live in the SEARCH HIGHLIGHTS section of styles.css.
+- Map link styles live in the SHOW ON MAP section of styles.css.
+- Future enhancements may include a compact card layout for small screens.
+*/
+
+import { HoursBadges } from "./hours-badges.js";
+import { SearchIndex } from "./search-index.js";
+import { StarRating } from "./star-rating.js";
+
+export class StallCard {
+  /**
+   * Build a stall card
+   * @param {object} stall - Stall from the API
+   * @param {object} options - baseUrl, maxCategories, emptyStarClass, match, favorites and mapLink
+   * @returns {HTMLElement} The card link, or its div.stall-card-item wrapper with a heart or map link
+   */
+  static create(stall, options = {}) {
+    const {
+      baseUrl = "/",
+      maxCategories = Infinity,
+      emptyStarClass = "",
+      match = null,
+      favorites = null,
+      mapLink = false,
+    } = options;
+    const highlights = (match && match.highlights) || {};
+
+    const card = document.createElement("a");
+    card.href = `stall-detail.php?id=${encodeURIComponent(stall.id)}`;
+    card.className = "stall-card";
+
+    if (stall.image) {
+      const image = document.createElement("img");
+      image.src = baseUrl + stall.image;
+      image.alt = stall.name;
+      image.className = "stall-image";
+      card.appendChild(image);
+    } else {
+      const placeholder = document.createElement("div");
+      placeholder.className = "stall-image-placeholder";
+      placeholder.appendChild(StallCard.icon("fas fa-utensils"));
+      card.appendChild(placeholder);
+    }
+
+    const content = document.createElement("div");
+    content.className = "stall-content";
+
+    if (Array.isArray(stall.categories) && stall.categories.length > 0) {
+      const categories = document.createElement("div");
+      categories.className = "stall-categories";
+      stall.categories.slice(0, maxCategories).forEach((category) => {
+        const tag = document.createElement("span");
+        tag.className = "category-tag";
+        tag.textContent = StallCard.formatCategoryName(category);
+        categories.appendChild(tag);
+      });
+      content.appendChild(categories);
+    }
+
+    const name = document.createElement("h3");
+    name.className = "stall-name";
+    name.appendChild(StallCard.text(stall.name, highlights.name, 0));
+
+    const description = document.createElement("p");
+    description.className = "stall-description";
+    description.appendChild(StallCard.text(stall.description, highlights.description, 0));
+
+    content.append(name, StallCard.rating(stall, emptyStarClass), StallCard.hours(stall));
+
+    const menu = StallCard.menuMatches(stall, highlights.menu);
+    if (menu) content.appendChild(menu);
+
+    content.appendChild(description);
+    card.appendChild(content);
+
+    const onMap = mapLink && Boolean(stall.latitude) && Boolean(stall.longitude);
+    if (!favorites && !onMap) return card;
+
+    // The heart and map link sit beside the card link, not inside it
+    const item = document.createElement("div");
+    item.className = "stall-card-item";
+    item.appendChild(card);
+    if (favorites) item.appendChild(favorites.createButton(stall));
+    if (onMap) item.appendChild(StallCard.mapLink(stall));
+    return item;
+  }
+
+  // "Show on map" link; MapState shows the stall in place when the map is on the page
+  static mapLink(stall) {
+    const link = document.createElement("a");
+    link.className = "map-link-btn";
+    link.href = `map.php?stall=${encodeURIComponent(stall.id)}#mapContainer`;
+    link.dataset.mapStall = String(stall.id);
+    link.title = "Show on map";
+    link.setAttribute("aria-label", `Show ${stall.name} on the map`);
+
+    const icon = StallCard.icon("fas fa-map-marker-alt");
+    icon.setAttribute("aria-hidden", "true");
+    link.appendChild(icon);
+    return link;
+  }
+
+  static rating(stall, emptyStarClass = "") {
+    const rating = Number(stall.rating) || 0;
+    const reviews = Number(stall.reviews) || 0;
+
+    const row = document.createElement("div");
+    row.className = "stall-rating";
+
+    const stars = StarRating.display(rating, { className: "stars", starClass: "star", emptyClass: emptyStarClass });
+
+    const text = document.createElement("span");
+    text.className = "rating-text";
+    text.textContent = `${rating > 0 ? rating.toFixed(1) : "No ratings"}${reviews > 0 ? ` (${reviews} Reviews)` : ""}`;
+
+    row.append(stars, text);
+    return row;
+  }
+
+  static hours(stall) {
+    const hours = document.createElement("div");
+    hours.className = "stall-hours";
+    const text = document.createElement("span");
+    text.textContent = stall.hours;
+    hours.append(StallCard.icon("far fa-clock"), text, HoursBadges.create(stall.hours));
+    return hours;
+  }
+
+  // "On the menu: Pork Sisig, Sisig Rice" for menu items that matched the search
+  static menuMatches(stall, matches) {
+    if (!matches || matches.size === 0 || !Array.isArray(stall.menu)) return null;
+
+    const line = document.createElement("p");
+    line.className = "stall-menu-match";
+    line.appendChild(document.createTextNode("On the menu: "));
+
+    Array.from(matches.entries())
+      .slice(0, 3)
+      .forEach(([item, ranges], index) => {
+        if (index > 0) line.appendChild(document.createTextNode(", "));
+        line.appendChild(SearchIndex.highlight(stall.menu[item].name, ranges));
+      });
+
+    return line;
+  }
+
+  static text(value, matches, item) {
+    const text = String(value ?? "");
+    const ranges = matches ? matches.get(item) : null;
+    return ranges ? SearchIndex.highlight(text, ranges) : document.createTextNode(text);
+  }
+
+  static icon(className) {
+    const icon = document.createElement("i");
+    icon.className = className;
+    return icon;
+  }
+
+  // Mirrors Helpers::formatCategoryName
+  static formatCategoryName(category) {
+    const categoryMap = {
+      beverages: "Beverages",
+      rice_meals: "Rice Meals",
+      snacks: "Snacks",
+      street_food: "Street Food",
+      fast_food: "Fast Food",
+      pastries: "Pastries",
+      others: "Others",
+    };
+
+    if (categoryMap[category]) {
+      return categoryMap[category];
+    }
+
+    return String(category)
+      .replace(/_/g, " ")
+      .replace(/(^|\s)(\S)/g, (match, space, letter) => space + letter.toUpperCase());
+  }
+}
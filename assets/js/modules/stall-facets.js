@@ -0,0 +1,364 @@
+/*
+PROGRAM NAME: Stall Facets Module (stall-facets.js)
+
+PROGRAMMER: Frontend Team
+
+SYSTEM CONTEXT:
+This module is part of the BuzzarFeed platform and provides the faceted filters on stalls.php: categories
+(the category pills, now multi-select), minimum rating, open now, price and sort order. StallSearch
+(stall-search.js) owns the search, the URL and the stall list; it asks this module which stalls match, how many
+stalls each option would leave, and to keep the controls in step with its state. MapFilters (map-filters.js) uses
+it the same way on map.php, with only the rating and open now groups.
+
+DATE CREATED: October 19, 2026
+LAST MODIFIED: October 19, 2026
+
+PURPOSE:
+The purpose of this program is to let users narrow the stall list on several things at once, e.g. open now,
+rated 4+, something on the menu under ₱150, serving both Rice Meals and Snacks:
+- Filter stalls by every active facet
+- Count, for each option, the stalls that choosing it would show
+- Sort the results by best match, rating, review count, newest or name
+- Render the facet panel and keep it and the category pills in sync
+
+DATA STRUCTURES:
+- Facet state (object), shared with StallSearch:
+  - categories (string[]): Selected categories; a stall must have all of them
+  - rating (number): Minimum average rating (0 for any)
+  - open (boolean): Only stalls open now in Manila time (StallHours)
+  - price (number): Only stalls with an item at or under this price (0 for any)
+  - sort (string): "relevance", "newest", "rating", "reviews" or "name"
+- Counts (object): { total, categories: { name: n }, rating: { 4: n, ... }, open: n, price: { 150: n, ... } }
+- RATINGS, PRICES (number[]) and SORTS ({ value, label }[]): The options offered
+- panel (DOM element): Container the controls are built in
+- groups (string[]): Controls built in the panel ("rating", "open", "price", "sort"; default all)
+- links (DOM element[]): Category pills (a.category-btn); "?category=all" clears the selection
+
+ALGORITHM / LOGIC:
+1. matches(stall, state, skip): check each facet except skip:
+   a. categories: the stall has every selected category.
+   b. rating: the stall's average rating is at least the minimum.
+   c. open: StallHours.isOpen(stall.hours) is true (unknown hours do not match).
+   d. price: the stall's cheapest available menu item (price_min) is within the budget.
+2. apply(stalls, state, now, ranking): keep the matching stalls and sort them. "newest" keeps
+   the API's order (newest first) through each stall's position; "relevance" keeps the search
+   ranking when there is one and falls back to the API's order otherwise.
+3. count(stalls, state): for each option, filter with every other facet plus that option.
+   Categories combine, so a category's count is the stalls left if it were added.
+4. render(state, counts): check the active options, write the counts, disable options that
+   would leave nothing and show Clear filters while any facet is active.
+5. Control changes call onChange with the facets that changed; StallSearch records them.
+
+NOTES:
+- Filtering runs in the browser on the stalls matching the current search (SearchIndex), so
+  changing a facet is instant and never calls the API.
+- The panel is built here and stays hidden without JavaScript; the pills then fall back to
+  single-category links handled by stalls.php.
+- Styles live in the FACET PANEL section of stalls.css.
+- Future enhancements may include a distance facet once stalls have map positions.
+*/
+
+import { StallHours } from "./stall-hours.js";
+
+export class StallFacets {
+  constructor(panel, links, onChange, options = {}) {
+    this.panel = panel;
+    this.links = links || [];
+    this.onChange = onChange;
+    this.groups = options.groups || ["rating", "open", "price", "sort"];
+    this.inputs = { rating: [], price: [], open: null, sort: null };
+
+    if (this.panel) this.build();
+    this.bindLinks();
+  }
+
+  static get defaults() {
+    return { categories: [], rating: 0, open: false, price: 0, sort: "relevance" };
+  }
+
+  /**
+   * Whether a stall passes every facet except the one being counted
+   * @param {object} stall - Stall from the API
+   * @param {object} state - Facet state
+   * @param {string|null} skip - Facet to ignore
+   * @param {Date} now - Moment used for open now
+   * @returns {boolean}
+   */
+  static matches(stall, state, skip = null, now = new Date()) {
+    if (skip !== "categories" && state.categories.length > 0) {
+      const categories = (stall.categories || []).map(StallFacets.categoryKey);
+      if (!state.categories.every((category) => categories.includes(StallFacets.categoryKey(category)))) {
+        return false;
+      }
+    }
+
+    if (skip !== "rating" && state.rating > 0 && !(Number(stall.rating) >= state.rating)) {
+      return false;
+    }
+
+    if (skip !== "open" && state.open && StallHours.isOpen(stall.hours, now) !== true) {
+      return false;
+    }
+
+    if (skip !== "price" && state.price > 0 && !(stall.price_min !== null && stall.price_min !== undefined && Number(stall.price_min) <= state.price)) {
+      return false;
+    }
+
+    return true;
+  }
+
+  /**
+   * Filter and sort stalls by the facet state
+   * @param {object[]} stalls - Stalls in API order (newest first)
+   * @param {object} state - Facet state
+   * @param {Date} now
+   * @param {Map|null} ranking - Stall to search rank (0 = best), used by "relevance"
+   * @returns {object[]}
+   */
+  static apply(stalls, state, now = new Date(), ranking = null) {
+    const positions = new Map(stalls.map((stall, index) => [stall, index]));
+    const order = state.sort === "relevance" && ranking ? ranking : positions;
+    const results = stalls.filter((stall) => StallFacets.matches(stall, state, null, now));
+    const compare = StallFacets.comparators[state.sort] || StallFacets.comparators.newest;
+
+    return results.sort((a, b) => compare(a, b) || order.get(a) - order.get(b));
+  }
+
+  /**
+   * Count the stalls each facet option would show
+   * @param {object[]} stalls
+   * @param {object} state - Facet state
+   * @param {string[]} categories - Category options to count
+   * @param {Date} now
+   * @returns {object} Counts
+   */
+  static count(stalls, state, categories, now = new Date()) {
+    const without = (facet) => stalls.filter((stall) => StallFacets.matches(stall, state, facet, now));
+
+    const byCategory = without("categories");
+    const byRating = without("rating");
+    const byOpen = without("open");
+    const byPrice = without("price");
+
+    const counts = {
+      total: byCategory.length,
+      categories: {},
+      rating: {},
+      open: byOpen.filter((stall) => StallHours.isOpen(stall.hours, now) === true).length,
+      price: {},
+    };
+
+    categories.forEach((category) => {
+      const selected = Array.from(new Set([...state.categories, category]));
+      counts.categories[category] = byCategory.filter((stall) =>
+        StallFacets.matches(stall, { ...state, categories: selected }, null, now)
+      ).length;
+    });
+
+    StallFacets.RATINGS.forEach((rating) => {
+      counts.rating[rating] = byRating.filter((stall) => Number(stall.rating) >= rating).length;
+    });
+    counts.rating[0] = byRating.length;
+
+    StallFacets.PRICES.forEach((price) => {
+      counts.price[price] = byPrice.filter(
+        (stall) => stall.price_min !== null && stall.price_min !== undefined && Number(stall.price_min) <= price
+      ).length;
+    });
+    counts.price[0] = byPrice.length;
+
+    return counts;
+  }
+
+  static isActive(state) {
+    return state.categories.length > 0 || state.rating > 0 || state.open || state.price > 0;
+  }
+
+  // "Street Food" and "street_food" are the same category
+  static categoryKey(category) {
+    return String(category).toLowerCase().replace(/[\s_]+/g, " ").trim();
+  }
+
+  /**
+   * The category a pill stands for, or null for "All Stalls"
+   * @param {HTMLAnchorElement} link
+   * @returns {string|null}
+   */
+  static linkCategory(link) {
+    const category = new URLSearchParams(link.search).get("category");
+    return category && category !== "all" ? category : null;
+  }
+
+  build() {
+    this.panel.replaceChildren();
+    const groups = {};
+
+    if (this.groups.includes("rating")) {
+      groups.rating = this.createGroup("Rating");
+      [0, ...StallFacets.RATINGS].forEach((rating) => {
+        const option = this.createOption("radio", "facet-rating", rating, rating > 0 ? `${rating}+ stars` : "Any");
+        option.input.addEventListener("change", () => this.onChange({ rating }));
+        this.inputs.rating.push(option);
+        groups.rating.appendChild(option.label);
+      });
+    }
+
+    if (this.groups.includes("open")) {
+      groups.open = this.createGroup("Availability");
+      this.inputs.open = this.createOption("checkbox", "facet-open", "1", "Open now");
+      this.inputs.open.input.addEventListener("change", (e) => this.onChange({ open: e.target.checked }));
+      groups.open.appendChild(this.inputs.open.label);
+    }
+
+    if (this.groups.includes("price")) {
+      groups.price = this.createGroup("Price");
+      [0, ...StallFacets.PRICES].forEach((price) => {
+        const option = this.createOption("radio", "facet-price", price, price > 0 ? `Items up to ₱${price}` : "Any");
+        option.input.addEventListener("change", () => this.onChange({ price }));
+        this.inputs.price.push(option);
+        groups.price.appendChild(option.label);
+      });
+    }
+
+    if (this.groups.includes("sort")) {
+      groups.sort = document.createElement("div");
+      groups.sort.className = "facet-sort";
+      const sortLabel = document.createElement("label");
+      sortLabel.htmlFor = "facet-sort";
+      sortLabel.textContent = "Sort by";
+      this.inputs.sort = document.createElement("select");
+      this.inputs.sort.id = "facet-sort";
+      this.inputs.sort.className = "facet-select";
+      StallFacets.SORTS.forEach(({ value, label }) => {
+        const option = document.createElement("option");
+        option.value = value;
+        option.textContent = label;
+        this.inputs.sort.appendChild(option);
+      });
+      this.inputs.sort.addEventListener("change", (e) => this.onChange({ sort: e.target.value }));
+      groups.sort.append(sortLabel, this.inputs.sort);
+    }
+
+    this.clearButton = document.createElement("button");
+    this.clearButton.type = "button";
+    this.clearButton.className = "facet-clear";
+    this.clearButton.textContent = "Clear filters";
+    this.clearButton.addEventListener("click", () => {
+      const { sort, ...filters } = StallFacets.defaults;
+      this.onChange(filters);
+    });
+
+    this.panel.append(...this.groups.map((group) => groups[group]).filter(Boolean), this.clearButton);
+    this.panel.hidden = false;
+  }
+
+  bindLinks() {
+    this.links.forEach((link) => {
+      const count = document.createElement("span");
+      count.className = "category-count";
+      link.appendChild(count);
+
+      link.addEventListener("click", (e) => {
+        if (e.metaKey || e.ctrlKey || e.shiftKey || e.button !== 0) return;
+        e.preventDefault();
+
+        const category = StallFacets.linkCategory(link);
+        if (!category) {
+          this.onChange({ categories: [] });
+          return;
+        }
+
+        const selected = this.state ? this.state.categories : [];
+        this.onChange({
+          categories: selected.includes(category)
+            ? selected.filter((name) => name !== category)
+            : [...selected, category],
+        });
+      });
+    });
+  }
+
+  createGroup(title) {
+    const group = document.createElement("fieldset");
+    group.className = "facet-group";
+    const legend = document.createElement("legend");
+    legend.textContent = title;
+    group.appendChild(legend);
+    return group;
+  }
+
+  createOption(type, name, value, text) {
+    const label = document.createElement("label");
+    label.className = "facet-option";
+
+    const input = document.createElement("input");
+    input.type = type;
+    input.name = name;
+    input.value = String(value);
+
+    const caption = document.createElement("span");
+    caption.textContent = text;
+
+    const count = document.createElement("span");
+    count.className = "facet-count";
+
+    label.append(input, caption, count);
+    return { label, input, count, value };
+  }
+
+  /**
+   * Show the state and counts in the panel and on the pills
+   * @param {object} state - Facet state
+   * @param {object|null} counts - From count(); null while results load
+   */
+  render(state, counts) {
+    this.state = state;
+
+    this.links.forEach((link) => {
+      const category = StallFacets.linkCategory(link);
+      const active = category ? state.categories.includes(category) : state.categories.length === 0;
+      const count = counts ? (category ? counts.categories[category] : counts.total) : null;
+
+      link.classList.toggle("active", active);
+      link.setAttribute("aria-pressed", active ? "true" : "false");
+      link.classList.toggle("is-empty", count === 0 && !active);
+      link.querySelector(".category-count").textContent = count === null || count === undefined ? "" : ` (${count})`;
+    });
+
+    if (!this.panel) return;
+
+    this.inputs.rating.forEach((option) => this.renderOption(option, state.rating === option.value, counts && counts.rating[option.value]));
+    this.inputs.price.forEach((option) => this.renderOption(option, state.price === option.value, counts && counts.price[option.value]));
+    if (this.inputs.open) this.renderOption(this.inputs.open, state.open, counts && counts.open);
+    if (this.inputs.sort) this.inputs.sort.value = state.sort;
+    this.clearButton.hidden = !StallFacets.isActive(state);
+  }
+
+  renderOption(option, checked, count) {
+    const known = typeof count === "number";
+    option.input.checked = checked;
+    option.input.disabled = known && count === 0 && !checked;
+    option.label.classList.toggle("is-disabled", option.input.disabled);
+    option.count.textContent = known ? `(${count})` : "";
+  }
+}
+
+StallFacets.RATINGS = [4, 3, 2];
+
+StallFacets.PRICES = [100, 150, 250, 500];
+
+StallFacets.SORTS = [
+  { value: "relevance", label: "Best match" },
+  { value: "newest", label: "Newest" },
+  { value: "rating", label: "Top rated" },
+  { value: "reviews", label: "Most reviewed" },
+  { value: "name", label: "Name (A-Z)" },
+];
+
+StallFacets.comparators = {
+  relevance: () => 0,
+  newest: () => 0,
+  rating: (a, b) => Number(b.rating) - Number(a.rating) || Number(b.reviews) - Number(a.reviews),
+  reviews: (a, b) => Number(b.reviews) - Number(a.reviews) || Number(b.rating) - Number(a.rating),
+  name: (a, b) => String(a.name).localeCompare(String(b.name), undefined, { sensitivity: "base" }),
+};
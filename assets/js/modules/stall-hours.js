@@ -0,0 +1,377 @@
+/*
+PROGRAM NAME: Stall Hours Module (stall-hours.js)
+
+PROGRAMMER: Frontend Team
+
+SYSTEM CONTEXT:
+This module is part of the BuzzarFeed platform and reads the free-text operating hours vendors enter in
+manage-stall.php (e.g. "Mon-Sun 16:00-23:00", "5PM-12AM", "Fri-Sun 6pm to 1am"). It answers whether a stall is
+open at a given moment in bazaar time (Asia/Manila), whatever timezone the visitor's device is set to.
+
+DATE CREATED: October 19, 2026
+LAST MODIFIED: October 19, 2026
+
+PURPOSE:
+The purpose of this program is to turn a stall's hours text into something the site can reason about:
+- Parse the common formats into day and time ranges
+- Handle ranges that run past midnight
+- Tell whether a stall is open now in Manila time
+- Describe the current state for badges: open, closing soon, opening later or closed
+- Read the hours back in a standard form so vendors can check how they were understood
+
+DATA STRUCTURES:
+- Rule (object): { days: number[] (0 = Sunday ... 6 = Saturday), open: number, close: number }
+  open and close are minutes after midnight; close > 1440 means the range ends the next day.
+- Manila time (object): { day: number, minutes: number } for a Date, from Intl.DateTimeFormat.
+- DAY_NAMES (object): Day name prefixes ("mon", "tue", "thu", "thur", ...) to day numbers.
+
+ALGORITHM / LOGIC:
+1. parse(text):
+   a. Split the text into segments on commas, semicolons and line breaks; a segment of days
+      alone ("Mon, Wed, Fri 9am-5pm") joins the next one.
+   b. In each segment find the time range ("9:00 AM - 9:00 PM", "5PM-12AM", "18:00 to 01:00",
+      "24 hours"); the rest of the segment is the day spec.
+   c. Read the day spec: single days, ranges (Mon-Fri, Fri to Sun, wrapping Sat-Mon), lists
+      (Sat & Sun) and words (daily, everyday, weekdays, weekends); no days means every day.
+   d. Fill in a missing am/pm from the other end of the range; a close at or before the open
+      runs into the next day.
+   e. Return null when any segment cannot be read.
+2. isOpen(text, date): find Manila's day and minute for date, then check each rule for today
+   and each overnight rule from yesterday. Returns null when the hours cannot be parsed.
+3. status(text, date):
+   a. Unparseable hours → "unknown".
+   b. Open: find when the current range ends, following ranges that start as it ends; within
+      SOON_MINUTES of the end → "closing" ("Closing soon"), otherwise "open" ("Open now").
+   c. Closed: find the next opening within a week → "opening" ("Opens at 6 PM", "Opens
+      tomorrow at 6 PM", "Opens Fri at 6 PM"); none → "closed".
+4. describe(rules): "Fri–Sun: 6 PM – 1 AM"-style text, one line per rule.
+
+NOTES:
+- Times are always evaluated in Asia/Manila; the bazaar does not observe daylight saving.
+- Unparseable hours are reported as unknown (null), never as closed.
+- Badges are rendered by HoursBadges (hours-badges.js); vendors' warnings by HoursInput (hours-input.js).
+- Future enhancements may include holiday closures.
+*/
+
+const MINUTES_PER_DAY = 24 * 60;
+
+const DAY_NAMES = {
+  sun: 0, sunday: 0,
+  mon: 1, monday: 1,
+  tue: 2, tues: 2, tuesday: 2,
+  wed: 3, wednesday: 3,
+  thu: 4, thur: 4, thurs: 4, thursday: 4,
+  fri: 5, friday: 5,
+  sat: 6, saturday: 6,
+};
+
+const ALL_DAYS = [0, 1, 2, 3, 4, 5, 6];
+
+const SHORT_DAYS = ["Sun", "Mon", "Tue", "Wed", "Thu", "Fri", "Sat"];
+
+const TIME = "(\\d{1,2})(?:[:.](\\d{2}))?\\s*(a\\.?m\\.?|p\\.?m\\.?)?|noon|midnight";
+const RANGE = new RegExp(`(${TIME})\\s*(?:-|–|—|to|until)\\s*(${TIME})`, "i");
+
+export class StallHours {
+  /**
+   * Parse an hours string into rules
+   * @param {string} text - Hours as typed by the vendor
+   * @returns {Array<{days: number[], open: number, close: number}>|null} null when unreadable
+   */
+  static parse(text) {
+    if (typeof text !== "string" || !text.trim()) return null;
+
+    const segments = text.split(/[,;\n]+/).map((segment) => segment.trim()).filter(Boolean);
+    const rules = [];
+    let days = "";
+
+    for (const segment of segments) {
+      // "Mon, Wed, Fri 9am-5pm": days alone carry over to the next segment
+      const rule = StallHours.parseSegment(`${days} ${segment}`.trim());
+      if (rule) {
+        rules.push(rule);
+        days = "";
+      } else if (!RANGE.test(segment) && StallHours.parseDays(segment)) {
+        days += ` ${segment}`;
+      } else {
+        return null;
+      }
+    }
+
+    return rules.length > 0 && !days ? rules : null;
+  }
+
+  static parseSegment(segment) {
+    if (/24\s*(?:hours|hrs|\/\s*7)|open\s+24/i.test(segment)) {
+      const days = StallHours.parseDays(segment.replace(/24\s*(?:hours|hrs|\/\s*7)|open\s+24/gi, ""));
+      return days ? { days, open: 0, close: MINUTES_PER_DAY } : null;
+    }
+
+    const match = segment.match(RANGE);
+    if (!match) return null;
+
+    const times = StallHours.parseRange(match[1], match[5]);
+    const days = StallHours.parseDays(segment.replace(match[0], ""));
+    if (!times || !days) return null;
+
+    return { days, ...times };
+  }
+
+  /**
+   * Read both ends of a time range, borrowing am/pm from the other end when missing
+   * @returns {{open: number, close: number}|null}
+   */
+  static parseRange(openText, closeText) {
+    const open = StallHours.parseTime(openText);
+    const close = StallHours.parseTime(closeText);
+    if (!open || !close) return null;
+
+    let openMinutes = open.minutes;
+    let closeMinutes = close.minutes;
+
+    if (open.meridiem === null && close.meridiem !== null) {
+      openMinutes = StallHours.applyMeridiem(open.hour, open.minute, close.meridiem);
+      // "10-2pm" means 10 AM, not 10 PM
+      if (openMinutes >= closeMinutes && close.meridiem === "pm") {
+        openMinutes = StallHours.applyMeridiem(open.hour, open.minute, "am");
+      }
+    } else if (close.meridiem === null && open.meridiem !== null && close.hour <= 12) {
+      closeMinutes = StallHours.applyMeridiem(close.hour, close.minute, open.meridiem);
+    }
+
+    if (closeMinutes <= openMinutes) {
+      closeMinutes += MINUTES_PER_DAY;
+    }
+
+    return { open: openMinutes, close: closeMinutes };
+  }
+
+  static parseTime(text) {
+    const value = text.trim().toLowerCase();
+    if (value === "noon") return { hour: 12, minute: 0, meridiem: "pm", minutes: 12 * 60 };
+    if (value === "midnight") return { hour: 12, minute: 0, meridiem: "am", minutes: 0 };
+
+    const match = value.match(/^(\d{1,2})(?:[:.](\d{2}))?\s*(a\.?m\.?|p\.?m\.?)?$/);
+    if (!match) return null;
+
+    const hour = parseInt(match[1], 10);
+    const minute = match[2] ? parseInt(match[2], 10) : 0;
+    const meridiem = match[3] ? match[3].charAt(0) + "m" : null;
+
+    if (minute > 59 || hour > 24 || (meridiem && (hour < 1 || hour > 12))) return null;
+
+    const minutes = meridiem
+      ? StallHours.applyMeridiem(hour, minute, meridiem)
+      : (hour % 24) * 60 + minute;
+
+    return { hour, minute, meridiem, minutes };
+  }
+
+  static applyMeridiem(hour, minute, meridiem) {
+    return ((hour % 12) + (meridiem === "pm" ? 12 : 0)) * 60 + minute;
+  }
+
+  /**
+   * Read a day spec such as "Mon-Fri", "Sat & Sun", "daily" or ""
+   * @param {string} text
+   * @returns {number[]|null} Day numbers, or null when a word is not a day
+   */
+  static parseDays(text) {
+    const value = text.toLowerCase().replace(/[():]/g, " ").replace(/\b(?:open|from|every)\b/g, " ").trim();
+    if (!value || /^(?:daily|everyday|all\s*week|mon(?:day)?\s*(?:-|to|–)\s*sun(?:day)?)$/.test(value)) {
+      return ALL_DAYS.slice();
+    }
+    if (value === "weekdays") return [1, 2, 3, 4, 5];
+    if (value === "weekends") return [0, 6];
+
+    const days = new Set();
+    const parts = value.split(/\s*(?:&|and|\/|\+|\s)\s*/).filter(Boolean);
+    const joined = [];
+
+    // Re-join "fri", "-", "sun" and "fri", "to", "sun" into ranges
+    for (let i = 0; i < parts.length; i++) {
+      if ((parts[i] === "-" || parts[i] === "to" || parts[i] === "–") && joined.length > 0 && parts[i + 1]) {
+        joined[joined.length - 1] += `-${parts[++i]}`;
+      } else {
+        joined.push(parts[i]);
+      }
+    }
+
+    for (const part of joined) {
+      const range = part.split(/\s*(?:-|–|to)\s*/).filter(Boolean);
+      const from = StallHours.dayNumber(range[0]);
+      const to = StallHours.dayNumber(range[range.length - 1]);
+      if (from === null || to === null || range.length > 2) return null;
+
+      for (let day = from; ; day = (day + 1) % 7) {
+        days.add(day);
+        if (day === to) break;
+      }
+    }
+
+    return days.size > 0 ? Array.from(days).sort() : null;
+  }
+
+  static dayNumber(word) {
+    const key = String(word || "").replace(/\.$/, "");
+    return key in DAY_NAMES ? DAY_NAMES[key] : null;
+  }
+
+  /**
+   * Day of week and minute of the day in Manila for a moment in time
+   * @param {Date} date
+   * @returns {{day: number, minutes: number}}
+   */
+  static manilaTime(date = new Date()) {
+    const parts = StallHours.formatter.formatToParts(date).reduce((values, part) => {
+      values[part.type] = part.value;
+      return values;
+    }, {});
+
+    return {
+      day: SHORT_DAYS.indexOf(parts.weekday),
+      minutes: (parseInt(parts.hour, 10) % 24) * 60 + parseInt(parts.minute, 10),
+    };
+  }
+
+  /**
+   * Whether a stall is open at a moment, in Manila time
+   * @param {string|Array} hours - Hours text or rules from parse()
+   * @param {Date} date - Moment to check (default: now)
+   * @returns {boolean|null} null when the hours cannot be parsed
+   */
+  static isOpen(hours, date = new Date()) {
+    const rules = Array.isArray(hours) ? hours : StallHours.parse(hours);
+    if (!rules) return null;
+
+    const { day, minutes } = StallHours.manilaTime(date);
+    const yesterday = (day + 6) % 7;
+
+    return rules.some(
+      (rule) =>
+        (rule.days.includes(day) && minutes >= rule.open && minutes < rule.close) ||
+        (rule.days.includes(yesterday) && minutes + MINUTES_PER_DAY < rule.close)
+    );
+  }
+
+  /**
+   * Current state of a stall for badges, in Manila time
+   * @param {string|Array} hours - Hours text or rules from parse()
+   * @param {Date} date - Moment to check (default: now)
+   * @returns {{state: string, label: string, minutes: number|null}} state is open, closing,
+   *   opening, closed or unknown; minutes is the time until it closes or opens
+   */
+  static status(hours, date = new Date()) {
+    const rules = Array.isArray(hours) ? hours : StallHours.parse(hours);
+    if (!rules) return { state: "unknown", label: "Hours unknown", minutes: null };
+
+    const { day, minutes } = StallHours.manilaTime(date);
+    // Ranges as minutes from the start of yesterday, over the next eight days
+    const ranges = [];
+    for (let offset = -1; offset <= 7; offset++) {
+      const weekday = (day + offset + 7) % 7;
+      rules.forEach((rule) => {
+        if (rule.days.includes(weekday)) {
+          const start = (offset + 1) * MINUTES_PER_DAY;
+          ranges.push({ open: start + rule.open, close: start + rule.close });
+        }
+      });
+    }
+    ranges.sort((a, b) => a.open - b.open);
+
+    const now = MINUTES_PER_DAY + minutes;
+    const current = ranges.find((range) => range.open <= now && now < range.close);
+
+    if (current) {
+      // Back-to-back ranges ("6am-2pm, 2pm-10pm") count as one
+      let close = current.close;
+      for (const range of ranges) {
+        if (range.open <= close && range.close > close) close = range.close;
+      }
+      if (close - now >= 7 * MINUTES_PER_DAY) {
+        return { state: "open", label: "Open 24 hours", minutes: null };
+      }
+      return close - now <= StallHours.SOON_MINUTES
+        ? { state: "closing", label: "Closing soon", minutes: close - now }
+        : { state: "open", label: "Open now", minutes: close - now };
+    }
+
+    const next = ranges.find((range) => range.open > now);
+    if (!next) return { state: "closed", label: "Closed", minutes: null };
+
+    const offset = Math.floor(next.open / MINUTES_PER_DAY) - 1;
+    const time = StallHours.formatTime(next.open % MINUTES_PER_DAY);
+    let when = `at ${time}`;
+    if (offset === 1) when = `tomorrow at ${time}`;
+    if (offset > 1) when = `${SHORT_DAYS[(day + offset) % 7]} at ${time}`;
+
+    return { state: "opening", label: `Opens ${when}`, minutes: next.open - now };
+  }
+
+  /**
+   * "6 PM", "6:30 PM", "12 AM" for minutes after midnight
+   * @param {number} minutes
+   * @returns {string}
+   */
+  static formatTime(minutes) {
+    const value = ((minutes % MINUTES_PER_DAY) + MINUTES_PER_DAY) % MINUTES_PER_DAY;
+    const hour = Math.floor(value / 60);
+    const minute = value % 60;
+    const text = minute > 0 ? `${hour % 12 || 12}:${String(minute).padStart(2, "0")}` : `${hour % 12 || 12}`;
+    return `${text} ${hour < 12 ? "AM" : "PM"}`;
+  }
+
+  /**
+   * Rules in a standard form, e.g. ["Fri–Sun: 6 PM – 1 AM"]
+   * @param {Array} rules - Rules from parse()
+   * @returns {string[]}
+   */
+  static describe(rules) {
+    return rules.map((rule) => {
+      const time =
+        rule.open === 0 && rule.close === MINUTES_PER_DAY
+          ? "24 hours"
+          : `${StallHours.formatTime(rule.open)} – ${StallHours.formatTime(rule.close)}`;
+      return `${StallHours.describeDays(rule.days)}: ${time}`;
+    });
+  }
+
+  static describeDays(days) {
+    if (days.length === 7) return "Daily";
+
+    // Group consecutive days, starting after a gap so Sat–Mon stays one range
+    const start = ALL_DAYS.find((day) => days.includes(day) && !days.includes((day + 6) % 7));
+    const groups = [];
+    for (let i = 0; i < 7; i++) {
+      const day = (start + i) % 7;
+      if (!days.includes(day)) continue;
+      const last = groups[groups.length - 1];
+      if (last && (last[last.length - 1] + 1) % 7 === day) {
+        last.push(day);
+      } else {
+        groups.push([day]);
+      }
+    }
+
+    return groups
+      .map((group) =>
+        group.length > 2
+          ? `${SHORT_DAYS[group[0]]}–${SHORT_DAYS[group[group.length - 1]]}`
+          : group.map((day) => SHORT_DAYS[day]).join(", ")
+      )
+      .join(", ");
+  }
+}
+
+StallHours.TIMEZONE = "Asia/Manila";
+
+// A stall closing within this many minutes shows "Closing soon"
+StallHours.SOON_MINUTES = 60;
+
+StallHours.formatter = new Intl.DateTimeFormat("en-US", {
+  timeZone: StallHours.TIMEZONE,
+  weekday: "short",
+  hour: "2-digit",
+  minute: "2-digit",
+  hourCycle: "h23",
+});
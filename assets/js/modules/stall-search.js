@@ -0,0 +1,336 @@
+/*
+PROGRAM NAME: Stall Search Module (stall-search.js)
+
+PROGRAMMER: Frontend Team
+
+SYSTEM CONTEXT:
+This module is part of the BuzzarFeed platform and powers the search bar, category pills and facet panel on
+stalls.php. The page is rendered by PHP with the matching stalls for ?search= and ?category=; this module takes over
+from there, loading the stall search index once through the API client (SearchIndex, search-index.js) and
+re-rendering the grid in place instead of reloading the page. Facet filtering and counting are delegated to
+StallFacets (stall-facets.js) and cards are built by StallCard (stall-card.js).
+
+DATE CREATED: October 19, 2026
+LAST MODIFIED: October 19, 2026
+
+PURPOSE:
+The purpose of this program is to make browsing stalls feel immediate:
+- Search as the user types, without a full page reload, forgiving typos and matching menu items
+- Combine the search term with categories, rating, open now, price and sort order
+- Keep the search and facets in the address bar so results can be shared, reloaded and
+  stepped through with the browser's back and forward buttons
+- Show skeleton cards while results load
+- Render stall cards with the same markup stalls.php produces, highlighting what matched
+
+DATA STRUCTURES:
+- container (DOM element): section.stalls-container; data-base-url prefixes stall logo paths
+- form (DOM element): The search form; input (DOM element) is its search field
+- links (DOM element[]): Category pills (a.category-btn); categories (string[]) are the ones they offer
+- facets (StallFacets): Facet panel ([data-stall-facets]) and pill controller
+- state (object): { search, categories, rating, open, price, sort } currently shown
+- index (SearchIndex|null): Every active stall with its menu, in API order; null until loaded
+- loading (boolean): True while the index is being fetched
+- waiting (boolean): True while skeleton cards stand in for the grid until the index arrives
+- typing (boolean): True while consecutive keystrokes share one history entry
+- status (DOM element): Screen-reader live region announcing the number of results
+
+ALGORITHM / LOGIC:
+1. Read the initial state from the URL, record it on the current history entry and load the
+   search index quietly (the server-rendered grid stays until it arrives).
+2. Typing: after a 300 ms pause, show the new search. The first pause of a burst pushes a
+   history entry and later ones replace it, so Back skips to the previous search. A burst
+   ends when the field loses focus or another change is made.
+3. Submitting the form, toggling a category pill or changing a facet: push a history entry
+   (nothing happens when the resulting URL is unchanged).
+4. popstate: restore the search field and facets from the URL without touching history.
+5. show(): refresh() once the index is loaded; until then show skeleton cards and (re)start
+   load(), which refreshes when the index arrives. On failure it shows an error state in place
+   of the skeletons; a failed quiet load keeps the server-rendered grid, and the next change
+   tries again.
+6. refresh():
+   a. With a search, rank the stalls with SearchIndex.search() and keep only the matches;
+      without one, use every stall.
+   b. Count each facet option, filter and sort with StallFacets ("Best match" keeps the
+      search ranking) and render the cards, or the empty state when nothing matches.
+
+NOTES:
+- Without window.api the module does nothing and the form and links work as plain links.
+- Stall text is inserted with textContent (see StallCard).
+- The index is fetched once per page; searching and filtering never call the API again.
+- Skeleton styles live in the SKELETON CARDS section of stalls.css.
+- Open now is evaluated when the results are refreshed, not continuously.
+- Future enhancements may include loading results a page at a time as the user scrolls.
+*/
+
+import { SearchIndex } from "./search-index.js";
+import { StallCard } from "./stall-card.js";
+import { StallFacets } from "./stall-facets.js";
+import { Utils } from "./utils.js";
+
+export class StallSearch {
+  constructor(container, api, options = {}) {
+    if (!container || !api) return;
+
+    this.container = container;
+    this.api = api;
+    this.form = document.querySelector(".search-bar-container");
+    this.input = this.form ? this.form.querySelector("input[name='search']") : null;
+    this.links = Array.from(document.querySelectorAll(".category-filters .category-btn"));
+    this.baseUrl = container.dataset.baseUrl || "/";
+    this.delay = options.delay || 300;
+    this.skeletons = options.skeletons || 6;
+    this.favorites = options.favorites || null;
+    this.typing = false;
+    this.index = null;
+    this.loading = false;
+    this.waiting = false;
+    this.categories = this.links.map(StallFacets.linkCategory).filter(Boolean);
+    this.facets = new StallFacets(document.querySelector("[data-stall-facets]"), this.links, (changes) =>
+      this.update(changes)
+    );
+
+    this.init();
+  }
+
+  init() {
+    this.state = StallSearch.readUrl(window.location.search);
+    history.replaceState(this.state, "", window.location.href);
+
+    this.status = document.createElement("p");
+    this.status.className = "sr-only";
+    this.status.setAttribute("role", "status");
+    this.container.before(this.status);
+
+    if (this.input) {
+      const search = Utils.debounce(() => {
+        this.update({ search: this.input.value.trim() }, { replace: this.typing, typing: true });
+      }, this.delay);
+      this.input.addEventListener("input", search);
+      this.input.addEventListener("blur", () => {
+        this.typing = false;
+      });
+    }
+
+    if (this.form) {
+      this.form.addEventListener("submit", (e) => {
+        e.preventDefault();
+        this.update({ search: this.input ? this.input.value.trim() : "" });
+      });
+    }
+
+    window.addEventListener("popstate", () => {
+      this.typing = false;
+      this.state = StallSearch.readUrl(window.location.search);
+      if (this.input) this.input.value = this.state.search;
+      this.show();
+    });
+
+    // The server rendered the search and categories; load the index the search and facets work on
+    this.facets.render(this.state, null);
+    this.load();
+  }
+
+  /**
+   * Apply a change to the search or facets and record it in history
+   * @param {object} changes - search and/or facet state (categories, rating, open, price, sort)
+   * @param {object} options - replace (replace the current history entry instead of
+   *   pushing) and typing (the change came from a keystroke)
+   */
+  update(changes, { replace = false, typing = false } = {}) {
+    const state = { ...this.state, ...changes };
+
+    if (StallSearch.toQuery(state) === StallSearch.toQuery(this.state)) {
+      return;
+    }
+
+    this.state = state;
+    this.typing = typing;
+    const url = `${window.location.pathname}${StallSearch.toQuery(state)}`;
+
+    if (replace) {
+      history.replaceState(state, "", url);
+    } else {
+      history.pushState(state, "", url);
+    }
+
+    this.show();
+  }
+
+  // Searching and filtering run on the loaded index; skeletons cover the wait for it
+  show() {
+    if (this.index) {
+      this.refresh();
+    } else {
+      this.showSkeletons();
+      this.load();
+    }
+  }
+
+  // Fetch the search index (once per page) and show the current state with it
+  async load() {
+    if (this.loading) return;
+    this.loading = true;
+
+    try {
+      this.index = await SearchIndex.load(this.api);
+      this.refresh();
+    } catch (error) {
+      // Nothing replaced the server-rendered grid yet, so keep it
+      if (this.waiting) this.renderError(error);
+    } finally {
+      this.loading = false;
+      this.waiting = false;
+      this.container.removeAttribute("aria-busy");
+    }
+  }
+
+  // Search, filter, count and render the stalls for the current state
+  refresh() {
+    if (!this.index) return;
+
+    const now = new Date();
+    let stalls = this.index.documents;
+    let ranking = null;
+    const matches = new Map();
+
+    if (this.state.search) {
+      const results = this.index.search(this.state.search);
+      ranking = new Map(results.map((result, rank) => [result.document, rank]));
+      results.forEach((result) => matches.set(result.document, result));
+      stalls = stalls.filter((stall) => ranking.has(stall));
+    }
+
+    const counts = StallFacets.count(stalls, this.state, this.categories, now);
+    this.facets.render(this.state, counts);
+    this.render(StallFacets.apply(stalls, this.state, now, ranking), matches);
+  }
+
+  showSkeletons() {
+    const grid = document.createElement("div");
+    grid.className = "stalls-grid";
+    grid.setAttribute("aria-hidden", "true");
+
+    for (let i = 0; i < this.skeletons; i++) {
+      const card = document.createElement("div");
+      card.className = "stall-card stall-card-skeleton";
+
+      const content = document.createElement("div");
+      content.className = "stall-content";
+      ["tag", "title", "line", "line", "line skeleton-line-short"].forEach((part) => {
+        content.appendChild(StallSearch.skeleton(part));
+      });
+
+      card.append(StallSearch.skeleton("image"), content);
+      grid.appendChild(card);
+    }
+
+    this.waiting = true;
+    this.container.setAttribute("aria-busy", "true");
+    this.container.replaceChildren(grid);
+  }
+
+  /**
+   * Render stall cards, highlighting what matched the search
+   * @param {object[]} stalls - Stalls in display order
+   * @param {Map} matches - Stall to SearchIndex result
+   */
+  render(stalls, matches = new Map()) {
+    if (stalls.length === 0) {
+      this.container.replaceChildren(
+        this.createEmptyState("fa-search", "No Stalls Found", "Try adjusting your search or browse all stalls.")
+      );
+      this.status.textContent = "No stalls found";
+      return;
+    }
+
+    const grid = document.createElement("div");
+    grid.className = "stalls-grid";
+    stalls.forEach((stall) => {
+      grid.appendChild(
+        StallCard.create(stall, {
+          baseUrl: this.baseUrl,
+          match: matches.get(stall),
+          favorites: this.favorites,
+          mapLink: true,
+        })
+      );
+    });
+
+    this.container.replaceChildren(grid);
+    this.status.textContent = stalls.length === 1 ? "1 stall found" : `${stalls.length} stalls found`;
+  }
+
+  renderError(error) {
+    this.container.replaceChildren(
+      this.createEmptyState(
+        "fa-exclamation-triangle",
+        "Couldn't Load Stalls",
+        (error && error.message) || "Please check your connection and try again."
+      )
+    );
+    this.status.textContent = "Stalls could not be loaded";
+  }
+
+  createEmptyState(icon, title, text) {
+    const state = document.createElement("div");
+    state.className = "empty-state";
+
+    const iconEl = document.createElement("i");
+    iconEl.className = `fas ${icon}`;
+
+    const heading = document.createElement("h3");
+    heading.textContent = title;
+
+    const paragraph = document.createElement("p");
+    paragraph.textContent = text;
+
+    state.append(iconEl, heading, paragraph);
+    return state;
+  }
+
+  static skeleton(part) {
+    const block = document.createElement("div");
+    block.className = `skeleton skeleton-${part}`;
+    return block;
+  }
+
+  /**
+   * Parse the page URL: ?search=, ?category= (comma-separated, as stalls.php reads it),
+   * ?rating=, ?open=1, ?price= and ?sort=
+   * @param {string} query - Query string, with or without the leading "?"
+   * @returns {object} Search and facet state
+   */
+  static readUrl(query) {
+    const params = new URLSearchParams(query);
+    const defaults = StallFacets.defaults;
+    const rating = parseFloat(params.get("rating"));
+    const price = parseInt(params.get("price"), 10);
+    const sort = params.get("sort");
+
+    return {
+      ...defaults,
+      search: (params.get("search") || "").trim(),
+      categories: (params.get("category") || "")
+        .split(",")
+        .map((category) => category.trim())
+        .filter((category) => category && category !== "all"),
+      rating: rating > 0 && rating <= 5 ? rating : defaults.rating,
+      open: params.get("open") === "1",
+      price: price > 0 ? price : defaults.price,
+      sort: StallFacets.SORTS.some((option) => option.value === sort) ? sort : defaults.sort,
+    };
+  }
+
+  static toQuery(state) {
+    const params = new URLSearchParams();
+    if (state.search) params.set("search", state.search);
+    if (state.categories.length > 0) params.set("category", state.categories.join(","));
+    if (state.rating > 0) params.set("rating", String(state.rating));
+    if (state.open) params.set("open", "1");
+    if (state.price > 0) params.set("price", String(state.price));
+    if (state.sort !== StallFacets.defaults.sort) params.set("sort", state.sort);
+    // Category names never contain commas; keep the list readable in shared links
+    const query = params.toString().replace(/%2C/g, ",");
+    return query ? `?${query}` : "";
+  }
+}
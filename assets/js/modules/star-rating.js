@@ -0,0 +1,267 @@
+/*
+PROGRAM NAME: Star Rating Module (star-rating.js)
+
+PROGRAMMER: Frontend Team
+
+SYSTEM CONTEXT:
+This module is part of the BuzzarFeed platform and draws every star rating: the read-only stars of stall cards
+(stall-card.js), map tooltips (map-tooltip.js) and the server-rendered ratings of stall, review and admin pages, and
+the star input of the review forms on stall-detail.php. app.js mounts it on elements marked with data-star-rating
+(display) and data-star-rating-input (input).
+
+DATE CREATED: October 19, 2026
+LAST MODIFIED: October 19, 2026
+
+PURPOSE:
+The purpose of this program is to show and collect ratings the same way everywhere:
+- Display: full stars, a half star for a remainder of .5 or more, then empty stars, read out as
+  "Rated 4.5 out of 5 stars" and optionally followed by the number
+- Input: a radio group of stars with arrow keys, a preview on hover, an optional clear and a label for
+  each star, keeping a hidden form field up to date
+
+DATA STRUCTURES:
+- element (DOM element): div.star-rating-input[data-star-rating-input="<id of the hidden field>"]
+  - data-star-rating-clearable: Adds a "Clear rating" button (Delete and Backspace clear too)
+  - aria-labelledby or aria-label: Name of the group; "Rating" when neither is set
+- input (HTMLInputElement): The hidden field holding the value (0 when no star is chosen)
+- stars (HTMLElement[]): span[role=radio] per star, each holding its icon
+- value (number): Chosen stars, 0 to max
+- max (number): Stars shown (MAX)
+
+ALGORITHM / LOGIC:
+1. display(rating, options): a div (className) with role="img" and its label, the icons
+   (starClass on every icon, emptyClass on empty ones) and, with showValue, the number.
+2. annotate(element): label a server-rendered display from its data-star-rating value, drawing the
+   icons only when the server rendered none.
+3. Input:
+   a. Build the stars (and the clear button) and read the value from the hidden field.
+   b. A click chooses a star; the arrow keys move the choice (Right and Up add a star, Left and
+      Down remove one), Home and End choose the first and last; the chosen star takes the focus.
+   c. Hovering a star previews it; leaving the group shows the value again.
+   d. A change writes the hidden field and dispatches "input" and "change" on it. Scripts that
+      set the field themselves dispatch "change" on it to redraw the stars.
+4. mountAll(root): annotate every display and mount every input under root.
+
+NOTES:
+- Only the chosen star (or the first one) is in the tab order, as in a native radio group.
+- Keep display() in step with the star loops of the PHP pages; they render the same icons.
+- Styles live in stall-detail.css (.star-rating-input) and the STAR RATING section of styles.css.
+- Future enhancements may include choosing half stars.
+*/
+
+export class StarRating {
+  constructor(element, options = {}) {
+    this.input = element ? document.getElementById(element.dataset.starRatingInput) : null;
+    if (!this.input) return;
+
+    this.element = element;
+    this.max = options.max || StarRating.MAX;
+    this.clearable = options.clearable ?? "starRatingClearable" in element.dataset;
+    this.value = 0;
+
+    this.init();
+  }
+
+  init() {
+    this.element.setAttribute("role", "radiogroup");
+    if (!this.element.hasAttribute("aria-labelledby") && !this.element.hasAttribute("aria-label")) {
+      this.element.setAttribute("aria-label", "Rating");
+    }
+
+    this.stars = Array.from({ length: this.max }, (_, index) => {
+      const star = document.createElement("span");
+      star.className = "star-rating-star";
+      star.setAttribute("role", "radio");
+      star.setAttribute("aria-label", StarRating.starLabel(index + 1));
+      star.dataset.rating = String(index + 1);
+
+      const icon = document.createElement("i");
+      icon.setAttribute("aria-hidden", "true");
+      star.appendChild(icon);
+      return star;
+    });
+    this.element.replaceChildren(...this.stars);
+
+    if (this.clearable) {
+      this.clearButton = document.createElement("button");
+      this.clearButton.type = "button";
+      this.clearButton.className = "star-rating-clear";
+      this.clearButton.textContent = "Clear rating";
+      this.clearButton.addEventListener("click", () => this.set(0));
+      this.element.after(this.clearButton);
+    }
+
+    this.element.addEventListener("click", (e) => {
+      const star = e.target.closest(".star-rating-star");
+      if (star) this.set(Number(star.dataset.rating), { focus: true });
+    });
+    this.element.addEventListener("keydown", (e) => this.handleKey(e));
+    this.element.addEventListener("mouseover", (e) => {
+      const star = e.target.closest(".star-rating-star");
+      if (star) this.preview(Number(star.dataset.rating));
+    });
+    this.element.addEventListener("mouseleave", () => this.preview(0));
+
+    // Scripts that fill the field (e.g. the edit review modal) dispatch "change" on it
+    this.input.addEventListener("change", () => this.sync());
+
+    this.sync();
+  }
+
+  /**
+   * Choose a number of stars
+   * @param {number} value - 0 (none) to max
+   * @param {object} options - focus: move the focus to the chosen star
+   */
+  set(value, { focus = false } = {}) {
+    const next = Math.min(this.max, Math.max(this.clearable ? 0 : 1, Math.round(value)));
+    if (next !== this.value) {
+      this.value = next;
+      this.input.value = String(next);
+      this.input.dispatchEvent(new Event("input", { bubbles: true }));
+      this.input.dispatchEvent(new Event("change", { bubbles: true }));
+    }
+
+    this.render();
+    if (focus) this.stars[Math.max(0, this.value - 1)].focus();
+  }
+
+  // Read the hidden field's value
+  sync() {
+    const value = parseInt(this.input.value, 10);
+    this.value = Number.isFinite(value) ? Math.min(this.max, Math.max(0, value)) : 0;
+    this.render();
+  }
+
+  handleKey(e) {
+    const steps = { ArrowRight: 1, ArrowUp: 1, ArrowLeft: -1, ArrowDown: -1 };
+
+    if (e.key in steps) {
+      e.preventDefault();
+      this.set(Math.max(1, this.value + steps[e.key]), { focus: true });
+    } else if (e.key === "Home" || e.key === "End") {
+      e.preventDefault();
+      this.set(e.key === "Home" ? 1 : this.max, { focus: true });
+    } else if ((e.key === " " || e.key === "Enter") && e.target.closest(".star-rating-star")) {
+      e.preventDefault();
+      this.set(Number(e.target.closest(".star-rating-star").dataset.rating), { focus: true });
+    } else if ((e.key === "Delete" || e.key === "Backspace") && this.clearable) {
+      e.preventDefault();
+      this.set(0);
+      this.stars[0].focus();
+    }
+  }
+
+  // Light the stars up to the hovered one; 0 shows the value again
+  preview(value) {
+    this.stars.forEach((star, index) => star.querySelector("i").classList.toggle("hover", index < value));
+  }
+
+  render() {
+    this.stars.forEach((star, index) => {
+      const rating = index + 1;
+      star.querySelector("i").className = rating <= this.value ? "fas fa-star" : "far fa-star";
+      star.setAttribute("aria-checked", String(rating === this.value));
+      star.tabIndex = rating === Math.max(1, this.value) ? 0 : -1;
+    });
+
+    if (this.clearButton) this.clearButton.disabled = this.value === 0;
+  }
+
+  /**
+   * Read-only stars for a rating
+   * @param {number} rating - 0 to max; 0 means no ratings yet
+   * @param {object} options - className, starClass, emptyClass, showValue, valueClass, max
+   * @returns {HTMLElement}
+   */
+  static display(rating, options = {}) {
+    const {
+      className = "star-rating",
+      starClass = "",
+      emptyClass = "",
+      showValue = false,
+      valueClass = "star-rating-value",
+      max = StarRating.MAX,
+    } = options;
+    const value = Number(rating) || 0;
+
+    const stars = document.createElement("div");
+    stars.className = className;
+    stars.setAttribute("role", "img");
+    stars.setAttribute("aria-label", StarRating.label(value, max));
+
+    StarRating.icons(value, max).forEach((kind) => {
+      const icon = document.createElement("i");
+      const classes = [StarRating.ICONS[kind], starClass, kind === "empty" ? emptyClass : ""];
+      icon.className = classes.filter(Boolean).join(" ");
+      icon.setAttribute("aria-hidden", "true");
+      stars.appendChild(icon);
+    });
+
+    if (showValue) {
+      const text = document.createElement("span");
+      text.className = valueClass;
+      text.setAttribute("aria-hidden", "true");
+      text.textContent = value > 0 ? value.toFixed(1) : "No ratings";
+      stars.appendChild(text);
+    }
+
+    return stars;
+  }
+
+  /**
+   * Label a server-rendered display marked with data-star-rating
+   * @param {HTMLElement} element
+   */
+  static annotate(element) {
+    const value = Number(element.dataset.starRating) || 0;
+
+    if (!element.querySelector("i")) {
+      element.replaceChildren(...StarRating.display(value).childNodes);
+    }
+
+    element.setAttribute("role", "img");
+    element.setAttribute("aria-label", StarRating.label(value));
+    element.querySelectorAll("i").forEach((icon) => icon.setAttribute("aria-hidden", "true"));
+  }
+
+  /**
+   * "full", "half" or "empty" for each star
+   * @param {number} rating
+   * @param {number} max
+   * @returns {string[]}
+   */
+  static icons(rating, max = StarRating.MAX) {
+    const full = Math.min(max, Math.floor(rating));
+    const half = full < max && rating - full >= 0.5;
+    return Array.from({ length: max }, (_, index) => {
+      if (index < full) return "full";
+      return index === full && half ? "half" : "empty";
+    });
+  }
+
+  static label(rating, max = StarRating.MAX) {
+    if (!(rating > 0)) return "No ratings yet";
+    return `Rated ${Number(rating.toFixed(1))} out of ${max} stars`;
+  }
+
+  static starLabel(rating) {
+    return `${rating} star${rating === 1 ? "" : "s"}`;
+  }
+
+  /**
+   * Label every display and mount every input under root
+   * @param {Document|HTMLElement} root
+   * @returns {StarRating[]} The inputs
+   */
+  static mountAll(root = document) {
+    root.querySelectorAll("[data-star-rating]").forEach((element) => StarRating.annotate(element));
+    return Array.from(root.querySelectorAll("[data-star-rating-input]")).map((element) => new StarRating(element));
+  }
+}
+
+// Stars in every rating
+StarRating.MAX = 5;
+
+// Font Awesome icons of each kind of star
+StarRating.ICONS = { full: "fas fa-star", half: "fas fa-star-half-alt", empty: "far fa-star" };
@@ -0,0 +1,251 @@
+/*
+PROGRAM NAME: Upload Form Module (upload-form.js)
+
+PROGRAMMER: Frontend Team
+
+SYSTEM CONTEXT:
+This module is part of the BuzzarFeed platform and sends file forms through the API client instead of a full page post.
+It is used by the stall registration form (createApplication), the menu item forms on manage-stall (saveMenuItem)
+and the stall logo input (uploadStallLogo). The server-rendered forms keep working without JavaScript.
+
+DATE CREATED: October 19, 2026
+LAST MODIFIED: October 19, 2026
+
+PURPOSE:
+The purpose of this program is to give large uploads the feedback a normal form post cannot:
+- Show a progress bar while the files are sent
+- Let the user cancel an upload in progress
+- Reject oversized or wrong-type files before they are sent (checked by ApiClient.upload)
+- Show validation errors next to their fields without losing what the user typed
+
+DATA STRUCTURES:
+- element (DOM element): A form or a file input, both uploaded when the form is submitted,
+  marked with data attributes:
+  - data-upload (string): ApiClient method to call, e.g. "createApplication"
+  - data-upload-args (JSON array): Arguments before the data, e.g. "[12]" for the stall ID
+  - data-upload-redirect (string): Page to open after a successful form upload
+  - data-upload-preview (string): Selector of the element showing the uploaded image (file inputs)
+- controller (AbortController|null): Cancels the upload in progress
+- progress (DOM element): Progress bar, percentage text and Cancel button
+
+ALGORITHM / LOGIC:
+1. mountAll(): create an UploadForm for every form or file input with data-upload.
+2. On submit of the form (for a file input, its form, and only when a file is chosen):
+   a. Skip if an upload is already running.
+   b. Call api[data-upload](...args, data, { onProgress, signal }).
+   c. Update the progress bar as bytes are sent.
+3. On success: follow data-upload-redirect or reload (forms), or update the preview, clear
+   the input and post the rest of its form (file inputs).
+4. On failure:
+   a. Cancelled: say so and reset.
+   b. Validation errors: show them inline with FormErrors.
+   c. Anything else: show the message in a toast.
+
+NOTES:
+- Without window.api the module does nothing and the forms post normally.
+- A file input never uploads on its own when chosen: the user may still cancel the form. Only a
+  file input outside any form uploads on change.
+- Styles live in the UPLOAD PROGRESS section of styles.css.
+- Future enhancements may include uploading several logo or menu images in one request.
+*/
+
+import { FormErrors } from "./form-errors.js";
+import { Utils } from "./utils.js";
+
+export class UploadForm {
+  constructor(element, api) {
+    if (!element || !api || typeof api[element.dataset.upload] !== "function") {
+      return;
+    }
+
+    this.element = element;
+    this.api = api;
+    this.isField = element.tagName === "INPUT";
+    this.form = this.isField ? element.form : element;
+    this.controller = null;
+
+    this.init();
+  }
+
+  static mountAll(api) {
+    return Array.from(document.querySelectorAll("form[data-upload], input[type='file'][data-upload]")).map(
+      (element) => new UploadForm(element, api)
+    );
+  }
+
+  init() {
+    this.buildProgress();
+
+    if (this.isField && this.form) {
+      // Upload with the form's own Save; the other fields are posted once the file is in
+      this.form.addEventListener("submit", (e) => {
+        if (this.element.files.length === 0) return;
+        e.preventDefault();
+        this.upload(this.element.files[0]);
+      });
+    } else if (this.isField) {
+      this.element.addEventListener("change", () => {
+        if (this.element.files.length > 0) this.upload(this.element.files[0]);
+      });
+    } else {
+      this.element.addEventListener("submit", (e) => {
+        e.preventDefault();
+        this.upload(new FormData(this.element));
+      });
+    }
+  }
+
+  buildProgress() {
+    this.progress = document.createElement("div");
+    this.progress.className = "upload-progress";
+    this.progress.hidden = true;
+
+    this.bar = document.createElement("progress");
+    this.bar.className = "upload-progress-bar";
+    this.bar.max = 100;
+
+    this.status = document.createElement("span");
+    this.status.className = "upload-progress-text";
+    this.status.setAttribute("aria-live", "polite");
+
+    this.cancelButton = document.createElement("button");
+    this.cancelButton.type = "button";
+    this.cancelButton.className = "upload-progress-cancel";
+    this.cancelButton.textContent = "Cancel";
+    this.cancelButton.addEventListener("click", () => this.cancel());
+
+    this.progress.append(this.bar, this.status, this.cancelButton);
+
+    if (this.isField) {
+      const anchor = this.element.closest(".file-upload-wrapper") || this.element;
+      anchor.insertAdjacentElement("afterend", this.progress);
+    } else {
+      const submit = this.element.querySelector("[type='submit']");
+      if (submit) {
+        submit.insertAdjacentElement("beforebegin", this.progress);
+      } else {
+        this.element.appendChild(this.progress);
+      }
+    }
+  }
+
+  async upload(data) {
+    if (this.controller) return;
+
+    const { upload, uploadArgs } = this.element.dataset;
+    const args = uploadArgs ? JSON.parse(uploadArgs) : [];
+
+    this.controller = new AbortController();
+    this.setBusy(true);
+    this.updateProgress({ percent: 0 });
+
+    try {
+      const result = await this.api[upload](...args, data, {
+        signal: this.controller.signal,
+        onProgress: (progress) => this.updateProgress(progress),
+      });
+      this.onSuccess(result);
+    } catch (error) {
+      this.onError(error);
+    } finally {
+      this.controller = null;
+    }
+  }
+
+  cancel() {
+    if (this.controller) {
+      this.controller.abort();
+    }
+  }
+
+  onSuccess(result) {
+    if (this.form) {
+      FormErrors.clear(this.form);
+    }
+
+    if (!this.isField) {
+      this.status.textContent = "Upload complete. Redirecting...";
+      const { uploadRedirect } = this.element.dataset;
+      if (uploadRedirect) {
+        window.location.href = uploadRedirect;
+      } else {
+        window.location.reload();
+      }
+      return;
+    }
+
+    this.element.value = "";
+    this.updatePreview(result && result.data ? result.data.logo_path : null);
+
+    if (this.form) {
+      // The file is saved; post the rest of the form without it (submit() skips the submit event)
+      this.status.textContent = "Upload complete. Saving...";
+      this.form.submit();
+      return;
+    }
+
+    this.setBusy(false);
+    Utils.showToast((result && result.message) || "Upload complete", "success");
+  }
+
+  onError(error) {
+    this.setBusy(false);
+
+    if (window.ApiClient && window.ApiClient.isAbortError(error)) {
+      Utils.showToast("Upload cancelled", "info");
+      return;
+    }
+
+    const fieldErrors = error && error.fieldErrors ? error.fieldErrors : {};
+
+    if (this.form && Object.keys(fieldErrors).length > 0) {
+      // A single file input's server field name may differ from the input's own
+      const source = this.isField
+        ? { [this.element.name]: Object.values(fieldErrors)[0] }
+        : fieldErrors;
+      const unmatched = FormErrors.apply(this.form, source);
+      const messages = Object.values(unmatched);
+      if (messages.length > 0) {
+        Utils.showToast(messages[0], "error");
+      }
+      return;
+    }
+
+    Utils.showToast((error && error.message) || "Upload failed. Please try again.", "error");
+  }
+
+  updateProgress({ percent }) {
+    if (percent === null || percent === undefined) {
+      this.bar.removeAttribute("value");
+      this.status.textContent = "Uploading...";
+      return;
+    }
+
+    this.bar.value = percent;
+    this.status.textContent = percent < 100 ? `Uploading... ${percent}%` : "Processing...";
+  }
+
+  updatePreview(path) {
+    const { uploadPreview } = this.element.dataset;
+    const preview = uploadPreview ? document.querySelector(uploadPreview) : null;
+    if (!preview || !path) return;
+
+    let img = preview.querySelector("img");
+    if (!img) {
+      img = document.createElement("img");
+      img.alt = "Uploaded image";
+      preview.replaceChildren(img);
+    }
+    img.src = path;
+  }
+
+  setBusy(busy) {
+    this.progress.hidden = !busy;
+    this.element.setAttribute("aria-busy", busy ? "true" : "false");
+
+    const submit = this.form ? this.form.querySelector("[type='submit']") : null;
+    if (submit) {
+      submit.disabled = busy;
+    }
+  }
+}
@@ -31,6 +31,7 @@ DATA STRUCTURES:
   - showToast(message, type)
 - window.togglePassword (function): Toggle password field visibility
 - window.closeModal / window.openModal (functions): Handle modal show/hide behavior
+- window.showToast (function): Utils.showToast for inline page scripts
 - DOM Elements: Targeted via IDs and CSS classes for interactivity
 - Toast and loading overlay elements dynamically appended to the DOM
 
@@ -157,6 +158,7 @@ export class Utils {
   static showToast(message, type = "info") {
     const toast = document.createElement("div");
     toast.className = `toast toast-${type}`;
+    toast.setAttribute("role", type === "error" ? "alert" : "status");
     toast.textContent = message;
 
     document.body.appendChild(toast);
@@ -198,3 +200,7 @@ window.openModal = function (modalId) {
     modal.classList.add("show");
   }
 };
+
+window.showToast = function (message, type = "info") {
+  Utils.showToast(message, type);
+};
@@ -11,7 +11,7 @@ The page ensures that only authorized administrators can perform this action, an
 If the user being converted is a food stall owner, all associated stalls and related data are removed to prevent orphaned records.
 
 DATE CREATED: December 2, 2025
-LAST MODIFIED: December 8, 2025
+LAST MODIFIED: October 19, 2026
 
 PURPOSE:
 The purpose of this program is to allow trusted administrators to elevate a user's privileges to admin.
@@ -38,7 +38,8 @@ ALGORITHM / LOGIC:
    d. Retrieve the user_type_id corresponding to the admin role.
    e. Start a database transaction.
       i. If user is a food stall owner:
-         - Delete all their stalls, including related menu items, reviews, reactions, and stall locations.
+         - Delete all their stalls, including related menu items, reviews, reactions, stall locations,
+           and the entries of users who saved them.
          - Delete any pending applications.
       ii. Update user's user_type_id to admin.
       iii. Commit the transaction.
@@ -146,6 +147,9 @@ if ($_SERVER['REQUEST_METHOD'] === 'POST') {
                             // Delete stall location
                             $db->execute("DELETE FROM stall_locations WHERE stall_id = ?", [$stallId]);
                             
+                            // Remove the stall from everyone's saved stalls (foreign key constraint)
+                            $db->execute("DELETE FROM favorite_stalls WHERE stall_id = ?", [$stallId]);
+                            
                             // Delete the stall itself
                             $db->execute("DELETE FROM food_stalls WHERE stall_id = ?", [$stallId]);
                         }
@@ -11,7 +11,7 @@ The header manages primary navigation, branding, user authentication states, and
 It integrates with the session and database layers to ensure accurate, up-to-date user information is reflected in the interface.
 
 DATE CREATED: October 5, 2025
-LAST MODIFIED: November 29, 2025
+LAST MODIFIED: October 19, 2026
 
 PURPOSE:
 The purpose of this program is to render a consistent and responsive header navigation bar for the BuzzarFeed platform.
@@ -49,7 +49,14 @@ ALGORITHM / LOGIC:
 
 NOTES:
 - This component is included on nearly all pages and must remain lightweight and reliable.
+- It loads api-client.js so every page shares one ApiClient instance (window.api).
+- In development mode it also loads api-mock.js; adding ?mockApi=1 to a URL then answers API calls
+  from in-memory fixtures instead of the backend.
+- In development mode it also loads api-schema.js, which warns in the console when a response
+  does not match the API contract.
 - Session::isLoggedIn() safely handles session initialization.
+- data-auth on the header ("user" or "guest") tells the Favorites module whether saved stalls
+  live in the account or in the browser.
 - Database checks ensure role and permission changes are reflected immediately.
 - HTML output adapts dynamically to improve user experience and prevent invalid actions.
 - Accessibility considerations include keyboard navigation and ARIA labels.
@@ -115,7 +122,7 @@ $showRegisterStallBtn = $isLoggedIn && $userType === 'food_stall_owner' && !$has
 $isAdmin = $isLoggedIn && $userType === 'admin';
 ?>
 
-<header class="header">
+<header class="header" data-auth="<?= $isLoggedIn ? 'user' : 'guest' ?>">
     <div class="container">
         <nav class="nav-container">
             <!-- Logo -->
@@ -222,6 +229,16 @@ $isAdmin = $isLoggedIn && $userType === 'admin';
     </div>
 </header>
 
+<!-- API Client (global `api` instance used by page scripts and modules) -->
+<script src="<?= JS_URL ?>/api-client.js"></script>
+
+<?php if (DEVELOPMENT_MODE): ?>
+    <!-- Mock API for frontend work without the backend; inactive unless ?mockApi=1 -->
+    <script src="<?= JS_URL ?>/api-mock.js"></script>
+    <!-- Checks API responses against assets/js/schemas/api-schema.json -->
+    <script src="<?= JS_URL ?>/api-schema.js"></script>
+<?php endif; ?>
+
 <?php if ($isLoggedIn): ?>
     <!-- User Dropdown Script -->
     <script src="<?= JS_URL ?>/modules/dropdown.js"></script>
@@ -0,0 +1,57 @@
+<?php
+/*
+PROGRAM NAME: Map Picker Component (map-picker.php)
+
+PROGRAMMER: Frontend and Backend Team
+
+SYSTEM CONTEXT:
+This module is part of the BuzzarFeed platform.
+It renders the bazaar map on which stall owners pin their stall: on register-stall.php and, twice, on
+manage-stall.php (the Stall Info tab and the edit modal). MapPicker (assets/js/modules/map-picker.js) mounts on
+it and adds the pin, zoom, undo and overlap warning.
+
+DATE CREATED: October 19, 2026
+LAST MODIFIED: October 19, 2026
+
+PURPOSE:
+The purpose of this program is to give every location picker the same markup:
+- The map image
+- A greyed-out marker for every other stall on the map, named for the overlap warning
+- The ids of the form fields the picker writes
+
+DATA STRUCTURES:
+- $mapPicker (array): Set by the including page
+  - inputX, inputY (string): Ids of the fields holding the position (e.g. map_x and map_y)
+  - stalls (array): Other stalls, as returned by StallService (id, name, latitude, longitude)
+  - class (string): Extra classes for the picker, e.g. the page's map-container (optional)
+- Constants:
+  - IMAGES_URL
+
+ALGORITHM / LOGIC:
+1. Render div[data-map-picker] naming the two fields.
+2. Render the map image.
+3. For every stall with a position, render span.map-picker-stall at its left and top.
+
+NOTES:
+- Positions are percent of the map image from its top-left corner; stall_locations keeps them in its
+  latitude and longitude columns, which are not geographic despite their names.
+- The fields themselves belong to the page's form, which may be outside the map.
+- Without JavaScript the map only shows where the other stalls are.
+- Future enhancements may include the stall's category colour on the markers.
+*/
+
+use BuzzarFeed\Utils\Helpers;
+?>
+<div class="map-picker <?= Helpers::escape($mapPicker['class'] ?? '') ?>" data-map-picker
+     data-map-picker-x="<?= Helpers::escape($mapPicker['inputX']) ?>"
+     data-map-picker-y="<?= Helpers::escape($mapPicker['inputY']) ?>">
+    <img src="<?= IMAGES_URL ?>/maps.png" alt="BGC Night Market Map" class="map-image">
+    <?php foreach ($mapPicker['stalls'] ?? [] as $otherStall): ?>
+        <?php if ($otherStall['latitude'] === null || $otherStall['longitude'] === null) continue; ?>
+        <span class="map-picker-stall" title="<?= Helpers::escape($otherStall['name']) ?>" aria-hidden="true"
+              style="left: <?= (float) $otherStall['latitude'] ?>%; top: <?= (float) $otherStall['longitude'] ?>%;"
+              data-stall-name="<?= Helpers::escape($otherStall['name']) ?>">
+            <i class="fas fa-map-marker-alt"></i>
+        </span>
+    <?php endforeach; ?>
+</div>
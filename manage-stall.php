@@ -9,7 +9,7 @@ This module is part of the BuzzarFeed platform.
 It provides a dashboard interface for food stall owners to manage their stall information, menu items, and customer reviews.
 
 DATE CREATED: December 2, 2025
-LAST MODIFIED: December 2, 2025
+LAST MODIFIED: October 19, 2026
 
 PURPOSE:
 The purpose of this program is to provide stall owners with a comprehensive interface to manage their food stalls. 
@@ -30,9 +30,12 @@ DATA STRUCTURES:
 - $ratingDistribution (array): Stores counts of ratings from 1 to 5 stars.
 - $totalRatings (int): Total number of ratings.
 - $averageRating (float): Average rating calculated from reviews.
+- $fieldErrors (array): Validation errors keyed by form field name.
+- $mapX, $mapY (float|null): Posted map position (percent of the map image), saved in the
+  latitude and longitude columns of stall_locations.
+- $otherStalls (array): Other active stalls, shown greyed out on the location pickers.
 - HTML/JS variables:
-  - latitudeInput, longitudeInput: Hidden inputs storing map coordinates.
-  - stallPin, editStallPin: DOM elements representing the map marker pins.
+  - map_x, map_y / edit_map_x, edit_map_y: Hidden inputs storing the map position.
   - fileNameDisplay, itemFileNameDisplay: Display file name previews for uploaded images.
 
 ALGORITHM / LOGIC:
@@ -44,10 +47,13 @@ ALGORITHM / LOGIC:
 3. Determine current tab from GET parameter (default: 'stall-info').
 4. Handle POST form submissions:
    a. Update Stall Info ('update_stall_info'):
+      - Validate name, description, location and logo; stop on field errors.
       - Update name, description, categories, hours.
       - Handle new logo upload with validation (PNG/JPEG, max 5MB).
-      - Update location coordinates if provided.
+      - Update location coordinates if provided (map_x and map_y, read with Helpers::mapPercent();
+        the saved position is kept when they are missing or off the map).
    b. Add Menu Item ('add_menu_item'):
+      - Validate name, price and image; stop on field errors.
       - Insert new menu item into database.
       - Handle optional image upload with validation.
    c. Update Menu Item ('update_menu_item'):
@@ -67,15 +73,21 @@ ALGORITHM / LOGIC:
    - Display forms for updating stall info and managing menu items.
    - Display reviews with rating bars and average rating.
 9. JavaScript functionality:
-   - Editable map:
-     - Click on map to update stall pin location.
-     - Store latitude and longitude percentages in hidden inputs.
-     - Animate pin on click for visual feedback.
+   - Editable map (map-picker.js, on the page and in the edit modal):
+     - Click on the map to place the stall pin, drag it or nudge it with the arrow keys, and undo moves.
+     - Zoom in on the map; other stalls are shown greyed out, with a warning when the pin overlaps one.
+     - Store the position, in percent of the map image, in the map_x and map_y hidden inputs.
    - File upload preview:
      - Show file name and size.
      - Validate maximum 5MB size.
    - Modal handling for editing/deleting menu items.
    - Visual feedback for form actions via success and error messages.
+   - Inline field errors are cleared by form-errors.js when the field is edited.
+   - With JavaScript, upload-form.js sends the menu item forms through api.saveMenuItem and
+     uploads a chosen logo through api.uploadStallLogo when the form is saved, with progress
+     and cancel, before posting the other fields; the POST handlers above remain the fallback.
+   - hours-input.js shows how the Operating Hours text is read ("Fri–Sun: 6 PM – 1 AM") and
+     warns, without blocking the save, when it cannot be read for the open/closed badges.
 
 NOTES:
 - Stall and menu images are stored under '/uploads/stalls/' and '/uploads/menu_items/'.
@@ -90,6 +102,7 @@ require_once __DIR__ . '/bootstrap.php';
 use BuzzarFeed\Utils\Helpers;
 use BuzzarFeed\Utils\Session;
 use BuzzarFeed\Utils\Database;
+use BuzzarFeed\Services\StallService;
 
 Session::start();
 
@@ -125,10 +138,24 @@ if (!$stall) {
     exit;
 }
 
+// Other stalls on the map, shown greyed out behind this stall's pin
+try {
+    $otherStalls = array_values(array_filter(
+        (new StallService())->getAllActiveStalls(),
+        function($other) use ($stall) {
+            return (int) $other['id'] !== (int) $stall['stall_id'];
+        }
+    ));
+} catch (\Exception $e) {
+    error_log("Error loading stall locations: " . $e->getMessage());
+    $otherStalls = [];
+}
+
 // Get current tab
 $currentTab = Helpers::get('tab', 'stall-info');
 
 // Handle form submissions
+$fieldErrors = [];
 if ($_SERVER['REQUEST_METHOD'] === 'POST') {
     $action = Helpers::post('action');
     
@@ -138,10 +165,27 @@ if ($_SERVER['REQUEST_METHOD'] === 'POST') {
         $location = Helpers::post('location');
         $categories = Helpers::post('categories', []);
         $hours = Helpers::post('hours');
-        $latitude = Helpers::post('latitude');
-        $longitude = Helpers::post('longitude');
+        $mapX = Helpers::mapPercent(Helpers::post('map_x'));
+        $mapY = Helpers::mapPercent(Helpers::post('map_y'));
+        
+        if (trim((string) $stallName) === '') {
+            $fieldErrors['stall_name'] = 'Stall name is required.';
+        }
+        if (trim((string) $description) === '') {
+            $fieldErrors['description'] = 'Stall description is required.';
+        }
+        if (trim((string) $location) === '') {
+            $fieldErrors['location'] = 'Location is required.';
+        }
+        if ($logoError = Helpers::validateImageUpload($_FILES['new_logo'] ?? null)) {
+            $fieldErrors['new_logo'] = $logoError;
+        }
         
         try {
+            if (!empty($fieldErrors)) {
+                throw new \Exception('Please correct the highlighted fields');
+            }
+            
             // Handle logo upload
             $logoPath = $stall['logo_path'];
             if (isset($_FILES['new_logo']) && $_FILES['new_logo']['error'] === UPLOAD_ERR_OK) {
@@ -184,13 +228,19 @@ if ($_SERVER['REQUEST_METHOD'] === 'POST') {
                 [$stallName, $description, json_encode($categories), $hours, $logoPath, $stall['stall_id']]
             );
             
-            // Update location with coordinates
+            // Update location with coordinates (the map position lives in latitude and longitude)
             if (!empty($location)) {
+                $hasPosition = $mapX !== null && $mapY !== null;
                 $db->execute(
                     "UPDATE stall_locations 
                      SET address = ?, latitude = ?, longitude = ?, updated_at = NOW()
                      WHERE stall_id = ?",
-                    [$location, $latitude, $longitude, $stall['stall_id']]
+                    [
+                        $location,
+                        $hasPosition ? $mapX : $stall['latitude'],
+                        $hasPosition ? $mapY : $stall['longitude'],
+                        $stall['stall_id']
+                    ]
                 );
             }
             
@@ -207,7 +257,21 @@ if ($_SERVER['REQUEST_METHOD'] === 'POST') {
         $itemDesc = Helpers::post('item_description');
         $itemPrice = Helpers::post('item_price');
         
+        if (trim((string) $itemName) === '') {
+            $fieldErrors['item_name'] = 'Item name is required.';
+        }
+        if (!is_numeric($itemPrice) || $itemPrice < 0) {
+            $fieldErrors['item_price'] = 'Enter a valid price.';
+        }
+        if ($imageError = Helpers::validateImageUpload($_FILES['item_image'] ?? null)) {
+            $fieldErrors['item_image'] = $imageError;
+        }
+        
         try {
+            if (!empty($fieldErrors)) {
+                throw new \Exception('Please correct the highlighted fields');
+            }
+            
             // Handle image upload
             $imagePath = null;
             if (isset($_FILES['item_image']) && $_FILES['item_image']['error'] === UPLOAD_ERR_OK) {
@@ -493,30 +557,42 @@ $pageDescription = "Manage your stall information, menu items, and customer revi
                             <?php endif; ?>
                         <?php endif; ?>
                         
-                        <form method="POST" enctype="multipart/form-data" class="stall-form">
+                        <form method="POST" enctype="multipart/form-data" class="stall-form" data-form-errors>
                             <input type="hidden" name="action" value="update_stall_info">
-                            <input type="hidden" name="latitude" id="map_latitude" value="<?= Helpers::escape($stall['latitude'] ?? '') ?>">
-                            <input type="hidden" name="longitude" id="map_longitude" value="<?= Helpers::escape($stall['longitude'] ?? '') ?>">
+                            <input type="hidden" name="map_x" id="map_x" value="<?= Helpers::escape($stall['latitude'] ?? '') ?>">
+                            <input type="hidden" name="map_y" id="map_y" value="<?= Helpers::escape($stall['longitude'] ?? '') ?>">
                             
                             <!-- Stall Name -->
                             <div class="form-group">
                                 <label for="stall_name" class="form-label">Stall Name</label>
-                                    <input type="text" id="stall_name" name="stall_name" class="form-input" 
-                                        value="<?= Helpers::escape($stall['name']) ?>" required>
+                                    <input type="text" id="stall_name" name="stall_name" class="form-input<?= isset($fieldErrors['stall_name']) ? ' form-input-error' : '' ?>"
+                                        <?= isset($fieldErrors['stall_name']) ? 'aria-invalid="true" aria-describedby="stall_name-error"' : '' ?>
+                                        value="<?= Helpers::escape(Helpers::post('stall_name', $stall['name'])) ?>" required>
+                                <?php if (isset($fieldErrors['stall_name'])): ?>
+                                    <span class="form-error" id="stall_name-error" data-error-for="stall_name" role="alert"><?= Helpers::escape($fieldErrors['stall_name']) ?></span>
+                                <?php endif; ?>
                             </div>
                             
                             <!-- Stall Description -->
                             <div class="form-group">
                                 <label for="description" class="form-label">Stall Description</label>
-                                <textarea id="description" name="description" class="form-textarea" 
-                                          rows="4" required><?= Helpers::escape($stall['description']) ?></textarea>
+                                <textarea id="description" name="description" class="form-textarea<?= isset($fieldErrors['description']) ? ' form-input-error' : '' ?>"
+                                          <?= isset($fieldErrors['description']) ? 'aria-invalid="true" aria-describedby="description-error"' : '' ?>
+                                          rows="4" required><?= Helpers::escape(Helpers::post('description', $stall['description'])) ?></textarea>
+                                <?php if (isset($fieldErrors['description'])): ?>
+                                    <span class="form-error" id="description-error" data-error-for="description" role="alert"><?= Helpers::escape($fieldErrors['description']) ?></span>
+                                <?php endif; ?>
                             </div>
                             
                             <!-- Location -->
                             <div class="form-group">
                                 <label for="location" class="form-label">Location</label>
-                                <input type="text" id="location" name="location" class="form-input" 
-                                       value="<?= Helpers::escape($stall['address']) ?>" required>
+                                <input type="text" id="location" name="location" class="form-input<?= isset($fieldErrors['location']) ? ' form-input-error' : '' ?>"
+                                       <?= isset($fieldErrors['location']) ? 'aria-invalid="true" aria-describedby="location-error"' : '' ?>
+                                       value="<?= Helpers::escape(Helpers::post('location', $stall['address'])) ?>" required>
+                                <?php if (isset($fieldErrors['location'])): ?>
+                                    <span class="form-error" id="location-error" data-error-for="location" role="alert"><?= Helpers::escape($fieldErrors['location']) ?></span>
+                                <?php endif; ?>
                             </div>
                             
                             <!-- Map Section -->
@@ -526,23 +602,15 @@ $pageDescription = "Manage your stall information, menu items, and customer revi
                                     Click on map to edit pinned location
                                 </div>
                                 <h3 class="map-section-title">Map</h3>
-                                <div class="map-container" id="editable-map">
-                                    <img src="<?= IMAGES_URL ?>/maps.png" alt="BGC Night Market Map" class="map-image">
-                                    <?php if (!empty($stall['latitude']) && !empty($stall['longitude'])): ?>
-                                        <div class="map-pin" id="stall-pin" style="left: <?= $stall['latitude'] ?>%; top: <?= $stall['longitude'] ?>%;">
-                                            <i class="fas fa-map-marker-alt"></i>
-                                        </div>
-                                    <?php else: ?>
-                                        <div class="map-pin" id="stall-pin" style="left: 50%; top: 50%; display: none;">
-                                            <i class="fas fa-map-marker-alt"></i>
-                                        </div>
-                                    <?php endif; ?>
-                                </div>
+                                <?php
+                                $mapPicker = ['inputX' => 'map_x', 'inputY' => 'map_y', 'stalls' => $otherStalls, 'class' => 'map-container'];
+                                include __DIR__ . '/includes/map-picker.php';
+                                ?>
                                 <div class="map-location-display">
                                     <i class="fas fa-map-marker-alt"></i>
                                     <?= Helpers::escape($stall['address']) ?>
                                 </div>
-                                <p class="map-hint">Click on the map above to update your stall's location pin</p>
+                                <p class="map-hint">Click the map to move your stall's pin, or drag it; arrow keys nudge it</p>
                             </div>
                             
                             <!-- Food Categories -->
@@ -564,13 +632,13 @@ $pageDescription = "Manage your stall information, menu items, and customer revi
                                 <label for="hours" class="form-label">Operating Hours</label>
                                 <input type="text" id="hours" name="hours" class="form-input" 
                                        value="<?= Helpers::escape($stall['hours'] ?? '') ?>" 
-                                       placeholder="e.g., 9:00 AM - 9:00 PM">
+                                       placeholder="e.g., 9:00 AM - 9:00 PM" data-hours-input>
                             </div>
                             
                             <!-- Current Logo -->
                             <div class="form-group">
                                 <label class="form-label">Current Logo</label>
-                                <div class="logo-preview">
+                                <div class="logo-preview" id="current-logo-preview">
                                     <?php if (!empty($stall['logo_path'])): ?>
                                         <img src="<?= BASE_URL . Helpers::escape($stall['logo_path']) ?>" 
                                              alt="Stall Logo" class="current-logo-img">
@@ -588,10 +656,14 @@ $pageDescription = "Manage your stall information, menu items, and customer revi
                                         <i class="fas fa-upload"></i>
                                         Choose File
                                     </label>
-                                    <input type="file" id="new_logo" name="new_logo" accept="image/png,image/jpeg,image/jpg" class="file-input">
+                                    <input type="file" id="new_logo" name="new_logo" accept="image/png,image/jpeg,image/jpg" class="file-input"
+                                           data-upload="uploadStallLogo" data-upload-args="[<?= (int)$stall['stall_id'] ?>]" data-upload-preview="#current-logo-preview">
                                     <p class="file-upload-hint">Maximum file size: 5MB</p>
                                     <div id="file-name-display" class="file-name-display"></div>
                                 </div>
+                                <?php if (isset($fieldErrors['new_logo'])): ?>
+                                    <span class="form-error" id="new_logo-error" data-error-for="new_logo" role="alert"><?= Helpers::escape($fieldErrors['new_logo']) ?></span>
+                                <?php endif; ?>
                             </div>
                             
                             <!-- Submit Button -->
@@ -631,20 +703,31 @@ $pageDescription = "Manage your stall information, menu items, and customer revi
                         <!-- Add New Menu Item Form -->
                         <div class="add-menu-section">
                             <h3 class="section-subtitle">Add New Menu Item</h3>
-                            <form method="POST" enctype="multipart/form-data" class="menu-form">
+                            <form method="POST" enctype="multipart/form-data" class="menu-form" data-form-errors
+                                  data-upload="saveMenuItem" data-upload-args="[<?= (int)$stall['stall_id'] ?>]" data-upload-redirect="manage-stall.php?tab=menu-items">
                                 <input type="hidden" name="action" value="add_menu_item">
                                 
                                 <div class="form-row">
                                     <div class="form-group">
                                         <label for="item_name" class="form-label">Item Name</label>
-                                        <input type="text" id="item_name" name="item_name" class="form-input" 
+                                        <input type="text" id="item_name" name="item_name" class="form-input<?= isset($fieldErrors['item_name']) ? ' form-input-error' : '' ?>"
+                                               <?= isset($fieldErrors['item_name']) ? 'aria-invalid="true" aria-describedby="item_name-error"' : '' ?>
+                                               value="<?= Helpers::escape(Helpers::post('item_name', '')) ?>"
                                                placeholder="Enter item name" required>
+                                        <?php if (isset($fieldErrors['item_name'])): ?>
+                                            <span class="form-error" id="item_name-error" data-error-for="item_name" role="alert"><?= Helpers::escape($fieldErrors['item_name']) ?></span>
+                                        <?php endif; ?>
                                     </div>
                                     
                                     <div class="form-group">
                                         <label for="item_price" class="form-label">Price (PHP)</label>
-                                        <input type="number" id="item_price" name="item_price" class="form-input" 
+                                        <input type="number" id="item_price" name="item_price" class="form-input<?= isset($fieldErrors['item_price']) ? ' form-input-error' : '' ?>"
+                                               <?= isset($fieldErrors['item_price']) ? 'aria-invalid="true" aria-describedby="item_price-error"' : '' ?>
+                                               value="<?= Helpers::escape(Helpers::post('item_price', '')) ?>"
                                                placeholder="Enter price" step="0.01" required>
+                                        <?php if (isset($fieldErrors['item_price'])): ?>
+                                            <span class="form-error" id="item_price-error" data-error-for="item_price" role="alert"><?= Helpers::escape($fieldErrors['item_price']) ?></span>
+                                        <?php endif; ?>
                                     </div>
                                 </div>
                                 
@@ -665,6 +748,9 @@ $pageDescription = "Manage your stall information, menu items, and customer revi
                                         <p class="file-upload-hint">Maximum file size: 5MB</p>
                                         <div id="item-file-name-display" class="file-name-display"></div>
                                     </div>
+                                    <?php if (isset($fieldErrors['item_image'])): ?>
+                                        <span class="form-error" id="item_image-error" data-error-for="item_image" role="alert"><?= Helpers::escape($fieldErrors['item_image']) ?></span>
+                                    <?php endif; ?>
                                 </div>
                                 
                                 <button type="submit" class="submit-btn">
@@ -739,7 +825,7 @@ $pageDescription = "Manage your stall information, menu items, and customer revi
                             <!-- Average Rating Box -->
                             <div class="average-rating-box">
                                 <div class="avg-rating-number"><?= $averageRating ?></div>
-                                <div class="avg-rating-stars">
+                                <div class="avg-rating-stars" data-star-rating="<?= (float) $averageRating ?>">
                                     <?php
                                     for ($i = 1; $i <= 5; $i++) {
                                         if ($i <= $averageRating) {
@@ -767,7 +853,7 @@ $pageDescription = "Manage your stall information, menu items, and customer revi
                                 <?php foreach ($reviews as $review): ?>
                                     <div class="review-card">
                                         <div class="review-header">
-                                            <div class="review-stars">
+                                            <div class="review-stars" data-star-rating="<?= (int) $review['rating'] ?>">
                                                 <?php for ($i = 1; $i <= 5; $i++): ?>
                                                     <i class="fas fa-star <?= $i <= $review['rating'] ? '' : 'empty' ?>"></i>
                                                 <?php endfor; ?>
@@ -815,7 +901,8 @@ $pageDescription = "Manage your stall information, menu items, and customer revi
                 <h3>Edit Menu Item</h3>
                 <span class="modal-close" onclick="closeEditModal()">&times;</span>
             </div>
-            <form method="POST" enctype="multipart/form-data" id="editMenuForm">
+            <form method="POST" enctype="multipart/form-data" id="editMenuForm"
+                  data-upload="saveMenuItem" data-upload-args="[<?= (int)$stall['stall_id'] ?>]" data-upload-redirect="manage-stall.php?tab=menu-items">
                 <input type="hidden" name="action" value="update_menu_item">
                 <input type="hidden" name="item_id" id="edit_item_id">
                 
@@ -895,8 +982,8 @@ $pageDescription = "Manage your stall information, menu items, and customer revi
             </div>
             <form method="POST" enctype="multipart/form-data" id="editStallForm">
                 <input type="hidden" name="action" value="update_stall_info">
-                <input type="hidden" name="latitude" id="edit_map_latitude" value="<?= Helpers::escape($stall['latitude'] ?? '') ?>">
-                <input type="hidden" name="longitude" id="edit_map_longitude" value="<?= Helpers::escape($stall['longitude'] ?? '') ?>">
+                <input type="hidden" name="map_x" id="edit_map_x" value="<?= Helpers::escape($stall['latitude'] ?? '') ?>">
+                <input type="hidden" name="map_y" id="edit_map_y" value="<?= Helpers::escape($stall['longitude'] ?? '') ?>">
                 
                 <div class="modal-body">
                     <!-- Stall Name -->
@@ -927,17 +1014,15 @@ $pageDescription = "Manage your stall information, menu items, and customer revi
                             Click on map to edit pinned location
                         </div>
                         <h3 class="map-section-title">Map</h3>
-                        <div class="map-container" id="edit-editable-map">
-                            <img src="<?= IMAGES_URL ?>/maps.png" alt="BGC Night Market Map" class="map-image">
-                            <div class="map-pin" id="edit-stall-pin" style="left: <?= $stall['latitude'] ?? 50 ?>%; top: <?= $stall['longitude'] ?? 50 ?>%; <?= empty($stall['latitude']) ? 'display: none;' : '' ?>">
-                                <i class="fas fa-map-marker-alt"></i>
-                            </div>
-                        </div>
+                        <?php
+                        $mapPicker = ['inputX' => 'edit_map_x', 'inputY' => 'edit_map_y', 'stalls' => $otherStalls, 'class' => 'map-container'];
+                        include __DIR__ . '/includes/map-picker.php';
+                        ?>
                         <div class="map-location-display">
                             <i class="fas fa-map-marker-alt"></i>
                             <?= Helpers::escape($stall['address']) ?>
                         </div>
-                        <p class="map-hint">Click on the map above to update your stall's location pin</p>
+                        <p class="map-hint">Click the map to move your stall's pin, or drag it; arrow keys nudge it</p>
                     </div>
                     
                     <!-- Food Categories -->
@@ -970,42 +1055,7 @@ $pageDescription = "Manage your stall information, menu items, and customer revi
     <!-- JavaScript -->
     <script type="module" src="<?= JS_URL ?>/app.js"></script>
     <script>
-        // Editable map functionality
         document.addEventListener('DOMContentLoaded', function() {
-            const mapContainer = document.getElementById('editable-map');
-            const stallPin = document.getElementById('stall-pin');
-            const latitudeInput = document.getElementById('map_latitude');
-            const longitudeInput = document.getElementById('map_longitude');
-            
-            if (mapContainer && stallPin) {
-                mapContainer.style.cursor = 'crosshair';
-                
-                mapContainer.addEventListener('click', function(e) {
-                    const rect = mapContainer.getBoundingClientRect();
-                    const x = e.clientX - rect.left;
-                    const y = e.clientY - rect.top;
-                    
-                    // Calculate percentage position
-                    const leftPercent = (x / rect.width) * 100;
-                    const topPercent = (y / rect.height) * 100;
-                    
-                    // Update pin position
-                    stallPin.style.left = leftPercent + '%';
-                    stallPin.style.top = topPercent + '%';
-                    stallPin.style.display = 'block';
-                    
-                    // Update hidden inputs
-                    latitudeInput.value = leftPercent.toFixed(2);
-                    longitudeInput.value = topPercent.toFixed(2);
-                    
-                    // Visual feedback
-                    stallPin.style.animation = 'bounce 0.5s';
-                    setTimeout(() => {
-                        stallPin.style.animation = '';
-                    }, 500);
-                });
-            }
-            
             // File upload preview
             const fileInput = document.getElementById('new_logo');
             const fileNameDisplay = document.getElementById('file-name-display');
@@ -9,21 +9,30 @@ This module is part of the BuzzarFeed platform.
 It provides an interactive map interface for users to explore and locate approved food stalls.
 
 DATE CREATED: November 21, 2025
-LAST MODIFIED: December 4, 2025
+LAST MODIFIED: October 19, 2026
 
 PURPOSE:
 The purpose of this program is to display an interactive map showing all active and approved food stalls,
 allow users to filter stalls by category, and provide hover tooltips with stall information.
-It also includes an "Explore" section highlighting selected stalls.
+It also includes an "Explore" section listing the stalls shown on the map. A search box and rating and open-now
+filters above the map narrow both the pins and the list as the user types (assets/js/modules/map-filters.js).
+Below the map, a food-crawl planner orders the stalls a group picks into a short walk it can share. The bazaar's
+zones and walkways can be shown over the map.
 
 DATA STRUCTURES:
 - $stallService (StallService): Service instance to fetch stall data from the database.
-- $category (string): Filter parameter for stall category.
-- $stalls (array): List of stalls fetched from the database based on filters.
+- $searchTerm (string): Filter parameter for the stall name or description.
+- $category (string): Filter parameter for stall category; several are separated by commas.
+- $selectedCategories (array): $category split into category names.
+- $stalls (array): Every active stall; each one gets a pin.
+- $matchingStalls (array): Stalls matching the search term and every selected category.
+- $matchingIds (array): IDs of $matchingStalls; pins of other stalls are rendered hidden.
 - $standardCategories (array): Predefined set of standard food categories.
 - $allCategories (array): Complete set of categories used for filtering.
 - $stallsWithLocation (array): Subset of $stalls that have valid latitude and longitude.
-- $exploreStalls (array): Selected stalls to highlight in the "Explore" section.
+- $exploreStalls (array): Stalls listed in the "Explore" section ($matchingStalls).
+- $mapLayout (array): Zones and walkways drawn in the admin panel (MapLayoutService), for the map overlay; empty when
+  the map_layouts table is missing or cannot be read.
 - HTML/JS variables:
   - mapPins (NodeList): DOM elements representing map markers.
   - tooltip (HTMLElement): Tooltip element for displaying stall information on hover.
@@ -33,34 +42,66 @@ ALGORITHM / LOGIC:
 1. Load system bootstrap and start session.
 2. Define page title and description.
 3. Initialize StallService to fetch stall data.
-4. Retrieve filter parameter 'category' from GET request.
+4. Retrieve filter parameters 'search' and 'category' from GET request.
 5. Fetch stalls:
-   - If a specific category is selected, fetch stalls by that category.
-   - Otherwise, fetch all active stalls.
+   - Fetch all active stalls for the pins.
+   - If a search term or category is selected, fetch the matching stalls; otherwise every stall matches.
 6. Filter stalls to get only those with valid map coordinates.
-7. Select a subset of stalls for the "Explore" section (currently first 3 stalls).
+7. List the matching stalls in the "Explore" section.
+   Load the map layout (zones and walkways) for the overlay.
 8. Render HTML page:
    - Include header.
    - Include MapSection.php to render interactive map with pins.
-   - Include ExploreSection.php to display selected stalls.
+   - Include ExploreSection.php to list the matching stalls.
    - Include footer.
    - Load CSS and JavaScript files for styling and interactivity.
-9. JavaScript functionality:
-   - Hovering over a map pin displays a tooltip with:
+9. JavaScript functionality (MapViewport, MapClusters and MapTooltip, assets/js/modules/map-viewport.js,
+   map-clusters.js and map-tooltip.js, mounted by app.js):
+   - The map zooms with the mouse wheel, pinches and the zoom buttons, and pans by dragging
+     with inertia; pins keep their size on screen.
+   - Pins that overlap at the current zoom are grouped into a bubble showing their count;
+     clicking it zooms in on them, or fans them out when they share a spot.
+   - Pins are buttons labelled with the stall's name, rating and categories for screen readers.
+   - Hovering over a map pin previews a tooltip; tapping, clicking or pressing Enter on it opens the
+     tooltip as a popover that stays until its close button, Escape or a tap elsewhere. It shows:
      a. Stall name
      b. Categories
      c. Average rating with star icons
      d. Short description
-   - Tooltip is positioned smartly to avoid clipping off-screen:
+     e. A heart button to save the stall (Favorites, assets/js/modules/favorites.js)
+     f. An open/closed badge for the stall's hours (HoursBadges, assets/js/modules/hours-badges.js)
+   - Tooltip is positioned from the pin's map position at the current zoom:
      - Chooses above or below based on available space
      - Adjusts left/right position to prevent overflow
-   - Leaving the pin or tooltip hides the tooltip with a slight delay
-   - Clicking on the tooltip or using viewStall() navigates to stall-detail.php?id={stallId}
+     - Follows the pin while the map is zoomed or panned
+   - Leaving the pin or tooltip hides a hover preview with a slight delay
+   - Arrow keys move the focus (and an open popover) to the nearest pin in that direction
+   - The tooltip's View Stall link opens stall-detail.php?id={stallId}
+10. Filters (MapFilters, assets/js/modules/map-filters.js, mounted by app.js):
+   - The search box, category pills and rating and open-now filters hide the pins and list
+     entries of stalls that do not match, as the user types or clicks, without reloading
+   - The filters are kept in the URL (?search=, ?category=, ?rating=, ?open=1)
+   - Hovering or focusing a stall in the list highlights its pin (or the cluster holding it)
+   - Clicking a pin scrolls to its stall in the list and highlights it
+11. Food crawl (MapCrawl, assets/js/modules/map-crawl.js, mounted by app.js):
+   - While planning, tapping pins adds or removes stops, and saved stalls can be added at once
+   - The stops are ordered into a short walk from the entrance (or the first stop) and drawn
+     on the map as a numbered line, with a checklist below the map
+   - A crawl is shared as a link (?crawl=3,8,5&start=entrance) that opens the same route
+12. Links (MapState, assets/js/modules/map-state.js, mounted by app.js):
+   - ?stall=12 flies to the stall's pin and opens its popover; "Show on map" links on stall
+     cards and stall-detail.php point here, and on this page show the stall without reloading
+   - The open stall, zoom and pan are kept in the URL (?stall=, ?zoom=, ?at=) alongside the
+     filters, so the current view can be reloaded or shared
+13. Zones (MapZones, assets/js/modules/map-zones.js, mounted by app.js):
+   - A button next to the zoom buttons shows or hides the named zones and walkways admins
+     draw in the admin panel's Map Layout tab
 
 NOTES:
 - Tooltips dynamically generate stars based on the average rating (including half-stars).
 - The page supports future enhancements like geolocation-based exploration.
-- Filtering logic is based on the 'category' GET parameter; 'all' shows all stalls.
+- Filtering logic is based on the 'search' and 'category' GET parameters; 'all' shows all stalls. Rating and
+  open now are filtered in the browser only, so their controls stay hidden without JavaScript.
 - CSS and JS files are modularized to maintain clean separation of concerns.
 - Map pins are expected to have data attributes for stall info (name, description, rating, categories, ID).
 */
@@ -70,6 +111,7 @@ require_once __DIR__ . '/bootstrap.php';
 use BuzzarFeed\Utils\Helpers;
 use BuzzarFeed\Utils\Session;
 use BuzzarFeed\Services\StallService;
+use BuzzarFeed\Services\MapLayoutService;
 
 Session::start();
 
@@ -80,14 +122,23 @@ $pageDescription = "Find food stalls on the interactive map";
 $stallService = new StallService();
 
 // Get filter parameters
+$searchTerm = Helpers::get('search', '');
 $category = Helpers::get('category', '');
-
-// Fetch stalls based on filters
-if (!empty($category) && $category !== 'all') {
-    $stalls = $stallService->getStallsByCategory($category);
+$selectedCategories = array_values(array_filter(
+    array_map('trim', explode(',', $category)),
+    function($name) {
+        return $name !== '' && $name !== 'all';
+    }
+));
+
+// Every stall gets a pin; the filters decide which ones are shown
+$stalls = $stallService->getAllActiveStalls();
+if (!empty($searchTerm) || !empty($selectedCategories)) {
+    $matchingStalls = $stallService->searchStalls($searchTerm, implode(',', $selectedCategories));
 } else {
-    $stalls = $stallService->getAllActiveStalls();
+    $matchingStalls = $stalls;
 }
+$matchingIds = array_column($matchingStalls, 'id');
 
 // Define standard food categories
 $standardCategories = ['Beverages', 'Street Food', 'Rice Meals', 'Fast Food', 'Snacks', 'Pastries', 'Others'];
@@ -98,8 +149,16 @@ $stallsWithLocation = array_filter($stalls, function ($stall) {
     return !empty($stall['latitude']) && !empty($stall['longitude']);
 });
 
-// Get explore stalls (random 3 for now, can be enhanced with geolocation)
-$exploreStalls = array_slice($stalls, 0, 3);
+// The explore section lists the stalls shown on the map
+$exploreStalls = $matchingStalls;
+
+// Zones and walkways drawn by admins, shown over the map on request
+try {
+    $mapLayout = (new MapLayoutService())->getLayout();
+} catch (\Exception $e) {
+    error_log("Error loading map layout: " . $e->getMessage());
+    $mapLayout = ['zones' => [], 'paths' => [], 'updated_at' => null];
+}
 ?>
 <!DOCTYPE html>
 <html lang="en">
@@ -144,121 +203,6 @@ $exploreStalls = array_slice($stalls, 0, 3);
 
         <!-- JavaScript -->
         <script type="module" src="<?= JS_URL ?>/app.js"></script>
-        <script>
-            // Map pin hover functionality
-            const mapPins = document.querySelectorAll('.map-pin');
-            const tooltip = document.getElementById('stallTooltip');
-            let currentStallId = null;
-
-            mapPins.forEach(pin => {
-                pin.addEventListener('mouseenter', function (e) {
-                    const stallName = this.dataset.stallName;
-                    const stallDesc = this.dataset.stallDesc;
-                    const stallRating = parseFloat(this.dataset.stallRating);
-                    const stallCategories = this.dataset.stallCategories;
-                    currentStallId = this.dataset.stallId;
-
-                    // Update tooltip content
-                    tooltip.querySelector('.tooltip-name').textContent = stallName;
-                    tooltip.querySelector('.tooltip-categories').innerHTML =
-                        stallCategories.split(', ').map(cat =>
-                            `<span class=\"tooltip-cat\">${cat}</span>`
-                        ).join('');
-
-                    // Generate stars
-                    const fullStars = Math.floor(stallRating);
-                    const hasHalf = (stallRating - fullStars) >= 0.5;
-                    let starsHtml = '';
-                    for (let i = 0; i < fullStars; i++) {
-                        starsHtml += '<i class=\"fas fa-star\"></i>';
-                    }
-                    if (hasHalf) {
-                        starsHtml += '<i class=\"fas fa-star-half-alt\"></i>';
-                    }
-                    for (let i = fullStars + (hasHalf ? 1 : 0); i < 5; i++) {
-                        starsHtml += '<i class=\"far fa-star\"></i>';
-                    }
-
-                    tooltip.querySelector('.tooltip-rating').innerHTML =
-                        `<div class=\"tooltip-stars\">${starsHtml}</div>` +
-                        `<span>${stallRating > 0 ? stallRating.toFixed(1) : 'No ratings'}</span>`;
-
-                    tooltip.querySelector('.tooltip-desc').textContent = stallDesc + '...';
-
-                    // Smart positioning: always show below if any part would be outside the top edge
-                    const rect = this.getBoundingClientRect();
-                    const containerRect = document.getElementById('mapContainer').getBoundingClientRect();
-                    // Temporarily show tooltip to get accurate dimensions
-                    tooltip.classList.remove('hidden');
-                    tooltip.style.visibility = 'hidden';
-                    const tooltipHeight = tooltip.offsetHeight || 120;
-                    const tooltipWidth = tooltip.offsetWidth || 300;
-                    tooltip.style.visibility = '';
-                    tooltip.classList.add('hidden');
-
-                    let left = (rect.left - containerRect.left + rect.width / 2);
-                    let topAbove = rect.top - containerRect.top - 10;
-                    let topBelow = rect.bottom - containerRect.top + 10;
-
-                    let showAbove = true;
-                    // If tooltip would overflow top edge, show below
-                    if (topAbove - tooltipHeight < 0) {
-                        showAbove = false;
-                    }
-
-                    // Default transform and margin
-                    let transform = showAbove ? 'translate(-50%, -100%)' : 'translate(-50%, 10px)';
-                    let marginTop = showAbove ? '-15px' : '0';
-                    let top = showAbove ? topAbove : topBelow;
-
-                    // Check left/right overflow and adjust
-                    let adjustedLeft = left;
-                    const minLeft = tooltipWidth / 2 + 8; // 8px padding
-                    const maxLeft = containerRect.width - tooltipWidth / 2 - 8;
-                    if (left < minLeft) {
-                        adjustedLeft = minLeft;
-                        // Only shift vertically, keep horizontal close to pin
-                        transform = showAbove ? 'translate(0, -100%)' : 'translate(0, 0)';
-                        // Reduce gap for left edge
-                        topAbove = rect.top - containerRect.top - 2;
-                        topBelow = rect.bottom - containerRect.top + 2;
-                        top = showAbove ? topAbove : topBelow;
-                    } else if (left > maxLeft) {
-                        adjustedLeft = maxLeft;
-                        transform = showAbove ? 'translate(-100%, -100%)' : 'translate(-100%, 0)';
-                        // Reduce gap for right edge
-                        topAbove = rect.top - containerRect.top - 2;
-                        topBelow = rect.bottom - containerRect.top + 2;
-                        top = showAbove ? topAbove : topBelow;
-                    }
-
-                    tooltip.style.transform = transform;
-                    tooltip.style.marginTop = marginTop;
-                    tooltip.style.left = adjustedLeft + 'px';
-                    tooltip.style.top = top + 'px';
-                    tooltip.classList.remove('hidden');
-                });
-
-                pin.addEventListener('mouseleave', function () {
-                    // Delay hiding to allow moving to tooltip
-                    setTimeout(() => {
-                        if (!tooltip.matches(':hover')) {
-                            tooltip.classList.add('hidden');
-                        }
-                    }, 100);
-                });
-            });
-
-            tooltip.addEventListener('mouseleave', function () {
-                this.classList.add('hidden');
-            });
-
-            function viewStall() {
-                if (currentStallId) {
-                    window.location.href = `stall-detail.php?id=${currentStallId}`;
-                }
-            }
-        </script>
 </body>
 
 </html>
\ No newline at end of file
@@ -11,12 +11,13 @@ changing their password, and deleting their account (Danger Zone). Admin account
 logs are protected from deletion to maintain audit trail integrity.
 
 DATE CREATED: November 28, 2025
-LAST MODIFIED: December 8, 2025
+LAST MODIFIED: October 19, 2026
 
 PURPOSE:
 The purpose of this program is to provide a centralized interface for users to manage their
 BuzzarFeed account settings, including:
 - Viewing profile details (name, email, account type, member since)
+- Seeing and un-saving the stalls they saved
 - Updating their display name
 - Changing their password securely
 - Managing account deletion while respecting system rules and audit compliance
@@ -27,7 +28,8 @@ DATA STRUCTURES:
 - $user (array): User details fetched from the database, including name, email, type, creation date.
 - $errors (array): Stores error messages for form validation and operations.
 - $success (string): Stores success messages for user feedback.
-- $activeTab (string): Tracks the currently active tab (profile, password, danger).
+- $activeTab (string): Tracks the currently active tab (profile, saved, password, danger).
+- $savedStalls (array): The user's saved stalls, newest first (loaded for the saved tab only).
 - $adminLogs (array): Stores count of admin actions for admin accounts.
 - Form POST parameters:
   - action: Identifies the action being performed (update_profile, change_password, delete_account)
@@ -53,7 +55,7 @@ ALGORITHM / LOGIC:
    - Confirm email matches
    - Prevent deletion for admins with logged activity
    - Delete all related user data in a specific order using deleteUserAccount() function:
-     a. Review reactions, review reports, reviews, and moderations
+     a. Review reactions, review reports, reviews, moderations, and saved stalls
      b. Stall applications
      c. Stalls owned by the user, including reviews, menu items, and locations
      d. Session tokens and password reset tokens
@@ -61,9 +63,12 @@ ALGORITHM / LOGIC:
    - Use database transactions to ensure atomicity
    - Destroy session and redirect to homepage with success message
 8. Render page HTML:
-   - Sidebar with tabs: Profile Information, Change Password, Danger Zone
+   - Sidebar with tabs: Profile Information, Saved Stalls, Change Password, Danger Zone
    - Main content shows form fields and information according to active tab
    - Profile tab: editable name, display email, account type, member since
+   - Saved Stalls tab: each saved stall with its logo, categories, rating and a heart button
+     (assets/js/modules/favorites.js) to un-save it; an empty state links to the stalls page.
+     Marked data-saved-stalls so app.js reloads it once stalls saved as a guest are merged in
    - Password tab: current, new, and confirm password fields
    - Danger Zone tab: displays account deletion warning and admin protection info
    - Action buttons update the active tab’s form or initiate deletion
@@ -75,6 +80,8 @@ NOTES:
 - Admin accounts with logged actions cannot be deleted; deletion must be performed by support.
 - Database transactions ensure that deletions are atomic and data integrity is maintained.
 - Form submission is distinguished by the 'action' hidden field.
+- Un-saving from the Saved Stalls tab keeps the stall listed (with an empty heart) until the next visit,
+  so an accidental click can be undone.
 */
 
 error_reporting(E_ALL);
@@ -87,6 +94,7 @@ use BuzzarFeed\Components\Common\Input;
 use BuzzarFeed\Utils\Helpers;
 use BuzzarFeed\Utils\Session;
 use BuzzarFeed\Utils\Database;
+use BuzzarFeed\Services\FavoriteService;
 
 // Start session
 Session::start();
@@ -119,7 +127,10 @@ $pageDescription = "Manage your BuzzarFeed account settings";
 // Handle form submissions
 $errors = [];
 $success = '';
-$activeTab = Helpers::get('tab', 'profile'); // profile, password, danger
+$activeTab = Helpers::get('tab', 'profile'); // profile, saved, password, danger
+
+// Saved stalls are only needed on their own tab
+$savedStalls = $activeTab === 'saved' ? (new FavoriteService())->getFavoriteStalls((int)$userId) : [];
 
 // Handle profile update
 if (Helpers::isPost() && Helpers::post('action') === 'update_profile') {
@@ -305,6 +316,9 @@ function deleteUserAccount($db, $userId) {
     // Delete the reviews themselves
     $db->execute("DELETE FROM reviews WHERE user_id = ?", [$userId]);
     
+    // Delete the user's saved stalls
+    $db->execute("DELETE FROM favorite_stalls WHERE user_id = ?", [$userId]);
+    
     // 4. Delete stall applications
     $db->execute("DELETE FROM applications WHERE user_id = ?", [$userId]);
     
@@ -335,6 +349,9 @@ function deleteUserAccount($db, $userId) {
         // Delete reviews on owned stalls
         $db->execute("DELETE FROM reviews WHERE stall_id IN ($placeholders)", $stallIds);
         
+        // Remove owned stalls from everyone's saved stalls
+        $db->execute("DELETE FROM favorite_stalls WHERE stall_id IN ($placeholders)", $stallIds);
+        
         // Delete stall locations
         $db->execute("DELETE FROM stall_locations WHERE stall_id IN ($placeholders)", $stallIds);
         
@@ -539,6 +556,80 @@ function deleteUserAccount($db, $userId) {
             border-radius: 5px;
         }
 
+        .saved-stalls {
+            list-style: none;
+            padding: 0;
+            margin: 0;
+        }
+
+        .saved-stall {
+            display: flex;
+            align-items: center;
+            gap: 1rem;
+            padding: 0.75rem 0;
+            border-bottom: 2px solid var(--color-border);
+        }
+
+        .saved-stall:last-child {
+            border-bottom: none;
+        }
+
+        .saved-stall-image {
+            width: 64px;
+            height: 64px;
+            flex-shrink: 0;
+            object-fit: cover;
+            border: 2px solid #2C2C2C;
+            border-radius: 5px;
+        }
+
+        .saved-stall-placeholder {
+            display: flex;
+            align-items: center;
+            justify-content: center;
+            color: var(--color-text-light);
+        }
+
+        .saved-stall-info {
+            flex: 1;
+            min-width: 0;
+        }
+
+        .saved-stall-name {
+            font-weight: 600;
+            color: var(--color-dark);
+            text-decoration: none;
+        }
+
+        .saved-stall-name:hover {
+            text-decoration: underline;
+        }
+
+        .saved-stall-meta {
+            margin-top: 0.25rem;
+            font-size: 0.875rem;
+            color: var(--color-text-light);
+        }
+
+        .saved-stall .favorite-btn {
+            position: static;
+        }
+
+        .saved-empty {
+            text-align: center;
+            padding: 2rem 1rem;
+        }
+
+        .saved-empty i {
+            font-size: 2.5rem;
+            color: var(--color-text-light);
+            margin-bottom: 1rem;
+        }
+
+        .saved-empty p {
+            margin-bottom: 1.25rem;
+        }
+
         .danger-zone {
             border: 3px solid var(--color-error);
             border-radius: 12px;
@@ -627,6 +718,12 @@ function deleteUserAccount($db, $userId) {
                             Profile Information
                         </a>
                     </li>
+                    <li>
+                        <a href="?tab=saved" class="tab-link <?= $activeTab === 'saved' ? 'active' : '' ?>">
+                            <i class="fas fa-heart"></i>
+                            Saved Stalls
+                        </a>
+                    </li>
                     <li>
                         <a href="?tab=password" class="tab-link <?= $activeTab === 'password' ? 'active' : '' ?>">
                             <i class="fas fa-lock"></i>
@@ -679,6 +776,48 @@ function deleteUserAccount($db, $userId) {
                     </form>
                 </section>
 
+                <!-- Saved Stalls Tab -->
+                <section class="content-section <?= $activeTab === 'saved' ? 'active' : '' ?>"<?= $activeTab === 'saved' ? ' data-saved-stalls' : '' ?>>
+                    <?php if (empty($savedStalls)): ?>
+                        <div class="saved-empty">
+                            <i class="far fa-heart"></i>
+                            <p>You haven't saved any stalls yet. Tap the heart on a stall to keep it here.</p>
+                            <a href="<?= BASE_URL ?>stalls.php" class="btn btn-secondary">Browse Stalls</a>
+                        </div>
+                    <?php else: ?>
+                        <ul class="saved-stalls">
+                            <?php foreach ($savedStalls as $stall): ?>
+                                <li class="saved-stall">
+                                    <?php if (!empty($stall['image'])): ?>
+                                        <img src="<?= BASE_URL . Helpers::escape($stall['image']) ?>" alt="" class="saved-stall-image">
+                                    <?php else: ?>
+                                        <div class="saved-stall-image saved-stall-placeholder">
+                                            <i class="fas fa-utensils"></i>
+                                        </div>
+                                    <?php endif; ?>
+
+                                    <div class="saved-stall-info">
+                                        <a href="<?= BASE_URL ?>stall-detail.php?id=<?= (int)$stall['id'] ?>" class="saved-stall-name">
+                                            <?= Helpers::escape($stall['name']) ?>
+                                        </a>
+                                        <div class="saved-stall-meta">
+                                            <?= Helpers::escape(implode(', ', array_map([Helpers::class, 'formatCategoryName'], $stall['categories']))) ?>
+                                            <?php if ($stall['rating'] > 0): ?>
+                                                &middot; <i class="fas fa-star"></i> <?= number_format($stall['rating'], 1) ?>
+                                            <?php endif; ?>
+                                        </div>
+                                    </div>
+
+                                    <button type="button" class="favorite-btn" data-favorite-stall="<?= (int)$stall['id'] ?>"
+                                        data-stall-name="<?= Helpers::escape($stall['name']) ?>" aria-pressed="true" hidden>
+                                        <i class="fas fa-heart" aria-hidden="true"></i>
+                                    </button>
+                                </li>
+                            <?php endforeach; ?>
+                        </ul>
+                    <?php endif; ?>
+                </section>
+
                 <!-- Change Password Tab -->
                 <section class="content-section <?= $activeTab === 'password' ? 'active' : '' ?>">
                     <form id="passwordForm" method="POST" action="my-account.php?tab=password">
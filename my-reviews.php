@@ -210,7 +210,7 @@ $pageDescription = "View and manage all your food stall reviews";
                                     </a>
                                 </h3>
                                 <div class="review-meta">
-                                    <div class="review-rating">
+                                    <div class="review-rating" data-star-rating="<?= (int) $review['rating'] ?>">
                                         <?php for ($i = 1; $i <= 5; $i++): ?>
                                             <i class="fas fa-star star <?= $i <= $review['rating'] ? '' : 'text-muted' ?>" 
                                                style="<?= $i > $review['rating'] ? 'opacity: 0.3;' : '' ?>"></i>
@@ -10,7 +10,7 @@ It allows food stall owners to submit a new stall registration for
 review by the administrators at the BGC Night Market Bazaar.
 
 DATE CREATED: December 1, 2025
-LAST MODIFIED: December 1, 2025
+LAST MODIFIED: October 19, 2026
 
 PURPOSE:
 The purpose of this program is to provide a web interface for food stall
@@ -34,6 +34,8 @@ DATA STRUCTURES:
   - dti_sec
   - stall_logo
 - $validCategories (array): List of acceptable food category options
+- $mapStalls (array): Active stalls, shown greyed out on the location picker
+- $mapPicker (array): Settings of the location picker (includes/map-picker.php)
 - Session variables:
   - user_id
   - user_type
@@ -55,16 +57,23 @@ ALGORITHM / LOGIC:
    b. Move uploaded files to the server.
    c. Convert categories to JSON and insert the application into the database with status "Pending".
    d. Set a success flash message and redirect to the registration-pending page.
-8. Display errors or success messages in the HTML form.
-9. Allow the user to pin a location on a map and store coordinates in hidden form fields.
+8. Display errors or success messages in the HTML form; each field error is
+   cleared by form-errors.js once the user edits that field.
+9. Allow the user to pin a location on a map and store coordinates in hidden form fields:
+   map-picker.js places, drags, nudges and undoes the pin, zooms the map, and warns when the
+   pin overlaps another stall's; map_x and map_y are checked with Helpers::mapPercent().
 10. Include CSS and JavaScript for layout, styling, and file/map interactions.
+11. With JavaScript, upload-form.js submits the form to POST /api/applications through
+    api.createApplication, showing upload progress and a Cancel button; the POST handler
+    above is the fallback and applies the same validation rules.
 
 NOTES:
 - Only logged-in food stall owners without an existing or pending stall
   application can access this page.
 - File uploads must be in .png, .jpg, .jpeg, or .pdf formats (logo excludes pdf).
 - Maximum file size for uploads is 5MB.
-- Location is captured via map interaction and stored as percentage coordinates.
+- Location is captured via map interaction and stored as percentage coordinates
+  (percent of the map image from its top-left corner; see map-picker.js).
 - All unauthorized access attempts are redirected with a flash message.
 */
 
@@ -73,6 +82,7 @@ require_once __DIR__ . '/bootstrap.php';
 use BuzzarFeed\Utils\Helpers;
 use BuzzarFeed\Utils\Session;
 use BuzzarFeed\Utils\Database;
+use BuzzarFeed\Services\StallService;
 
 Session::start();
 
@@ -215,9 +225,9 @@ if ($_SERVER['REQUEST_METHOD'] === 'POST') {
             $db = Database::getInstance();
             $userId = Session::getUserId();
             
-            // Get map coordinates
-            $mapX = Helpers::post('map_x', null);
-            $mapY = Helpers::post('map_y', null);
+            // Get map coordinates (percent of the map image)
+            $mapX = Helpers::mapPercent(Helpers::post('map_x'));
+            $mapY = Helpers::mapPercent(Helpers::post('map_y'));
             
             // Convert categories array to JSON
             $categoriesJson = json_encode($categories);
@@ -311,6 +321,16 @@ $validCategories = [
     'pastries' => 'Pastries',
     'others' => 'Others'
 ];
+
+// Stalls already on the map, shown greyed out behind the new pin
+try {
+    $mapStalls = (new StallService())->getAllActiveStalls();
+} catch (\Exception $e) {
+    error_log("Error loading stall locations: " . $e->getMessage());
+    $mapStalls = [];
+}
+
+$mapPicker = ['inputX' => 'map_x', 'inputY' => 'map_y', 'stalls' => $mapStalls];
 ?>
 <!DOCTYPE html>
 <html lang="en">
@@ -410,7 +430,6 @@ $validCategories = [
             border-radius: 12px;
             margin-bottom: 20px;
             position: relative;
-            cursor: crosshair;
         }
         
         .map-image {
@@ -420,31 +439,12 @@ $validCategories = [
             border-radius: 8px;
         }
         
-        .map-pin {
-            position: absolute;
-            width: 30px;
-            height: 30px;
-            transform: translate(-50%, -100%);
-            pointer-events: none;
-            transition: all 0.2s ease;
-        }
-        
-        .map-pin i {
-            font-size: 30px;
-            color: #ED6027;
-            filter: drop-shadow(0 2px 4px rgba(0,0,0,0.3));
-        }
-        
         .map-icon {
             font-size: 120px;
             color: #ED6027;
             margin-bottom: 20px;
         }
         
-        .hidden {
-            display: none;
-        }
-        
         .map-location-btn {
             background: #FEEED5;
             padding: 15px 30px;
@@ -706,23 +706,21 @@ $validCategories = [
             <div class="map-section">
                 <h2 class="map-title">Map</h2>
                 
-                <div class="map-placeholder" id="mapContainer">
-                    <img src="<?= IMAGES_URL ?>/maps.png" alt="BGC Night Market Map" class="map-image" id="mapImage">
-                    <div class="map-pin hidden" id="mapPin">
-                        <i class="fas fa-map-marker-alt"></i>
-                    </div>
+                <div class="map-placeholder">
+                    <?php include __DIR__ . '/includes/map-picker.php'; ?>
                 </div>
                 
                 <button class="map-location-btn" type="button">
                     <i class="fas fa-map-marker-alt"></i>
-                    Click on the map to pin your location
+                    Click on the map to pin your location, then drag the pin to adjust it
                 </button>
             </div>
             
             <!-- Registration Form -->
-            <form class="registration-form" method="POST" enctype="multipart/form-data">
-                <input type="hidden" name="map_x" id="map_x" value="">
-                <input type="hidden" name="map_y" id="map_y" value="">
+            <form class="registration-form" method="POST" enctype="multipart/form-data" data-form-errors="error-message"
+                  data-upload="createApplication" data-upload-redirect="<?= BASE_URL ?>registration-pending.php">
+                <input type="hidden" name="map_x" id="map_x" value="<?= Helpers::escape(Helpers::post('map_x', '')) ?>">
+                <input type="hidden" name="map_y" id="map_y" value="<?= Helpers::escape(Helpers::post('map_y', '')) ?>">
                 <h2 class="form-title">
                     <span class="orange">Register</span> Your Stall
                 </h2>
@@ -753,7 +751,7 @@ $validCategories = [
                         required
                     >
                     <?php if (isset($errors['stall_name'])): ?>
-                        <div class="error-message"><?= $errors['stall_name'] ?></div>
+                        <div class="error-message" data-error-for="stall_name"><?= $errors['stall_name'] ?></div>
                     <?php endif; ?>
                 </div>
                 
@@ -767,7 +765,7 @@ $validCategories = [
                         required
                     ><?= Helpers::escape(Helpers::post('description', '')) ?></textarea>
                     <?php if (isset($errors['description'])): ?>
-                        <div class="error-message"><?= $errors['description'] ?></div>
+                        <div class="error-message" data-error-for="description"><?= $errors['description'] ?></div>
                     <?php endif; ?>
                 </div>
                 
@@ -783,7 +781,7 @@ $validCategories = [
                         required
                     >
                     <?php if (isset($errors['location'])): ?>
-                        <div class="error-message"><?= $errors['location'] ?></div>
+                        <div class="error-message" data-error-for="location"><?= $errors['location'] ?></div>
                     <?php endif; ?>
                 </div>
                 
@@ -805,7 +803,7 @@ $validCategories = [
                         <?php endforeach; ?>
                     </div>
                     <?php if (isset($errors['categories'])): ?>
-                        <div class="error-message"><?= $errors['categories'] ?></div>
+                        <div class="error-message" data-error-for="categories"><?= $errors['categories'] ?></div>
                     <?php endif; ?>
                 </div>
                 
@@ -830,7 +828,7 @@ $validCategories = [
                         </div>
                     </div>
                     <?php if (isset($errors['bir_registration'])): ?>
-                        <div class="error-message"><?= $errors['bir_registration'] ?></div>
+                        <div class="error-message" data-error-for="bir_registration"><?= $errors['bir_registration'] ?></div>
                     <?php endif; ?>
                 </div>
                 
@@ -855,7 +853,7 @@ $validCategories = [
                         </div>
                     </div>
                     <?php if (isset($errors['business_permit'])): ?>
-                        <div class="error-message"><?= $errors['business_permit'] ?></div>
+                        <div class="error-message" data-error-for="business_permit"><?= $errors['business_permit'] ?></div>
                     <?php endif; ?>
                 </div>
                 
@@ -880,7 +878,7 @@ $validCategories = [
                         </div>
                     </div>
                     <?php if (isset($errors['dti_sec'])): ?>
-                        <div class="error-message"><?= $errors['dti_sec'] ?></div>
+                        <div class="error-message" data-error-for="dti_sec"><?= $errors['dti_sec'] ?></div>
                     <?php endif; ?>
                 </div>
                 
@@ -905,7 +903,7 @@ $validCategories = [
                         </div>
                     </div>
                     <?php if (isset($errors['stall_logo'])): ?>
-                        <div class="error-message"><?= $errors['stall_logo'] ?></div>
+                        <div class="error-message" data-error-for="stall_logo"><?= $errors['stall_logo'] ?></div>
                     <?php endif; ?>
                 </div>
                 
@@ -922,7 +920,7 @@ $validCategories = [
                     </label>
                 </div>
                 <?php if (isset($errors['agree_terms'])): ?>
-                    <div class="error-message"><?= $errors['agree_terms'] ?></div>
+                    <div class="error-message" data-error-for="agree_terms"><?= $errors['agree_terms'] ?></div>
                 <?php endif; ?>
                 
                 <!-- Submit Button -->
@@ -971,45 +969,13 @@ $validCategories = [
             });
         });
         
-        // Map pin functionality
-        const mapContainer = document.getElementById('mapContainer');
-        const mapImage = document.getElementById('mapImage');
-        const mapPin = document.getElementById('mapPin');
-        const mapXInput = document.getElementById('map_x');
-        const mapYInput = document.getElementById('map_y');
+        // Show where the pin was placed (map-picker.js)
         const locationInput = document.querySelector('.location-input');
         
-        mapContainer.addEventListener('click', function(e) {
-            // Get the bounding rectangle of the actual image
-            const rect = mapImage.getBoundingClientRect();
-            
-            // Calculate click position relative to image
-            const x = e.clientX - rect.left;
-            const y = e.clientY - rect.top;
-            
-            // Make sure click is within image bounds
-            if (x < 0 || y < 0 || x > rect.width || y > rect.height) {
-                return;
-            }
-            
-            // Calculate percentage position relative to image
-            const xPercent = (x / rect.width) * 100;
-            const yPercent = (y / rect.height) * 100;
-            
-            // Position the pin relative to container
-            mapPin.style.left = xPercent + '%';
-            mapPin.style.top = yPercent + '%';
-            mapPin.classList.remove('hidden');
-            
-            // Store coordinates in hidden inputs
-            mapXInput.value = xPercent.toFixed(2);
-            mapYInput.value = yPercent.toFixed(2);
-            
-            // Update location input with coordinates
-            locationInput.value = `Location pinned at coordinates (${xPercent.toFixed(1)}%, ${yPercent.toFixed(1)}%)`;
-            
-            console.log('Pin placed at:', xPercent.toFixed(2) + '%', yPercent.toFixed(2) + '%');
-            console.log('Hidden input values - X:', mapXInput.value, 'Y:', mapYInput.value);
+        document.addEventListener('map-picker:change', function(e) {
+            locationInput.value = e.detail
+                ? `Location pinned at coordinates (${e.detail.x.toFixed(1)}%, ${e.detail.y.toFixed(1)}%)`
+                : '';
         });
     </script>
     
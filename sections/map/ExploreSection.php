@@ -11,12 +11,13 @@ The section complements the interactive map by presenting stall information in a
 All required data (stall details, categories, ratings, and images) are assumed to be prepared and passed by the parent controller or page.
 
 DATE CREATED: December 4, 2025
-LAST MODIFIED: December 14, 2025
+LAST MODIFIED: October 19, 2026
 
 PURPOSE:
 The purpose of this program is to visually present available food stalls in an organized and user-friendly grid layout.
 It allows users to quickly browse stalls, view essential details such as categories, ratings, operating hours, and descriptions, and navigate to individual stall detail pages.
 An empty state is shown when no stalls are available to improve user experience.
+It lists the stalls shown on the map; MapFilters (assets/js/modules/map-filters.js) re-renders the list as the map's search and filters change and links each card to its pin.
 
 DATA STRUCTURES:
 - $exploreStalls (array of associative arrays): Collection of stalls containing:
@@ -28,6 +29,7 @@ DATA STRUCTURES:
   - reviews (integer)
   - categories (array)
   - hours (string)
+- $searchTerm (string) and $selectedCategories (array): The map's filters, for the empty-state message
 - Helpers (class): Provides utility methods such as:
   - escape() for safe HTML output
   - formatCategoryName() for user-friendly category labels
@@ -36,10 +38,10 @@ ALGORITHM / LOGIC:
 1. Render a visual divider separating this section from the map content.
 2. Display the section title ("Explore Food Stalls").
 3. Check if $exploreStalls is empty:
-   a. If true, display an empty-state message with an icon.
+   a. If true, display an empty-state message with an icon (no stalls, or none matching the filters).
    b. If false, continue rendering stall cards.
 4. Loop through each stall in $exploreStalls:
-   a. Wrap each stall in a clickable card linking to the stall detail page.
+   a. Wrap each stall in a clickable card linking to the stall detail page, tagged with the stall ID for its pin.
    b. Display the stall image if available; otherwise, show a placeholder icon.
    c. Render up to two category tags per stall.
    d. Display stall name.
@@ -48,8 +50,11 @@ ALGORITHM / LOGIC:
       - Half star for decimal ratings.
       - Empty stars up to a maximum of five.
    f. Display numeric rating and review count if available.
-   g. Show operating hours.
+   g. Show operating hours and an hours badge, filled in by HoursBadges (hours-badges.js).
    h. Display a short stall description.
+   i. Add a heart button beside the card link, hidden until Favorites (favorites.js) shows it.
+   j. Add a "Show on map" link for stalls with a map position; MapState (map-state.js) shows the
+      stall on the map above without reloading.
 5. Ensure all user-facing content is safely escaped.
 
 NOTES:
@@ -58,7 +63,9 @@ NOTES:
 - Ratings are visually represented using Font Awesome icons.
 - Only the first two categories are displayed to maintain a clean card layout.
 - The stall detail navigation relies on query parameters passed via the URL.
-- Future enhancements may include pagination, lazy loading, or client-side filtering and sorting.
+- The cards live in [data-explore-results]; MapFilters replaces them once its search index has loaded.
+- Keep the card markup in sync with StallCard (assets/js/modules/stall-card.js).
+- Future enhancements may include pagination or lazy loading.
 */
 
 use BuzzarFeed\Utils\Helpers;
@@ -66,72 +73,85 @@ use BuzzarFeed\Utils\Helpers;
 <hr class="section-divider">
 
 <!-- Explore Stalls Section -->
-<section class="explore-section">
+<section class="explore-section" data-map-explore data-base-url="<?= Helpers::escape(BASE_URL) ?>">
     <h2 class="explore-title">Explore Food Stalls</h2>
 
-    <?php if (empty($exploreStalls)): ?>
-        <div class="empty-state">
-            <i class="fas fa-search"></i>
-            <p>No stalls available at the moment.</p>
-        </div>
-    <?php else: ?>
-        <div class="explore-grid">
-            <?php foreach ($exploreStalls as $stall): ?>
-                <a href="stall-detail.php?id=<?= $stall['id'] ?>" class="stall-card">
-                    <?php if (!empty($stall['image'])): ?>
-                        <img src="<?= BASE_URL . Helpers::escape($stall['image']) ?>" alt="<?= Helpers::escape($stall['name']) ?>"
-                            class="stall-image">
-                    <?php else: ?>
-                        <div class="stall-image-placeholder">
-                            <i class="fas fa-utensils"></i>
-                        </div>
-                    <?php endif; ?>
-
-                    <div class="stall-content">
-                        <div class="stall-categories">
-                            <?php foreach (array_slice($stall['categories'], 0, 2) as $cat): ?>
-                                <span class="category-tag"><?= Helpers::escape(Helpers::formatCategoryName($cat)) ?></span>
-                            <?php endforeach; ?>
-                        </div>
-
-                        <h3 class="stall-name"><?= Helpers::escape($stall['name']) ?></h3>
-
-                        <div class="stall-rating">
-                            <div class="stars">
-                                <?php
-                                $fullStars = floor($stall['rating']);
-                                $hasHalfStar = ($stall['rating'] - $fullStars) >= 0.5;
-
-                                for ($i = 0; $i < $fullStars; $i++) {
-                                    echo '<i class="fas fa-star star"></i>';
-                                }
-                                if ($hasHalfStar) {
-                                    echo '<i class="fas fa-star-half-alt star"></i>';
-                                }
-                                for ($i = $fullStars + ($hasHalfStar ? 1 : 0); $i < 5; $i++) {
-                                    echo '<i class="far fa-star star empty"></i>';
-                                }
-                                ?>
+    <div class="explore-results" data-explore-results>
+        <?php if (empty($exploreStalls)): ?>
+            <div class="empty-state">
+                <i class="fas fa-search"></i>
+                <p><?= empty($searchTerm) && empty($selectedCategories) ? 'No stalls available at the moment.' : 'No stalls match your search.' ?></p>
+            </div>
+        <?php else: ?>
+            <div class="explore-grid">
+                <?php foreach ($exploreStalls as $stall): ?>
+                    <div class="stall-card-item" data-stall-id="<?= $stall['id'] ?>">
+                        <a href="stall-detail.php?id=<?= $stall['id'] ?>" class="stall-card">
+                            <?php if (!empty($stall['image'])): ?>
+                                <img src="<?= BASE_URL . Helpers::escape($stall['image']) ?>" alt="<?= Helpers::escape($stall['name']) ?>"
+                                    class="stall-image">
+                            <?php else: ?>
+                                <div class="stall-image-placeholder">
+                                    <i class="fas fa-utensils"></i>
+                                </div>
+                            <?php endif; ?>
+
+                            <div class="stall-content">
+                                <div class="stall-categories">
+                                    <?php foreach (array_slice($stall['categories'], 0, 2) as $cat): ?>
+                                        <span class="category-tag"><?= Helpers::escape(Helpers::formatCategoryName($cat)) ?></span>
+                                    <?php endforeach; ?>
+                                </div>
+
+                                <h3 class="stall-name"><?= Helpers::escape($stall['name']) ?></h3>
+
+                                <div class="stall-rating">
+                                    <div class="stars" data-star-rating="<?= (float) $stall['rating'] ?>">
+                                        <?php
+                                        $fullStars = floor($stall['rating']);
+                                        $hasHalfStar = ($stall['rating'] - $fullStars) >= 0.5;
+
+                                        for ($i = 0; $i < $fullStars; $i++) {
+                                            echo '<i class="fas fa-star star"></i>';
+                                        }
+                                        if ($hasHalfStar) {
+                                            echo '<i class="fas fa-star-half-alt star"></i>';
+                                        }
+                                        for ($i = $fullStars + ($hasHalfStar ? 1 : 0); $i < 5; $i++) {
+                                            echo '<i class="far fa-star star empty"></i>';
+                                        }
+                                        ?>
+                                    </div>
+                                    <span class="rating-text">
+                                        <?= $stall['rating'] > 0 ? number_format($stall['rating'], 1) : 'No ratings' ?>
+                                        <?php if ($stall['reviews'] > 0): ?>
+                                            (<?= $stall['reviews'] ?> Reviews)
+                                        <?php endif; ?>
+                                    </span>
+                                </div>
+
+                                <div class="stall-hours">
+                                    <i class="far fa-clock"></i>
+                                    <span><?= Helpers::escape($stall['hours']) ?></span>
+                                    <span class="hours-badge" data-hours-badge="<?= Helpers::escape($stall['hours']) ?>" hidden></span>
+                                </div>
+
+                                <p class="stall-description">
+                                    <?= Helpers::escape($stall['description']) ?>
+                                </p>
                             </div>
-                            <span class="rating-text">
-                                <?= $stall['rating'] > 0 ? number_format($stall['rating'], 1) : 'No ratings' ?>
-                                <?php if ($stall['reviews'] > 0): ?>
-                                    (<?= $stall['reviews'] ?> Reviews)
-                                <?php endif; ?>
-                            </span>
-                        </div>
-
-                        <div class="stall-hours">
-                            <i class="far fa-clock"></i>
-                            <span><?= Helpers::escape($stall['hours']) ?></span>
-                        </div>
-
-                        <p class="stall-description">
-                            <?= Helpers::escape($stall['description']) ?>
-                        </p>
+                        </a>
+                        <button type="button" class="favorite-btn" data-favorite-stall="<?= $stall['id'] ?>" data-stall-name="<?= Helpers::escape($stall['name']) ?>" aria-pressed="false" hidden>
+                            <i class="far fa-heart" aria-hidden="true"></i>
+                        </button>
+                        <?php if (!empty($stall['latitude']) && !empty($stall['longitude'])): ?>
+                            <a href="map.php?stall=<?= $stall['id'] ?>#mapContainer" class="map-link-btn" data-map-stall="<?= $stall['id'] ?>" title="Show on map" aria-label="Show <?= Helpers::escape($stall['name']) ?> on the map">
+                                <i class="fas fa-map-marker-alt" aria-hidden="true"></i>
+                            </a>
+                        <?php endif; ?>
                     </div>
-                </a>
-            <?php endforeach; ?>
-        </div>
-    <?php endif; ?>
+                <?php endforeach; ?>
+            </div>
+        <?php endif; ?>
+    </div>
 </section>
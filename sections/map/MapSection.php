@@ -11,7 +11,7 @@ The file is designed as a partial and is included within a larger page layout th
 It relies on preloaded data such as stall information, categories, and configuration constants, as well as utility helpers for safe output rendering.
 
 DATE CREATED: November 30, 2025
-LAST MODIFIED: December 4, 2025
+LAST MODIFIED: October 19, 2026
 
 PURPOSE:
 The purpose of this program is to render an interactive map interface that displays food stalls as pins based on their physical locations.
@@ -21,8 +21,14 @@ This module enhances user navigation and discovery by combining visual mapping w
 DATA STRUCTURES:
 - $categoryColors (associative array): Maps food categories to specific hex color codes used for map pins.
 - $defaultPinColor (string): Fallback color for pins when a category color is not defined.
+- $mapEntrance (associative array): Position of the bazaar entrance on the map image, where food crawls start.
 - $categoryIcons (associative array): Maps food categories to emoji icons for filter buttons.
 - $allCategories (array): List of all available food categories.
+- $searchTerm (string): Current search, shown in the search box.
+- $selectedCategories (array): Categories selected in the filters.
+- $matchingIds (array): IDs of the stalls matching the search and categories; other pins are rendered hidden.
+- $mapLayout (associative array): Zones and walkways drawn by admins (MapLayoutService::getLayout()):
+  - zones, paths: [{ id, name, points: [{ x, y }] }] in percent of the map image
 - $stallsWithLocation (array of associative arrays): Contains stall data including:
   - id
   - name
@@ -38,28 +44,46 @@ ALGORITHM / LOGIC:
 2. Set a default pin color for unmatched or undefined categories.
 3. Render the hero section introducing the map feature.
 4. Display category filter buttons:
-   a. Highlight the active category.
+   a. Highlight the selected categories.
    b. Generate filter links dynamically based on available categories.
    c. Assign emoji icons to each category.
-5. Render the map container and background image.
+   d. Add the search box (submitting to map.php with the selected categories) and the rating and open-now
+      filter panel, built by MapFilters (assets/js/modules/map-filters.js) and hidden without JavaScript.
+5. Render the map container and background image, then the zones and walkways as a hidden overlay: one SVG of
+   polygons (zones) and lines (paths) stretched over the map, and a label per zone and named path placed with
+   MapLayoutService::labelPoint() (points are written with MapLayoutService::pointsAttr()). MapZones (assets/js/modules/map-zones.js) adds the button that shows it.
 6. Loop through $stallsWithLocation:
    a. Determine the display category for each stall.
-   b. Override the pin color if a category filter is active.
+   b. Override the pin color with the first selected category the stall belongs to.
    c. Assign pin position using percentage-based latitude and longitude.
-   d. Attach stall metadata using data attributes for tooltip interaction.
-7. Render map pins with Font Awesome icons.
-8. Include a hidden tooltip component for displaying stall details on interaction.
+   d. Attach stall metadata (including hours) using data attributes for tooltip interaction;
+      HoursBadges (assets/js/modules/hours-badges.js) marks the pins of open stalls.
+   e. Label the pin with the stall's name, rating and categories for screen readers.
+   f. Hide the pin when the stall does not match the search and categories.
+7. Render map pins as buttons with Font Awesome icons, so they can be tapped and reached from the keyboard.
+8. Include a hidden tooltip component (a non-modal dialog) for displaying stall details on interaction, with a
+   close button and a heart button that map.php points at the shown stall.
+9. Render the empty food crawl panel below the map; MapCrawl (assets/js/modules/map-crawl.js) fills it and
+   draws the route from the entrance given on the map container.
 
 NOTES:
 - This file is a view partial and assumes all required variables are defined prior to inclusion.
 - Helpers::escape() is used to prevent XSS vulnerabilities in user-facing text.
 - Pin positioning uses percentage values to maintain responsiveness across screen sizes.
 - Tooltip behavior and interactivity are handled by external JavaScript logic.
-- Category filtering is achieved through URL query parameters.
-- Future enhancements may include zooming, clustering pins, or real-time stall updates.
+- MapViewport (assets/js/modules/map-viewport.js) moves the image and pins into a zoomable stage;
+  the tooltip stays outside it so it is never scaled.
+- MapClusters (assets/js/modules/map-clusters.js) groups pins that overlap on screen into count bubbles.
+- Category and search filtering is achieved through URL query parameters; with JavaScript, MapFilters
+  filters the pins in place and keeps the URL in sync.
+- #mapContainer is the anchor of "Show on map" links (map.php?stall=12#mapContainer); MapState
+  (assets/js/modules/map-state.js) opens the stall's popover and keeps the view in the URL.
+- Zones and walkways are only rendered once an admin has drawn some in the admin panel's Map Layout tab.
+- Future enhancements may include real-time stall updates.
 */
 
 use BuzzarFeed\Utils\Helpers;
+use BuzzarFeed\Services\MapLayoutService;
 
 $categoryColors = [
     'Beverages' => '#dd452a',
@@ -73,6 +97,9 @@ $categoryColors = [
 
 // Default color if no match found
 $defaultPinColor = '#ed6027';
+
+// Main entrance on the map image (percent from the left and top), where food crawls start
+$mapEntrance = ['left' => 50, 'top' => 97];
 ?>
 <main>
     <!-- Hero Section -->
@@ -85,7 +112,7 @@ $defaultPinColor = '#ed6027';
     <section class="filters-section" id="map-view">
         <div class="category-filters">
             <a href="?category=all#map-view"
-                class="filter-btn <?= empty($category) || $category === 'all' ? 'active' : '' ?>">
+                class="filter-btn <?= empty($selectedCategories) ? 'active' : '' ?>">
                 <span class="filter-icon">🍽️</span>
                 All stalls
             </a>
@@ -106,54 +133,117 @@ $defaultPinColor = '#ed6027';
                 $icon = $categoryIcons[$cat] ?? '🍴';
                 ?>
                 <a href="?category=<?= urlencode($cat) ?>#map-view"
-                    class="filter-btn <?= $category === $cat ? 'active' : '' ?>">
+                    class="filter-btn <?= in_array($cat, $selectedCategories, true) ? 'active' : '' ?>">
                     <span class="filter-icon"><?= $icon ?></span>
                     <?= Helpers::escape($cat) ?>
                 </a>
             <?php endforeach; ?>
         </div>
+
+        <div class="map-filter-bar">
+            <form action="map.php#map-view" method="GET" class="map-search" role="search">
+                <i class="fas fa-search map-search-icon" aria-hidden="true"></i>
+                <input type="text" name="search" class="map-search-input" placeholder="Search stalls or dishes..." aria-label="Search stalls or dishes" value="<?= Helpers::escape($searchTerm) ?>" autocomplete="off">
+                <input type="hidden" name="category" value="<?= Helpers::escape(implode(',', $selectedCategories)) ?>">
+            </form>
+
+            <!-- Rating and open-now filters (built by map-filters.js) -->
+            <div class="map-facets" role="group" aria-label="Filter stalls" data-map-facets hidden></div>
+        </div>
     </section>
 
     <section class="map-section">
         <div class="map-container-wrapper">
             <h2 class="map-title">Map</h2>
-            <div class="map-container" id="mapContainer">
+            <div class="map-container" id="mapContainer" data-entrance="<?= $mapEntrance['left'] ?>,<?= $mapEntrance['top'] ?>">
                 <img src="<?= IMAGES_URL ?>/maps.png" alt="BGC Night Market Map" class="map-image" id="mapImage">
 
+                <?php if (!empty($mapLayout['zones']) || !empty($mapLayout['paths'])): ?>
+                    <!-- Zones and walkways (shown with the map-zones.js toggle; keep in sync with MapZones.render) -->
+                    <div class="map-zones" data-map-zones hidden>
+                        <svg class="map-zones-shapes" viewBox="0 0 100 100" preserveAspectRatio="none" aria-hidden="true">
+                            <?php foreach ($mapLayout['zones'] as $zone): ?>
+                                <polygon class="map-zone" vector-effect="non-scaling-stroke" data-zone-id="<?= Helpers::escape($zone['id']) ?>"
+                                    points="<?= Helpers::escape(MapLayoutService::pointsAttr($zone['points'])) ?>"></polygon>
+                            <?php endforeach; ?>
+                            <?php foreach ($mapLayout['paths'] as $path): ?>
+                                <polyline class="map-path" vector-effect="non-scaling-stroke" data-path-id="<?= Helpers::escape($path['id']) ?>"
+                                    points="<?= Helpers::escape(MapLayoutService::pointsAttr($path['points'])) ?>"></polyline>
+                            <?php endforeach; ?>
+                        </svg>
+                        <?php foreach ($mapLayout['zones'] as $zone): ?>
+                            <?php $labelPoint = MapLayoutService::labelPoint($zone['points'], true); ?>
+                            <span class="map-zone-label" data-zone-id="<?= Helpers::escape($zone['id']) ?>"
+                                style="left: <?= $labelPoint['x'] ?>%; top: <?= $labelPoint['y'] ?>%;"><?= Helpers::escape($zone['name']) ?></span>
+                        <?php endforeach; ?>
+                        <?php foreach ($mapLayout['paths'] as $path): ?>
+                            <?php if ($path['name'] === '') continue; ?>
+                            <?php $labelPoint = MapLayoutService::labelPoint($path['points'], false); ?>
+                            <span class="map-zone-label map-path-label" data-path-id="<?= Helpers::escape($path['id']) ?>"
+                                style="left: <?= $labelPoint['x'] ?>%; top: <?= $labelPoint['y'] ?>%;"><?= Helpers::escape($path['name']) ?></span>
+                        <?php endforeach; ?>
+                    </div>
+                <?php endif; ?>
+
                 <?php foreach ($stallsWithLocation as $stall): ?>
                     <?php
                     // 3. DETERMINE PIN COLOR
                     // Default to the first category of the stall
                     $displayCat = $stall['categories'][0] ?? 'Others';
 
-                    // If a specific filter is active and the stall belongs to it, force that color
+                    // If a selected category is one of the stall's, force that color
                     // (This ensures that if you filter by "Snacks", the pin turns the "Snacks" color)
-                    if (!empty($category) && $category !== 'all' && in_array($category, $stall['categories'])) {
-                        $displayCat = $category;
+                    foreach ($selectedCategories as $selected) {
+                        if (in_array($selected, $stall['categories'])) {
+                            $displayCat = $selected;
+                            break;
+                        }
                     }
 
                     // Get the hex code
                     $pinColor = $categoryColors[$displayCat] ?? $defaultPinColor;
+
+                    // 4. SCREEN READER LABEL (name, rating and categories)
+                    $pinRating = (float) $stall['rating'];
+                    $pinLabel = $stall['name'] . ', '
+                        . ($pinRating > 0 ? 'rated ' . number_format($pinRating, 1) . ' out of 5' : 'no ratings yet');
+                    if (!empty($stall['categories'])) {
+                        $pinLabel .= ', ' . implode(', ', $stall['categories']);
+                    }
                     ?>
 
-                    <div class="map-pin"
+                    <button type="button" class="map-pin"
+                        aria-label="<?= Helpers::escape($pinLabel) ?>" aria-haspopup="dialog"
+                        aria-controls="stallTooltip" aria-expanded="false"
+                        <?= in_array($stall['id'], $matchingIds) ? '' : 'hidden' ?>
                         style="left: <?= $stall['latitude'] ?>%; top: <?= $stall['longitude'] ?>%; color: <?= $pinColor ?>;"
                         data-stall-id="<?= $stall['id'] ?>" data-stall-name="<?= Helpers::escape($stall['name']) ?>"
                         data-stall-desc="<?= Helpers::escape(substr($stall['description'], 0, 100)) ?>"
                         data-stall-rating="<?= $stall['rating'] ?>"
+                        data-stall-hours="<?= Helpers::escape($stall['hours'] ?? '') ?>"
                         data-stall-categories="<?= Helpers::escape(implode(', ', array_slice($stall['categories'], 0, 2))) ?>">
-                        <i class="fas fa-map-marker-alt"></i>
-                    </div>
+                        <i class="fas fa-map-marker-alt" aria-hidden="true"></i>
+                    </button>
                 <?php endforeach; ?>
 
-                <div class="stall-tooltip hidden" id="stallTooltip">
-                    <h4 class="tooltip-name"></h4>
+                <div class="stall-tooltip hidden" id="stallTooltip" role="dialog" aria-labelledby="stallTooltipName">
+                    <h4 class="tooltip-name" id="stallTooltipName"></h4>
+                    <button type="button" class="tooltip-close" aria-label="Close">
+                        <i class="fas fa-times" aria-hidden="true"></i>
+                    </button>
+                    <button type="button" class="favorite-btn" data-favorite-stall="" data-stall-name="" aria-pressed="false" hidden>
+                        <i class="far fa-heart" aria-hidden="true"></i>
+                    </button>
                     <div class="tooltip-categories"></div>
                     <div class="tooltip-rating"></div>
+                    <span class="hours-badge" data-hours-badge="" hidden></span>
                     <p class="tooltip-desc"></p>
-                    <button class="tooltip-view-btn" onclick="viewStall()">View Stall</button>
+                    <a href="#" class="tooltip-view-btn">View Stall</a>
                 </div>
             </div>
+
+            <!-- Food crawl planner (built by map-crawl.js) -->
+            <section class="crawl-panel" aria-label="Food crawl planner" data-crawl-panel hidden></section>
         </div>
     </section>
 </main>
\ No newline at end of file
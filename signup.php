@@ -11,7 +11,7 @@ for form elements and follows ISO 9241 principles for maintainability,
 reusability, and extensibility.
 
 DATE CREATED: October 5, 2025
-LAST MODIFIED: November 24, 2025
+LAST MODIFIED: October 19, 2026
 
 PURPOSE:
 The purpose of this program is to allow new users to create a BuzzarFeed
@@ -22,7 +22,8 @@ upon successful registration.
 DATA STRUCTURES:
 - $pageTitle (string): Page title for browser display and SEO
 - $pageDescription (string): Meta description for the page
-- $errors (array): Stores validation and processing error messages
+- $errors (array): Validation errors keyed by field name; numeric keys hold
+  general processing errors shown in the alert box
 - $success (boolean): Indicates whether registration was successful
 - $name, $email (string): User registration inputs
 - $password, $confirmPassword (string): User password inputs
@@ -43,6 +44,8 @@ ALGORITHM / LOGIC:
 NOTES:
 - Passwords are securely hashed before storage.
 - Registration fails gracefully with user-friendly error messages.
+- Field errors are rendered inline under their inputs and cleared by
+  form-errors.js as soon as the user edits the field.
 - Email sending failures do not prevent account creation.
 */
 
@@ -90,34 +93,34 @@ if (Helpers::isPost()) {
 
     // Validation
     if (empty($name)) {
-        $errors[] = "Name is required.";
+        $errors['name'] = "Name is required.";
     }
 
     if (empty($email)) {
-        $errors[] = "Email is required.";
+        $errors['email'] = "Email is required.";
     } elseif (!Helpers::validateEmail($email)) {
-        $errors[] = "Invalid email format.";
+        $errors['email'] = "Invalid email format.";
     }
 
     if (empty($password)) {
-        $errors[] = "Password is required.";
+        $errors['password'] = "Password is required.";
     } else {
         $passwordValidation = Helpers::validatePassword($password);
         if (!$passwordValidation['valid']) {
-            $errors[] = $passwordValidation['message'];
+            $errors['password'] = $passwordValidation['message'];
         }
     }
 
     if ($password !== $confirmPassword) {
-        $errors[] = "Passwords do not match.";
+        $errors['confirm_password'] = "Passwords do not match.";
     }
 
     if (empty($accountType) || !in_array($accountType, [ACCOUNT_TYPE_ENTHUSIAST, ACCOUNT_TYPE_OWNER])) {
-        $errors[] = "Please select an account type.";
+        $errors['account_type'] = "Please select an account type.";
     }
 
     if (!$termsAgreed) {
-        $errors[] = "You must agree to the Terms of Service.";
+        $errors['terms_agreed'] = "You must agree to the Terms of Service.";
     }
 
     // If no errors, process registration
@@ -133,7 +136,7 @@ if (Helpers::isPost()) {
             );
 
             if ($existingUser) {
-                $errors[] = "Email address is already registered.";
+                $errors['email'] = "Email address is already registered.";
             }
 
             // Check if name already exists
@@ -143,7 +146,7 @@ if (Helpers::isPost()) {
             );
 
             if ($existingName) {
-                $errors[] = "This name is already taken. Please choose a different name.";
+                $errors['name'] = "This name is already taken. Please choose a different name.";
             }
 
             if (empty($errors)) {
@@ -301,13 +304,18 @@ if (Helpers::isPost()) {
                     Already have an account? <a href="login.php" class="link-orange">Sign in</a>
                 </p>
 
+                <?php $generalErrors = array_filter($errors, 'is_int', ARRAY_FILTER_USE_KEY); ?>
                 <?php if (!empty($errors)): ?>
                     <div class="alert alert-error">
-                        <ul>
-                            <?php foreach ($errors as $error): ?>
-                                <li><?= Helpers::escape($error) ?></li>
-                            <?php endforeach; ?>
-                        </ul>
+                        <?php if (empty($generalErrors)): ?>
+                            <p>Please correct the highlighted fields.</p>
+                        <?php else: ?>
+                            <ul>
+                                <?php foreach ($generalErrors as $error): ?>
+                                    <li><?= Helpers::escape($error) ?></li>
+                                <?php endforeach; ?>
+                            </ul>
+                        <?php endif; ?>
                     </div>
                 <?php endif; ?>
 
@@ -317,7 +325,7 @@ if (Helpers::isPost()) {
                     </div>
                 <?php endif; ?>
 
-                <form action="signup.php" method="POST" class="signup-form" id="signupForm">
+                <form action="signup.php" method="POST" class="signup-form" id="signupForm" data-form-errors>
                     <!-- Name Field using Input component -->
                     <?php
                     echo Input::make([
@@ -326,7 +334,7 @@ if (Helpers::isPost()) {
                         'placeholder' => 'Name',
                         'value' => Helpers::post('name', ''),
                         'required' => true,
-                        'error' => ''
+                        'error' => $errors['name'] ?? ''
                     ])->render();
                     ?>
 
@@ -338,7 +346,7 @@ if (Helpers::isPost()) {
                         'placeholder' => 'Email',
                         'value' => Helpers::post('email', ''),
                         'required' => true,
-                        'error' => ''
+                        'error' => $errors['email'] ?? ''
                     ])->render();
                     ?>
 
@@ -350,7 +358,7 @@ if (Helpers::isPost()) {
                         'placeholder' => 'Password',
                         'required' => true,
                         'showToggle' => true,
-                        'error' => ''
+                        'error' => $errors['password'] ?? ''
                     ])->render();
                     ?>
 
@@ -362,7 +370,7 @@ if (Helpers::isPost()) {
                         'placeholder' => 'Confirm Password',
                         'required' => true,
                         'showToggle' => true,
-                        'error' => ''
+                        'error' => $errors['confirm_password'] ?? ''
                     ])->render();
                     ?>
 
@@ -396,6 +404,9 @@ if (Helpers::isPost()) {
                                 </span>
                             </label>
                         </div>
+                        <?php if (isset($errors['account_type'])): ?>
+                            <span class="form-error" id="account_type-error" data-error-for="account_type" role="alert"><?= Helpers::escape($errors['account_type']) ?></span>
+                        <?php endif; ?>
                     </div>
 
                     <!-- Terms Agreement -->
@@ -413,6 +424,9 @@ if (Helpers::isPost()) {
                                 I agree to all statements in <a href="terms.php" class="link-orange" target="_blank">Terms of Services</a>
                             </span>
                         </label>
+                        <?php if (isset($errors['terms_agreed'])): ?>
+                            <span class="form-error" id="terms_agreed-error" data-error-for="terms_agreed" role="alert"><?= Helpers::escape($errors['terms_agreed']) ?></span>
+                        <?php endif; ?>
                     </div>
 
                     <!-- Submit Button using Button component -->
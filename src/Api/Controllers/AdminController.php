@@ -7,15 +7,15 @@ PROGRAMMER: Backend Team
 SYSTEM CONTEXT:
 This module is part of the BuzzarFeed platform's API layer.
 It handles all administrator-specific API endpoints including dashboard statistics retrieval,
-admin activity logs, and review report management.
-The AdminController works with various services (AdminLogService, Database) to provide
+admin activity logs, review report management, and the bazaar map's layout.
+The AdminController works with various services (AdminLogService, MapLayoutService, Database) to provide
 comprehensive administrative oversight capabilities and reporting functionality.
 
 This controller serves exclusively administrators who need access to system-wide statistics,
 activity logs, and moderation tools.
 
 DATE CREATED: December 23, 2025
-LAST MODIFIED: December 23, 2025
+LAST MODIFIED: October 19, 2026
 
 PURPOSE:
 The purpose of this program is to provide API endpoints for administrative operations and oversight.
@@ -26,6 +26,7 @@ to effectively manage the BuzzarFeed platform.
 
 DATA STRUCTURES:
 - $adminLogService (AdminLogService): Service instance for admin log operations.
+- $mapLayoutService (MapLayoutService): Service instance for the map's zones, paths and pins.
 - Dashboard statistics:
   - totalUsers (int): Total number of registered users.
   - totalStalls (int): Total number of active food stalls.
@@ -42,16 +43,22 @@ DATA STRUCTURES:
   - review content, reporter info, stall info (joined data).
   - status ('pending', 'resolved', 'dismissed').
   - created_at (timestamp).
+- Map layout data:
+  - zones, paths (array): [{ id, name, points: [{ x, y }] }] in percent of the map image.
+  - pins (array): Stall pins moved in the editor, [{ stall_id, x, y }] (PUT only).
+  - updated_at (string|null): When the current layout was saved.
 - Query parameters:
   - page, limit (int): Pagination parameters.
 
 ALGORITHM / LOGIC:
-1. Initialize AdminLogService in constructor.
+1. Initialize AdminLogService and MapLayoutService in constructor.
 2. Require admin privileges for ALL requests to this controller.
-3. Route requests based on action parameter:
+3. Route requests based on the sub-resource after /admin:
    a. GET /admin/dashboard → retrieve dashboard statistics.
    b. GET /admin/logs → retrieve admin activity logs.
    c. GET /admin/reports → retrieve review reports.
+   d. GET /admin/map-layout → retrieve the map's zones and paths.
+   e. PUT /admin/map-layout → save the zones, paths and moved pins.
 4. Get dashboard statistics:
    a. Query database for total users count.
    b. Query for total active stalls count.
@@ -75,6 +82,10 @@ ALGORITHM / LOGIC:
    c. Order by most recent reports first.
    d. Count total reports.
    e. Return paginated report list.
+7. Map layout:
+   a. GET returns MapLayoutService::getLayout().
+   b. PUT passes the body to MapLayoutService::saveLayout(), which validates it, saves it and
+      logs every change; validation failures return 422 with an error per field.
 
 NOTES:
 - All endpoints in this controller require admin authentication.
@@ -99,23 +110,26 @@ namespace BuzzarFeed\Api\Controllers;
 
 use BuzzarFeed\Utils\ApiResponse;
 use BuzzarFeed\Services\AdminLogService;
+use BuzzarFeed\Services\MapLayoutService;
 use BuzzarFeed\Utils\Database;
 
 class AdminController extends BaseController
 {
     private $adminLogService;
+    private $mapLayoutService;
     
     public function __construct()
     {
         parent::__construct();
         $this->adminLogService = new AdminLogService();
+        $this->mapLayoutService = new MapLayoutService();
     }
     
     public function handleRequest($method, $id = null, $action = null)
     {
         $this->requireAdmin();
         
-        switch ($action) {
+        switch ($id) {
             case 'dashboard':
                 if ($method === 'GET') {
                     $this->getDashboardStats();
@@ -131,6 +145,15 @@ class AdminController extends BaseController
                     $this->getReports();
                 }
                 break;
+            case 'map-layout':
+                if ($method === 'GET') {
+                    $this->getMapLayout();
+                } elseif ($method === 'PUT') {
+                    $this->saveMapLayout();
+                } else {
+                    ApiResponse::error('Method not allowed', 405);
+                }
+                break;
             default:
                 ApiResponse::error('Invalid action', 404);
         }
@@ -188,4 +211,20 @@ class AdminController extends BaseController
         
         ApiResponse::paginated($reports, $total, $page, $limit);
     }
+    
+    private function getMapLayout()
+    {
+        ApiResponse::success($this->mapLayoutService->getLayout());
+    }
+    
+    private function saveMapLayout()
+    {
+        $result = $this->mapLayoutService->saveLayout((int)$this->getCurrentUserId(), $this->requestBody ?? []);
+        
+        if (!$result['success']) {
+            ApiResponse::error($result['message'], $result['code'] ?? 400, $result['errors'] ?? []);
+        }
+        
+        ApiResponse::success($result['data'], $result['code'], $result['message']);
+    }
 }
@@ -15,7 +15,7 @@ This controller serves vendors submitting applications and administrators managi
 application review process.
 
 DATE CREATED: December 23, 2025
-LAST MODIFIED: December 23, 2025
+LAST MODIFIED: October 19, 2026
 
 PURPOSE:
 The purpose of this program is to provide API endpoints for the stall application workflow.
@@ -26,6 +26,7 @@ clear communication between vendors and administrators.
 
 DATA STRUCTURES:
 - $applicationService (ApplicationService): Service instance for application operations.
+- $registrationService (StallRegistrationService): Validates, stores and records new applications.
 - Application data:
   - application_id, user_id, stall_name, description, location, category (mixed).
   - status ('pending', 'approved', 'rejected').
@@ -60,12 +61,14 @@ ALGORITHM / LOGIC:
    b. Call ApplicationService to retrieve application.
    c. Verify user has permission to view (owner or admin).
    d. Return application data or 404 if not found.
-5. Create application:
+5. Create application (multipart/form-data):
    a. Require authentication.
-   b. Add current user ID to application data.
-   c. Call ApplicationService to create application.
-   d. Set initial status to 'pending'.
-   e. Return created application or error.
+   b. Reject with 409 if the user already has a pending application.
+   c. Validate the fields, the terms agreement and the BIR, permit, DTI/SEC and logo files;
+      return 422 with errors keyed by field.
+   d. Move the files into one directory for the application.
+   e. Insert the application as pending; delete the files if the insert fails.
+   f. Return 201 with the new application_id.
 6. Update application:
    a. Require authentication.
    b. Verify application is still pending.
@@ -95,7 +98,6 @@ NOTES:
 - Rejection requires a reason that is communicated to the applicant.
 - Application workflow prevents duplicate submissions.
 - Future enhancements may include:
-  - Document upload support
   - Multi-step application process
   - Application revision requests
   - Automated application validation
@@ -106,16 +108,20 @@ NOTES:
 namespace BuzzarFeed\Api\Controllers;
 
 use BuzzarFeed\Utils\ApiResponse;
+use BuzzarFeed\Utils\Helpers;
 use BuzzarFeed\Services\ApplicationService;
+use BuzzarFeed\Services\StallRegistrationService;
 
 class ApplicationController extends BaseController
 {
     private $applicationService;
+    private $registrationService;
     
     public function __construct()
     {
         parent::__construct();
         $this->applicationService = new ApplicationService();
+        $this->registrationService = new StallRegistrationService();
     }
     
     public function handleRequest($method, $id = null, $action = null)
@@ -182,17 +188,57 @@ class ApplicationController extends BaseController
     private function createApplication()
     {
         $this->requireAuth();
+        $userId = $this->getCurrentUserId();
         
-        $data = $this->requestBody;
-        $data['user_id'] = $this->getCurrentUserId();
+        if ($this->registrationService->hasPendingApplication($userId)) {
+            ApiResponse::error('You already have a pending stall application under review.', 409);
+        }
         
-        $result = $this->applicationService->createApplication($data);
+        $data = [
+            'stall_name' => trim($this->requestBody['stall_name'] ?? ''),
+            'description' => trim($this->requestBody['description'] ?? ''),
+            'location' => trim($this->requestBody['location'] ?? ''),
+            'categories' => $this->requestBody['categories'] ?? [],
+            'map_x' => Helpers::mapPercent($this->requestBody['map_x'] ?? null),
+            'map_y' => Helpers::mapPercent($this->requestBody['map_y'] ?? null)
+        ];
         
-        if (!$result['success']) {
-            ApiResponse::error($result['message'], 400);
+        $errors = $this->registrationService->validateStallData($data);
+        
+        foreach (StallRegistrationService::APPLICATION_FILES as $field => $rule) {
+            $fileError = $this->registrationService->validateFile($_FILES[$field] ?? [], $field, true, $rule['label'], $rule['types']);
+            if ($fileError) {
+                $errors += $fileError;
+            }
+        }
+        
+        if (empty($this->requestBody['agree_terms'])) {
+            $errors['agree_terms'] = 'You must agree to the Terms of Services';
+        }
+        
+        if (!empty($errors)) {
+            ApiResponse::validationError($errors);
+        }
+        
+        $filePaths = [];
+        try {
+            $stallSlug = $this->registrationService->createUploadSlug($data['stall_name']);
+            foreach (array_keys(StallRegistrationService::APPLICATION_FILES) as $field) {
+                $filePaths[$field] = $this->registrationService->uploadFile($_FILES[$field], $stallSlug, $field);
+            }
+            
+            $applicationId = $this->registrationService->createApplication($userId, $data, $filePaths);
+        } catch (\Exception $e) {
+            error_log("Registration Error: " . $e->getMessage());
+            $this->registrationService->deleteApplicationFiles($filePaths);
+            ApiResponse::error('An error occurred while submitting your application. Please try again.', 500);
         }
         
-        ApiResponse::success($result['data'], 201, $result['message']);
+        ApiResponse::success(
+            ['application_id' => (int)$applicationId],
+            201,
+            'Your stall registration has been submitted for review!'
+        );
     }
     
     private function updateApplication($id)
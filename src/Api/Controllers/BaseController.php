@@ -15,7 +15,7 @@ All API controllers extend this base class to inherit its shared functionality a
 must implement the handleRequest method to define their specific routing logic.
 
 DATE CREATED: December 23, 2025
-LAST MODIFIED: December 23, 2025
+LAST MODIFIED: October 19, 2026
 
 PURPOSE:
 The purpose of this program is to provide a reusable foundation for all API controllers.
@@ -25,7 +25,8 @@ class, the system promotes code reuse, maintains consistency across controllers,
 simplifies the implementation of new API endpoints.
 
 DATA STRUCTURES:
-- $requestBody (array): Parsed JSON request body from client.
+- $requestBody (array): Parsed JSON request body from client, or the $_POST
+  fields of a multipart/form-data upload.
 - Session data:
   - user_id (int): Authenticated user's identifier.
   - role (string): User's role (e.g., 'admin', 'vendor').
@@ -36,7 +37,8 @@ DATA STRUCTURES:
 ALGORITHM / LOGIC:
 1. Constructor initialization:
    a. Start or resume PHP session.
-   b. Parse JSON request body and store in $requestBody property.
+   b. Parse JSON request body and store in $requestBody property; fall back to
+      $_POST when the body is not JSON (file uploads).
 2. Define abstract handleRequest method:
    a. Must be implemented by all child controllers.
    b. Parameters: HTTP method, resource ID, and action.
@@ -56,7 +58,8 @@ ALGORITHM / LOGIC:
 7. Validate required fields:
    a. Check request body for presence of required fields.
    b. If any fields are missing, return 400 Bad Request error.
-   c. Include list of missing fields in error message.
+   c. Include list of missing fields in error message, and key each error by its
+      field name so forms can show it inline.
 
 NOTES:
 - This is an abstract class and cannot be instantiated directly.
@@ -65,6 +68,7 @@ NOTES:
 - The requireAuth and requireAdmin methods terminate execution on failure.
 - Field validation is basic; complex validation should occur in service layers.
 - All child classes have access to parsed request body via $this->requestBody.
+  Uploaded files are read from $_FILES by the controller that expects them.
 - Future enhancements may include:
   - Rate limiting per user or IP address
   - Request logging and audit trails
@@ -85,7 +89,8 @@ abstract class BaseController
     public function __construct()
     {
         Session::start();
-        $this->requestBody = ApiResponse::getRequestBody();
+        // Multipart uploads have no JSON body; PHP has already parsed them into $_POST
+        $this->requestBody = ApiResponse::getRequestBody() ?? $_POST;
     }
     
     /**
@@ -147,7 +152,11 @@ abstract class BaseController
     {
         $missing = ApiResponse::validateRequired($this->requestBody, $required);
         if (!empty($missing)) {
-            ApiResponse::error('Missing required fields: ' . implode(', ', $missing), 400);
+            $errors = [];
+            foreach ($missing as $field) {
+                $errors[$field] = ucfirst(str_replace('_', ' ', $field)) . ' is required';
+            }
+            ApiResponse::error('Missing required fields: ' . implode(', ', $missing), 400, $errors);
         }
     }
 }
@@ -0,0 +1,127 @@
+<?php
+/*
+PROGRAM NAME: Favorite Stalls API Controller (FavoriteController.php)
+
+PROGRAMMER: Backend Team
+
+SYSTEM CONTEXT:
+This module is part of the BuzzarFeed platform's API layer.
+It handles the saved ("favorite") stall endpoints used by the heart buttons on stall cards, stall details and map
+tooltips, and by the Saved Stalls tab of my-account.php.
+The FavoriteController works with the FavoriteService; every endpoint acts on the logged-in user's own list.
+
+DATE CREATED: October 19, 2026
+LAST MODIFIED: October 19, 2026
+
+PURPOSE:
+The purpose of this program is to provide API endpoints for listing, saving and removing saved stalls, and for
+merging the list a guest kept in the browser into their account after they log in.
+
+DATA STRUCTURES:
+- $favoriteService (FavoriteService): Service instance for saved stall operations.
+- Request bodies:
+  - POST /favorites: stall_id (int).
+  - POST /favorites/sync: stall_ids (int[]), the guest list, newest first.
+- Responses:
+  - Stall lists in the same shape as /stalls.
+  - { stall_id, saved } for single saves and removals.
+
+ALGORITHM / LOGIC:
+1. Initialize FavoriteService in constructor.
+2. Require authentication for every endpoint.
+3. Route requests based on HTTP method and ID:
+   a. GET /favorites → the user's saved stalls, newest first.
+   b. POST /favorites → save stall_id.
+   c. POST /favorites/sync → merge stall_ids and return the merged list.
+   d. DELETE /favorites/{stallId} → remove a saved stall.
+4. Return service errors with their status code (e.g. 404 for unknown stalls).
+
+NOTES:
+- Saving and removing are idempotent, so retried requests are harmless.
+- Guests never call these endpoints; their list lives in localStorage (assets/js/modules/favorites.js).
+- Future enhancements may include sharing a list of saved stalls.
+*/
+
+namespace BuzzarFeed\Api\Controllers;
+
+use BuzzarFeed\Utils\ApiResponse;
+use BuzzarFeed\Services\FavoriteService;
+
+class FavoriteController extends BaseController
+{
+    private $favoriteService;
+    
+    public function __construct()
+    {
+        parent::__construct();
+        $this->favoriteService = new FavoriteService();
+    }
+    
+    public function handleRequest($method, $id = null, $action = null)
+    {
+        $this->requireAuth();
+        
+        switch ($method) {
+            case 'GET':
+                $this->getFavorites();
+                break;
+            case 'POST':
+                if ($id === 'sync') {
+                    $this->syncFavorites();
+                } else {
+                    $this->addFavorite();
+                }
+                break;
+            case 'DELETE':
+                if ($id) {
+                    $this->removeFavorite($id);
+                } else {
+                    ApiResponse::error('Stall ID is required', 400);
+                }
+                break;
+            default:
+                ApiResponse::error('Method not allowed', 405);
+        }
+    }
+    
+    private function getFavorites()
+    {
+        ApiResponse::success($this->favoriteService->getFavoriteStalls((int)$this->getCurrentUserId()));
+    }
+    
+    private function addFavorite()
+    {
+        $this->validateRequired(['stall_id']);
+        
+        $result = $this->favoriteService->addFavorite(
+            (int)$this->getCurrentUserId(),
+            (int)$this->requestBody['stall_id']
+        );
+        
+        if (!$result['success']) {
+            ApiResponse::error($result['message'], $result['code'] ?? 400);
+        }
+        
+        ApiResponse::success($result['data'], $result['code'], $result['message']);
+    }
+    
+    private function removeFavorite($stallId)
+    {
+        $result = $this->favoriteService->removeFavorite((int)$this->getCurrentUserId(), (int)$stallId);
+        
+        ApiResponse::success($result['data'], 200, $result['message']);
+    }
+    
+    private function syncFavorites()
+    {
+        $stallIds = $this->requestBody['stall_ids'] ?? [];
+        
+        if (!is_array($stallIds)) {
+            ApiResponse::validationError(['stall_ids' => 'Stall IDs must be a list'], 'Invalid saved stalls');
+        }
+        
+        $result = $this->favoriteService->mergeFavorites((int)$this->getCurrentUserId(), $stallIds);
+        
+        ApiResponse::success($result['data'], 200, $result['message']);
+    }
+}
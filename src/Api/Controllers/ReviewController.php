@@ -15,7 +15,7 @@ This controller serves users submitting and managing their reviews, as well as t
 reviews to make informed decisions about food stalls.
 
 DATE CREATED: December 23, 2025
-LAST MODIFIED: December 23, 2025
+LAST MODIFIED: October 19, 2026
 
 PURPOSE:
 The purpose of this program is to provide API endpoints for review management in the BuzzarFeed system.
@@ -130,9 +130,10 @@ class ReviewController extends BaseController
                 }
                 break;
             case 'POST':
-                if ($action === 'react') {
+                // Both /reviews/react and /reviews/{id}/react are accepted
+                if ($action === 'react' || $id === 'react') {
                     $this->reactToReview();
-                } elseif ($action === 'report') {
+                } elseif ($action === 'report' || $id === 'report') {
                     $this->reportReview();
                 } else {
                     $this->createReview();
@@ -196,7 +197,7 @@ class ReviewController extends BaseController
         $result = $this->reviewService->createReview($data);
         
         if (!$result['success']) {
-            ApiResponse::error($result['message'], 400);
+            ApiResponse::error($result['message'], $result['code'] ?? 400);
         }
         
         ApiResponse::success($result['data'], 201, $result['message']);
@@ -234,13 +235,13 @@ class ReviewController extends BaseController
         $this->validateRequired(['review_id', 'reaction_type']);
         
         $result = $this->reviewService->addReaction(
-            $this->requestBody['review_id'],
-            $this->getCurrentUserId(),
+            (int)$this->requestBody['review_id'],
+            (int)$this->getCurrentUserId(),
             $this->requestBody['reaction_type']
         );
         
         if (!$result['success']) {
-            ApiResponse::error($result['message'], 400);
+            ApiResponse::error($result['message'], $result['code'] ?? 400);
         }
         
         ApiResponse::success($result['data'], 200, $result['message']);
@@ -15,7 +15,7 @@ to authenticated users and administrators.
 This controller serves both public users browsing stalls and vendors managing their stall listings.
 
 DATE CREATED: December 23, 2025
-LAST MODIFIED: December 23, 2025
+LAST MODIFIED: October 19, 2026
 
 PURPOSE:
 The purpose of this program is to provide API endpoints for food stall discovery and management.
@@ -30,9 +30,11 @@ DATA STRUCTURES:
   - operating_hours, contact_info, images (arrays/strings).
 - Menu items:
   - item_id, item_name, price, description, category (mixed).
+  - item_image ($_FILES): Optional menu item image (multipart uploads).
+- logo ($_FILES): New stall logo (multipart uploads).
 - Search/filter parameters:
   - search (string): Search query for stall names/descriptions.
-  - category (string): Filter by food category.
+  - category (string): Filter by food category; several separated by commas must all match.
   - page, limit (int): Pagination parameters.
 - Review data: Array of review objects for a specific stall.
 
@@ -41,11 +43,14 @@ ALGORITHM / LOGIC:
 2. Route requests based on HTTP method and sub-resource:
    a. GET:
       - /stalls → get paginated, filtered list of stalls.
+      - /stalls/search-index → every active stall with its menu item names, for client-side search.
       - /stalls/{id} → get specific stall details.
       - /stalls/{id}/menu → get menu items for stall.
       - /stalls/{id}/reviews → get reviews for stall.
    b. POST:
       - /stalls → create new stall (requires authentication).
+      - /stalls/{id}/logo → replace the stall logo (owner only, multipart).
+      - /stalls/{id}/menu → add a menu item, or update it when item_id is sent (owner only, multipart).
    c. PUT:
       - /stalls/{id} → update stall (requires authentication).
    d. DELETE:
@@ -79,20 +84,25 @@ ALGORITHM / LOGIC:
    a. Require admin privileges.
    b. Call StallService to delete stall.
    c. Return success or error.
+10. Upload logo / save menu item:
+   a. Require authentication and ownership of the stall (403 otherwise).
+   b. Pass the form fields and $_FILES entry to StallService.
+   c. Return 422 with field errors, or the saved logo_path / item_id.
 
 NOTES:
 - Stall browsing is public and does not require authentication.
 - Creating and updating stalls requires authentication.
 - Deleting stalls is restricted to administrators.
-- Search supports full-text search across stall names and descriptions.
+- Search supports full-text search across stall names and descriptions; fuzzy and menu-item search
+  happen in the browser over /stalls/search-index (assets/js/modules/search-index.js).
 - Category filtering enables food type-based discovery.
-- Menu items are read-only through this controller.
+- Menu items can be added and edited by the stall owner; deletion still happens in manage-stall.php.
+- Menu items are saved with POST rather than PUT because PHP only parses multipart bodies for POST.
 - Review access is provided but review management is in ReviewController.
 - Future enhancements may include:
   - Geolocation-based search
   - Advanced filtering (price range, ratings, operating hours)
-  - Stall image upload
-  - Menu item management endpoints
+  - Menu item deletion endpoint
   - Stall analytics and statistics
   - Favorite/bookmark functionality
 */
@@ -116,7 +126,9 @@ class StallController extends BaseController
     {
         switch ($method) {
             case 'GET':
-                if ($id && $action === 'menu') {
+                if ($id === 'search-index') {
+                    $this->getSearchIndex();
+                } elseif ($id && $action === 'menu') {
                     $this->getMenu($id);
                 } elseif ($id && $action === 'reviews') {
                     $this->getReviews($id);
@@ -127,7 +139,13 @@ class StallController extends BaseController
                 }
                 break;
             case 'POST':
-                $this->createStall();
+                if ($id && $action === 'logo') {
+                    $this->uploadLogo($id);
+                } elseif ($id && $action === 'menu') {
+                    $this->saveMenuItem($id);
+                } else {
+                    $this->createStall();
+                }
                 break;
             case 'PUT':
                 if ($id) {
@@ -157,6 +175,11 @@ class StallController extends BaseController
         ApiResponse::paginated($stalls, $total, $page, $limit);
     }
     
+    private function getSearchIndex()
+    {
+        ApiResponse::success($this->stallService->getSearchIndex());
+    }
+    
     private function getStall($id)
     {
         $stall = $this->stallService->getStallById($id);
@@ -199,6 +222,41 @@ class StallController extends BaseController
         ApiResponse::success($result['data'], 201, $result['message']);
     }
     
+    private function uploadLogo($id)
+    {
+        $this->requireStallOwner($id);
+        
+        $result = $this->stallService->updateLogo((int)$id, $_FILES['logo'] ?? null);
+        
+        if (!$result['success']) {
+            ApiResponse::error($result['message'], $result['code'] ?? 400, $result['errors'] ?? []);
+        }
+        
+        ApiResponse::success($result['data'], 200, $result['message']);
+    }
+    
+    private function saveMenuItem($id)
+    {
+        $this->requireStallOwner($id);
+        
+        $result = $this->stallService->saveMenuItem((int)$id, $this->requestBody, $_FILES['item_image'] ?? null);
+        
+        if (!$result['success']) {
+            ApiResponse::error($result['message'], $result['code'] ?? 400, $result['errors'] ?? []);
+        }
+        
+        ApiResponse::success($result['data'], $result['code'], $result['message']);
+    }
+    
+    private function requireStallOwner($id)
+    {
+        $this->requireAuth();
+        
+        if (!$this->stallService->isStallOwner((int)$id, (int)$this->getCurrentUserId())) {
+            ApiResponse::error('You can only manage your own stall', 403);
+        }
+    }
+    
     private function updateStall($id)
     {
         $this->requireAuth();
@@ -11,7 +11,7 @@ It interacts with the Database and Session utilities to record actions such as a
 Logs include timestamps, admin identity, IP address, entity affected, action type, and optional details.
 
 DATE CREATED: Decemeber 4, 2025
-LAST MODIFIED: Decemeber 4, 2025
+LAST MODIFIED: October 19, 2026
 
 PURPOSE:
 The purpose of this program is to provide a centralized and consistent way to track all administrative actions within the platform.
@@ -21,9 +21,9 @@ All logs are stored in the 'admin_logs' table with reference to the admin perfor
 DATA STRUCTURES:
 - $db (Database): Database instance for executing queries.
 - $adminId (int): ID of the admin performing the action.
-- $entity (string): Type of entity acted upon (application, review, user, etc.).
+- $entity (string): Type of entity acted upon (application, review, user, stall, map, etc.).
 - $entityId (int|null): ID of the entity being acted upon.
-- $action (string): Action performed (approve, decline, delete, convert_to_admin, archive, etc.).
+- $action (string): Action performed (approve, decline, delete, convert_to_admin, archive, move_pin, add_zone, etc.).
 - $details (string|null): Optional additional details about the action.
 - $ipAddress (string|null): IP address of the admin performing the action.
 
@@ -40,15 +40,19 @@ ALGORITHM / LOGIC:
    - Logs deletion of a review, including optional reason.
 6. logUserConversion():
    - Logs conversion of a user account to admin privileges.
-7. getAllLogs():
+7. logMapLayoutChange():
+   - Logs a zone or path added, updated or deleted in the map layout editor (entity 'map').
+8. logMapPinMove():
+   - Logs a stall pin moved in the map layout editor, with its old and new position (entity 'stall').
+9. getAllLogs():
    - Retrieves all admin logs with pagination, including admin user details.
-8. getLogsByAdmin():
-   - Retrieves logs performed by a specific admin with pagination.
-9. getLogsByEntity():
-   - Retrieves logs filtered by entity type with pagination.
-10. getTotalLogsCount():
+10. getLogsByAdmin():
+    - Retrieves logs performed by a specific admin with pagination.
+11. getLogsByEntity():
+    - Retrieves logs filtered by entity type with pagination.
+12. getTotalLogsCount():
     - Returns the total number of logs in the system.
-11. getLogsCountByEntity():
+13. getLogsCountByEntity():
     - Returns the total number of logs for a specific entity type.
 
 NOTES:
@@ -156,6 +160,29 @@ class AdminLogService
         return $this->logAction($adminId, 'user', $convertedUserId, 'convert_to_admin', $details);
     }
     
+    /**
+     * Log a zone or path added, updated or deleted in the map layout editor
+     */
+    public function logMapLayoutChange(int $adminId, int $layoutId, string $kind, string $change, string $name): bool
+    {
+        $verbs = ['add' => 'Added', 'update' => 'Updated', 'delete' => 'Deleted'];
+        $details = ($verbs[$change] ?? ucfirst($change)) . " map {$kind}: {$name}";
+        return $this->logAction($adminId, 'map', $layoutId, "{$change}_{$kind}", $details);
+    }
+    
+    /**
+     * Log a stall pin moved in the map layout editor
+     */
+    public function logMapPinMove(int $adminId, int $stallId, string $stallName, ?array $from, array $to): bool
+    {
+        $details = "Moved map pin of stall: {$stallName} | To: {$to['x']}%, {$to['y']}%";
+        if ($from) {
+            $details .= " | From: {$from['x']}%, {$from['y']}%";
+        }
+        
+        return $this->logAction($adminId, 'stall', $stallId, 'move_pin', $details);
+    }
+    
     /**
      * Get all admin logs with pagination
      * 
@@ -0,0 +1,202 @@
+<?php
+/*
+PROGRAM NAME: Favorite Stall Service (FavoriteService.php)
+
+PROGRAMMER: Backend Team
+
+SYSTEM CONTEXT:
+This module is part of the BuzzarFeed platform.
+It provides business logic for the stalls users save ("favorites"): listing, saving, removing, and merging the list a
+guest kept in the browser into their account when they log in.
+It is used by the FavoriteController (/api/favorites) and by my-account.php for the Saved Stalls tab.
+
+DATE CREATED: October 19, 2026
+LAST MODIFIED: October 19, 2026
+
+PURPOSE:
+The purpose of this program is to keep each user's saved stalls in one place so every page (stall cards, stall
+details, map tooltips and the account page) shows the same hearts.
+
+DATA STRUCTURES:
+- $db (Database): Database instance used for queries.
+- $stallService (StallService): Formats the saved stalls like every other stall list.
+- favorite_stalls table:
+  - user_id (int): The user who saved the stall.
+  - stall_id (int): The saved stall.
+  - created_at (datetime): When it was saved; lists are newest first.
+  - PRIMARY KEY (user_id, stall_id): Saving twice is a no-op.
+- Result arrays: success, code (HTTP status), message and data, as in ReviewService.
+
+ALGORITHM / LOGIC:
+1. getFavoriteStallIds: the user's saved stall IDs, newest first.
+2. getFavoriteStalls: the saved stalls that are still active, via StallService::getStallsByIds.
+3. addFavorite:
+   a. Reject stalls that do not exist or are inactive (404).
+   b. Insert the pair, ignoring duplicates.
+4. removeFavorite: delete the pair; removing a stall that was not saved still succeeds.
+5. mergeFavorites: save every active stall from a guest list that the user has not saved yet,
+   keeping the guest's order (first = newest), and return the merged list.
+
+NOTES:
+- Create the table with:
+    CREATE TABLE favorite_stalls (
+        user_id INT NOT NULL,
+        stall_id INT NOT NULL,
+        created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+        PRIMARY KEY (user_id, stall_id),
+        FOREIGN KEY (user_id) REFERENCES users(user_id) ON DELETE CASCADE,
+        FOREIGN KEY (stall_id) REFERENCES food_stalls(stall_id) ON DELETE CASCADE
+    );
+- Tables created before the keys cascaded still need the saved stalls deleted first; every path
+  that deletes users or stalls does so (my-account.php, convert-to-admin.php, UserService).
+- Saved stalls that are later deactivated stay in the table but are not listed.
+- Guest lists are capped at MAX_MERGE stalls so a crafted request cannot insert without limit.
+- Future enhancements may include notes on saved stalls or notifications when they open.
+*/
+
+namespace BuzzarFeed\Services;
+
+use BuzzarFeed\Utils\Database;
+
+class FavoriteService
+{
+    /**
+     * Most stalls accepted from one guest list
+     */
+    private const MAX_MERGE = 200;
+    
+    private Database $db;
+    private StallService $stallService;
+    
+    public function __construct()
+    {
+        $this->db = Database::getInstance();
+        $this->stallService = new StallService();
+    }
+    
+    /**
+     * Get the IDs of a user's saved stalls, newest first
+     * 
+     * @param int $userId
+     * @return int[]
+     */
+    public function getFavoriteStallIds(int $userId): array
+    {
+        $rows = $this->db->query(
+            "SELECT stall_id FROM favorite_stalls WHERE user_id = ? ORDER BY created_at DESC, stall_id DESC",
+            [$userId]
+        );
+        
+        return array_map('intval', array_column($rows, 'stall_id'));
+    }
+    
+    /**
+     * Get a user's saved stalls that are still active, newest first
+     * 
+     * @param int $userId
+     * @return array Stalls as returned by StallService::searchStalls()
+     */
+    public function getFavoriteStalls(int $userId): array
+    {
+        return $this->stallService->getStallsByIds($this->getFavoriteStallIds($userId));
+    }
+    
+    /**
+     * Save a stall for a user
+     * 
+     * @param int $userId
+     * @param int $stallId
+     * @return array Result array
+     */
+    public function addFavorite(int $userId, int $stallId): array
+    {
+        $stall = $this->db->querySingle(
+            "SELECT stall_id FROM food_stalls WHERE stall_id = ? AND is_active = 1",
+            [$stallId]
+        );
+        
+        if (!$stall) {
+            return ['success' => false, 'code' => 404, 'message' => 'Stall not found.', 'data' => null];
+        }
+        
+        $this->db->execute(
+            "INSERT IGNORE INTO favorite_stalls (user_id, stall_id, created_at) VALUES (?, ?, NOW())",
+            [$userId, $stallId]
+        );
+        
+        return [
+            'success' => true,
+            'code' => 201,
+            'message' => 'Stall saved.',
+            'data' => ['stall_id' => $stallId, 'saved' => true]
+        ];
+    }
+    
+    /**
+     * Remove a stall from a user's saved stalls
+     * 
+     * @param int $userId
+     * @param int $stallId
+     * @return array Result array
+     */
+    public function removeFavorite(int $userId, int $stallId): array
+    {
+        $this->db->execute(
+            "DELETE FROM favorite_stalls WHERE user_id = ? AND stall_id = ?",
+            [$userId, $stallId]
+        );
+        
+        return [
+            'success' => true,
+            'code' => 200,
+            'message' => 'Stall removed from saved stalls.',
+            'data' => ['stall_id' => $stallId, 'saved' => false]
+        ];
+    }
+    
+    /**
+     * Merge the stalls a guest saved in the browser into their account
+     * 
+     * @param int $userId
+     * @param array $stallIds Guest list, newest first
+     * @return array Result array; data is the merged list of saved stalls
+     */
+    public function mergeFavorites(int $userId, array $stallIds): array
+    {
+        $stallIds = array_slice(array_values(array_unique(array_map('intval', $stallIds))), 0, self::MAX_MERGE);
+        $saved = array_flip($this->getFavoriteStallIds($userId));
+        
+        $new = array_values(array_filter($stallIds, function($stallId) use ($saved) {
+            return $stallId > 0 && !isset($saved[$stallId]);
+        }));
+        
+        $added = 0;
+        if (!empty($new)) {
+            $placeholders = implode(',', array_fill(0, count($new), '?'));
+            $active = array_flip(array_map('intval', array_column($this->db->query(
+                "SELECT stall_id FROM food_stalls WHERE is_active = 1 AND stall_id IN ($placeholders)",
+                $new
+            ), 'stall_id')));
+            
+            // Insert oldest first, a second apart, so the guest's order survives ORDER BY created_at
+            $count = count($new);
+            foreach (array_reverse($new) as $offset => $stallId) {
+                if (!isset($active[$stallId])) {
+                    continue;
+                }
+                $added += $this->db->execute(
+                    "INSERT IGNORE INTO favorite_stalls (user_id, stall_id, created_at)
+                     VALUES (?, ?, NOW() - INTERVAL ? SECOND)",
+                    [$userId, $stallId, $count - 1 - $offset]
+                );
+            }
+        }
+        
+        return [
+            'success' => true,
+            'code' => 200,
+            'message' => $added === 1 ? '1 saved stall added to your account.' : "{$added} saved stalls added to your account.",
+            'data' => $this->getFavoriteStalls($userId)
+        ];
+    }
+}
@@ -0,0 +1,396 @@
+<?php
+/*
+PROGRAM NAME: Map Layout Service (MapLayoutService.php)
+
+PROGRAMMER: Backend Team
+
+SYSTEM CONTEXT:
+This module is part of the BuzzarFeed platform.
+It provides business logic for the bazaar map's layout: the named zones (e.g. "Dessert Row") and walkable paths
+drawn over maps.png, and the stall pins admins move from the map editor on admin-panel.php.
+It is used by the AdminController (/api/admin/map-layout), by admin-panel.php for the Map Layout tab, and by
+map.php for the zone overlay. Every change is recorded through AdminLogService.
+
+DATE CREATED: October 19, 2026
+LAST MODIFIED: October 19, 2026
+
+PURPOSE:
+The purpose of this program is to keep one trusted description of the bazaar's layout so visitors can find their
+way around it, and to let admins correct misplaced pins without editing each stall.
+
+DATA STRUCTURES:
+- $db (Database): Database instance used for queries.
+- $logService (AdminLogService): Records each change in admin_logs.
+- map_layouts table:
+  - layout_id (int): Auto-increment ID; the newest row is the current layout.
+  - layout (JSON): { zones, paths } as described below.
+  - updated_by (int): The admin who saved it.
+  - created_at (datetime): When it was saved.
+- Layout (array):
+  - zones (array): [{ id, name, points: [{ x, y }] }]; polygons of at least 3 points.
+  - paths (array): [{ id, name, points: [{ x, y }] }]; lines of at least 2 points; the name is optional.
+  - updated_at (string|null): When the current layout was saved.
+- Pin moves (array): [{ stall_id, x, y }]
+- Result arrays: success, code (HTTP status), message, data and, on validation failures, errors.
+
+ALGORITHM / LOGIC:
+1. getLayout: decode the newest row, or return an empty layout when none has been saved.
+2. saveLayout:
+   a. Validate the zones, paths and pin moves, collecting an error per field.
+   b. Compare the zones and paths with the current layout by ID: added, updated (name or
+      points changed) and deleted.
+   c. Skip pins that did not move and stalls that are inactive or missing.
+   d. In one transaction: insert the new layout when it changed, write the moved pins into
+      stall_locations, and log every change.
+   e. Return the saved layout.
+3. pointsAttr and labelPoint: the SVG points and the name's position of a zone or path on map.php.
+
+NOTES:
+- Create the table with:
+    CREATE TABLE map_layouts (
+        layout_id INT AUTO_INCREMENT PRIMARY KEY,
+        layout JSON NOT NULL,
+        updated_by INT NOT NULL,
+        created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (updated_by) REFERENCES users(user_id)
+    );
+- Old rows are kept as the layout's history; only the newest is read.
+- Points follow the map picker's contract: percent (0-100, two decimals) of the map image from its
+  top-left corner, read with Helpers::mapPercent(). Pins are stored in the latitude and longitude
+  columns of stall_locations.
+- IDs are chosen by the editor (lowercase letters, digits and dashes) so a zone keeps its ID
+  when it is renamed or redrawn, and the log can tell an update from a delete and an add.
+- Future enhancements may include restoring an earlier layout from its history.
+*/
+
+namespace BuzzarFeed\Services;
+
+use BuzzarFeed\Utils\Database;
+use BuzzarFeed\Utils\Helpers;
+
+class MapLayoutService
+{
+    /**
+     * Most zones and paths in one layout
+     */
+    private const MAX_FEATURES = 50;
+    
+    /**
+     * Most points in one zone or path
+     */
+    private const MAX_POINTS = 100;
+    
+    /**
+     * Longest zone or path name
+     */
+    private const MAX_NAME_LENGTH = 60;
+    
+    /**
+     * Fewest points of a zone and of a path
+     */
+    private const MIN_POINTS = ['zones' => 3, 'paths' => 2];
+    
+    private Database $db;
+    private AdminLogService $logService;
+    
+    public function __construct()
+    {
+        $this->db = Database::getInstance();
+        $this->logService = new AdminLogService();
+    }
+    
+    /**
+     * Get the current layout
+     * 
+     * @return array Layout with zones, paths and updated_at
+     */
+    public function getLayout(): array
+    {
+        $row = $this->db->querySingle(
+            "SELECT layout, created_at FROM map_layouts ORDER BY layout_id DESC LIMIT 1"
+        );
+        
+        $layout = $row ? json_decode($row['layout'], true) : null;
+        
+        return [
+            'zones' => $layout['zones'] ?? [],
+            'paths' => $layout['paths'] ?? [],
+            'updated_at' => $row['created_at'] ?? null
+        ];
+    }
+    
+    /**
+     * Save the layout and the pins moved in the editor, logging every change
+     * 
+     * @param int $adminId Admin saving the layout
+     * @param array $input zones, paths and pins (the moved pins only)
+     * @return array Result array; data is the saved layout
+     */
+    public function saveLayout(int $adminId, array $input): array
+    {
+        $errors = [];
+        $zones = $this->validateFeatures($input['zones'] ?? [], 'zones', $errors);
+        $paths = $this->validateFeatures($input['paths'] ?? [], 'paths', $errors);
+        $pins = $this->validatePins($input['pins'] ?? [], $errors);
+        
+        if (!empty($errors)) {
+            return [
+                'success' => false,
+                'code' => 422,
+                'message' => 'Please correct the map layout',
+                'data' => null,
+                'errors' => $errors
+            ];
+        }
+        
+        $current = $this->getLayout();
+        $changes = array_merge(
+            $this->diffFeatures($current['zones'], $zones, 'zone'),
+            $this->diffFeatures($current['paths'], $paths, 'path')
+        );
+        $moves = $this->pinMoves($pins);
+        
+        if (empty($changes) && empty($moves)) {
+            return ['success' => true, 'code' => 200, 'message' => 'No changes to save.', 'data' => $current];
+        }
+        
+        $this->db->beginTransaction();
+        try {
+            if (!empty($changes)) {
+                $this->db->execute(
+                    "INSERT INTO map_layouts (layout, updated_by, created_at) VALUES (?, ?, NOW())",
+                    [json_encode(['zones' => $zones, 'paths' => $paths]), $adminId]
+                );
+                $layoutId = (int)$this->db->lastInsertId();
+                
+                foreach ($changes as $change) {
+                    $this->logService->logMapLayoutChange($adminId, $layoutId, $change['kind'], $change['change'], $change['name']);
+                }
+            }
+            
+            foreach ($moves as $move) {
+                $this->db->execute(
+                    "UPDATE stall_locations SET latitude = ?, longitude = ?, updated_at = NOW() WHERE stall_id = ?",
+                    [$move['x'], $move['y'], $move['stall_id']]
+                );
+                $this->logService->logMapPinMove($adminId, $move['stall_id'], $move['name'], $move['from'], $move);
+            }
+            
+            $this->db->commit();
+        } catch (\Exception $e) {
+            $this->db->rollback();
+            throw $e;
+        }
+        
+        $count = count($changes) + count($moves);
+        
+        return [
+            'success' => true,
+            'code' => 200,
+            'message' => $count === 1 ? 'Map layout saved (1 change).' : "Map layout saved ({$count} changes).",
+            'data' => $this->getLayout()
+        ];
+    }
+    
+    /**
+     * "x,y x,y ..." for an SVG points attribute
+     * Mirrors MapZones.pointsAttr() in assets/js/modules/map-zones.js
+     * 
+     * @param array $points [{ x, y }]
+     * @return string
+     */
+    public static function pointsAttr(array $points): string
+    {
+        return implode(' ', array_map(function($point) {
+            return $point['x'] . ',' . $point['y'];
+        }, $points));
+    }
+    
+    /**
+     * Where a zone's or path's name is drawn: the average of a zone's corners, or the middle of a path
+     * Mirrors MapZones.labelPoint() in assets/js/modules/map-zones.js
+     * 
+     * @param array $points [{ x, y }]
+     * @param bool $closed Whether the points outline a zone
+     * @return array { x, y } in percent of the map image
+     */
+    public static function labelPoint(array $points, bool $closed): array
+    {
+        $count = count($points);
+        if ($count === 0) {
+            return ['x' => 0, 'y' => 0];
+        }
+        
+        $middle = $closed ? $points : array_slice($points, (int)ceil($count / 2) - 1, $count % 2 === 0 ? 2 : 1);
+        
+        return [
+            'x' => round(array_sum(array_column($middle, 'x')) / count($middle), 2),
+            'y' => round(array_sum(array_column($middle, 'y')) / count($middle), 2)
+        ];
+    }
+    
+    /**
+     * Validate the zones or paths of a layout
+     * 
+     * @param mixed $features Posted list
+     * @param string $type 'zones' or 'paths'
+     * @param array $errors Errors keyed by field, e.g. zones.2.name
+     * @return array Features with trimmed names and rounded points
+     */
+    private function validateFeatures($features, string $type, array &$errors): array
+    {
+        if (!is_array($features)) {
+            $errors[$type] = ucfirst($type) . ' must be a list';
+            return [];
+        }
+        
+        if (count($features) > self::MAX_FEATURES) {
+            $errors[$type] = 'A layout can have at most ' . self::MAX_FEATURES . " {$type}";
+            return [];
+        }
+        
+        $valid = [];
+        $ids = [];
+        foreach (array_values($features) as $index => $feature) {
+            $field = "{$type}.{$index}";
+            $id = is_array($feature) ? (string)($feature['id'] ?? '') : '';
+            $name = is_array($feature) ? trim((string)($feature['name'] ?? '')) : '';
+            $points = is_array($feature) && is_array($feature['points'] ?? null) ? array_values($feature['points']) : [];
+            
+            if (!preg_match('/^[a-z0-9-]{1,40}$/', $id) || isset($ids[$id])) {
+                $errors["{$field}.id"] = 'Each ' . rtrim($type, 's') . ' needs its own ID';
+                continue;
+            }
+            $ids[$id] = true;
+            
+            if ($type === 'zones' && $name === '') {
+                $errors["{$field}.name"] = 'Zone name is required';
+            } elseif (mb_strlen($name) > self::MAX_NAME_LENGTH) {
+                $errors["{$field}.name"] = 'Names can be at most ' . self::MAX_NAME_LENGTH . ' characters';
+            }
+            
+            if (count($points) < self::MIN_POINTS[$type] || count($points) > self::MAX_POINTS) {
+                $errors["{$field}.points"] = ucfirst(rtrim($type, 's')) . 's need between '
+                    . self::MIN_POINTS[$type] . ' and ' . self::MAX_POINTS . ' points';
+                continue;
+            }
+            
+            $clean = [];
+            foreach ($points as $point) {
+                $x = is_array($point) ? Helpers::mapPercent($point['x'] ?? null) : null;
+                $y = is_array($point) ? Helpers::mapPercent($point['y'] ?? null) : null;
+                if ($x === null || $y === null) {
+                    $errors["{$field}.points"] = 'Points must lie on the map';
+                    continue 2;
+                }
+                $clean[] = ['x' => $x, 'y' => $y];
+            }
+            
+            $valid[] = ['id' => $id, 'name' => $name, 'points' => $clean];
+        }
+        
+        return $valid;
+    }
+    
+    /**
+     * Validate the pins moved in the editor
+     * 
+     * @param mixed $pins Posted list of { stall_id, x, y }
+     * @param array $errors Errors keyed by field, e.g. pins.0
+     * @return array Pins keyed by stall ID; a later move of the same stall wins
+     */
+    private function validatePins($pins, array &$errors): array
+    {
+        if (!is_array($pins)) {
+            $errors['pins'] = 'Pins must be a list';
+            return [];
+        }
+        
+        $valid = [];
+        foreach (array_values($pins) as $index => $pin) {
+            $stallId = is_array($pin) ? (int)($pin['stall_id'] ?? 0) : 0;
+            $x = is_array($pin) ? Helpers::mapPercent($pin['x'] ?? null) : null;
+            $y = is_array($pin) ? Helpers::mapPercent($pin['y'] ?? null) : null;
+            
+            if ($stallId <= 0 || $x === null || $y === null) {
+                $errors["pins.{$index}"] = 'Each pin needs a stall and a position on the map';
+                continue;
+            }
+            
+            $valid[$stallId] = ['stall_id' => $stallId, 'x' => $x, 'y' => $y];
+        }
+        
+        return $valid;
+    }
+    
+    /**
+     * Compare the saved zones or paths with the new ones
+     * 
+     * @param array $old Current features
+     * @param array $new Validated features
+     * @param string $kind 'zone' or 'path', for the log
+     * @return array Changes: [{ kind, change ('add', 'update' or 'delete'), name }]
+     */
+    private function diffFeatures(array $old, array $new, string $kind): array
+    {
+        $oldById = array_column($old, null, 'id');
+        $newById = array_column($new, null, 'id');
+        $label = function($feature) use ($kind) {
+            return $feature['name'] !== '' ? $feature['name'] : "Unnamed {$kind} ({$feature['id']})";
+        };
+        
+        $changes = [];
+        foreach ($newById as $id => $feature) {
+            if (!isset($oldById[$id])) {
+                $changes[] = ['kind' => $kind, 'change' => 'add', 'name' => $label($feature)];
+            } elseif ($oldById[$id]['name'] !== $feature['name'] || $oldById[$id]['points'] != $feature['points']) {
+                $changes[] = ['kind' => $kind, 'change' => 'update', 'name' => $label($feature)];
+            }
+        }
+        foreach ($oldById as $id => $feature) {
+            if (!isset($newById[$id])) {
+                $changes[] = ['kind' => $kind, 'change' => 'delete', 'name' => $label($feature)];
+            }
+        }
+        
+        return $changes;
+    }
+    
+    /**
+     * Keep the pins of active stalls that moved, with their name and old position
+     * 
+     * @param array $pins Validated pins keyed by stall ID
+     * @return array Moves: [{ stall_id, x, y, name, from: { x, y }|null }]
+     */
+    private function pinMoves(array $pins): array
+    {
+        if (empty($pins)) {
+            return [];
+        }
+        
+        $placeholders = implode(',', array_fill(0, count($pins), '?'));
+        $stalls = $this->db->query(
+            "SELECT fs.stall_id, fs.name, sl.latitude, sl.longitude
+             FROM food_stalls fs
+             JOIN stall_locations sl ON fs.stall_id = sl.stall_id
+             WHERE fs.is_active = 1 AND fs.stall_id IN ($placeholders)",
+            array_keys($pins)
+        );
+        
+        $moves = [];
+        foreach ($stalls as $stall) {
+            $pin = $pins[(int)$stall['stall_id']];
+            $from = $stall['latitude'] !== null && $stall['longitude'] !== null
+                ? ['x' => round((float)$stall['latitude'], 2), 'y' => round((float)$stall['longitude'], 2)]
+                : null;
+            
+            if ($from !== null && $from['x'] == $pin['x'] && $from['y'] == $pin['y']) {
+                continue;
+            }
+            
+            $moves[] = $pin + ['name' => $stall['name'], 'from' => $from];
+        }
+        
+        return $moves;
+    }
+}
@@ -11,7 +11,7 @@ The ReviewService class interacts with the Database utility to retrieve, format,
 It is typically used by controllers, API endpoints, and frontend components to fetch recent reviews, stall-specific reviews, and formatted review data for presentation.
 
 DATE CREATED: Novemeber 29, 2025
-LAST MODIFIED: Decemeber 14, 2025
+LAST MODIFIED: October 19, 2026
 
 PURPOSE:
 The purpose of this program is to centralize review retrieval and formatting logic into a reusable service.
@@ -22,6 +22,8 @@ DATA STRUCTURES:
 - $db (Database): Database instance used for executing queries.
 - $review (array): Single review record fetched from the database.
 - $reviews (array): Collection of review records returned by queries.
+- Result array (createReview, addReaction):
+  - 'success' (bool), 'message' (string), 'data' (array|null), 'code' (int) HTTP status hint.
 - Formatted review array:
   - 'id' (int): Review ID.
   - 'reviewer' (string): Reviewer name or 'Anonymous'.
@@ -43,7 +45,15 @@ ALGORITHM / LOGIC:
    a. Join reviews with users table.
    b. Filter reviews by the given stall ID.
    c. Format each review for display.
-4. Format review data:
+4. Create a review:
+   a. Validate rating (1-5) and the stall.
+   b. Reject reviews of the user's own stall and second reviews of the same stall.
+   c. Insert the review and return its ID.
+5. Add a reaction:
+   a. Validate reaction type ('like' or 'dislike').
+   b. Remove the reaction if the same type is sent again, otherwise insert or switch it.
+   c. Return updated like/dislike counts and the user's current reaction.
+6. Format review data:
    a. Mask reviewer name if the review is marked as anonymous.
    b. Ensure comment text is not null.
    c. Format rating as a float with one decimal place.
@@ -52,6 +62,8 @@ ALGORITHM / LOGIC:
 NOTES:
 - All public methods ensure consistent and safe data formatting for frontend consumption.
 - Anonymous reviews are supported to protect user privacy.
+- createReview and addReaction mirror the review handling in stall-detail.php
+  so the API (and the client's offline outbox) behave like the page forms.
 - Rating values are always formatted for uniform display.
 - Future enhancements may include pagination, review sorting, filtering by rating, or moderation features.
 */
@@ -128,6 +140,118 @@ class ReviewService
         }, $reviews);
     }
     
+    /**
+     * Create a review for a stall
+     * 
+     * @param array $data stall_id, user_id, rating, title, comment, is_anonymous
+     * @return array Result with the new review ID
+     */
+    public function createReview(array $data): array
+    {
+        $stallId = (int)($data['stall_id'] ?? 0);
+        $userId = (int)($data['user_id'] ?? 0);
+        $rating = (int)($data['rating'] ?? 0);
+        
+        if ($rating < 1 || $rating > 5) {
+            return ['success' => false, 'code' => 422, 'message' => 'Please select a rating between 1 and 5 stars.', 'data' => null];
+        }
+        
+        $stall = $this->db->querySingle(
+            "SELECT owner_id FROM food_stalls WHERE stall_id = ? AND is_active = 1",
+            [$stallId]
+        );
+        
+        if (!$stall) {
+            return ['success' => false, 'code' => 404, 'message' => 'Stall not found.', 'data' => null];
+        }
+        
+        if ((int)$stall['owner_id'] === $userId) {
+            return ['success' => false, 'code' => 403, 'message' => 'You cannot review your own stall.', 'data' => null];
+        }
+        
+        $existing = $this->db->querySingle(
+            "SELECT review_id FROM reviews WHERE stall_id = ? AND user_id = ?",
+            [$stallId, $userId]
+        );
+        
+        if ($existing) {
+            return ['success' => false, 'code' => 409, 'message' => 'You have already reviewed this stall.', 'data' => ['review_id' => $existing['review_id']]];
+        }
+        
+        $this->db->execute(
+            "INSERT INTO reviews (stall_id, user_id, rating, title, comment, is_anonymous, created_at, updated_at)
+             VALUES (?, ?, ?, ?, ?, ?, NOW(), NOW())",
+            [$stallId, $userId, $rating, $data['title'] ?? '', $data['comment'] ?? '', !empty($data['is_anonymous']) ? 1 : 0]
+        );
+        
+        return [
+            'success' => true,
+            'code' => 201,
+            'message' => 'Review submitted successfully!',
+            'data' => ['review_id' => (int)$this->db->lastInsertId()]
+        ];
+    }
+    
+    /**
+     * Toggle a like/dislike on a review
+     * 
+     * @param int $reviewId
+     * @param int $userId
+     * @param string $reactionType 'like' or 'dislike'
+     * @return array Result with updated counts
+     */
+    public function addReaction(int $reviewId, int $userId, string $reactionType): array
+    {
+        if (!in_array($reactionType, ['like', 'dislike'], true)) {
+            return ['success' => false, 'code' => 422, 'message' => 'Invalid reaction type.', 'data' => null];
+        }
+        
+        $existing = $this->db->querySingle(
+            "SELECT reaction_type FROM review_reactions WHERE review_id = ? AND user_id = ?",
+            [$reviewId, $userId]
+        );
+        
+        if ($existing && $existing['reaction_type'] === $reactionType) {
+            // Same reaction again removes it
+            $this->db->execute(
+                "DELETE FROM review_reactions WHERE review_id = ? AND user_id = ?",
+                [$reviewId, $userId]
+            );
+            $userReaction = null;
+        } elseif ($existing) {
+            $this->db->execute(
+                "UPDATE review_reactions SET reaction_type = ? WHERE review_id = ? AND user_id = ?",
+                [$reactionType, $reviewId, $userId]
+            );
+            $userReaction = $reactionType;
+        } else {
+            $this->db->execute(
+                "INSERT INTO review_reactions (review_id, user_id, reaction_type) VALUES (?, ?, ?)",
+                [$reviewId, $userId, $reactionType]
+            );
+            $userReaction = $reactionType;
+        }
+        
+        $counts = $this->db->querySingle(
+            "SELECT 
+                (SELECT COUNT(*) FROM review_reactions WHERE review_id = ? AND reaction_type = 'like') as like_count,
+                (SELECT COUNT(*) FROM review_reactions WHERE review_id = ? AND reaction_type = 'dislike') as dislike_count",
+            [$reviewId, $reviewId]
+        );
+        
+        return [
+            'success' => true,
+            'code' => 200,
+            'message' => 'Reaction saved.',
+            'data' => [
+                'review_id' => $reviewId,
+                'like_count' => (int)$counts['like_count'],
+                'dislike_count' => (int)$counts['dislike_count'],
+                'user_reaction' => $userReaction
+            ]
+        ];
+    }
+    
     /**
      * Format review data for display
      * 
@@ -11,7 +11,7 @@ The StallRegistrationService class interacts with the Database utility and Helpe
 It is typically used by controllers, API endpoints, or other service layers that handle stall registration workflows.
 
 DATE CREATED: Novemeber 23, 2025
-LAST MODIFIED: Novemeber 23, 2025
+LAST MODIFIED: October 19, 2026
 
 PURPOSE:
 The purpose of this program is to centralize stall registration operations into a reusable and maintainable service.
@@ -24,6 +24,7 @@ DATA STRUCTURES:
 - $filePaths (array): Paths to uploaded application files, including BIR registration, business permit, DTI/SEC certificate, and stall logo.
 - $_FILES array elements: Used for validating and uploading files.
 - Validation errors array: Maps field names to error messages.
+- APPLICATION_FILES (const array): Required application files with their display label and allowed MIME types.
 - Stall slug (string): Unique identifier for the upload directory, generated using slugified stall name and uniqid().
 - Uploaded file paths (string): Relative paths returned after successful upload.
 
@@ -32,13 +33,14 @@ ALGORITHM / LOGIC:
 2. Check for existing pending applications for a user to prevent duplicates.
 3. Validate stall registration data:
    a. Ensure stall name, description, location, and categories are present.
-   b. Enforce minimum character lengths for name and description.
+   b. Enforce minimum character lengths for name (2) and description (5), matching the registration form.
 4. Validate uploaded files:
    a. Confirm file presence if required.
-   b. Restrict to allowed MIME types (PDF, JPG, PNG).
-   c. Enforce file size limits (5MB).
+   b. Reject files that failed to upload.
+   c. Restrict to allowed MIME types (PDF, JPG, PNG for documents; JPG, PNG for the logo).
+   d. Enforce file size limits (5MB).
 5. Upload files securely:
-   a. Generate a unique directory for each application.
+   a. Generate one unique directory per application (createUploadSlug) shared by all of its files.
    b. Move uploaded files to designated folder.
    c. Return relative file paths for database storage.
 6. Create stall application:
@@ -52,6 +54,7 @@ ALGORITHM / LOGIC:
 NOTES:
 - All public methods are designed for reuse and modularity following ISO 9241 principles.
 - File uploads are isolated per application to avoid conflicts and improve traceability.
+- Used by ApplicationController for multipart POST /api/applications requests.
 - Validation is strict to ensure high-quality and complete stall registrations.
 - Rollback logic prevents orphaned files in case of application creation failure.
 - Future enhancements may include automatic thumbnail generation, multi-step application workflows, and integration with geolocation APIs for map coordinates.
@@ -64,6 +67,16 @@ use BuzzarFeed\Utils\Helpers;
 
 class StallRegistrationService
 {
+    public const DOCUMENT_TYPES = ['application/pdf', 'image/jpeg', 'image/png', 'image/jpg'];
+    public const IMAGE_TYPES = ['image/jpeg', 'image/png', 'image/jpg'];
+    
+    public const APPLICATION_FILES = [
+        'bir_registration' => ['label' => 'BIR Registration', 'types' => self::DOCUMENT_TYPES],
+        'business_permit' => ['label' => 'Business Permit / Mayor\'s Permit', 'types' => self::DOCUMENT_TYPES],
+        'dti_sec' => ['label' => 'DTI / SEC document', 'types' => self::DOCUMENT_TYPES],
+        'stall_logo' => ['label' => 'Stall Logo', 'types' => self::IMAGE_TYPES]
+    ];
+    
     private Database $db;
     
     public function __construct()
@@ -101,15 +114,15 @@ class StallRegistrationService
         // Validate stall name
         if (empty($data['stall_name'])) {
             $errors['stall_name'] = 'Stall name is required';
-        } elseif (strlen($data['stall_name']) < 3) {
-            $errors['stall_name'] = 'Stall name must be at least 3 characters';
+        } elseif (strlen($data['stall_name']) < 2) {
+            $errors['stall_name'] = 'Stall name must be at least 2 characters';
         }
         
         // Validate description
         if (empty($data['description'])) {
             $errors['description'] = 'Description is required';
-        } elseif (strlen($data['description']) < 20) {
-            $errors['description'] = 'Description must be at least 20 characters';
+        } elseif (strlen($data['description']) < 5) {
+            $errors['description'] = 'Description must be at least 5 characters';
         }
         
         // Validate location
@@ -131,39 +144,56 @@ class StallRegistrationService
      * @param array $file $_FILES array element
      * @param string $fieldName Field name for error messages
      * @param bool $required Whether file is required
+     * @param string|null $label Name used in the "is required" message
+     * @param array $allowedTypes Accepted MIME types
      * @return array|null Error array or null if valid
      */
-    public function validateFile(array $file, string $fieldName, bool $required = true): ?array
+    public function validateFile(array $file, string $fieldName, bool $required = true, ?string $label = null, array $allowedTypes = self::DOCUMENT_TYPES): ?array
     {
-        if (!isset($file['tmp_name']) || empty($file['tmp_name'])) {
-            return $required ? [$fieldName => ucfirst(str_replace('_', ' ', $fieldName)) . ' is required'] : null;
+        if (($file['error'] ?? UPLOAD_ERR_NO_FILE) === UPLOAD_ERR_NO_FILE) {
+            $label = $label ?? ucfirst(str_replace('_', ' ', $fieldName));
+            return $required ? [$fieldName => $label . ' is required'] : null;
+        }
+        
+        if ($file['error'] !== UPLOAD_ERR_OK) {
+            return [$fieldName => 'Error uploading file. Please try again.'];
         }
         
-        $allowedTypes = ['application/pdf', 'image/jpeg', 'image/png', 'image/jpg'];
         if (!in_array($file['type'], $allowedTypes)) {
-            return [$fieldName => 'Only PDF and image files are allowed'];
+            return [$fieldName => in_array('application/pdf', $allowedTypes)
+                ? 'Only PDF and image files are allowed'
+                : 'Only PNG and JPEG files are allowed'];
         }
         
         if ($file['size'] > 5 * 1024 * 1024) { // 5MB
-            return [$fieldName => 'File must be less than 5MB'];
+            return [$fieldName => 'File must be 5MB or smaller.'];
         }
         
         return null;
     }
     
+    /**
+     * Generate the upload directory name for a new application
+     * 
+     * @param string $stallName
+     * @return string
+     */
+    public function createUploadSlug(string $stallName): string
+    {
+        return Helpers::slugify($stallName) . '_' . uniqid();
+    }
+    
     /**
      * Upload file for stall application
      * 
      * @param array $file $_FILES array element
-     * @param string $stallName
+     * @param string $stallSlug Directory from createUploadSlug(), shared by the application's files
      * @param string $fieldName
      * @return string Uploaded file path
      * @throws \Exception
      */
-    public function uploadFile(array $file, string $stallName, string $fieldName): string
+    public function uploadFile(array $file, string $stallSlug, string $fieldName): string
     {
-        // Generate unique directory for this application
-        $stallSlug = Helpers::slugify($stallName) . '_' . uniqid();
         $uploadDir = __DIR__ . '/../../uploads/applications/' . $stallSlug . '/';
         
         if (!is_dir($uploadDir)) {
@@ -11,7 +11,7 @@ The StallService class interacts with the Database utility to ensure consistent
 It is typically used by controllers, API endpoints, and other service layers requiring stall information for display, search, or analytics purposes.
 
 DATE CREATED: Novemeber 29, 2025
-LAST MODIFIED: Novemeber 29, 2025
+LAST MODIFIED: October 19, 2026
 
 PURPOSE:
 The purpose of this program is to centralize food stall operations into a reusable and maintainable service.
@@ -32,11 +32,16 @@ DATA STRUCTURES:
   - address (string): Stall location address.
   - latitude (float|null): Latitude coordinate.
   - longitude (float|null): Longitude coordinate.
+  - price_min, price_max (float|null): Cheapest and dearest available menu item (search results only).
   - owner_name (string|null): Stall owner’s name.
   - owner_email (string|null): Stall owner’s email.
 - $searchTerm (string): Search query for stall names/descriptions.
+- $category (string): Standard category name(s), comma-separated, or 'all' / empty for every category.
+- $page (int|null), $limit (int|null): Page of search results to return (API pagination).
 - $limit (int): Number of stalls to fetch for featured/random selection.
-- Category variations arrays: Maps standard category names to possible database representations.
+- CATEGORY_VARIATIONS (const): Maps standard category names to possible database representations.
+- Result arrays (logo and menu item uploads): success, code (HTTP status), message, data and,
+  for validation failures, errors keyed by field.
 
 ALGORITHM / LOGIC:
 1. Initialize Database instance on service construction.
@@ -50,7 +55,14 @@ ALGORITHM / LOGIC:
    c. Retrieve and format matching stalls.
 4. Search stalls by name or description:
    a. Use LIKE queries for flexible matching.
-   b. Format and return results.
+   b. Narrow to categories when given: comma-separated, all must match ('all' means any).
+   c. Join the price range of each stall's available menu items.
+   d. Apply LIMIT/OFFSET when a page is requested; countStalls returns the unpaged total.
+   e. Format and return results.
+   f. getSearchIndex: every active stall plus its available menu items' names and
+      descriptions, for the client-side search index.
+   g. getStallsByIds: the same stall data for a list of IDs (e.g. saved stalls), in the
+      order given.
 5. Retrieve stall by ID:
    a. Include owner information.
    b. Format stall data for consistent structure.
@@ -64,6 +76,12 @@ ALGORITHM / LOGIC:
    a. Decode JSON categories safely.
    b. Ensure default values for missing fields.
    c. Return standardized array structure for application use.
+9. Handle owner uploads (API):
+   a. isStallOwner: confirm the user owns the active stall.
+   b. updateLogo: validate the PNG/JPEG, store it under /uploads/stalls/, update logo_path
+      and delete the previous logo.
+   c. saveMenuItem: validate name, price and optional image; insert a new item, or update the
+      item named by item_id (replacing its image when a new one is sent).
 
 NOTES:
 - All public methods ensure data is formatted consistently before returning to controllers or endpoints.
@@ -71,15 +89,30 @@ NOTES:
 - Average ratings and review counts are computed dynamically for display purposes.
 - Category filtering supports multiple variations to ensure flexible search.
 - This service abstracts database operations to maintain separation of concerns and modularity.
-- Future enhancements may include pagination support, location-based filtering, or caching for performance optimization.
+- Upload validation uses Helpers::validateImageUpload, the same check as manage-stall.php.
+- Future enhancements may include location-based filtering or caching for performance optimization.
 */
 
 namespace BuzzarFeed\Services;
 
 use BuzzarFeed\Utils\Database;
+use BuzzarFeed\Utils\Helpers;
 
 class StallService
 {
+    /**
+     * Spellings each standard category may be stored under
+     */
+    private const CATEGORY_VARIATIONS = [
+        'Beverages' => ['Beverages', 'beverages', 'Beverage', 'beverage'],
+        'Street Food' => ['Street Food', 'street_food', 'Streetfood', 'streetfood', 'Street food'],
+        'Rice Meals' => ['Rice Meals', 'rice_meals', 'Rice meals', 'rice meals', 'RiceMeals'],
+        'Fast Food' => ['Fast Food', 'fast_food', 'Fastfood', 'fastfood', 'Fast food'],
+        'Snacks' => ['Snacks', 'snacks', 'Snack', 'snack'],
+        'Pastries' => ['Pastries', 'pastries', 'Pastry', 'pastry'],
+        'Others' => ['Others', 'others', 'Other', 'other']
+    ];
+    
     private Database $db;
     
     public function __construct()
@@ -129,29 +162,7 @@ class StallService
      */
     public function getStallsByCategory(string $category): array
     {
-        // Handle special cases for category names that might be stored differently
-        $categoryVariations = [
-            'Beverages' => ['Beverages', 'beverages', 'Beverage', 'beverage'],
-            'Street Food' => ['Street Food', 'street_food', 'Streetfood', 'streetfood', 'Street food'],
-            'Rice Meals' => ['Rice Meals', 'rice_meals', 'Rice meals', 'rice meals', 'RiceMeals'],
-            'Fast Food' => ['Fast Food', 'fast_food', 'Fastfood', 'fastfood', 'Fast food'],
-            'Snacks' => ['Snacks', 'snacks', 'Snack', 'snack'],
-            'Pastries' => ['Pastries', 'pastries', 'Pastry', 'pastry'],
-            'Others' => ['Others', 'others', 'Other', 'other']
-        ];
-        
-        // Get possible variations for the category
-        $searchCategories = $categoryVariations[$category] ?? [$category];
-        
-        // Build WHERE conditions for all variations
-        $conditions = [];
-        $params = [];
-        foreach ($searchCategories as $variation) {
-            $conditions[] = "JSON_CONTAINS(fs.food_categories, ?, '$')";
-            $params[] = json_encode($variation);
-        }
-        
-        $whereClause = '(' . implode(' OR ', $conditions) . ')';
+        [$whereClause, $params] = $this->buildCategoryCondition($category);
         
         $query = "SELECT 
                     fs.stall_id,
@@ -181,12 +192,66 @@ class StallService
     }
     
     /**
-     * Search stalls by name or description
+     * Search stalls by name or description, optionally within categories
      * 
-     * @param string $searchTerm
+     * Each stall also carries the price range of its available menu items.
+     * 
+     * @param string $searchTerm Empty matches every stall
+     * @param string $category Standard category name, or several separated by commas
+     *                         (a stall must have all of them); empty or 'all' for any
+     * @param int|null $page 1-based page; null returns every match
+     * @param int|null $limit Stalls per page
      * @return array
      */
-    public function searchStalls(string $searchTerm): array
+    public function searchStalls(string $searchTerm, string $category = '', ?int $page = null, ?int $limit = null): array
+    {
+        [$whereClause, $params] = $this->buildStallFilters($searchTerm, $category);
+        
+        $suffix = "ORDER BY fs.created_at DESC";
+        if ($page !== null && $limit !== null) {
+            $suffix .= " LIMIT ? OFFSET ?";
+            $params[] = max(1, $limit);
+            $params[] = (max(1, $page) - 1) * max(1, $limit);
+        }
+        
+        return $this->selectStalls($whereClause, $params, $suffix);
+    }
+    
+    /**
+     * Get active stalls by ID, in the order the IDs are given
+     * 
+     * Unknown and inactive stalls are left out.
+     * 
+     * @param array $stallIds
+     * @return array Stalls as returned by searchStalls()
+     */
+    public function getStallsByIds(array $stallIds): array
+    {
+        $stallIds = array_values(array_unique(array_map('intval', $stallIds)));
+        if (empty($stallIds)) {
+            return [];
+        }
+        
+        $placeholders = implode(',', array_fill(0, count($stallIds), '?'));
+        $stalls = $this->selectStalls("fs.is_active = 1 AND fs.stall_id IN ($placeholders)", $stallIds);
+        
+        $positions = array_flip($stallIds);
+        usort($stalls, function($a, $b) use ($positions) {
+            return $positions[$a['id']] <=> $positions[$b['id']];
+        });
+        
+        return $stalls;
+    }
+    
+    /**
+     * Run the stall query shared by searchStalls() and getStallsByIds()
+     * 
+     * @param string $whereClause
+     * @param array $params
+     * @param string $suffix ORDER BY / LIMIT clauses
+     * @return array Formatted stalls
+     */
+    private function selectStalls(string $whereClause, array $params, string $suffix = ''): array
     {
         $query = "SELECT 
                     fs.stall_id,
@@ -199,23 +264,132 @@ class StallService
                     COUNT(r.review_id) as total_reviews,
                     sl.address,
                     sl.latitude,
-                    sl.longitude
+                    sl.longitude,
+                    mp.price_min,
+                    mp.price_max
                   FROM food_stalls fs
                   LEFT JOIN stall_locations sl ON fs.stall_id = sl.stall_id
                   LEFT JOIN reviews r ON fs.stall_id = r.stall_id
-                  WHERE fs.is_active = 1
-                  AND (fs.name LIKE ? OR fs.description LIKE ?)
-                  GROUP BY fs.stall_id, fs.name, fs.description, fs.logo_path, fs.food_categories, fs.hours, sl.address, sl.latitude, sl.longitude
-                  ORDER BY fs.created_at DESC";
+                  LEFT JOIN (
+                      SELECT stall_id, MIN(price) as price_min, MAX(price) as price_max
+                      FROM menu_items
+                      WHERE is_available = 1
+                      GROUP BY stall_id
+                  ) mp ON fs.stall_id = mp.stall_id
+                  WHERE {$whereClause}
+                  GROUP BY fs.stall_id, fs.name, fs.description, fs.logo_path, fs.food_categories, fs.hours, sl.address, sl.latitude, sl.longitude, mp.price_min, mp.price_max
+                  {$suffix}";
         
-        $searchPattern = "%{$searchTerm}%";
-        $stalls = $this->db->query($query, [$searchPattern, $searchPattern]);
+        $stalls = $this->db->query($query, $params);
         
         return array_map(function($stall) {
             return $this->formatStallData($stall);
         }, $stalls);
     }
     
+    /**
+     * Every active stall with the names and descriptions of its available menu items,
+     * for the client-side search index
+     * 
+     * @return array Stalls as returned by searchStalls(), each with a 'menu' list
+     */
+    public function getSearchIndex(): array
+    {
+        $stalls = $this->searchStalls('');
+        
+        $items = $this->db->query(
+            "SELECT mi.stall_id, mi.name, mi.description
+             FROM menu_items mi
+             INNER JOIN food_stalls fs ON mi.stall_id = fs.stall_id
+             WHERE fs.is_active = 1 AND mi.is_available = 1
+             ORDER BY mi.stall_id, mi.name"
+        );
+        
+        $menus = [];
+        foreach ($items as $item) {
+            $menus[$item['stall_id']][] = [
+                'name' => $item['name'],
+                'description' => $item['description'] ?? ''
+            ];
+        }
+        
+        return array_map(function($stall) use ($menus) {
+            $stall['menu'] = $menus[$stall['id']] ?? [];
+            return $stall;
+        }, $stalls);
+    }
+    
+    /**
+     * Count the stalls searchStalls() would return without paging
+     * 
+     * @param string $searchTerm
+     * @param string $category
+     * @return int
+     */
+    public function countStalls(string $searchTerm = '', string $category = ''): int
+    {
+        [$whereClause, $params] = $this->buildStallFilters($searchTerm, $category);
+        
+        $result = $this->db->querySingle(
+            "SELECT COUNT(*) as count FROM food_stalls fs WHERE {$whereClause}",
+            $params
+        );
+        
+        return (int)($result['count'] ?? 0);
+    }
+    
+    /**
+     * Build the WHERE clause shared by searchStalls() and countStalls()
+     * 
+     * @param string $searchTerm
+     * @param string $category
+     * @return array [string $whereClause, array $params]
+     */
+    private function buildStallFilters(string $searchTerm, string $category): array
+    {
+        $conditions = ['fs.is_active = 1'];
+        $params = [];
+        
+        $searchTerm = trim($searchTerm);
+        if ($searchTerm !== '') {
+            $conditions[] = '(fs.name LIKE ? OR fs.description LIKE ?)';
+            $searchPattern = "%{$searchTerm}%";
+            $params[] = $searchPattern;
+            $params[] = $searchPattern;
+        }
+        
+        if ($category !== '' && $category !== 'all') {
+            $categories = array_filter(array_map('trim', explode(',', $category)));
+            foreach ($categories as $name) {
+                [$categoryCondition, $categoryParams] = $this->buildCategoryCondition($name);
+                $conditions[] = $categoryCondition;
+                $params = array_merge($params, $categoryParams);
+            }
+        }
+        
+        return [implode(' AND ', $conditions), $params];
+    }
+    
+    /**
+     * Match any stored spelling of a category
+     * 
+     * @param string $category
+     * @return array [string $condition, array $params]
+     */
+    private function buildCategoryCondition(string $category): array
+    {
+        $searchCategories = self::CATEGORY_VARIATIONS[$category] ?? [$category];
+        
+        $conditions = [];
+        $params = [];
+        foreach ($searchCategories as $variation) {
+            $conditions[] = "JSON_CONTAINS(fs.food_categories, ?, '$')";
+            $params[] = json_encode($variation);
+        }
+        
+        return ['(' . implode(' OR ', $conditions) . ')', $params];
+    }
+    
     /**
      * Get stall by ID
      * 
@@ -310,6 +484,188 @@ class StallService
         return array_values(array_unique($categories));
     }
     
+    /**
+     * Check whether a user owns an active stall
+     * 
+     * @param int $stallId
+     * @param int $userId
+     * @return bool
+     */
+    public function isStallOwner(int $stallId, int $userId): bool
+    {
+        $stall = $this->db->querySingle(
+            "SELECT stall_id FROM food_stalls WHERE stall_id = ? AND owner_id = ? AND is_active = 1",
+            [$stallId, $userId]
+        );
+        
+        return !empty($stall);
+    }
+    
+    /**
+     * Replace a stall's logo
+     * 
+     * @param int $stallId
+     * @param array|null $file $_FILES['logo']
+     * @return array Result with the new logo_path
+     */
+    public function updateLogo(int $stallId, ?array $file): array
+    {
+        if (!$file || $file['error'] === UPLOAD_ERR_NO_FILE) {
+            return $this->validationFailure(['logo' => 'Please choose a logo to upload.']);
+        }
+        
+        if ($error = Helpers::validateImageUpload($file)) {
+            return $this->validationFailure(['logo' => $error]);
+        }
+        
+        $stall = $this->db->querySingle(
+            "SELECT logo_path FROM food_stalls WHERE stall_id = ?",
+            [$stallId]
+        );
+        
+        $logoPath = $this->storeImage($file, 'stalls', 'stall_' . $stallId);
+        if (!$logoPath) {
+            return ['success' => false, 'code' => 500, 'message' => 'Failed to move uploaded file', 'data' => null];
+        }
+        
+        $this->db->execute(
+            "UPDATE food_stalls SET logo_path = ?, updated_at = NOW() WHERE stall_id = ?",
+            [$logoPath, $stallId]
+        );
+        $this->deleteImage($stall['logo_path'] ?? null);
+        
+        return [
+            'success' => true,
+            'code' => 200,
+            'message' => 'Stall logo updated successfully!',
+            'data' => ['logo_path' => $logoPath]
+        ];
+    }
+    
+    /**
+     * Add a menu item, or update the one named by item_id
+     * 
+     * @param int $stallId
+     * @param array $data item_id (updates only), item_name, item_price, item_description
+     * @param array|null $image $_FILES['item_image']
+     * @return array Result with item_id and image_path
+     */
+    public function saveMenuItem(int $stallId, array $data, ?array $image): array
+    {
+        $itemId = (int)($data['item_id'] ?? 0);
+        $itemName = trim((string)($data['item_name'] ?? ''));
+        $itemPrice = $data['item_price'] ?? null;
+        $errors = [];
+        
+        if ($itemName === '') {
+            $errors['item_name'] = 'Item name is required.';
+        }
+        if (!is_numeric($itemPrice) || $itemPrice < 0) {
+            $errors['item_price'] = 'Enter a valid price.';
+        }
+        if ($imageError = Helpers::validateImageUpload($image)) {
+            $errors['item_image'] = $imageError;
+        }
+        
+        if (!empty($errors)) {
+            return $this->validationFailure($errors);
+        }
+        
+        $menuItem = null;
+        if ($itemId) {
+            $menuItem = $this->db->querySingle(
+                "SELECT * FROM menu_items WHERE item_id = ? AND stall_id = ?",
+                [$itemId, $stallId]
+            );
+            
+            if (!$menuItem) {
+                return ['success' => false, 'code' => 404, 'message' => 'Menu item not found or access denied', 'data' => null];
+            }
+        }
+        
+        $imagePath = $menuItem['image_path'] ?? null;
+        if ($image && $image['error'] === UPLOAD_ERR_OK) {
+            $newImagePath = $this->storeImage($image, 'menu_items', 'menu_' . $stallId);
+            if (!$newImagePath) {
+                return ['success' => false, 'code' => 500, 'message' => 'Failed to upload image', 'data' => null];
+            }
+            $this->deleteImage($imagePath);
+            $imagePath = $newImagePath;
+        }
+        
+        if ($menuItem) {
+            $this->db->execute(
+                "UPDATE menu_items 
+                 SET name = ?, description = ?, price = ?, image_path = ?, updated_at = NOW()
+                 WHERE item_id = ? AND stall_id = ?",
+                [$itemName, $data['item_description'] ?? '', $itemPrice, $imagePath, $itemId, $stallId]
+            );
+            
+            return [
+                'success' => true,
+                'code' => 200,
+                'message' => 'Menu item updated successfully!',
+                'data' => ['item_id' => $itemId, 'image_path' => $imagePath]
+            ];
+        }
+        
+        $this->db->execute(
+            "INSERT INTO menu_items (stall_id, name, description, price, image_path, is_available, created_at, updated_at) 
+             VALUES (?, ?, ?, ?, ?, 1, NOW(), NOW())",
+            [$stallId, $itemName, $data['item_description'] ?? '', $itemPrice, $imagePath]
+        );
+        
+        return [
+            'success' => true,
+            'code' => 201,
+            'message' => 'Menu item added successfully!',
+            'data' => ['item_id' => (int)$this->db->lastInsertId(), 'image_path' => $imagePath]
+        ];
+    }
+    
+    /**
+     * Move an uploaded image into /uploads/{folder}/
+     * 
+     * @param array $file $_FILES array element
+     * @param string $folder 'stalls' or 'menu_items'
+     * @param string $prefix File name prefix
+     * @return string|null Public path, or null if the file could not be moved
+     */
+    private function storeImage(array $file, string $folder, string $prefix): ?string
+    {
+        $uploadDir = ROOT_PATH . '/uploads/' . $folder . '/';
+        if (!is_dir($uploadDir)) {
+            mkdir($uploadDir, 0755, true);
+        }
+        
+        $fileExtension = strtolower(pathinfo($file['name'], PATHINFO_EXTENSION));
+        $newFileName = $prefix . '_' . time() . '.' . $fileExtension;
+        
+        if (!move_uploaded_file($file['tmp_name'], $uploadDir . $newFileName)) {
+            return null;
+        }
+        
+        return '/uploads/' . $folder . '/' . $newFileName;
+    }
+    
+    private function deleteImage(?string $path): void
+    {
+        if (!empty($path) && file_exists(ROOT_PATH . $path)) {
+            unlink(ROOT_PATH . $path);
+        }
+    }
+    
+    private function validationFailure(array $errors): array
+    {
+        return [
+            'success' => false,
+            'code' => 422,
+            'message' => 'Please correct the highlighted fields',
+            'data' => null,
+            'errors' => $errors
+        ];
+    }
+    
     /**
      * Format stall data for display
      * 
@@ -340,6 +696,8 @@ class StallService
             'address' => $stall['address'] ?? '',
             'latitude' => $stall['latitude'] ?? null,
             'longitude' => $stall['longitude'] ?? null,
+            'price_min' => isset($stall['price_min']) ? (float)$stall['price_min'] : null,
+            'price_max' => isset($stall['price_max']) ? (float)$stall['price_max'] : null,
             'owner_name' => $stall['owner_name'] ?? null,
             'owner_email' => $stall['owner_email'] ?? null,
         ];
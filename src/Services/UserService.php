@@ -11,7 +11,7 @@ The UserService class interacts with the Database utility and Helper functions t
 It is typically used by controllers, API endpoints, and other service layers that require user account management functionality.
 
 DATE CREATED: Novemeber 29, 2025
-LAST MODIFIED: Novemeber 29, 2025
+LAST MODIFIED: October 19, 2026
 
 PURPOSE:
 The purpose of this program is to centralize user-related business logic in a reusable and maintainable service.
@@ -45,7 +45,7 @@ ALGORITHM / LOGIC:
 5. Delete user account:
    a. Verify password.
    b. Check for dependent resources (e.g., food stalls).
-   c. Delete user if no dependencies exist.
+   c. Delete user (and their saved stalls) if no dependencies exist.
 6. Upload and update profile image:
    a. Validate file type and size.
    b. Create upload directory if missing.
@@ -175,6 +175,9 @@ class UserService
             throw new \Exception("Cannot delete account with active stalls. Please remove your stalls first.");
         }
         
+        // Delete saved stalls (foreign key constraint)
+        $this->db->execute("DELETE FROM favorite_stalls WHERE user_id = ?", [$userId]);
+        
         // Delete user
         $this->db->execute("DELETE FROM users WHERE user_id = ?", [$userId]);
         
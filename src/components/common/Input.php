@@ -9,7 +9,7 @@ This module is part of the BuzzarFeed UI Components library.
 It provides a reusable form input component for text, email, password, number, tel, URL, date, and textarea fields.
 
 DATE CREATED: Decemeber 4, 2025
-LAST MODIFIED: Decemeber 4, 2025
+LAST MODIFIED: October 19, 2026
 
 PURPOSE:
 The purpose of this program is to:
@@ -51,6 +51,8 @@ ALGORITHM / LOGIC:
 
 NOTES:
 - Designed to be reusable across all BuzzarFeed forms.
+- Error messages carry data-error-for and are linked to the field with
+  aria-describedby, matching the markup of assets/js/modules/form-errors.js.
 - Supports dynamic customization through props and attributes.
 - Complies with ISO 9241 accessibility and usability guidelines.
 - Can be extended for specialized input types or validation behaviors.
@@ -181,7 +183,9 @@ class Input extends BaseComponent {
         
         // Render error message
         if ($this->error) {
-            $html .= '<span class="form-error">' . Helpers::escape($this->error) . '</span>';
+            $html .= '<span class="form-error" id="' . Helpers::escape($this->getErrorId()) . '"'
+                . ' data-error-for="' . Helpers::escape($this->name) . '" role="alert">'
+                . Helpers::escape($this->error) . '</span>';
         }
         
         // Render help text
@@ -229,6 +233,11 @@ class Input extends BaseComponent {
             $attributes[] = 'required';
         }
         
+        if ($this->error) {
+            $attributes[] = 'aria-invalid="true"';
+            $attributes[] = 'aria-describedby="' . Helpers::escape($this->getErrorId()) . '"';
+        }
+        
         if ($this->disabled) {
             $attributes[] = 'disabled';
         }
@@ -279,6 +288,11 @@ class Input extends BaseComponent {
             $attributes[] = 'required';
         }
         
+        if ($this->error) {
+            $attributes[] = 'aria-invalid="true"';
+            $attributes[] = 'aria-describedby="' . Helpers::escape($this->getErrorId()) . '"';
+        }
+        
         if ($this->disabled) {
             $attributes[] = 'disabled';
         }
@@ -299,6 +313,15 @@ class Input extends BaseComponent {
         return "<textarea {$attrs}>" . Helpers::escape($this->value) . "</textarea>";
     }
     
+    /**
+     * Get the ID of the error message element
+     * 
+     * @return string
+     */
+    protected function getErrorId(): string {
+        return ($this->id ?: $this->name) . '-error';
+    }
+    
     /**
      * Render label element
      * 
@@ -10,7 +10,7 @@ It is responsible for rendering the reusable featured stalls section on the home
 It depends on BaseComponent, Button, Card, and Helpers utilities to construct and safely render HTML content.
 
 DATE CREATED: Decemeber 2, 2025
-LAST MODIFIED: Decemeber 2, 2025
+LAST MODIFIED: October 19, 2026
 
 PURPOSE:
 The purpose of this program is to display a grid of featured food stalls with relevant information including:
@@ -40,6 +40,7 @@ ALGORITHM / LOGIC:
 3. renderStallCard(array $stall):
    - Creates a Button instance for "View details".
    - Builds the HTML for an individual stall card with overlay information.
+   - Adds an hours badge beside the hours, filled in by HoursBadges (assets/js/modules/hours-badges.js).
 4. renderPlaceholderStalls():
    - Provides default stall cards to display when $stalls is empty.
    - Uses renderStallCard() for consistency.
@@ -153,6 +154,7 @@ class FeaturedStallsSection extends BaseComponent {
                 <h3 class="stall-label-name">' . Helpers::escape($stall['name'] ?? '') . '</h3>
                 <p class="stall-label-hours">
                     <i class="far fa-clock"></i> ' . Helpers::escape($stall['hours'] ?? '') . '
+                    <span class="hours-badge" data-hours-badge="' . Helpers::escape($stall['hours'] ?? '') . '" hidden></span>
                 </p>
                 <p class="stall-label-description">
                     ' . Helpers::escape($stall['description'] ?? '') . '
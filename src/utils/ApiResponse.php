@@ -14,7 +14,7 @@ This utility standardizes the JSON response format for both successful operation
 making it easier for frontend clients to parse and handle API responses predictably.
 
 DATE CREATED: December 23, 2025
-LAST MODIFIED: December 23, 2025
+LAST MODIFIED: October 19, 2026
 
 PURPOSE:
 The purpose of this program is to provide a centralized, reusable mechanism for generating API responses.
@@ -31,6 +31,10 @@ DATA STRUCTURES:
   - success (boolean): Always false for error responses.
   - message (string): Human-readable error message.
   - errors (array): Additional error details or validation failures.
+- Validation error structure (HTTP 422):
+  - success (boolean): Always false.
+  - message (string): Summary message.
+  - errors (object): Field name mapped to a human-readable message.
 - Paginated response structure:
   - success (boolean): Always true.
   - data (array): Array of items for current page.
@@ -51,16 +55,19 @@ ALGORITHM / LOGIC:
    a. Set HTTP response code (default: 400).
    b. Create JSON object with success=false, message, and errors array.
    c. Output JSON and terminate execution.
-3. Paginated response method:
+3. Validation error method:
+   a. Set HTTP response code to 422.
+   b. Send field-keyed errors through the error response method.
+4. Paginated response method:
    a. Set HTTP response code to 200.
    b. Calculate total pages from total items and items per page.
    c. Create JSON object with success=true, data array, and pagination metadata.
    d. Output JSON and terminate execution.
-4. Get request body method:
+5. Get request body method:
    a. Read raw input from php://input stream.
    b. Decode JSON string into associative array.
    c. Return decoded array or null if invalid.
-5. Validate required fields method:
+6. Validate required fields method:
    a. Iterate through array of required field names.
    b. Check if each field exists and is not empty in data array.
    c. Collect missing field names.
@@ -72,6 +79,8 @@ NOTES:
 - The success/error response structure is consistent across all API endpoints.
 - Pagination metadata helps clients implement pagination controls in the UI.
 - Request body parsing handles raw JSON input from POST/PUT requests.
+- Validation errors are keyed by field name so clients can show each message
+  next to its input (see ApiError.fieldErrors in assets/js/api-client.js).
 - Field validation is basic; complex validation should be done in services or controllers.
 - All methods are static for convenient access without instantiation.
 - Future enhancements may include:
@@ -122,6 +131,17 @@ class ApiResponse
         exit;
     }
     
+    /**
+     * Send validation error response
+     * 
+     * @param array $errors Field name => error message
+     * @param string $message Summary message
+     */
+    public static function validationError($errors, $message = 'Please correct the highlighted fields')
+    {
+        self::error($message, 422, $errors);
+    }
+    
     /**
      * Send paginated response
      * 
@@ -11,7 +11,7 @@ The Helpers class is used by controllers, views, services, and utility classes t
 It promotes code reuse, reduces duplication, and improves overall maintainability.
 
 DATE CREATED: November 23, 2025
-LAST MODIFIED: December 14, 2025
+LAST MODIFIED: October 19, 2026
 
 PURPOSE:
 The purpose of this program is to provide a standardized utility layer for frequently used application logic.
@@ -51,7 +51,9 @@ ALGORITHM / LOGIC:
    a. Validate upload errors, size limits, and MIME types.
    b. Generate unique filenames.
    c. Move files securely to destination directories.
-10. Exit execution where appropriate to prevent further output.
+   d. Validate optional PNG/JPEG uploads (logos, menu images) by extension and size.
+10. Read map positions posted by the location picker as percentages of the map image.
+11. Exit execution where appropriate to prevent further output.
 
 NOTES:
 - All methods are static to allow easy access without instantiating the class.
@@ -327,6 +329,47 @@ class Helpers {
         return ['success' => false, 'message' => 'Failed to save file'];
     }
     
+    /**
+     * Validate an optional PNG/JPEG upload (max 5MB)
+     * 
+     * @param array|null $file File from $_FILES
+     * @return string|null Error message, or null if valid or no file was chosen
+     */
+    public static function validateImageUpload(?array $file): ?string {
+        if (!isset($file) || $file['error'] === UPLOAD_ERR_NO_FILE) {
+            return null;
+        }
+        if ($file['error'] !== UPLOAD_ERR_OK) {
+            return 'Error uploading file. Please try again.';
+        }
+        if (!in_array(strtolower(pathinfo($file['name'], PATHINFO_EXTENSION)), ['png', 'jpg', 'jpeg'])) {
+            return 'Invalid file type. Only PNG and JPEG files are allowed.';
+        }
+        if ($file['size'] > 5 * 1024 * 1024) {
+            return 'File size exceeds 5MB limit.';
+        }
+        return null;
+    }
+    
+    /**
+     * Read a map position posted by the location picker (map-picker.js)
+     * Positions are percent of the map image (0-100) from its top-left corner,
+     * the same values the map pins use for left and top.
+     * 
+     * @param mixed $value Posted value, e.g. Helpers::post('map_x')
+     * @return float|null Position rounded to two decimals, or null if empty or out of range
+     */
+    public static function mapPercent($value): ?float {
+        if (!is_numeric($value)) {
+            return null;
+        }
+        $percent = (float) $value;
+        if ($percent < 0 || $percent > 100) {
+            return null;
+        }
+        return round($percent, 2);
+    }
+    
     /**
      * Convert number to word (1-5)
      * 
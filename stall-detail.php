@@ -11,7 +11,7 @@ details, menu items, customer reviews, ratings, and user interactions such as
 liking, reporting, and submitting reviews.
 
 DATE CREATED: November 23, 2025
-LAST MODIFIED: December 14, 2025
+LAST MODIFIED: October 19, 2026
 
 PURPOSE:
 The purpose of this program is to provide users with a complete view of a food
@@ -37,11 +37,26 @@ ALGORITHM / LOGIC:
    and reporting reviews.
 6. Calculate rating statistics for display.
 7. Render stall details, menu items, and review interface dynamically.
+8. Submit new reviews and reactions through the API client; on a lost
+   connection they are queued in its offline outbox instead of failing, and
+   if the session has expired they wait for the shared login prompt.
+   A sent review is confirmed with a toast before the reviews tab reloads.
+   The rating of both review forms is picked with StarRating
+   (assets/js/modules/star-rating.js), which also labels the stars shown.
+   Reactions (ReviewReactions, assets/js/modules/review-reactions.js) show at
+   once, are sent once a burst of clicks ends, take their counts from the
+   server and are undone with a toast if it rejects them.
+9. Show a heart beside the stall name to save the stall; Favorites
+   (assets/js/modules/favorites.js) shows it once JavaScript runs.
+10. Show whether the stall is open now beside its hours (HoursBadges,
+    assets/js/modules/hours-badges.js, in Manila time).
+11. Link the stall's address to its pin on the map (map.php?stall=) when it has a map position.
 
 NOTES:
 - This module performs both read and write database operations.
 - Review actions require user authentication.
 - Stall owners are restricted from reviewing their own stalls.
+- The review form still posts normally when api-client.js is unavailable.
 */
 
 require_once __DIR__ . '/bootstrap.php';
@@ -412,7 +427,12 @@ $currentTab = Helpers::get('tab', 'menu');
                     </div>
                     
                     <div class="stall-info">
-                        <h1><?= Helpers::escape($stall['name']) ?></h1>
+                        <div class="stall-title-row">
+                            <h1><?= Helpers::escape($stall['name']) ?></h1>
+                            <button type="button" class="favorite-btn" data-favorite-stall="<?= (int)$stallId ?>" data-stall-name="<?= Helpers::escape($stall['name']) ?>" aria-pressed="false" hidden>
+                                <i class="far fa-heart" aria-hidden="true"></i>
+                            </button>
+                        </div>
                         <p class="stall-description"><?= Helpers::escape($stall['description']) ?></p>
                         
                         <div class="stall-categories-list">
@@ -426,6 +446,7 @@ $currentTab = Helpers::get('tab', 'menu');
                                     <i class="far fa-clock"></i>
                                     <span class="meta-label">Operating Hours:</span>
                                     <span class="meta-value"><?= Helpers::escape($stall['hours'] ?? '9:00 AM - 10:00 PM') ?></span>
+                                    <span class="hours-badge" data-hours-badge="<?= Helpers::escape($stall['hours'] ?? '9:00 AM - 10:00 PM') ?>" hidden></span>
                                 </div>
                                 <div class="meta-item">
                                     <i class="fas fa-user"></i>
@@ -435,7 +456,14 @@ $currentTab = Helpers::get('tab', 'menu');
                                 <div class="meta-item">
                                     <i class="fas fa-map-marker-alt"></i>
                                     <span class="meta-label">Located at:</span>
-                                    <span class="meta-value"><?= Helpers::escape($stall['address'] ?? 'BGC Night Market') ?></span>
+                                    <span class="meta-value">
+                                        <?= Helpers::escape($stall['address'] ?? 'BGC Night Market') ?>
+                                        <?php if (!empty($stall['latitude']) && !empty($stall['longitude'])): ?>
+                                            <a href="map.php?stall=<?= (int)$stallId ?>#mapContainer" class="meta-map-link">
+                                                <i class="fas fa-map-marked-alt" aria-hidden="true"></i> Show on map
+                                            </a>
+                                        <?php endif; ?>
+                                    </span>
                                 </div>
                             </div>
                         </div>
@@ -544,7 +572,7 @@ $currentTab = Helpers::get('tab', 'menu');
                             
                             <div class="average-rating-box">
                                 <div class="avg-rating-number"><?= $averageRating ?></div>
-                                <div class="avg-rating-stars">
+                                <div class="avg-rating-stars" data-star-rating="<?= (float) $averageRating ?>">
                                     <?php
                                     for ($i = 1; $i <= 5; $i++) {
                                         if ($i <= $averageRating) {
@@ -614,7 +642,7 @@ $currentTab = Helpers::get('tab', 'menu');
                                 <?php foreach ($reviews as $review): ?>
                                     <div class="review-card">
                                         <div class="review-header">
-                                            <div class="review-stars">
+                                            <div class="review-stars" data-star-rating="<?= (int) $review['rating'] ?>">
                                                 <?php for ($i = 1; $i <= 5; $i++): ?>
                                                     <i class="fas fa-star <?= $i <= $review['rating'] ? '' : 'empty' ?>"></i>
                                                 <?php endfor; ?>
@@ -647,19 +675,19 @@ $currentTab = Helpers::get('tab', 'menu');
                                         <p class="review-comment"><?= Helpers::escape($review['comment']) ?></p>
                                         
                                         <!-- Like/Dislike Buttons -->
-                                        <div class="review-reactions">
-                                            <button class="reaction-btn like-btn <?= isset($userReactions[$review['review_id']]) && $userReactions[$review['review_id']] === 'like' ? 'active' : '' ?>" 
-                                                    onclick="reactToReview(<?= $review['review_id'] ?>, 'like')" 
+                                        <div class="review-reactions" data-review-reactions="<?= $review['review_id'] ?>">
+                                            <button type="button" class="reaction-btn like-btn <?= isset($userReactions[$review['review_id']]) && $userReactions[$review['review_id']] === 'like' ? 'active' : '' ?>" 
                                                     data-review-id="<?= $review['review_id'] ?>" 
                                                     data-reaction="like">
-                                                <i class="fas fa-thumbs-up"></i>
+                                                <i class="fas fa-thumbs-up" aria-hidden="true"></i>
+                                                <span class="sr-only">Like</span>
                                                 <span class="like-count"><?= $review['like_count'] ?></span>
                                             </button>
-                                            <button class="reaction-btn dislike-btn <?= isset($userReactions[$review['review_id']]) && $userReactions[$review['review_id']] === 'dislike' ? 'active' : '' ?>" 
-                                                    onclick="reactToReview(<?= $review['review_id'] ?>, 'dislike')" 
+                                            <button type="button" class="reaction-btn dislike-btn <?= isset($userReactions[$review['review_id']]) && $userReactions[$review['review_id']] === 'dislike' ? 'active' : '' ?>" 
                                                     data-review-id="<?= $review['review_id'] ?>" 
                                                     data-reaction="dislike">
-                                                <i class="fas fa-thumbs-down"></i>
+                                                <i class="fas fa-thumbs-down" aria-hidden="true"></i>
+                                                <span class="sr-only">Dislike</span>
                                                 <span class="dislike-count"><?= $review['dislike_count'] ?></span>
                                             </button>
                                         </div>
@@ -688,14 +716,8 @@ $currentTab = Helpers::get('tab', 'menu');
                 
                 <div class="modal-body">
                     <div class="form-group">
-                        <label class="form-label">Rating (5/5)</label>
-                        <div class="star-rating-input">
-                            <i class="far fa-star" data-rating="1"></i>
-                            <i class="far fa-star" data-rating="2"></i>
-                            <i class="far fa-star" data-rating="3"></i>
-                            <i class="far fa-star" data-rating="4"></i>
-                            <i class="far fa-star" data-rating="5"></i>
-                        </div>
+                        <label class="form-label" id="rating-label">Rating (5/5)</label>
+                        <div class="star-rating-input" data-star-rating-input="rating" aria-labelledby="rating-label"></div>
                         <input type="hidden" name="rating" id="rating" value="0" required>
                     </div>
                     
@@ -758,14 +780,8 @@ $currentTab = Helpers::get('tab', 'menu');
                 
                 <div class="modal-body">
                     <div class="form-group">
-                        <label class="form-label">Rating (5/5)</label>
-                        <div class="star-rating-input" id="edit-star-rating">
-                            <i class="far fa-star" data-rating="1"></i>
-                            <i class="far fa-star" data-rating="2"></i>
-                            <i class="far fa-star" data-rating="3"></i>
-                            <i class="far fa-star" data-rating="4"></i>
-                            <i class="far fa-star" data-rating="5"></i>
-                        </div>
+                        <label class="form-label" id="edit-rating-label">Rating (5/5)</label>
+                        <div class="star-rating-input" id="edit-star-rating" data-star-rating-input="edit_rating" aria-labelledby="edit-rating-label"></div>
                         <input type="hidden" name="rating" id="edit_rating" value="0" required>
                     </div>
                     
@@ -885,41 +901,54 @@ $currentTab = Helpers::get('tab', 'menu');
     <!-- JavaScript -->
     <script type="module" src="<?= JS_URL ?>/app.js"></script>
     <script>
-        // Star rating functionality for main review form
         document.addEventListener('DOMContentLoaded', function() {
-            const stars = document.querySelectorAll('.star-rating-input i');
             const ratingInput = document.getElementById('rating');
             
-            stars.forEach(star => {
-                star.addEventListener('click', function() {
-                    const rating = this.getAttribute('data-rating');
-                    ratingInput.value = rating;
-                    
-                    stars.forEach((s, index) => {
-                        if (index < rating) {
-                            s.classList.remove('far');
-                            s.classList.add('fas');
-                        } else {
-                            s.classList.remove('fas');
-                            s.classList.add('far');
-                        }
-                    });
-                });
+            // Submit through the API client so a weak signal queues the review instead of losing it
+            document.getElementById('reviewForm').addEventListener('submit', async function(e) {
+                if (!window.api) {
+                    return;
+                }
+                e.preventDefault();
                 
-                star.addEventListener('mouseover', function() {
-                    const rating = this.getAttribute('data-rating');
-                    stars.forEach((s, index) => {
-                        if (index < rating) {
-                            s.classList.add('hover');
-                        } else {
-                            s.classList.remove('hover');
-                        }
+                const form = this;
+                const submitBtn = form.querySelector('.btn-submit-review');
+                let redirecting = false;
+                submitBtn.disabled = true;
+                
+                try {
+                    const result = await api.createReview({
+                        stall_id: <?= (int) $stallId ?>,
+                        rating: Number(ratingInput.value),
+                        title: form.review_title.value,
+                        comment: form.review_comment.value,
+                        is_anonymous: form.anonymous.checked
                     });
-                });
-            });
-            
-            document.querySelector('.star-rating-input').addEventListener('mouseout', function() {
-                stars.forEach(s => s.classList.remove('hover'));
+                    
+                    if (result.queued) {
+                        closeReviewModal();
+                        form.reset();
+                        ratingInput.value = 0;
+                        ratingInput.dispatchEvent(new Event('change'));
+                        showToast(result.message, 'info');
+                    } else {
+                        // Confirm before the reload replaces the page, as the form post's flash message did
+                        redirecting = true;
+                        closeReviewModal();
+                        showToast(result.message || 'Review submitted successfully!', 'success');
+                        setTimeout(function() {
+                            window.location.href = 'stall-detail.php?id=<?= (int) $stallId ?>&tab=reviews';
+                        }, 1500);
+                    }
+                } catch (error) {
+                    // A 401 here means the user cancelled the session login prompt
+                    if (!error.isUnauthorized) {
+                        showToast(error.message || 'Error submitting review', 'error');
+                    }
+                } finally {
+                    // Stay disabled until the redirect so the review is not sent twice
+                    submitBtn.disabled = redirecting;
+                }
             });
         });
         
@@ -941,51 +970,6 @@ $currentTab = Helpers::get('tab', 'menu');
             window.location.href = url.toString();
         }
         
-        // React to review (like/dislike)
-        async function reactToReview(reviewId, reactionType) {
-            <?php if (!Session::isLoggedIn()): ?>
-                document.getElementById('loginRequiredModal').style.display = 'flex';
-                return;
-            <?php endif; ?>
-            
-            const formData = new FormData();
-            formData.append('action', 'react_review');
-            formData.append('review_id', reviewId);
-            formData.append('reaction_type', reactionType);
-            
-            try {
-                const response = await fetch(window.location.href, {
-                    method: 'POST',
-                    body: formData
-                });
-                
-                const data = await response.json();
-                
-                if (data.success) {
-                    // Update counts
-                    const likeBtn = document.querySelector(`button[data-review-id="${reviewId}"][data-reaction="like"]`);
-                    const dislikeBtn = document.querySelector(`button[data-review-id="${reviewId}"][data-reaction="dislike"]`);
-                    
-                    likeBtn.querySelector('.like-count').textContent = data.like_count;
-                    dislikeBtn.querySelector('.dislike-count').textContent = data.dislike_count;
-                    
-                    // Toggle active state
-                    if (reactionType === 'like') {
-                        likeBtn.classList.toggle('active');
-                        dislikeBtn.classList.remove('active');
-                    } else {
-                        dislikeBtn.classList.toggle('active');
-                        likeBtn.classList.remove('active');
-                    }
-                } else {
-                    alert(data.message || 'Error processing reaction');
-                }
-            } catch (error) {
-                console.error('Error:', error);
-                alert('Error processing reaction');
-            }
-        }
-        
         function openReviewModal() {
             <?php if (!Session::isLoggedIn()): ?>
                 document.getElementById('loginRequiredModal').style.display = 'flex';
@@ -1010,35 +994,8 @@ $currentTab = Helpers::get('tab', 'menu');
             document.getElementById('edit_review_comment').value = comment;
             document.getElementById('edit_anonymous').checked = isAnonymous == 1;
             
-            // Set star rating
-            const editStars = document.querySelectorAll('#edit-star-rating i');
-            editStars.forEach((star, index) => {
-                if (index < rating) {
-                    star.classList.remove('far');
-                    star.classList.add('fas');
-                } else {
-                    star.classList.remove('fas');
-                    star.classList.add('far');
-                }
-            });
-            
-            // Add event listeners to edit stars
-            editStars.forEach(star => {
-                star.addEventListener('click', function() {
-                    const newRating = this.getAttribute('data-rating');
-                    document.getElementById('edit_rating').value = newRating;
-                    
-                    editStars.forEach((s, idx) => {
-                        if (idx < newRating) {
-                            s.classList.remove('far');
-                            s.classList.add('fas');
-                        } else {
-                            s.classList.remove('fas');
-                            s.classList.add('far');
-                        }
-                    });
-                });
-            });
+            // Redraw the stars (StarRating) for the review's rating
+            document.getElementById('edit_rating').dispatchEvent(new Event('change'));
             
             document.getElementById('editReviewModal').style.display = 'flex';
         }
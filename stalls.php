@@ -10,7 +10,7 @@ browsing page where users can view, search, and filter food stalls available
 at the BGC Night Market Bazaar.
 
 DATE CREATED: November 22, 2025
-LAST MODIFIED: December 14, 2025
+LAST MODIFIED: October 19, 2026
 
 PURPOSE:
 The purpose of this program is to allow users to discover food stalls by
@@ -22,7 +22,8 @@ DATA STRUCTURES:
 - $pageTitle (string): Page title for browser and SEO
 - $pageDescription (string): Meta description for search engines
 - $searchTerm (string): User-entered keyword for searching stalls
-- $category (string): Selected food category filter
+- $category (string): Selected food category filter; several are separated by commas
+- $selectedCategories (array): $category split into category names
 - $stalls (array): List of food stalls retrieved from the database
 - $standardCategories (array): Predefined list of food categories
 
@@ -30,13 +31,27 @@ ALGORITHM / LOGIC:
 1. Load system bootstrap and required utility and service classes.
 2. Start a user session.
 3. Retrieve search and category filter parameters from the URL.
-4. Fetch food stalls based on search term or selected category.
+4. Fetch food stalls matching the search term and every selected category.
 5. Display all food stalls when no filters are applied.
 6. Render the stalls in a grid layout with ratings and basic information.
+7. Hand the search bar and category links to the StallSearch module (stall-search.js), which
+   re-renders the grid from a typo-tolerant search index of stalls and menu items
+   (search-index.js) as the user types or picks a category, and fills the facet panel
+   (rating, open now, price, sort) through StallFacets (stall-facets.js).
+8. Give each card a heart button (hidden until Favorites, favorites.js, shows it) to save the stall.
+9. Give each card an hours badge ("Open now", "Opens at 6 PM"), filled in Manila time by
+   HoursBadges (hours-badges.js).
+10. Give each stall with a map position a "Show on map" link (map.php?stall=), which opens the
+    map on its pin with its popover.
 
 NOTES:
 - This page is read-only and does not modify database records.
 - Stall data is retrieved using the StallService class.
+- The card markup is duplicated in StallCard.create() (stall-card.js); keep the two in sync.
+- The server-side search matches names and descriptions only; dish names, typos and synonyms
+  are matched in the browser.
+- Without JavaScript the search form and category links reload the page as before and the
+  facet panel stays hidden; ?rating=, ?open=, ?price= and ?sort= are applied in the browser.
 */
 
 require_once __DIR__ . '/bootstrap.php';
@@ -56,12 +71,16 @@ $stallService = new StallService();
 // Get filter parameters
 $searchTerm = Helpers::get('search', '');
 $category = Helpers::get('category', '');
+$selectedCategories = array_values(array_filter(
+    array_map('trim', explode(',', $category)),
+    function($name) {
+        return $name !== '' && $name !== 'all';
+    }
+));
 
 // Fetch stalls based on filters
-if (!empty($searchTerm)) {
-    $stalls = $stallService->searchStalls($searchTerm);
-} elseif (!empty($category) && $category !== 'all') {
-    $stalls = $stallService->getStallsByCategory($category);
+if (!empty($searchTerm) || !empty($selectedCategories)) {
+    $stalls = $stallService->searchStalls($searchTerm, implode(',', $selectedCategories));
 } else {
     $stalls = $stallService->getAllActiveStalls();
 }
@@ -112,27 +131,33 @@ $allCategories = $standardCategories;
         <section class="hero-section">
             <h1>Start Your Food Hunt Here</h1>
             
-            <form action="stalls.php" method="GET" class="search-bar-container">
+            <form action="stalls.php" method="GET" class="search-bar-container" role="search">
                 <div class="search-input-wrapper">
                     <i class="fas fa-search search-icon"></i>
-                    <input type="text" name="search" class="search-input" placeholder="Search the Buzz..." value="<?= Helpers::escape($searchTerm) ?>">
+                    <input type="text" name="search" class="search-input" placeholder="Search the Buzz..." value="<?= Helpers::escape($searchTerm) ?>" aria-label="Search stalls" autocomplete="off">
                 </div>
+                <?php if (!empty($selectedCategories)): ?>
+                    <input type="hidden" name="category" value="<?= Helpers::escape(implode(',', $selectedCategories)) ?>">
+                <?php endif; ?>
                 <button type="submit" class="filter-btn">
                 </button>
             </form>
             
             <div class="category-filters">
-                <a href="?category=all" class="category-btn <?= empty($category) || $category === 'all' ? 'active' : '' ?>">All Stalls</a>
+                <a href="?category=all" class="category-btn <?= empty($selectedCategories) ? 'active' : '' ?>">All Stalls</a>
                 <?php foreach ($allCategories as $cat): ?>
-                    <a href="?category=<?= urlencode($cat) ?>" class="category-btn <?= $category === $cat ? 'active' : '' ?>">
+                    <a href="?category=<?= urlencode($cat) ?>" class="category-btn <?= in_array($cat, $selectedCategories, true) ? 'active' : '' ?>">
                         <?= Helpers::escape($cat) ?>
                     </a>
                 <?php endforeach; ?>
             </div>
         </section>
         
+        <!-- Facet Panel (built by stall-facets.js) -->
+        <section class="stall-facets" data-stall-facets aria-label="Filter stalls" hidden></section>
+        
         <!-- Stalls Grid -->
-        <section class="stalls-container">
+        <section class="stalls-container" data-stall-search data-base-url="<?= Helpers::escape(BASE_URL) ?>">
             <?php if (empty($stalls)): ?>
                 <div class="empty-state">
                     <i class="fas fa-search"></i>
@@ -142,61 +167,72 @@ $allCategories = $standardCategories;
             <?php else: ?>
                 <div class="stalls-grid">
                     <?php foreach ($stalls as $stall): ?>
-                        <a href="stall-detail.php?id=<?= $stall['id'] ?>" class="stall-card">
-                            <?php if (!empty($stall['image'])): ?>
-                                <img src="<?= BASE_URL . Helpers::escape($stall['image']) ?>" alt="<?= Helpers::escape($stall['name']) ?>" class="stall-image">
-                            <?php else: ?>
-                                <div class="stall-image-placeholder">
-                                    <i class="fas fa-utensils"></i>
-                                </div>
-                            <?php endif; ?>
-                            
-                            <div class="stall-content">
-                                <?php if (!empty($stall['categories']) && is_array($stall['categories'])): ?>
-                                    <div class="stall-categories">
-                                        <?php foreach ($stall['categories'] as $category): ?>
-                                            <span class="category-tag"><?= Helpers::escape(Helpers::formatCategoryName($category)) ?></span>
-                                        <?php endforeach; ?>
+                        <div class="stall-card-item">
+                            <a href="stall-detail.php?id=<?= $stall['id'] ?>" class="stall-card">
+                                <?php if (!empty($stall['image'])): ?>
+                                    <img src="<?= BASE_URL . Helpers::escape($stall['image']) ?>" alt="<?= Helpers::escape($stall['name']) ?>" class="stall-image">
+                                <?php else: ?>
+                                    <div class="stall-image-placeholder">
+                                        <i class="fas fa-utensils"></i>
                                     </div>
                                 <?php endif; ?>
+                            
+                                <div class="stall-content">
+                                    <?php if (!empty($stall['categories']) && is_array($stall['categories'])): ?>
+                                        <div class="stall-categories">
+                                            <?php foreach ($stall['categories'] as $category): ?>
+                                                <span class="category-tag"><?= Helpers::escape(Helpers::formatCategoryName($category)) ?></span>
+                                            <?php endforeach; ?>
+                                        </div>
+                                    <?php endif; ?>
                                 
-                                <h3 class="stall-name"><?= Helpers::escape($stall['name']) ?></h3>
+                                    <h3 class="stall-name"><?= Helpers::escape($stall['name']) ?></h3>
                                 
-                                <div class="stall-rating">
-                                    <div class="stars">
-                                        <?php
-                                        $fullStars = floor($stall['rating']);
-                                        $hasHalfStar = ($stall['rating'] - $fullStars) >= 0.5;
+                                    <div class="stall-rating">
+                                        <div class="stars" data-star-rating="<?= (float) $stall['rating'] ?>">
+                                            <?php
+                                            $fullStars = floor($stall['rating']);
+                                            $hasHalfStar = ($stall['rating'] - $fullStars) >= 0.5;
                                         
-                                        for ($i = 0; $i < $fullStars; $i++) {
-                                            echo '<i class="fas fa-star star"></i>';
-                                        }
-                                        if ($hasHalfStar) {
-                                            echo '<i class="fas fa-star-half-alt star"></i>';
-                                        }
-                                        for ($i = $fullStars + ($hasHalfStar ? 1 : 0); $i < 5; $i++) {
-                                            echo '<i class="far fa-star star"></i>';
-                                        }
-                                        ?>
+                                            for ($i = 0; $i < $fullStars; $i++) {
+                                                echo '<i class="fas fa-star star"></i>';
+                                            }
+                                            if ($hasHalfStar) {
+                                                echo '<i class="fas fa-star-half-alt star"></i>';
+                                            }
+                                            for ($i = $fullStars + ($hasHalfStar ? 1 : 0); $i < 5; $i++) {
+                                                echo '<i class="far fa-star star"></i>';
+                                            }
+                                            ?>
+                                        </div>
+                                        <span class="rating-text">
+                                            <?= $stall['rating'] > 0 ? number_format($stall['rating'], 1) : 'No ratings' ?>
+                                            <?php if ($stall['reviews'] > 0): ?>
+                                                (<?= $stall['reviews'] ?> Reviews)
+                                            <?php endif; ?>
+                                        </span>
                                     </div>
-                                    <span class="rating-text">
-                                        <?= $stall['rating'] > 0 ? number_format($stall['rating'], 1) : 'No ratings' ?>
-                                        <?php if ($stall['reviews'] > 0): ?>
-                                            (<?= $stall['reviews'] ?> Reviews)
-                                        <?php endif; ?>
-                                    </span>
-                                </div>
                                 
-                                <div class="stall-hours">
-                                    <i class="far fa-clock"></i>
-                                    <span><?= Helpers::escape($stall['hours']) ?></span>
-                                </div>
+                                    <div class="stall-hours">
+                                        <i class="far fa-clock"></i>
+                                        <span><?= Helpers::escape($stall['hours']) ?></span>
+                                        <span class="hours-badge" data-hours-badge="<?= Helpers::escape($stall['hours']) ?>" hidden></span>
+                                    </div>
                                 
-                                <p class="stall-description">
-                                    <?= Helpers::escape($stall['description']) ?>
-                                </p>
-                            </div>
-                        </a>
+                                    <p class="stall-description">
+                                        <?= Helpers::escape($stall['description']) ?>
+                                    </p>
+                                </div>
+                            </a>
+                            <button type="button" class="favorite-btn" data-favorite-stall="<?= $stall['id'] ?>" data-stall-name="<?= Helpers::escape($stall['name']) ?>" aria-pressed="false" hidden>
+                                <i class="far fa-heart" aria-hidden="true"></i>
+                            </button>
+                            <?php if (!empty($stall['latitude']) && !empty($stall['longitude'])): ?>
+                                <a href="map.php?stall=<?= $stall['id'] ?>#mapContainer" class="map-link-btn" data-map-stall="<?= $stall['id'] ?>" title="Show on map" aria-label="Show <?= Helpers::escape($stall['name']) ?> on the map">
+                                    <i class="fas fa-map-marker-alt" aria-hidden="true"></i>
+                                </a>
+                            <?php endif; ?>
+                        </div>
                     <?php endforeach; ?>
                 </div>
             <?php endif; ?>